@@ -3,9 +3,6 @@
 const express = require("express");
 const cors = require("cors");
 const multer = require("multer");
-const { Pool } = require("pg");
-const cloudinary = require("cloudinary").v2;
-const streamifier = require("streamifier");
 
 const app = express();
 
@@ -14,61 +11,24 @@ const allowOrigin = "https://fabriziomc20.github.io";
 app.use((req, res, next) => {
   res.header("Access-Control-Allow-Origin", allowOrigin);
   res.header("Access-Control-Allow-Methods", "GET,POST,PUT,DELETE,OPTIONS");
-  res.header("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  res.header("Access-Control-Allow-Headers", "Content-Type, Authorization, X-Employer-Id");
   if (req.method === "OPTIONS") return res.sendStatus(200); // preflight
   next();
 });
 
+// Errores: { error, code, campos? } en todas las respuestas 4xx/5xx (modules/common/errors.js)
+const { errorEnvelope, notFound, errorHandler } = require("./modules/common/errors");
+app.use(errorEnvelope);
+
 app.use(express.json());
 
 // ===== Normalización de entrada (más segura) =====
-
-// Helpers
-function stripDiacritics(s = "") {
-  return s.normalize("NFD").replace(/[\u0300-\u036f]/g, "");
-}
-function toTitleCase(s = "") {
-  return s.toLowerCase().replace(/\b[\p{L}\p{N}]+/gu, w => w.charAt(0).toUpperCase() + w.slice(1));
-}
-function normalizeNameLike(str) {
-  const t = stripDiacritics(String(str).trim());
-  return toTitleCase(t);
-}
-function normalizeQueryValue(str) {
-  // Para búsquedas: trim + sin tildes + en minúsculas
-  return stripDiacritics(String(str).trim()).toLowerCase();
-}
+// Helpers y listas de campos en modules/common/normalize.js
+const { normalizeBody, normalizeQueryValue } = require("./modules/common/normalize");
 
 app.use((req, _res, next) => {
-  // Campos que NO se deben tocar (enums/ids/fechas/horas/urls/códigos)
-  const skipKeys = new Set([
-    'regime_code','start_time','end_time','valid_from',
-    'logo_url','url','ruc','dni','code','site_id','project_id','employer_id',
-    'grupo','estado'
-  ]);
-
-  // Campos de tipo “nombre/título” que sí queremos Title Case sin tildes
-  const nameLikeKeys = new Set([
-    'name','apellido_paterno','apellido_materno','nombres',
-    'sede','turno_horario'
-  ]);
-
   // BODY: tratar solo strings
-  if (req.body && typeof req.body === "object" && !Buffer.isBuffer(req.body)) {
-    for (const k of Object.keys(req.body)) {
-      if (typeof req.body[k] !== "string") continue;
-      const raw = req.body[k];
-      if (skipKeys.has(k)) {
-        // solo trimming suave para estos
-        req.body[k] = String(raw).trim();
-      } else if (nameLikeKeys.has(k)) {
-        req.body[k] = normalizeNameLike(raw);
-      } else {
-        // por defecto solo trim (no title-case para no sorprender)
-        req.body[k] = String(raw).trim();
-      }
-    }
-  }
+  normalizeBody(req.body);
 
   // QUERY: normalizar para búsqueda libre
   if (req.query && typeof req.query === "object") {
@@ -89,71 +49,48 @@ const upload = multer({
   storage: multer.memoryStorage(),
   limits: { fileSize: 15 * 1024 * 1024 },
 });
-const campos = upload.fields([
-  { name: "dni",           maxCount: 2  },
-  { name: "certificados",  maxCount: 10 },
-  { name: "antecedentes",  maxCount: 5  },
-  { name: "medicos",       maxCount: 5  },
-  { name: "capacitacion",  maxCount: 10 },
-  { name: "cv",            maxCount: 5  }
-]);
+// un campo por tipo de documento (dni, certificados, antecedentes, medicos, capacitacion, cv);
+// solo formatos de documento (PDF, imágenes, Word): lo demás responde 400 ARCHIVOS_INVALIDOS
+const { TIPOS, MAX_ARCHIVOS, FORMATOS, formatoPermitido } = require("./modules/candidatos/candidatos.documentos");
+const uploadDocumentos = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 15 * 1024 * 1024 },
+  fileFilter: (_req, file, cb) => {
+    if (formatoPermitido(file)) return cb(null, true);
+    const err = new multer.MulterError("FORMATO_NO_PERMITIDO", file.fieldname);
+    err.message = `Formato no permitido (${Object.keys(FORMATOS).join(", ")})`;
+    cb(err);
+  },
+});
+const camposArchivos = TIPOS.map(name => ({ name, maxCount: MAX_ARCHIVOS[name] }));
+const campos = uploadDocumentos.fields(camposArchivos);
 
 /* =========================
-   Cloudinary
+   Almacenamiento de documentos
    ========================= */
-// Usa CLOUDINARY_URL o variables separadas
-cloudinary.config(process.env.CLOUDINARY_URL);
-
-function uploadToCloudinary(fileBuffer, folder, filename) {
-  return new Promise((resolve, reject) => {
-    const up = cloudinary.uploader.upload_stream(
-      {
-        folder,
-        resource_type: "auto",
-        public_id: filename?.replace(/\.[^.]+$/, "")?.slice(0, 120),
-      },
-      (err, result) => (err ? reject(err) : resolve(result.secure_url))
-    );
-    streamifier.createReadStream(fileBuffer).pipe(up);
-  });
-}
+// STORAGE_DRIVER=cloudinary|local (ver modules/storage/storage.service.js)
+const createStorage = require("./modules/storage/storage.service");
+const storage = createStorage();
 
 /* =========================
    PostgreSQL
    ========================= */
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  ssl: { rejectUnauthorized: false },
-});
+const { createPool } = require("./modules/common/db");
+const pool = createPool();
+// quien carga el app sin server.js (p. ej. las pruebas) cierra el pool con app.locals.pool.end()
+app.locals.pool = pool;
 
 /* =========================
-   Helpers varios
+   Autenticación (JWT + roles)
    ========================= */
-function slugify(str) {
-  return String(str || "")
-    .normalize("NFKD").replace(/[\u0300-\u036f]/g, "")
-    .toUpperCase()
-    .replace(/[^A-Z0-9]+/g, "-")
-    .replace(/^-+|-+$/g, "")
-    .slice(0, 32);
-}
-async function generateUniqueCode(table, baseCode) {
-  let code = baseCode || "ITEM";
-  let n = 1;
-  for (;;) {
-    const { rows } = await pool.query(
-      `SELECT 1 FROM ${table} WHERE code = $1 LIMIT 1`,
-      [code]
-    );
-    if (!rows.length) return code;
-    n += 1;
-    code = `${baseCode}-${n}`;
-  }
-}
-async function getEmployerIdOrNull() {
-  const r = await pool.query(`SELECT id FROM employers ORDER BY id ASC LIMIT 1`);
-  return r.rows[0]?.id || null;
-}
+const authFactory = require('./modules/auth/auth.middleware');
+const auth = authFactory({ pool });
+
+// Empresa de cada petición (X-Employer-Id, /api/employers/:id/..., claim del token)
+const tenancyFactory = require('./modules/employers/employers.tenant');
+const tenancy = tenancyFactory({ pool });
+const { tenant } = tenancy;
+app.use(tenancy.pathPrefix);
 
 /* =========================
    Health & Version
@@ -164,573 +101,115 @@ app.get("/version", (_req, res) => {
 });
 
 /* =========================
-   CANDIDATOS
+   AUTH / USUARIOS
    ========================= */
-const candidatosRoutesFactory = require('./modules/candidatos/candidatos.routes');
-app.use('/api', candidatosRoutesFactory({ pool, uploadToCloudinary, campos }));
-app.get("/api/candidatos", async (req, res) => {
-  try {
-    let {
-      ano = "TODOS",
-      mes = "TODOS",
-      estado = null,
-      grupoInicio = null,
-      grupoFin = null,
-    } = req.query;
-
-    const where = [];
-    const params = [];
-    let i = 1;
-
-    if (ano !== "TODOS") { where.push(`EXTRACT(YEAR  FROM v.fecha) = $${i++}`); params.push(Number(ano)); }
-    if (mes !== "TODOS") { where.push(`EXTRACT(MONTH FROM v.fecha) = $${i++}`); params.push(Number(mes)); }
-    if (estado)         { where.push(`UPPER(v.estado) = $${i++}`);               params.push(String(estado).toUpperCase()); }
-    if (grupoInicio && grupoFin) {
-      where.push(`(v.grupo ~ '^[0-9]+$' AND CAST(v.grupo AS INT) BETWEEN $${i++} AND $${i++})`);
-      params.push(Number(grupoInicio), Number(grupoFin));
-    }
-
-    const whereSQL = where.length ? `WHERE ${where.join(" AND ")}` : "";
-
-    const sql = `
-      SELECT
-        v.id,
-        v.dni                         AS dni_numero,
-        v.apellido_paterno,
-        v.apellido_materno,
-        v.nombres,
-        v.nombre_completo,
-        v.sede,
-        v.turno_horario,
-        v.grupo,
-        v.estado,
-        v.fecha,
-        (v.dni_doc_url IS NOT NULL)   AS dni_doc,    -- boolean para puntito
-        (v.cv_url IS NOT NULL)        AS cv_doc,     -- boolean para puntito
-        COALESCE(dc.doc_count, 0)::int AS doc_count  -- total de documentos
-      FROM vw_api_candidatos v
-      LEFT JOIN LATERAL (
-        SELECT COUNT(*) AS doc_count
-        FROM candidato_documentos d
-        WHERE d.candidato_id = v.id
-      ) dc ON TRUE
-      ${whereSQL}
-      ORDER BY v.fecha DESC, v.id DESC
-    `;
-
-    const { rows } = await pool.query(sql, params);
-    res.json(rows);
-  } catch (e) {
-    console.error("GET /api/candidatos", e);
-    res.status(500).json({ error: "Error consultando candidatos" });
-  }
-});
-
-
-
-app.get("/api/candidatos/:id", async (req, res) => {
-  try {
-    const id = Number(req.params.id);
-    const cab = await pool.query(
-      `SELECT
-         id,
-         dni                         AS dni_numero,
-         apellido_paterno,
-         apellido_materno,
-         nombres,
-         nombre_completo,
-         sede,
-         turno_horario,
-         grupo,
-         estado,
-         fecha,
-         dni_doc_url                 AS dni_doc,
-         certificados_url            AS certificados,
-         antecedentes_url            AS antecedentes,
-         medicos_url                 AS medicos,
-         capacitacion_url            AS capacitacion,
-         cv_url                      AS cv_doc
-       FROM vw_api_candidatos
-       WHERE id=$1`,
-      [id]
-    );
-    if (cab.rowCount === 0) return res.status(404).json({ error: "No encontrado" });
-
-    const docs = await pool.query(
-      `SELECT tipo, url, created_at
-         FROM candidato_documentos
-        WHERE candidato_id=$1
-        ORDER BY created_at DESC`,
-      [id]
-    );
-
-    res.json({ ...cab.rows[0], documentos: docs.rows });
-  } catch (e) {
-    console.error("GET /api/candidatos/:id", e);
-    res.status(500).json({ error: "Error consultando candidato" });
-  }
-});
-
-
-app.post("/api/candidatos", campos, async (req, res) => {
-  const client = await pool.connect();
-  try {
-    const {
-      dni,
-      apellido_paterno,
-      apellido_materno,
-      nombres,
-      sede = null,
-      turno_horario = null,
-      grupo = null,
-    } = req.body;
-
-    if (!dni || !apellido_paterno || !apellido_materno || !nombres) {
-      return res.status(400).json({ error: "Faltan campos obligatorios" });
-    }
-
-    await client.query("BEGIN");
-
-    const ins = await client.query(
-      `INSERT INTO candidatos (dni, apellido_paterno, apellido_materno, nombres, sede, turno_horario, grupo)
-       VALUES ($1,$2,$3,$4,$5,$6,$7)
-       RETURNING id, dni`,
-      [dni, apellido_paterno, apellido_materno, nombres, sede, turno_horario, grupo]
-    );
-    const { id: candidatoId, dni: candDni } = ins.rows[0];
-
-    const tipos = ["dni", "certificados", "antecedentes", "medicos", "capacitacion", "cv"];
-    const inserts = [];
-
-    for (const tipo of tipos) {
-      const files = req.files?.[tipo] || [];
-      for (const f of files) {
-        const folder = `candidatos/${candDni}/${tipo}`;
-        const url = await uploadToCloudinary(f.buffer, folder, f.originalname);
-        inserts.push({ tipo, url });
-      }
-    }
-
-    if (inserts.length) {
-      const values = inserts.map((_, i) => `($1, $${i * 2 + 2}, $${i * 2 + 3})`).join(", ");
-      const params = [candidatoId, ...inserts.flatMap(x => [x.tipo, x.url])];
-      await client.query(
-        `INSERT INTO candidato_documentos (candidato_id, tipo, url) VALUES ${values}`,
-        params
-      );
-    }
-
-    await client.query("COMMIT");
-    res.json({ ok: true, id: candidatoId });
-  } catch (e) {
-    await client.query("ROLLBACK");
-    console.error("POST /api/candidatos", e);
-    if (e.code === "23505") return res.status(409).json({ error: "DNI ya registrado" });
-    res.status(500).json({ error: "Error creando candidato" });
-  } finally {
-    client.release();
-  }
-});
-
-app.put("/api/candidatos/:id", campos, async (req, res) => {
-  try {
-    const id = Number(req.params.id);
-    const { apellido_paterno, apellido_materno, nombres, sede, turno_horario, grupo, estado } = req.body;
-
-    const r = await pool.query(
-      `UPDATE candidatos
-          SET apellido_paterno = COALESCE($1, apellido_paterno),
-              apellido_materno = COALESCE($2, apellido_materno),
-              nombres         = COALESCE($3, nombres),
-              sede            = COALESCE($4, sede),
-              turno_horario   = COALESCE($5, turno_horario),
-              grupo           = COALESCE($6, grupo),
-              estado          = COALESCE($7, estado)
-        WHERE id=$8`,
-      [apellido_paterno || null, apellido_materno || null, nombres || null,
-       sede || null, turno_horario || null, grupo || null, estado || null, id]
-    );
-    if (r.rowCount === 0) return res.status(404).json({ error: "No encontrado" });
-
-    res.json({ ok: true });
-  } catch (e) {
-    console.error("PUT /api/candidatos/:id", e);
-    res.status(500).json({ error: "Error actualizando candidato" });
-  }
-});
-
-app.put("/api/candidatos/:id/estado", async (req, res) => {
-  try {
-    const id = Number(req.params.id);
-    const { estado } = req.body;
-    if (!["En Revision", "Cancelado", "Aprobado"].includes(estado)) {
-      return res.status(400).json({ error: "Estado inválido" });
-    }
-    const r = await pool.query(`UPDATE candidatos SET estado=$1 WHERE id=$2`, [estado, id]);
-    if (r.rowCount === 0) return res.status(404).json({ error: "No encontrado" });
-    res.json({ ok: true });
-  } catch (e) {
-    console.error("PUT /api/candidatos/:id/estado", e);
-    res.status(500).json({ error: "Error cambiando estado" });
-  }
-});
+const authRoutesFactory = require('./modules/auth/auth.routes');
+app.use('/api', authRoutesFactory({ pool, auth, tenancy }));
 
 /* =========================
-   EMPRESA / RÉGIMEN
+   ARCHIVOS (driver local)
    ========================= */
-app.get("/api/employer", async (_req, res) => {
-  try {
-    const q = await pool.query(`SELECT id, ruc, name, logo_url FROM employers ORDER BY id ASC LIMIT 1`);
-    res.json(q.rows[0] || null);
-  } catch (e) {
-    console.error("GET /api/employer", e);
-    res.status(500).send("error");
-  }
-});
-
-app.post("/api/employer", async (req, res) => {
-  try {
-    const { ruc, name, logo_url } = req.body || {};
-    if (!ruc || !name) return res.status(400).send("RUC y nombre son obligatorios");
-    const up = await pool.query(
-      `INSERT INTO employers (ruc, name, logo_url)
-       VALUES ($1,$2,$3)
-       ON CONFLICT (ruc) DO UPDATE SET name=EXCLUDED.name, logo_url=EXCLUDED.logo_url
-       RETURNING id, ruc, name, logo_url`,
-      [String(ruc).trim(), String(name).trim(), logo_url || null]
-    );
-    res.json(up.rows[0]);
-  } catch (e) {
-    console.error("POST /api/employer", e);
-    res.status(500).send("error");
-  }
-});
-
-app.get("/api/regimes/tax", async (_req, res) => {
-  try {
-    const { rows } = await pool.query(`SELECT id, code, name FROM regimes_tax ORDER BY id ASC`);
-    res.json(rows);
-  } catch (e) {
-    console.error("GET /api/regimes/tax", e);
-    res.status(500).send("error");
-  }
-});
-
-app.get("/api/employer/tax", async (_req, res) => {
-  try {
-    const empId = await getEmployerIdOrNull();
-    if (!empId) return res.status(400).json({ error: "Primero registra la Empresa" });
-
-    const q = await pool.query(
-      `SELECT eth.id, eth.valid_from, eth.valid_to, rt.code, rt.name
-         FROM employer_tax_history eth
-         JOIN regimes_tax rt ON rt.id = eth.regime_id
-        WHERE eth.employer_id = $1
-        ORDER BY eth.valid_from DESC
-        LIMIT 1`,
-      [empId]
-    );
-    res.json(q.rows[0] || null);
-  } catch (e) {
-    console.error("GET /api/employer/tax", e);
-    res.status(500).send("error");
-  }
-});
-
-app.get("/api/employer/tax/history", async (_req, res) => {
-  try {
-    const empId = await getEmployerIdOrNull();
-    if (!empId) return res.status(400).json({ error: "Primero registra la Empresa" });
-
-    const { rows } = await pool.query(
-      `SELECT eth.id, eth.valid_from, eth.valid_to, rt.code, rt.name
-         FROM employer_tax_history eth
-         JOIN regimes_tax rt ON rt.id = eth.regime_id
-        WHERE eth.employer_id = $1
-        ORDER BY eth.valid_from DESC`,
-      [empId]
-    );
-    res.json(rows);
-  } catch (e) {
-    console.error("GET /api/employer/tax/history", e);
-    res.status(500).send("error");
-  }
-});
-
-// Establecer nuevo régimen (versionado) con mejores validaciones y errores claros
-// body: { regime_code: 'MICRO'|'ESPECIAL'|'PEQUENA'|'GENERAL', valid_from?: 'YYYY-MM-DD' }
-app.post("/api/employer/tax", async (req, res) => {
-  const client = await pool.connect();
-  try {
-    const empId = await getEmployerIdOrNull();
-    if (!empId) return res.status(400).json({ error: "Primero registra la Empresa" });
-
-    let { regime_code, valid_from } = req.body || {};
-    if (!regime_code) return res.status(400).json({ error: "regime_code es obligatorio" });
-
-    // normalizar codigo (por si viene en minúsculas)
-    regime_code = String(regime_code).trim().toUpperCase();
+const storageRoutesFactory = require('./modules/storage/storage.routes');
+app.use('/api', storageRoutesFactory({ pool, storage, auth, tenant }));
 
-    // validar fecha (YYYY-MM-DD). Si no viene, hoy.
-    if (!/^\d{4}-\d{2}-\d{2}$/.test(valid_from || "")) {
-      valid_from = new Date().toISOString().slice(0,10);
-    }
-
-    const r = await client.query(`SELECT id FROM regimes_tax WHERE code = $1`, [regime_code]);
-    if (r.rowCount === 0) return res.status(400).json({ error: "regime_code inválido" });
-    const regimeId = r.rows[0].id;
-
-    await client.query("BEGIN");
-
-    // Cerrar el anterior (si existe) — OJO: usa $2::date
-    const prev = await client.query(
-      `SELECT id FROM employer_tax_history
-        WHERE employer_id = $1 AND valid_to IS NULL
-        ORDER BY valid_from DESC LIMIT 1`,
-      [empId]
-    );
-    if (prev.rowCount) {
-      await client.query(
-        `UPDATE employer_tax_history
-            SET valid_to = ($2::date - INTERVAL '1 day')::date
-          WHERE id = $1 AND valid_to IS NULL`,
-        [prev.rows[0].id, valid_from]
-      );
-    }
+/* =========================
+   CANDIDATOS
+   ========================= */
+const candidatosRoutesFactory = require('./modules/candidatos/candidatos.routes');
+app.use('/api', candidatosRoutesFactory({ pool, storage, campos, upload, auth, tenant, publicTenant: tenancy.publicTenant }));
 
-    // Insertar el nuevo vigente — OJO: $3::date
-    const ins = await client.query(
-      `INSERT INTO employer_tax_history (employer_id, regime_id, valid_from, valid_to)
-       VALUES ($1,$2,$3::date,NULL)
-       RETURNING id`,
-      [empId, regimeId, valid_from]
-    );
-
-    await client.query("COMMIT");
-
-    const cur = await pool.query(
-      `SELECT eth.id, eth.valid_from, eth.valid_to, rt.code, rt.name
-         FROM employer_tax_history eth
-         JOIN regimes_tax rt ON rt.id = eth.regime_id
-        WHERE eth.id = $1`,
-      [ins.rows[0].id]
-    );
-    res.json(cur.rows[0]);
-  } catch (e) {
-    await client.query("ROLLBACK");
-    console.error("POST /api/employer/tax", e);
-    res.status(500).json({ error: "Error estableciendo régimen tributario" });
-  } finally {
-    client.release();
-  }
-});
+/* =========================
+   PORTAL DEL CANDIDATO (enlace con token)
+   ========================= */
+const portalRoutesFactory = require('./modules/portal/portal.routes');
+app.use('/api', portalRoutesFactory({ pool, storage, campos, auth, tenant }));
 
+/* =========================
+   EMPLEADOS
+   ========================= */
+const empleadosRoutesFactory = require('./modules/empleados/empleados.routes');
+app.use('/api', empleadosRoutesFactory({ pool, storage, auth, tenant }));
 
+/* =========================
+   DOCUMENTOS (vencimientos)
+   ========================= */
+const documentosRoutesFactory = require('./modules/documentos/documentos.routes');
+app.use('/api', documentosRoutesFactory({ pool, storage, auth, tenant }));
 
 /* =========================
-   SEDES
+   ASIGNACIONES (sede / proyecto / turno por fechas)
    ========================= */
-app.get("/api/sites", async (_req, res) => {
-  try {
-    const { rows } = await pool.query(`SELECT id, code, name FROM sites ORDER BY id ASC`);
-    res.json(rows);
-  } catch (e) {
-    console.error("GET /api/sites", e);
-    res.status(500).send("error");
-  }
-});
+const asignacionesRoutesFactory = require('./modules/asignaciones/asignaciones.routes');
+app.use('/api', asignacionesRoutesFactory({ pool, auth, tenant }));
 
-app.post("/api/sites", async (req, res) => {
-  try {
-    const { name } = req.body || {};
-    if (!name) return res.status(400).send("name es obligatorio");
-
-    const base = slugify(name);
-    const code = await generateUniqueCode("sites", base || "SITE");
-
-    const r = await pool.query(
-      `INSERT INTO sites (code, name)
-       VALUES ($1,$2)
-       RETURNING id, code, name`,
-      [code, String(name).trim()]
-    );
-    res.json(r.rows[0]);
-  } catch (e) {
-    console.error("POST /api/sites", e);
-    res.status(500).send("error");
-  }
-});
+/* =========================
+   EMPRESAS / RÉGIMEN
+   ========================= */
+const employersRoutesFactory = require('./modules/employers/employers.routes');
+app.use('/api', employersRoutesFactory({ pool, auth, tenant }));
 
-app.put("/api/sites/:id", async (req, res) => {
-  try {
-    const id = Number(req.params.id);
-    const { name = null } = req.body || {};
-    const r = await pool.query(
-      `UPDATE sites
-          SET name = COALESCE($1, name)
-        WHERE id=$2`,
-      [name, id]
-    );
-    if (r.rowCount === 0) return res.status(404).send("no encontrado");
-    res.json({ ok: true });
-  } catch (e) {
-    console.error("PUT /api/sites/:id", e);
-    res.status(500).send("error");
-  }
-});
+/* =========================
+   SEDES (con ubicación / ubigeo)
+   ========================= */
+const sitesRoutesFactory = require('./modules/sites/sites.routes');
+app.use('/api', sitesRoutesFactory({ pool, auth, tenant }));
 
-app.delete("/api/sites/:id", async (req, res) => {
-  try {
-    const id = Number(req.params.id);
-    await pool.query(`DELETE FROM sites WHERE id=$1`, [id]);
-    res.json({ ok: true });
-  } catch (e) {
-    if (e.code === "23503") return res.status(409).send("No se puede eliminar: tiene proyectos asociados");
-    console.error("DELETE /api/sites/:id", e);
-    res.status(500).send("error");
-  }
-});
+/* =========================
+   PROYECTOS (vinculados a sedes)
+   ========================= */
+const projectsRoutesFactory = require('./modules/projects/projects.routes');
+app.use('/api', projectsRoutesFactory({ pool, auth, tenant }));
 
 /* =========================
-   PROYECTOS (sin sede)
+   CHECKLISTS (documentos requeridos por sede / proyecto)
    ========================= */
-app.get("/api/projects", async (_req, res) => {
-  try {
-    const { rows } = await pool.query(
-      `SELECT id, code, name
-         FROM projects
-        ORDER BY id ASC`
-    );
-    res.json(rows);
-  } catch (e) {
-    console.error("GET /api/projects", e);
-    res.status(500).send("error");
-  }
-});
+const checklistsRoutesFactory = require('./modules/checklists/checklists.routes');
+app.use('/api', checklistsRoutesFactory({ pool, auth, tenant }));
 
-app.post("/api/projects", async (req, res) => {
-  try {
-    const { name } = req.body || {};
-    if (!name) return res.status(400).send("name es obligatorio");
-
-    const base = slugify(name);
-    const code = await generateUniqueCode("projects", base || "PROJ");
-
-    const r = await pool.query(
-      `INSERT INTO projects (code, name)
-       VALUES ($1,$2)
-       RETURNING id, code, name`,
-      [code, String(name).trim()]
-    );
-    res.json(r.rows[0]);
-  } catch (e) {
-    console.error("POST /api/projects", e);
-    res.status(500).send("error");
-  }
-});
+/* =========================
+   TURNOS / ROTACIONES
+   ========================= */
+const shiftsRoutesFactory = require('./modules/shifts/shifts.routes');
+app.use('/api', shiftsRoutesFactory({ pool, auth, tenant }));
 
-app.put("/api/projects/:id", async (req, res) => {
-  try {
-    const id = Number(req.params.id);
-    const { name = null } = req.body || {};
-
-    const r = await pool.query(
-      `UPDATE projects
-          SET name = COALESCE($1, name)
-        WHERE id = $2`,
-      [name, id]
-    );
-    if (r.rowCount === 0) return res.status(404).send("no encontrado");
-    res.json({ ok: true });
-  } catch (e) {
-    console.error("PUT /api/projects/:id", e);
-    res.status(500).send("error");
-  }
-});
+/* =========================
+   ASISTENCIA (marcaciones, tardanzas, horas extra)
+   ========================= */
+const asistenciaRoutesFactory = require('./modules/asistencia/asistencia.routes');
+app.use('/api', asistenciaRoutesFactory({ pool, auth, tenant, upload }));
 
-app.delete("/api/projects/:id", async (req, res) => {
-  try {
-    const id = Number(req.params.id);
-    await pool.query(`DELETE FROM projects WHERE id=$1`, [id]);
-    res.json({ ok: true });
-  } catch (e) {
-    if (e.code === "23503")
-      return res.status(409).send("No se puede eliminar: tiene asignaciones o dependencias");
-    console.error("DELETE /api/projects/:id", e);
-    res.status(500).send("error");
-  }
-});
+/* =========================
+   PLANILLAS (según el régimen vigente de la empresa)
+   ========================= */
+const planillasRoutesFactory = require('./modules/planillas/planillas.routes');
+app.use('/api', planillasRoutesFactory({ pool, auth, tenant }));
 
 /* =========================
-   TURNOS
+   AUDITORÍA
    ========================= */
-app.get("/api/shifts", async (_req, res) => {
-  try {
-    const { rows } = await pool.query(
-      `SELECT id, name,
-              to_char(start_time,'HH24:MI') AS start_time,
-              to_char(end_time,  'HH24:MI') AS end_time
-         FROM shifts
-        ORDER BY id ASC`
-    );
-    res.json(rows);
-  } catch (e) {
-    console.error("GET /api/shifts", e);
-    res.status(500).send("error");
-  }
-});
+const auditRoutesFactory = require('./modules/audit/audit.routes');
+app.use('/api', auditRoutesFactory({ pool, auth, tenant }));
 
-app.post("/api/shifts", async (req, res) => {
-  try {
-    const { name, start_time, end_time } = req.body || {};
-    if (!name || !start_time || !end_time)
-      return res.status(400).send("name, start_time y end_time son obligatorios");
-    const r = await pool.query(
-      `INSERT INTO shifts (name, start_time, end_time)
-       VALUES ($1,$2,$3)
-       RETURNING id, name,
-                 to_char(start_time,'HH24:MI') AS start_time,
-                 to_char(end_time,  'HH24:MI') AS end_time`,
-      [String(name).trim(), start_time, end_time]
-    );
-    res.json(r.rows[0]);
-  } catch (e) {
-    console.error("POST /api/shifts", e);
-    res.status(500).send("error");
-  }
-});
+/* =========================
+   WEBHOOKS (suscripciones y bandeja de salida)
+   ========================= */
+// el despachador lo arranca server.js (app.locals.webhooks.start())
+const webhooksDispatcherFactory = require('./modules/webhooks/webhooks.dispatcher');
+app.locals.webhooks = webhooksDispatcherFactory({ pool });
+const webhooksRoutesFactory = require('./modules/webhooks/webhooks.routes');
+app.use('/api', webhooksRoutesFactory({ pool, auth, tenant }));
 
-app.put("/api/shifts/:id", async (req, res) => {
-  try {
-    const id = Number(req.params.id);
-    const { name = null, start_time = null, end_time = null } = req.body || {};
-    const r = await pool.query(
-      `UPDATE shifts
-          SET name = COALESCE($1, name),
-              start_time = COALESCE($2, start_time),
-              end_time   = COALESCE($3, end_time)
-        WHERE id=$4`,
-      [name, start_time, end_time, id]
-    );
-    if (r.rowCount === 0) return res.status(404).send("no encontrado");
-    res.json({ ok: true });
-  } catch (e) {
-    console.error("PUT /api/shifts/:id", e);
-    res.status(500).send("error");
-  }
-});
+/* =========================
+   DOCUMENTACIÓN (OpenAPI en /api/openapi.json, explorador en /api/docs)
+   ========================= */
+const docsRoutesFactory = require('./modules/docs/docs.routes');
+app.use('/api', docsRoutesFactory({ auth, tenancy, campos, archivos: camposArchivos }));
 
-app.delete("/api/shifts/:id", async (req, res) => {
-  try {
-    const id = Number(req.params.id);
-    await pool.query(`DELETE FROM shifts WHERE id=$1`, [id]);
-    res.json({ ok: true });
-  } catch (e) {
-    if (e.code === "23503") return res.status(409).send("No se puede eliminar: está referenciado");
-    console.error("DELETE /api/shifts/:id", e);
-    res.status(500).send("error");
-  }
-});
+/* =========================
+   Rutas inexistentes y errores no controlados
+   ========================= */
+app.use('/api', notFound);
+app.use(errorHandler);
 
 module.exports = app;
 
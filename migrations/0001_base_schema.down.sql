@@ -0,0 +1,9 @@
+DROP VIEW  IF EXISTS vw_api_candidatos;
+DROP TABLE IF EXISTS candidato_documentos;
+DROP TABLE IF EXISTS candidatos;
+DROP TABLE IF EXISTS shifts;
+DROP TABLE IF EXISTS projects;
+DROP TABLE IF EXISTS sites;
+DROP TABLE IF EXISTS employer_tax_history;
+DROP TABLE IF EXISTS regimes_tax;
+DROP TABLE IF EXISTS employers;
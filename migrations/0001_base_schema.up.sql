@@ -0,0 +1,111 @@
+-- Esquema base: empresa/régimen, catálogos y candidatos.
+-- Usa IF NOT EXISTS para poder adoptar una base existente creada a mano.
+
+CREATE TABLE IF NOT EXISTS employers (
+  id          SERIAL PRIMARY KEY,
+  ruc         TEXT NOT NULL UNIQUE,
+  name        TEXT NOT NULL,
+  logo_url    TEXT,
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS regimes_tax (
+  id    SERIAL PRIMARY KEY,
+  code  TEXT NOT NULL UNIQUE,
+  name  TEXT NOT NULL
+);
+
+INSERT INTO regimes_tax (code, name) VALUES
+  ('MICRO',    'Microempresa'),
+  ('ESPECIAL', 'Régimen Especial'),
+  ('PEQUENA',  'Pequeña Empresa'),
+  ('GENERAL',  'Régimen General')
+ON CONFLICT (code) DO NOTHING;
+
+CREATE TABLE IF NOT EXISTS employer_tax_history (
+  id           SERIAL PRIMARY KEY,
+  employer_id  INT  NOT NULL REFERENCES employers(id) ON DELETE CASCADE,
+  regime_id    INT  NOT NULL REFERENCES regimes_tax(id),
+  valid_from   DATE NOT NULL,
+  valid_to     DATE,
+  created_at   TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS employer_tax_history_employer_idx
+  ON employer_tax_history (employer_id, valid_from DESC);
+
+CREATE TABLE IF NOT EXISTS sites (
+  id    SERIAL PRIMARY KEY,
+  code  TEXT NOT NULL UNIQUE,
+  name  TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS projects (
+  id    SERIAL PRIMARY KEY,
+  code  TEXT NOT NULL UNIQUE,
+  name  TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS shifts (
+  id          SERIAL PRIMARY KEY,
+  name        TEXT NOT NULL,
+  start_time  TIME NOT NULL,
+  end_time    TIME NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS candidatos (
+  id                SERIAL PRIMARY KEY,
+  dni               TEXT NOT NULL UNIQUE,
+  apellido_paterno  TEXT NOT NULL,
+  apellido_materno  TEXT NOT NULL,
+  nombres           TEXT NOT NULL,
+  sede              TEXT,
+  turno_horario     TEXT,
+  grupo             TEXT,
+  estado            TEXT NOT NULL DEFAULT 'En Revision',
+  fecha             TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS candidatos_fecha_idx ON candidatos (fecha DESC, id DESC);
+
+CREATE TABLE IF NOT EXISTS candidato_documentos (
+  id            SERIAL PRIMARY KEY,
+  candidato_id  INT  NOT NULL REFERENCES candidatos(id) ON DELETE CASCADE,
+  tipo          TEXT NOT NULL,
+  url           TEXT NOT NULL,
+  created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS candidato_documentos_candidato_idx
+  ON candidato_documentos (candidato_id, tipo, created_at DESC);
+
+-- Vista de lectura de la API: una fila por candidato con la URL más reciente de cada tipo
+DROP VIEW IF EXISTS vw_api_candidatos;
+CREATE VIEW vw_api_candidatos AS
+SELECT
+  c.id,
+  c.dni,
+  c.apellido_paterno,
+  c.apellido_materno,
+  c.nombres,
+  concat_ws(' ', c.apellido_paterno, c.apellido_materno, c.nombres) AS nombre_completo,
+  c.sede,
+  c.turno_horario,
+  c.grupo,
+  c.estado,
+  c.fecha,
+  d.dni_doc_url,
+  d.certificados_url,
+  d.antecedentes_url,
+  d.medicos_url,
+  d.capacitacion_url,
+  d.cv_url
+FROM candidatos c
+LEFT JOIN LATERAL (
+  SELECT
+    (array_agg(url ORDER BY created_at DESC, id DESC) FILTER (WHERE tipo = 'dni'))[1]          AS dni_doc_url,
+    (array_agg(url ORDER BY created_at DESC, id DESC) FILTER (WHERE tipo = 'certificados'))[1] AS certificados_url,
+    (array_agg(url ORDER BY created_at DESC, id DESC) FILTER (WHERE tipo = 'antecedentes'))[1] AS antecedentes_url,
+    (array_agg(url ORDER BY created_at DESC, id DESC) FILTER (WHERE tipo = 'medicos'))[1]      AS medicos_url,
+    (array_agg(url ORDER BY created_at DESC, id DESC) FILTER (WHERE tipo = 'capacitacion'))[1] AS capacitacion_url,
+    (array_agg(url ORDER BY created_at DESC, id DESC) FILTER (WHERE tipo = 'cv'))[1]           AS cv_url
+  FROM candidato_documentos
+  WHERE candidato_id = c.id
+) d ON TRUE;
@@ -0,0 +1,10 @@
+-- Usuarios internos para login (JWT). Roles: admin, recruiter.
+CREATE TABLE IF NOT EXISTS users (
+  id             SERIAL PRIMARY KEY,
+  email          TEXT NOT NULL UNIQUE,
+  password_hash  TEXT NOT NULL,
+  name           TEXT,
+  role           TEXT NOT NULL CHECK (role IN ('admin', 'recruiter')),
+  active         BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at     TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
@@ -0,0 +1 @@
+DROP TABLE IF EXISTS candidato_estado_historial;
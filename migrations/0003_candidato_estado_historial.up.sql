@@ -0,0 +1,13 @@
+-- Historial de cambios de estado de candidatos (workflow)
+CREATE TABLE IF NOT EXISTS candidato_estado_historial (
+  id               SERIAL PRIMARY KEY,
+  candidato_id     INT  NOT NULL REFERENCES candidatos(id) ON DELETE CASCADE,
+  estado_anterior  TEXT,
+  estado_nuevo     TEXT NOT NULL,
+  comentario       TEXT,
+  actor_id         INT REFERENCES users(id) ON DELETE SET NULL,
+  actor_email      TEXT,
+  created_at       TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS candidato_estado_historial_candidato_idx
+  ON candidato_estado_historial (candidato_id, created_at DESC);
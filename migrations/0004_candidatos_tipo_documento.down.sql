@@ -0,0 +1,33 @@
+DROP VIEW IF EXISTS vw_api_candidatos;
+ALTER TABLE candidatos DROP COLUMN IF EXISTS tipo_documento;
+CREATE VIEW vw_api_candidatos AS
+SELECT
+  c.id,
+  c.dni,
+  c.apellido_paterno,
+  c.apellido_materno,
+  c.nombres,
+  concat_ws(' ', c.apellido_paterno, c.apellido_materno, c.nombres) AS nombre_completo,
+  c.sede,
+  c.turno_horario,
+  c.grupo,
+  c.estado,
+  c.fecha,
+  d.dni_doc_url,
+  d.certificados_url,
+  d.antecedentes_url,
+  d.medicos_url,
+  d.capacitacion_url,
+  d.cv_url
+FROM candidatos c
+LEFT JOIN LATERAL (
+  SELECT
+    (array_agg(url ORDER BY created_at DESC, id DESC) FILTER (WHERE tipo = 'dni'))[1]          AS dni_doc_url,
+    (array_agg(url ORDER BY created_at DESC, id DESC) FILTER (WHERE tipo = 'certificados'))[1] AS certificados_url,
+    (array_agg(url ORDER BY created_at DESC, id DESC) FILTER (WHERE tipo = 'antecedentes'))[1] AS antecedentes_url,
+    (array_agg(url ORDER BY created_at DESC, id DESC) FILTER (WHERE tipo = 'medicos'))[1]      AS medicos_url,
+    (array_agg(url ORDER BY created_at DESC, id DESC) FILTER (WHERE tipo = 'capacitacion'))[1] AS capacitacion_url,
+    (array_agg(url ORDER BY created_at DESC, id DESC) FILTER (WHERE tipo = 'cv'))[1]           AS cv_url
+  FROM candidato_documentos
+  WHERE candidato_id = c.id
+) d ON TRUE;
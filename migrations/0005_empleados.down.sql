@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS empleado_documentos;
+DROP TABLE IF EXISTS empleados;
@@ -0,0 +1,35 @@
+-- Empleados: se crean a partir de un candidato aprobado
+CREATE TABLE IF NOT EXISTS empleados (
+  id                  SERIAL PRIMARY KEY,
+  candidato_id        INT  UNIQUE REFERENCES candidatos(id) ON DELETE SET NULL,
+  employer_id         INT  NOT NULL REFERENCES employers(id),
+  tipo_documento      TEXT NOT NULL DEFAULT 'DNI',
+  dni                 TEXT NOT NULL,
+  apellido_paterno    TEXT NOT NULL,
+  apellido_materno    TEXT NOT NULL,
+  nombres             TEXT NOT NULL,
+  fecha_ingreso       DATE NOT NULL,
+  cargo               TEXT NOT NULL,
+  sueldo              NUMERIC(12,2) NOT NULL CHECK (sueldo > 0),
+  tipo_contrato       TEXT NOT NULL
+                      CHECK (tipo_contrato IN ('INDETERMINADO', 'PLAZO_FIJO', 'TIEMPO_PARCIAL', 'PRACTICAS')),
+  fecha_fin_contrato  DATE,
+  estado              TEXT NOT NULL DEFAULT 'ACTIVO' CHECK (estado IN ('ACTIVO', 'CESADO')),
+  fecha_cese          DATE,
+  motivo_cese         TEXT,
+  created_at          TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK (fecha_cese IS NULL OR fecha_cese >= fecha_ingreso)
+);
+CREATE INDEX IF NOT EXISTS empleados_dni_idx ON empleados (dni);
+
+-- Documentos del legajo; los heredados del candidato apuntan al mismo archivo
+CREATE TABLE IF NOT EXISTS empleado_documentos (
+  id                       SERIAL PRIMARY KEY,
+  empleado_id              INT  NOT NULL REFERENCES empleados(id) ON DELETE CASCADE,
+  tipo                     TEXT NOT NULL,
+  url                      TEXT NOT NULL,
+  candidato_documento_id   INT,
+  created_at               TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS empleado_documentos_empleado_idx ON empleado_documentos (empleado_id);
+CREATE INDEX IF NOT EXISTS empleado_documentos_url_idx ON empleado_documentos (url);
@@ -0,0 +1,18 @@
+-- Asignación fechada de una persona (candidato o empleado) a sede, proyecto y turno.
+-- Misma regla de versionado que employer_tax_history: una sola asignación vigente por persona.
+CREATE TABLE IF NOT EXISTS asignaciones (
+  id            SERIAL PRIMARY KEY,
+  candidato_id  INT REFERENCES candidatos(id) ON DELETE CASCADE,
+  empleado_id   INT REFERENCES empleados(id)  ON DELETE CASCADE,
+  site_id       INT NOT NULL REFERENCES sites(id),
+  project_id    INT REFERENCES projects(id),
+  shift_id      INT REFERENCES shifts(id),
+  valid_from    DATE NOT NULL,
+  valid_to      DATE,
+  created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK (num_nonnulls(candidato_id, empleado_id) = 1),
+  CHECK (valid_to IS NULL OR valid_to >= valid_from)
+);
+CREATE INDEX IF NOT EXISTS asignaciones_candidato_idx ON asignaciones (candidato_id, valid_from DESC);
+CREATE INDEX IF NOT EXISTS asignaciones_empleado_idx  ON asignaciones (empleado_id, valid_from DESC);
+CREATE INDEX IF NOT EXISTS asignaciones_site_idx      ON asignaciones (site_id, valid_from);
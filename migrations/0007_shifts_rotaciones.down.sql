@@ -0,0 +1,6 @@
+ALTER TABLE asignaciones DROP CONSTRAINT IF EXISTS asignaciones_shift_or_rotation;
+ALTER TABLE asignaciones DROP COLUMN IF EXISTS rotation_id;
+DROP TABLE IF EXISTS shift_rotations;
+ALTER TABLE shifts
+  DROP COLUMN IF EXISTS weekday_mask,
+  DROP COLUMN IF EXISTS break_minutes;
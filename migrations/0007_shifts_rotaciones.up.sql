@@ -0,0 +1,19 @@
+-- Turnos: descanso no pagado y días de la semana (bit 0 = lunes ... bit 6 = domingo).
+-- Un turno con end_time <= start_time cruza la medianoche (22:00–06:00).
+ALTER TABLE shifts
+  ADD COLUMN IF NOT EXISTS break_minutes INT NOT NULL DEFAULT 0 CHECK (break_minutes >= 0),
+  ADD COLUMN IF NOT EXISTS weekday_mask SMALLINT NOT NULL DEFAULT 127 CHECK (weekday_mask BETWEEN 1 AND 127);
+
+-- Rotaciones (4x4, 14x7...): secuencia de días; cada elemento es un shift_id o NULL (descanso).
+-- El ciclo arranca en el valid_from de la asignación que la usa.
+CREATE TABLE IF NOT EXISTS shift_rotations (
+  id          SERIAL PRIMARY KEY,
+  name        TEXT NOT NULL UNIQUE,
+  pattern     INT[] NOT NULL CHECK (cardinality(pattern) BETWEEN 1 AND 84),
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE asignaciones
+  ADD COLUMN IF NOT EXISTS rotation_id INT REFERENCES shift_rotations(id);
+ALTER TABLE asignaciones
+  ADD CONSTRAINT asignaciones_shift_or_rotation CHECK (shift_id IS NULL OR rotation_id IS NULL);
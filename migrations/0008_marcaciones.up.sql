@@ -0,0 +1,14 @@
+-- Marcaciones de reloj (entrada / salida) de empleados, manuales o importadas del biométrico.
+-- marcado_en es hora local (sin zona), igual que la muestra el equipo.
+CREATE TABLE IF NOT EXISTS marcaciones (
+  id           SERIAL PRIMARY KEY,
+  empleado_id  INT NOT NULL REFERENCES empleados(id) ON DELETE CASCADE,
+  marcado_en   TIMESTAMP NOT NULL,
+  tipo         TEXT CHECK (tipo IN ('ENTRADA','SALIDA')),  -- NULL: el equipo no indica sentido
+  origen       TEXT NOT NULL DEFAULT 'MANUAL' CHECK (origen IN ('MANUAL','BIOMETRICO')),
+  dispositivo  TEXT,
+  created_by   INT REFERENCES users(id) ON DELETE SET NULL,
+  created_at   TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (empleado_id, marcado_en)  -- reimportar el mismo archivo no duplica
+);
+CREATE INDEX IF NOT EXISTS marcaciones_fecha_idx ON marcaciones (marcado_en);
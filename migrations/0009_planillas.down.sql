@@ -0,0 +1,6 @@
+DROP TABLE IF EXISTS planilla_lineas;
+DROP TABLE IF EXISTS planillas;
+ALTER TABLE empleados DROP CONSTRAINT IF EXISTS empleados_afp_chk;
+ALTER TABLE empleados
+  DROP COLUMN IF EXISTS afp,
+  DROP COLUMN IF EXISTS sistema_pensiones;
@@ -0,0 +1,42 @@
+-- Sistema de pensiones del empleado (descuento en planilla)
+ALTER TABLE empleados
+  ADD COLUMN IF NOT EXISTS sistema_pensiones TEXT NOT NULL DEFAULT 'ONP' CHECK (sistema_pensiones IN ('ONP', 'AFP')),
+  ADD COLUMN IF NOT EXISTS afp TEXT CHECK (afp IN ('HABITAT', 'INTEGRA', 'PRIMA', 'PROFUTURO'));
+ALTER TABLE empleados
+  ADD CONSTRAINT empleados_afp_chk CHECK (sistema_pensiones = 'ONP' OR afp IS NOT NULL);
+
+-- Planilla mensual por empleador: BORRADOR se puede recalcular; CERRADA queda fija
+CREATE TABLE IF NOT EXISTS planillas (
+  id                 SERIAL PRIMARY KEY,
+  employer_id        INT  NOT NULL REFERENCES employers(id) ON DELETE CASCADE,
+  periodo            TEXT NOT NULL CHECK (periodo ~ '^\d{4}-(0[1-9]|1[0-2])$'),
+  estado             TEXT NOT NULL DEFAULT 'BORRADOR' CHECK (estado IN ('BORRADOR', 'CERRADA')),
+  total_ingresos     NUMERIC(14,2) NOT NULL DEFAULT 0,
+  total_descuentos   NUMERIC(14,2) NOT NULL DEFAULT 0,
+  total_neto         NUMERIC(14,2) NOT NULL DEFAULT 0,
+  total_aportes      NUMERIC(14,2) NOT NULL DEFAULT 0,
+  total_provisiones  NUMERIC(14,2) NOT NULL DEFAULT 0,
+  created_by         INT REFERENCES users(id) ON DELETE SET NULL,
+  created_at         TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  calculated_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  locked_by          INT REFERENCES users(id) ON DELETE SET NULL,
+  locked_at          TIMESTAMPTZ,
+  UNIQUE (employer_id, periodo)
+);
+
+-- Una línea por empleado; `detalle` guarda cada concepto con base, tasa y régimen aplicado
+CREATE TABLE IF NOT EXISTS planilla_lineas (
+  id            SERIAL PRIMARY KEY,
+  planilla_id   INT  NOT NULL REFERENCES planillas(id) ON DELETE CASCADE,
+  empleado_id   INT  NOT NULL REFERENCES empleados(id),
+  dias          INT  NOT NULL,
+  regimenes     TEXT[] NOT NULL,
+  sueldo        NUMERIC(12,2) NOT NULL,
+  ingresos      NUMERIC(12,2) NOT NULL,
+  descuentos    NUMERIC(12,2) NOT NULL,
+  neto          NUMERIC(12,2) NOT NULL,
+  aportes       NUMERIC(12,2) NOT NULL,
+  provisiones   NUMERIC(12,2) NOT NULL,
+  detalle       JSONB NOT NULL,
+  UNIQUE (planilla_id, empleado_id)
+);
@@ -0,0 +1,54 @@
+-- Vuelve a una sola empresa: falla si hay códigos o DNI repetidos entre empresas
+DROP VIEW IF EXISTS vw_api_candidatos;
+CREATE VIEW vw_api_candidatos AS
+SELECT
+  c.id,
+  c.tipo_documento,
+  c.dni,
+  c.apellido_paterno,
+  c.apellido_materno,
+  c.nombres,
+  concat_ws(' ', c.apellido_paterno, c.apellido_materno, c.nombres) AS nombre_completo,
+  c.sede,
+  c.turno_horario,
+  c.grupo,
+  c.estado,
+  c.fecha,
+  d.dni_doc_url,
+  d.certificados_url,
+  d.antecedentes_url,
+  d.medicos_url,
+  d.capacitacion_url,
+  d.cv_url
+FROM candidatos c
+LEFT JOIN LATERAL (
+  SELECT
+    (array_agg(url ORDER BY created_at DESC, id DESC) FILTER (WHERE tipo = 'dni'))[1]          AS dni_doc_url,
+    (array_agg(url ORDER BY created_at DESC, id DESC) FILTER (WHERE tipo = 'certificados'))[1] AS certificados_url,
+    (array_agg(url ORDER BY created_at DESC, id DESC) FILTER (WHERE tipo = 'antecedentes'))[1] AS antecedentes_url,
+    (array_agg(url ORDER BY created_at DESC, id DESC) FILTER (WHERE tipo = 'medicos'))[1]      AS medicos_url,
+    (array_agg(url ORDER BY created_at DESC, id DESC) FILTER (WHERE tipo = 'capacitacion'))[1] AS capacitacion_url,
+    (array_agg(url ORDER BY created_at DESC, id DESC) FILTER (WHERE tipo = 'cv'))[1]           AS cv_url
+  FROM candidato_documentos
+  WHERE candidato_id = c.id
+) d ON TRUE;
+
+DROP INDEX IF EXISTS empleados_employer_idx;
+DROP INDEX IF EXISTS shifts_employer_idx;
+
+ALTER TABLE candidatos      DROP CONSTRAINT IF EXISTS candidatos_employer_dni_key;
+ALTER TABLE shift_rotations DROP CONSTRAINT IF EXISTS shift_rotations_employer_name_key;
+ALTER TABLE projects        DROP CONSTRAINT IF EXISTS projects_employer_code_key;
+ALTER TABLE sites           DROP CONSTRAINT IF EXISTS sites_employer_code_key;
+ALTER TABLE candidatos      ADD CONSTRAINT candidatos_dni_key             UNIQUE (dni);
+ALTER TABLE shift_rotations ADD CONSTRAINT shift_rotations_name_key       UNIQUE (name);
+ALTER TABLE projects        ADD CONSTRAINT projects_code_key              UNIQUE (code);
+ALTER TABLE sites           ADD CONSTRAINT sites_code_key                 UNIQUE (code);
+
+ALTER TABLE candidatos      DROP COLUMN IF EXISTS employer_id;
+ALTER TABLE shift_rotations DROP COLUMN IF EXISTS employer_id;
+ALTER TABLE shifts          DROP COLUMN IF EXISTS employer_id;
+ALTER TABLE projects        DROP COLUMN IF EXISTS employer_id;
+ALTER TABLE sites           DROP COLUMN IF EXISTS employer_id;
+
+DROP TABLE IF EXISTS user_employers;
@@ -0,0 +1,92 @@
+-- Varias empresas (RUC) por despliegue: catálogos y candidatos pertenecen a una empresa
+-- y cada usuario solo opera sobre las empresas que tiene asignadas.
+CREATE TABLE IF NOT EXISTS user_employers (
+  user_id      INT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  employer_id  INT NOT NULL REFERENCES employers(id) ON DELETE CASCADE,
+  created_at   TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (user_id, employer_id)
+);
+
+DO $$
+DECLARE
+  first_employer INT := (SELECT id FROM employers ORDER BY id ASC LIMIT 1);
+BEGIN
+  IF first_employer IS NULL AND (
+       EXISTS (SELECT 1 FROM sites) OR EXISTS (SELECT 1 FROM projects) OR EXISTS (SELECT 1 FROM shifts)
+    OR EXISTS (SELECT 1 FROM shift_rotations) OR EXISTS (SELECT 1 FROM candidatos)) THEN
+    RAISE EXCEPTION 'Registra la empresa (POST /api/employer) antes de aplicar esta migración';
+  END IF;
+
+  ALTER TABLE sites           ADD COLUMN IF NOT EXISTS employer_id INT REFERENCES employers(id);
+  ALTER TABLE projects        ADD COLUMN IF NOT EXISTS employer_id INT REFERENCES employers(id);
+  ALTER TABLE shifts          ADD COLUMN IF NOT EXISTS employer_id INT REFERENCES employers(id);
+  ALTER TABLE shift_rotations ADD COLUMN IF NOT EXISTS employer_id INT REFERENCES employers(id);
+  ALTER TABLE candidatos      ADD COLUMN IF NOT EXISTS employer_id INT REFERENCES employers(id);
+
+  -- Hasta ahora todo pertenecía a la primera empresa ("first employer wins")
+  UPDATE sites           SET employer_id = first_employer WHERE employer_id IS NULL;
+  UPDATE projects        SET employer_id = first_employer WHERE employer_id IS NULL;
+  UPDATE shifts          SET employer_id = first_employer WHERE employer_id IS NULL;
+  UPDATE shift_rotations SET employer_id = first_employer WHERE employer_id IS NULL;
+  UPDATE candidatos      SET employer_id = first_employer WHERE employer_id IS NULL;
+
+  IF first_employer IS NOT NULL THEN
+    INSERT INTO user_employers (user_id, employer_id)
+    SELECT id, first_employer FROM users
+    ON CONFLICT DO NOTHING;
+  END IF;
+END $$;
+
+ALTER TABLE sites           ALTER COLUMN employer_id SET NOT NULL;
+ALTER TABLE projects        ALTER COLUMN employer_id SET NOT NULL;
+ALTER TABLE shifts          ALTER COLUMN employer_id SET NOT NULL;
+ALTER TABLE shift_rotations ALTER COLUMN employer_id SET NOT NULL;
+ALTER TABLE candidatos      ALTER COLUMN employer_id SET NOT NULL;
+
+-- Los códigos, nombres y DNI se repiten entre empresas
+ALTER TABLE sites           DROP CONSTRAINT IF EXISTS sites_code_key;
+ALTER TABLE projects        DROP CONSTRAINT IF EXISTS projects_code_key;
+ALTER TABLE shift_rotations DROP CONSTRAINT IF EXISTS shift_rotations_name_key;
+ALTER TABLE candidatos      DROP CONSTRAINT IF EXISTS candidatos_dni_key;
+ALTER TABLE sites           ADD CONSTRAINT sites_employer_code_key           UNIQUE (employer_id, code);
+ALTER TABLE projects        ADD CONSTRAINT projects_employer_code_key        UNIQUE (employer_id, code);
+ALTER TABLE shift_rotations ADD CONSTRAINT shift_rotations_employer_name_key UNIQUE (employer_id, name);
+ALTER TABLE candidatos      ADD CONSTRAINT candidatos_employer_dni_key       UNIQUE (employer_id, dni);
+
+CREATE INDEX IF NOT EXISTS shifts_employer_idx ON shifts (employer_id);
+CREATE INDEX IF NOT EXISTS empleados_employer_idx ON empleados (employer_id);
+
+-- La vista expone la empresa para filtrar
+CREATE OR REPLACE VIEW vw_api_candidatos AS
+SELECT
+  c.id,
+  c.tipo_documento,
+  c.dni,
+  c.apellido_paterno,
+  c.apellido_materno,
+  c.nombres,
+  concat_ws(' ', c.apellido_paterno, c.apellido_materno, c.nombres) AS nombre_completo,
+  c.sede,
+  c.turno_horario,
+  c.grupo,
+  c.estado,
+  c.fecha,
+  d.dni_doc_url,
+  d.certificados_url,
+  d.antecedentes_url,
+  d.medicos_url,
+  d.capacitacion_url,
+  d.cv_url,
+  c.employer_id
+FROM candidatos c
+LEFT JOIN LATERAL (
+  SELECT
+    (array_agg(url ORDER BY created_at DESC, id DESC) FILTER (WHERE tipo = 'dni'))[1]          AS dni_doc_url,
+    (array_agg(url ORDER BY created_at DESC, id DESC) FILTER (WHERE tipo = 'certificados'))[1] AS certificados_url,
+    (array_agg(url ORDER BY created_at DESC, id DESC) FILTER (WHERE tipo = 'antecedentes'))[1] AS antecedentes_url,
+    (array_agg(url ORDER BY created_at DESC, id DESC) FILTER (WHERE tipo = 'medicos'))[1]      AS medicos_url,
+    (array_agg(url ORDER BY created_at DESC, id DESC) FILTER (WHERE tipo = 'capacitacion'))[1] AS capacitacion_url,
+    (array_agg(url ORDER BY created_at DESC, id DESC) FILTER (WHERE tipo = 'cv'))[1]           AS cv_url
+  FROM candidato_documentos
+  WHERE candidato_id = c.id
+) d ON TRUE;
@@ -0,0 +1 @@
+ALTER TABLE employer_tax_history DROP CONSTRAINT IF EXISTS employer_tax_history_rango_chk;
@@ -0,0 +1,6 @@
+-- Rangos del historial tributario: valid_to nunca antes de valid_from.
+-- NOT VALID: las filas viejas con rango invertido (cierre automático anterior) se corrigen con
+-- PUT /api/employer/tax/:id; la regla rige para toda escritura nueva.
+ALTER TABLE employer_tax_history DROP CONSTRAINT IF EXISTS employer_tax_history_rango_chk;
+ALTER TABLE employer_tax_history
+  ADD CONSTRAINT employer_tax_history_rango_chk CHECK (valid_to IS NULL OR valid_to >= valid_from) NOT VALID;
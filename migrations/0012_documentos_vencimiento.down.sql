@@ -0,0 +1,8 @@
+DROP INDEX IF EXISTS empleado_documentos_vencimiento_idx;
+DROP INDEX IF EXISTS candidato_documentos_vencimiento_idx;
+ALTER TABLE empleado_documentos
+  DROP COLUMN IF EXISTS fecha_vencimiento,
+  DROP COLUMN IF EXISTS fecha_emision;
+ALTER TABLE candidato_documentos
+  DROP COLUMN IF EXISTS fecha_vencimiento,
+  DROP COLUMN IF EXISTS fecha_emision;
@@ -0,0 +1,12 @@
+-- Fechas de emisión y vencimiento de cada documento (exámenes médicos, antecedentes, capacitaciones...)
+ALTER TABLE candidato_documentos
+  ADD COLUMN IF NOT EXISTS fecha_emision     DATE,
+  ADD COLUMN IF NOT EXISTS fecha_vencimiento DATE;
+ALTER TABLE empleado_documentos
+  ADD COLUMN IF NOT EXISTS fecha_emision     DATE,
+  ADD COLUMN IF NOT EXISTS fecha_vencimiento DATE;
+
+CREATE INDEX IF NOT EXISTS candidato_documentos_vencimiento_idx
+  ON candidato_documentos (fecha_vencimiento) WHERE fecha_vencimiento IS NOT NULL;
+CREATE INDEX IF NOT EXISTS empleado_documentos_vencimiento_idx
+  ON empleado_documentos (fecha_vencimiento) WHERE fecha_vencimiento IS NOT NULL;
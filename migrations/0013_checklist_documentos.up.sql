@@ -0,0 +1,15 @@
+-- Documentos requeridos por sede o por proyecto: tipo y cantidad mínima vigente.
+-- A un candidato se le exige la unión de los de su sede y su proyecto (la mayor cantidad por tipo).
+CREATE TABLE IF NOT EXISTS checklist_documentos (
+  id          SERIAL PRIMARY KEY,
+  site_id     INT REFERENCES sites(id)    ON DELETE CASCADE,
+  project_id  INT REFERENCES projects(id) ON DELETE CASCADE,
+  tipo        TEXT NOT NULL,
+  cantidad    INT  NOT NULL DEFAULT 1 CHECK (cantidad >= 1),
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK (num_nonnulls(site_id, project_id) = 1)
+);
+CREATE UNIQUE INDEX IF NOT EXISTS checklist_documentos_site_tipo_key
+  ON checklist_documentos (site_id, tipo) WHERE site_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS checklist_documentos_project_tipo_key
+  ON checklist_documentos (project_id, tipo) WHERE project_id IS NOT NULL;
@@ -0,0 +1,16 @@
+-- Auditoría de escrituras: quién, cuándo, por qué ruta y qué cambió (campo -> { antes, despues })
+CREATE TABLE IF NOT EXISTS audit_log (
+  id           SERIAL    PRIMARY KEY,
+  employer_id  INT,
+  actor_id     INT,
+  actor_email  TEXT,
+  method       TEXT NOT NULL,
+  route        TEXT NOT NULL,
+  entity       TEXT NOT NULL,
+  entity_id    INT,
+  action       TEXT NOT NULL CHECK (action IN ('CREATE', 'UPDATE', 'DELETE')),
+  changes      JSONB NOT NULL DEFAULT '{}'::jsonb,
+  created_at   TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS audit_log_employer_idx ON audit_log (employer_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS audit_log_entity_idx   ON audit_log (entity, entity_id, created_at DESC);
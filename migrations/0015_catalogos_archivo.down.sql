@@ -0,0 +1,6 @@
+ALTER TABLE shifts   DROP COLUMN IF EXISTS archived_at;
+ALTER TABLE shifts   DROP COLUMN IF EXISTS active;
+ALTER TABLE projects DROP COLUMN IF EXISTS archived_at;
+ALTER TABLE projects DROP COLUMN IF EXISTS active;
+ALTER TABLE sites    DROP COLUMN IF EXISTS archived_at;
+ALTER TABLE sites    DROP COLUMN IF EXISTS active;
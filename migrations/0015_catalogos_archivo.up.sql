@@ -0,0 +1,7 @@
+-- Baja lógica de sedes, proyectos y turnos: archivados dejan de ofrecerse pero conservan su historial
+ALTER TABLE sites    ADD COLUMN IF NOT EXISTS active BOOLEAN NOT NULL DEFAULT TRUE;
+ALTER TABLE sites    ADD COLUMN IF NOT EXISTS archived_at TIMESTAMPTZ;
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS active BOOLEAN NOT NULL DEFAULT TRUE;
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS archived_at TIMESTAMPTZ;
+ALTER TABLE shifts   ADD COLUMN IF NOT EXISTS active BOOLEAN NOT NULL DEFAULT TRUE;
+ALTER TABLE shifts   ADD COLUMN IF NOT EXISTS archived_at TIMESTAMPTZ;
@@ -0,0 +1,8 @@
+DROP TABLE IF EXISTS project_sites;
+ALTER TABLE sites DROP COLUMN IF EXISTS longitude;
+ALTER TABLE sites DROP COLUMN IF EXISTS latitude;
+ALTER TABLE sites DROP COLUMN IF EXISTS department;
+ALTER TABLE sites DROP COLUMN IF EXISTS province;
+ALTER TABLE sites DROP COLUMN IF EXISTS district;
+ALTER TABLE sites DROP COLUMN IF EXISTS ubigeo;
+ALTER TABLE sites DROP COLUMN IF EXISTS address;
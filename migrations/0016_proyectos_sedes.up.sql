@@ -0,0 +1,18 @@
+-- Ubicación de la sede (dirección, ubigeo INEI y coordenadas opcionales)
+ALTER TABLE sites ADD COLUMN IF NOT EXISTS address    TEXT;
+ALTER TABLE sites ADD COLUMN IF NOT EXISTS ubigeo     CHAR(6) CHECK (ubigeo ~ '^[0-9]{6}$');
+ALTER TABLE sites ADD COLUMN IF NOT EXISTS district   TEXT;
+ALTER TABLE sites ADD COLUMN IF NOT EXISTS province   TEXT;
+ALTER TABLE sites ADD COLUMN IF NOT EXISTS department TEXT;
+ALTER TABLE sites ADD COLUMN IF NOT EXISTS latitude   DOUBLE PRECISION CHECK (latitude BETWEEN -90 AND 90);
+ALTER TABLE sites ADD COLUMN IF NOT EXISTS longitude  DOUBLE PRECISION CHECK (longitude BETWEEN -180 AND 180);
+
+-- Proyectos <-> sedes (muchos a muchos). Borrar el proyecto suelta sus sedes;
+-- una sede con proyectos no se puede borrar.
+CREATE TABLE IF NOT EXISTS project_sites (
+  project_id  INT NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  site_id     INT NOT NULL REFERENCES sites(id),
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (project_id, site_id)
+);
+CREATE INDEX IF NOT EXISTS project_sites_site_idx ON project_sites (site_id);
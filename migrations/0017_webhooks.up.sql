@@ -0,0 +1,32 @@
+-- Webhooks salientes: suscripciones por empresa y bandeja de salida (outbox) de entregas.
+-- Las entregas se insertan en la misma transacción que el cambio y un despachador las envía con reintentos.
+CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+  id           SERIAL PRIMARY KEY,
+  employer_id  INT  NOT NULL REFERENCES employers(id),
+  url          TEXT NOT NULL,
+  secret       TEXT NOT NULL,
+  events       TEXT[] NOT NULL,
+  active       BOOLEAN NOT NULL DEFAULT TRUE,
+  created_by   INT REFERENCES users(id),
+  created_at   TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS webhook_subscriptions_employer_idx ON webhook_subscriptions (employer_id);
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id               SERIAL PRIMARY KEY,
+  subscription_id  INT  NOT NULL REFERENCES webhook_subscriptions(id) ON DELETE CASCADE,
+  employer_id      INT  NOT NULL REFERENCES employers(id),
+  event            TEXT NOT NULL,
+  payload          JSONB NOT NULL,
+  estado           TEXT NOT NULL DEFAULT 'PENDIENTE' CHECK (estado IN ('PENDIENTE', 'ENTREGADO', 'FALLIDO')),
+  attempts         INT  NOT NULL DEFAULT 0,
+  next_attempt_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_attempt_at  TIMESTAMPTZ,
+  last_status      INT,
+  last_error       TEXT,
+  delivered_at     TIMESTAMPTZ,
+  created_at       TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS webhook_deliveries_pendientes_idx
+  ON webhook_deliveries (next_attempt_at) WHERE estado = 'PENDIENTE';
+CREATE INDEX IF NOT EXISTS webhook_deliveries_employer_idx ON webhook_deliveries (employer_id, created_at DESC);
@@ -0,0 +1 @@
+DROP TABLE IF EXISTS candidato_portal_tokens;
@@ -0,0 +1,13 @@
+-- Enlaces de autoservicio del candidato: token aleatorio (se guarda solo su hash SHA-256),
+-- con vencimiento; emitir uno nuevo revoca los anteriores del mismo candidato.
+CREATE TABLE IF NOT EXISTS candidato_portal_tokens (
+  id            SERIAL PRIMARY KEY,
+  candidato_id  INT  NOT NULL REFERENCES candidatos(id) ON DELETE CASCADE,
+  token_hash    TEXT NOT NULL UNIQUE,
+  expires_at    TIMESTAMPTZ NOT NULL,
+  revoked_at    TIMESTAMPTZ,
+  last_used_at  TIMESTAMPTZ,
+  created_by    INT REFERENCES users(id),
+  created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS candidato_portal_tokens_candidato_idx ON candidato_portal_tokens (candidato_id);
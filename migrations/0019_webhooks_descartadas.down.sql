@@ -0,0 +1,4 @@
+UPDATE webhook_deliveries SET estado = 'FALLIDO' WHERE estado = 'DESCARTADO';
+ALTER TABLE webhook_deliveries DROP CONSTRAINT IF EXISTS webhook_deliveries_estado_check;
+ALTER TABLE webhook_deliveries ADD CONSTRAINT webhook_deliveries_estado_check
+  CHECK (estado IN ('PENDIENTE', 'ENTREGADO', 'FALLIDO'));
@@ -0,0 +1,9 @@
+-- Entregas de suscripciones desactivadas: pasan a DESCARTADO en vez de quedar PENDIENTE para siempre.
+ALTER TABLE webhook_deliveries DROP CONSTRAINT IF EXISTS webhook_deliveries_estado_check;
+ALTER TABLE webhook_deliveries ADD CONSTRAINT webhook_deliveries_estado_check
+  CHECK (estado IN ('PENDIENTE', 'ENTREGADO', 'FALLIDO', 'DESCARTADO'));
+
+UPDATE webhook_deliveries d
+   SET estado = 'DESCARTADO', last_error = 'Suscripción desactivada'
+  FROM webhook_subscriptions s
+ WHERE s.id = d.subscription_id AND d.estado = 'PENDIENTE' AND NOT s.active;
@@ -0,0 +1,331 @@
+const { isIsoDate, today } = require("../common/dates");
+const { handleError } = require("../common/errors");
+
+// Una asignación pertenece a un candidato o a un empleado (nunca ambos)
+const PERSON_COLUMNS = ["candidato_id", "empleado_id"];
+const PERSON_TABLES = { candidato_id: "candidatos", empleado_id: "empleados" };
+
+const SELECT_ASIGNACION = `
+  SELECT a.id, a.candidato_id, a.empleado_id,
+         CASE WHEN a.empleado_id IS NOT NULL
+              THEN concat_ws(' ', e.apellido_paterno, e.apellido_materno, e.nombres)
+              ELSE concat_ws(' ', c.apellido_paterno, c.apellido_materno, c.nombres)
+         END                                  AS nombre_completo,
+         COALESCE(e.dni, c.dni)               AS dni_numero,
+         a.site_id,    s.name                 AS site_name,
+         a.project_id, p.name                 AS project_name,
+         a.shift_id,   sh.name                AS shift_name,
+         a.rotation_id, r.name                AS rotation_name,
+         to_char(a.valid_from, 'YYYY-MM-DD')  AS valid_from,
+         to_char(a.valid_to,   'YYYY-MM-DD')  AS valid_to
+    FROM asignaciones a
+    LEFT JOIN candidatos c ON c.id = a.candidato_id
+    LEFT JOIN empleados  e ON e.id = a.empleado_id
+    JOIN sites s           ON s.id = a.site_id
+    LEFT JOIN projects p   ON p.id = a.project_id
+    LEFT JOIN shifts sh    ON sh.id = a.shift_id
+    LEFT JOIN shift_rotations r ON r.id = a.rotation_id`;
+
+// Vigente en la fecha $n (rango cerrado [valid_from, valid_to], valid_to NULL = abierta)
+const inForce = (n) => `(a.valid_from <= $${n}::date AND (a.valid_to IS NULL OR a.valid_to >= $${n}::date))`;
+
+const optionalId = (v) => (v === undefined || v === null || v === "" ? null : Number(v));
+
+// Catálogos referenciados: deben ser de la misma empresa que la persona y no estar archivados
+const CATALOGS = { site_id: "sites", project_id: "projects", shift_id: "shifts", rotation_id: "shift_rotations" };
+const ARCHIVABLE = new Set(["sites", "projects", "shifts"]);
+
+async function checkCatalogs(db, employerId, ids) {
+  const errores = {};
+  for (const [col, table] of Object.entries(CATALOGS)) {
+    if (ids[col] === null || ids[col] === undefined) continue;
+    const r = await db.query(
+      `SELECT ${ARCHIVABLE.has(table) ? "active" : "TRUE AS active"} FROM ${table} WHERE id=$1 AND employer_id=$2`,
+      [ids[col], employerId]
+    );
+    if (!r.rowCount) errores[col] = "No existe";
+    else if (!r.rows[0].active) errores[col] = "Archivado";
+  }
+  return errores;
+}
+
+module.exports = ({ pool }) => {
+  // Lista con filtros: { col: valor } exactos + fecha opcional
+  async function query(res, label, { employerId, filters = {}, fecha = null }) {
+    try {
+      if (fecha !== null && !isIsoDate(fecha)) return res.status(400).json({ error: "fecha inválida (YYYY-MM-DD)" });
+
+      // la sede es de la empresa de la persona (ver create)
+      const where = ["s.employer_id = $1"];
+      const params = [employerId];
+      let i = 2;
+      for (const [col, val] of Object.entries(filters)) {
+        if (val === null || val === undefined || val === "") continue;
+        where.push(`a.${col} = $${i++}`);
+        params.push(Number(val));
+      }
+      if (fecha) { where.push(inForce(i++)); params.push(fecha); }
+
+      const { rows } = await pool.query(
+        `${SELECT_ASIGNACION}
+         WHERE ${where.join(" AND ")}
+         ORDER BY a.valid_from DESC, a.id DESC`,
+        params
+      );
+      res.json(rows);
+    } catch (e) {
+      handleError(res, e, label, "Error consultando asignaciones");
+    }
+  }
+
+  return {
+    // GET /asignaciones?site_id&project_id&shift_id&rotation_id&candidato_id&empleado_id&fecha
+    list: (req, res) => {
+      const { site_id, project_id, shift_id, rotation_id, candidato_id, empleado_id, fecha = null } = req.query;
+      return query(res, "GET /api/asignaciones", {
+        employerId: req.employerId,
+        filters: { site_id, project_id, shift_id, rotation_id, candidato_id, empleado_id },
+        fecha,
+      });
+    },
+
+    // GET /sites/:id/asignaciones?fecha=D — quién está en la sede en la fecha (por defecto hoy)
+    bySite: (req, res) =>
+      query(res, "GET /api/sites/:id/asignaciones", {
+        employerId: req.employerId,
+        filters: { site_id: req.params.id },
+        fecha: req.query.fecha || today(),
+      }),
+
+    // GET /empleados/:id/asignaciones?fecha=D — dónde estaba la persona (sin fecha: historial)
+    byEmpleado: (req, res) =>
+      query(res, "GET /api/empleados/:id/asignaciones", {
+        employerId: req.employerId,
+        filters: { empleado_id: req.params.id },
+        fecha: req.query.fecha || null,
+      }),
+
+    byCandidato: (req, res) =>
+      query(res, "GET /api/candidatos/:id/asignaciones", {
+        employerId: req.employerId,
+        filters: { candidato_id: req.params.id },
+        fecha: req.query.fecha || null,
+      }),
+
+    // POST /asignaciones { candidato_id | empleado_id, site_id, project_id?, shift_id? | rotation_id?, valid_from? }
+    // Cierra la asignación vigente de la persona el día anterior a valid_from.
+    create: async (req, res) => {
+      const client = await pool.connect();
+      try {
+        const body = req.body || {};
+        const personCols = PERSON_COLUMNS.filter(c => optionalId(body[c]) !== null);
+        if (personCols.length !== 1) {
+          return res.status(400).json({ error: "Indica candidato_id o empleado_id (solo uno)" });
+        }
+        const personCol = personCols[0];
+        const personId = optionalId(body[personCol]);
+        const siteId = optionalId(body.site_id);
+        const projectId = optionalId(body.project_id);
+        const shiftId = optionalId(body.shift_id);
+        const rotationId = optionalId(body.rotation_id);
+        const validFrom = body.valid_from || today();
+
+        const errores = {};
+        if (!Number.isInteger(personId)) errores[personCol] = "Debe ser un id";
+        if (!Number.isInteger(siteId)) errores.site_id = "Obligatorio";
+        if (projectId !== null && !Number.isInteger(projectId)) errores.project_id = "Debe ser un id";
+        if (shiftId !== null && !Number.isInteger(shiftId)) errores.shift_id = "Debe ser un id";
+        if (rotationId !== null && !Number.isInteger(rotationId)) errores.rotation_id = "Debe ser un id";
+        if (shiftId !== null && rotationId !== null) errores.rotation_id = "Indica shift_id o rotation_id (solo uno)";
+        if (!isIsoDate(validFrom)) errores.valid_from = "Fecha inválida (YYYY-MM-DD)";
+        if (Object.keys(errores).length) return res.status(400).json({ error: "Datos inválidos", campos: errores });
+
+        await client.query("BEGIN");
+
+        // bloquea a la persona para serializar asignaciones concurrentes
+        const person = await client.query(
+          `SELECT id FROM ${PERSON_TABLES[personCol]} WHERE id=$1 AND employer_id=$2 FOR UPDATE`,
+          [personId, req.employerId]
+        );
+        if (person.rowCount === 0) {
+          await client.query("ROLLBACK");
+          return res.status(404).json({ error: "Persona no encontrada" });
+        }
+        const refErrors = await checkCatalogs(client, req.employerId,
+          { site_id: siteId, project_id: projectId, shift_id: shiftId, rotation_id: rotationId });
+        if (Object.keys(refErrors).length) {
+          await client.query("ROLLBACK");
+          return res.status(400).json({ error: "Datos inválidos", campos: refErrors });
+        }
+
+        const open = await client.query(
+          `SELECT id, to_char(valid_from, 'YYYY-MM-DD') AS valid_from
+             FROM asignaciones
+            WHERE ${personCol} = $1 AND valid_to IS NULL`,
+          [personId]
+        );
+        if (open.rowCount) {
+          if (open.rows[0].valid_from >= validFrom) {
+            await client.query("ROLLBACK");
+            return res.status(409).json({
+              error: `valid_from debe ser posterior al inicio de la asignación vigente (${open.rows[0].valid_from})`,
+            });
+          }
+          await client.query(
+            `UPDATE asignaciones
+                SET valid_to = ($2::date - INTERVAL '1 day')::date
+              WHERE id = $1`,
+            [open.rows[0].id, validFrom]
+          );
+        }
+
+        // ninguna asignación cerrada puede cruzarse con [valid_from, ∞)
+        const overlap = await client.query(
+          `SELECT id FROM asignaciones
+            WHERE ${personCol} = $1
+              AND daterange(valid_from, valid_to, '[]') && daterange($2::date, NULL, '[)')
+            LIMIT 1`,
+          [personId, validFrom]
+        );
+        if (overlap.rowCount) {
+          await client.query("ROLLBACK");
+          return res.status(409).json({ error: `Se superpone con la asignación #${overlap.rows[0].id}` });
+        }
+
+        const ins = await client.query(
+          `INSERT INTO asignaciones (${personCol}, site_id, project_id, shift_id, rotation_id, valid_from)
+           VALUES ($1,$2,$3,$4,$5,$6::date)
+           RETURNING id`,
+          [personId, siteId, projectId, shiftId, rotationId, validFrom]
+        );
+
+        // Mantiene los textos sede/turno del candidato alineados con el catálogo
+        if (personCol === "candidato_id" && validFrom <= today()) {
+          await client.query(
+            `UPDATE candidatos c
+                SET sede          = s.name,
+                    turno_horario = COALESCE(sh.name, r.name, c.turno_horario)
+               FROM sites s
+               LEFT JOIN shifts sh ON sh.id = $3
+               LEFT JOIN shift_rotations r ON r.id = $4
+              WHERE c.id = $1 AND s.id = $2`,
+            [personId, siteId, shiftId, rotationId]
+          );
+        }
+
+        await client.query("COMMIT");
+
+        const r = await pool.query(`${SELECT_ASIGNACION} WHERE a.id=$1`, [ins.rows[0].id]);
+        res.json(r.rows[0]);
+      } catch (e) {
+        await client.query("ROLLBACK");
+        if (e.code === "23503") return res.status(400).json({ error: "La sede, proyecto, turno o rotación no existe", code: "REFERENCIA_INEXISTENTE" });
+        handleError(res, e, "POST /api/asignaciones", "Error creando asignación");
+      } finally {
+        client.release();
+      }
+    },
+
+    // PUT /asignaciones/:id { valid_to?, site_id?, project_id?, shift_id? | rotation_id? }
+    // Cambiar a un turno fijo quita la rotación y viceversa.
+    update: async (req, res) => {
+      const client = await pool.connect();
+      try {
+        const id = Number(req.params.id);
+        const body = req.body || {};
+        const validTo = body.valid_to || null;
+        if (validTo !== null && !isIsoDate(validTo)) {
+          return res.status(400).json({ error: "Datos inválidos", campos: { valid_to: "Fecha inválida (YYYY-MM-DD)" } });
+        }
+        const shiftId = optionalId(body.shift_id);
+        const rotationId = optionalId(body.rotation_id);
+        if (shiftId !== null && rotationId !== null) {
+          return res.status(400).json({ error: "Datos inválidos", campos: { rotation_id: "Indica shift_id o rotation_id (solo uno)" } });
+        }
+
+        await client.query("BEGIN");
+        const cur = await client.query(
+          `SELECT a.id, a.candidato_id, a.empleado_id, a.site_id, a.project_id, a.shift_id, a.rotation_id,
+                  to_char(a.valid_from, 'YYYY-MM-DD') AS valid_from
+             FROM asignaciones a
+             JOIN sites s ON s.id = a.site_id
+            WHERE a.id=$1 AND s.employer_id=$2
+            FOR UPDATE OF a`,
+          [id, req.employerId]
+        );
+        if (cur.rowCount === 0) {
+          await client.query("ROLLBACK");
+          return res.status(404).json({ error: "No encontrado" });
+        }
+        const a = cur.rows[0];
+
+        // solo se validan los catálogos que cambian (mantener uno ya archivado está permitido)
+        const changed = (col, v) => (v === a[col] ? null : v);
+        const refErrors = await checkCatalogs(client, req.employerId, {
+          site_id: changed("site_id", optionalId(body.site_id)),
+          project_id: changed("project_id", optionalId(body.project_id)),
+          shift_id: changed("shift_id", shiftId),
+          rotation_id: changed("rotation_id", rotationId),
+        });
+        if (Object.keys(refErrors).length) {
+          await client.query("ROLLBACK");
+          return res.status(400).json({ error: "Datos inválidos", campos: refErrors });
+        }
+
+        if (validTo !== null) {
+          if (validTo < a.valid_from) {
+            await client.query("ROLLBACK");
+            return res.status(400).json({ error: "Datos inválidos", campos: { valid_to: "Anterior a valid_from" } });
+          }
+          const personCol = a.empleado_id ? "empleado_id" : "candidato_id";
+          const overlap = await client.query(
+            `SELECT id FROM asignaciones
+              WHERE ${personCol} = $1 AND id <> $2
+                AND daterange(valid_from, valid_to, '[]') && daterange($3::date, $4::date, '[]')
+              LIMIT 1`,
+            [a[personCol], id, a.valid_from, validTo]
+          );
+          if (overlap.rowCount) {
+            await client.query("ROLLBACK");
+            return res.status(409).json({ error: `Se superpone con la asignación #${overlap.rows[0].id}` });
+          }
+        }
+
+        await client.query(
+          `UPDATE asignaciones
+              SET valid_to   = COALESCE($1::date, valid_to),
+                  site_id    = COALESCE($2, site_id),
+                  project_id = COALESCE($3, project_id),
+                  shift_id   = CASE WHEN $5::int IS NOT NULL THEN NULL ELSE COALESCE($4, shift_id) END,
+                  rotation_id = CASE WHEN $4::int IS NOT NULL THEN NULL ELSE COALESCE($5, rotation_id) END
+            WHERE id=$6`,
+          [validTo, optionalId(body.site_id), optionalId(body.project_id), shiftId, rotationId, id]
+        );
+        await client.query("COMMIT");
+        res.json({ ok: true });
+      } catch (e) {
+        await client.query("ROLLBACK");
+        if (e.code === "23503") return res.status(400).json({ error: "La sede, proyecto, turno o rotación no existe", code: "REFERENCIA_INEXISTENTE" });
+        handleError(res, e, "PUT /api/asignaciones/:id", "Error actualizando asignación");
+      } finally {
+        client.release();
+      }
+    },
+
+    remove: async (req, res) => {
+      try {
+        const id = Number(req.params.id);
+        const r = await pool.query(
+          `DELETE FROM asignaciones a
+            USING sites s
+            WHERE a.id=$1 AND s.id = a.site_id AND s.employer_id=$2`,
+          [id, req.employerId]
+        );
+        if (r.rowCount === 0) return res.status(404).json({ error: "No encontrado" });
+        res.json({ ok: true });
+      } catch (e) {
+        handleError(res, e, "DELETE /api/asignaciones/:id", "Error eliminando asignación");
+      }
+    },
+  };
+};
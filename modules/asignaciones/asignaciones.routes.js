@@ -0,0 +1,43 @@
+const express = require('express');
+const controllerFactory = require('./asignaciones.controller');
+const { v, validate, byId } = require('../common/validate');
+
+const listQuery = {
+  site_id: v.id(),
+  project_id: v.id(),
+  shift_id: v.id(),
+  rotation_id: v.id(),
+  candidato_id: v.id(),
+  empleado_id: v.id(),
+  fecha: v.date(),
+};
+
+const assignmentBody = {
+  candidato_id: v.id(),
+  empleado_id: v.id(),
+  site_id: v.id(),
+  project_id: v.id(),
+  shift_id: v.id(),
+  rotation_id: v.id(),
+  valid_from: v.date(),
+  valid_to: v.date(),
+};
+
+const byDate = validate({ params: { id: v.id() }, query: { fecha: v.date() } });
+
+module.exports = function asignacionesRoutes({ pool, auth, tenant }) {
+  const router = express.Router();
+  const ctrl = controllerFactory({ pool });
+
+  router.get('/asignaciones', auth.staff, tenant, validate({ query: listQuery }), ctrl.list);
+  router.post('/asignaciones', auth.staff, tenant, validate({ body: assignmentBody }), ctrl.create);
+  router.put('/asignaciones/:id', auth.staff, tenant, validate({ params: { id: v.id() }, body: assignmentBody }), ctrl.update);
+  router.delete('/asignaciones/:id', auth.staff, tenant, byId, ctrl.remove);
+
+  // consultas por fecha
+  router.get('/sites/:id/asignaciones', auth.staff, tenant, byDate, ctrl.bySite);
+  router.get('/empleados/:id/asignaciones', auth.staff, tenant, byDate, ctrl.byEmpleado);
+  router.get('/candidatos/:id/asignaciones', auth.staff, tenant, byDate, ctrl.byCandidato);
+
+  return router;
+};
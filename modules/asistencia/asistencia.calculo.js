@@ -0,0 +1,131 @@
+// Cruce de marcaciones con el calendario de turnos: tardanza, salida anticipada, faltas y horas extra por día
+
+const { addDays, nowLocal } = require("../common/dates");
+const { loadPersonCalendar } = require("../shifts/shifts.calendar");
+
+// Una marca se busca desde 4 h antes del inicio del turno hasta 6 h después del fin
+const VENTANA_ANTES_MIN = 240;
+const VENTANA_DESPUES_MIN = 360;
+
+const tolerancia = () => Number(process.env.ASISTENCIA_TOLERANCIA_MIN || 0);
+
+const DATETIME = /^(\d{4}-\d{2}-\d{2})[ T]([01]\d|2[0-3]):([0-5]\d)(?::([0-5]\d))?$/;
+
+// "2025-03-01 07:15[:00]" -> minutos desde epoch (sin zona); null si no es válida
+function toStamp(s) {
+  const m = DATETIME.exec(String(s || "").trim());
+  if (!m) return null;
+  const d = Date.parse(`${m[1]}T00:00:00Z`);
+  if (Number.isNaN(d) || new Date(d).toISOString().slice(0, 10) !== m[1]) return null;
+  return d / 60000 + Number(m[2]) * 60 + Number(m[3]);
+}
+
+// Ahora en la misma escala que toStamp (hora local de APP_TZ, no UTC)
+const nowStamp = () => toStamp(nowLocal());
+
+// Reparte las marcas entre los días de trabajo (la ventana más cercana al turno gana);
+// las que no caen en ningún turno quedan en su fecha calendario como trabajo no programado
+function assignMarks(days, marks) {
+  const byDay = new Map(days.map(d => [d.fecha, []]));
+  const turnos = days
+    .filter(d => d.trabaja)
+    .map(d => ({ fecha: d.fecha, inicio: toStamp(d.inicio), fin: toStamp(d.fin) }));
+
+  for (const m of marks) {
+    const t = toStamp(m.marcado_en);
+    let best = null;
+    for (const s of turnos) {
+      if (t < s.inicio - VENTANA_ANTES_MIN || t > s.fin + VENTANA_DESPUES_MIN) continue;
+      const dist = t < s.inicio ? s.inicio - t : t > s.fin ? t - s.fin : 0;
+      if (!best || dist < best.dist) best = { fecha: s.fecha, dist };
+    }
+    const fecha = best ? best.fecha : m.marcado_en.slice(0, 10);
+    if (byDay.has(fecha)) byDay.get(fecha).push({ ...m, t });
+  }
+  return byDay;
+}
+
+// Primera marca que no sea SALIDA = entrada; última posterior que no sea ENTRADA = salida
+function pickInOut(marks) {
+  const entrada = marks.find(m => m.tipo !== "SALIDA") || null;
+  const salida = [...marks].reverse().find(m => m.tipo !== "ENTRADA" && (!entrada || m.t > entrada.t)) || null;
+  return { entrada, salida };
+}
+
+function evaluateDay(day, marks, { tol = tolerancia(), now = nowStamp() } = {}) {
+  const { entrada, salida } = pickInOut(marks);
+  const out = {
+    ...day,
+    entrada: entrada?.marcado_en ?? null,
+    salida: salida?.marcado_en ?? null,
+    marcaciones: marks.length,
+    tardanza_min: 0,
+    salida_anticipada_min: 0,
+    horas_extra_min: 0,
+    trabajado_min: 0,
+  };
+
+  if (!day.trabaja) {
+    if (!marks.length) return { ...out, estado: day.motivo === "descanso" ? "DESCANSO" : "SIN_TURNO" };
+    if (!entrada || !salida) return { ...out, estado: "INCOMPLETO" };
+    // trabajo en día libre: todo cuenta como sobretiempo
+    const trabajado = salida.t - entrada.t;
+    return { ...out, estado: "NO_PROGRAMADO", trabajado_min: trabajado, horas_extra_min: trabajado };
+  }
+
+  const inicio = toStamp(day.inicio);
+  const fin = toStamp(day.fin);
+  if (!marks.length) return { ...out, estado: fin < now ? "FALTA" : "PENDIENTE" };
+
+  if (entrada && entrada.t > inicio + tol) out.tardanza_min = entrada.t - inicio;
+  if (!entrada || !salida) return { ...out, estado: fin < now ? "INCOMPLETO" : "EN_CURSO" };
+
+  if (salida.t < fin) out.salida_anticipada_min = fin - salida.t;
+  if (salida.t > fin) out.horas_extra_min = salida.t - fin;
+  out.trabajado_min = Math.max(salida.t - entrada.t - day.break_minutes, 0);
+  out.estado = out.tardanza_min ? "TARDANZA" : "PRESENTE";
+  return out;
+}
+
+// Días [from, to] de un empleado con sus marcas evaluadas
+async function loadAsistencia(db, { empleadoId, from, to }) {
+  // un día antes por los turnos nocturnos que terminan en `from`
+  const days = await loadPersonCalendar(db, { personCol: "empleado_id", personId: empleadoId, from: addDays(from, -1), to });
+  const { rows: marks } = await db.query(
+    `SELECT id, to_char(marcado_en, 'YYYY-MM-DD HH24:MI:SS') AS marcado_en, tipo, origen
+       FROM marcaciones
+      WHERE empleado_id = $1
+        AND marcado_en >= $2::date - INTERVAL '1 day'
+        AND marcado_en <  $3::date + INTERVAL '2 day'
+      ORDER BY marcado_en ASC`,
+    [empleadoId, from, to]
+  );
+
+  const byDay = assignMarks(days, marks);
+  const now = nowStamp();
+  const tol = tolerancia();
+  return days
+    .filter(d => d.fecha >= from)
+    .map(d => evaluateDay(d, byDay.get(d.fecha), { tol, now }));
+}
+
+// Totales de un conjunto de días evaluados
+function summarizeDays(days) {
+  const sum = (k) => days.reduce((acc, d) => acc + d[k], 0);
+  const count = (...estados) => days.filter(d => estados.includes(d.estado)).length;
+  const hours = (min) => Math.round((min / 60) * 100) / 100;
+  return {
+    dias_programados: days.filter(d => d.trabaja).length,
+    dias_asistidos: count("PRESENTE", "TARDANZA"),
+    faltas: count("FALTA"),
+    tardanzas: count("TARDANZA"),
+    incompletos: count("INCOMPLETO"),
+    dias_no_programados: count("NO_PROGRAMADO"),
+    tardanza_min: sum("tardanza_min"),
+    salida_anticipada_min: sum("salida_anticipada_min"),
+    horas_extra: hours(sum("horas_extra_min")),
+    horas_trabajadas: hours(sum("trabajado_min")),
+  };
+}
+
+module.exports = { toStamp, assignMarks, evaluateDay, loadAsistencia, summarizeDays };
@@ -0,0 +1,177 @@
+const { readRows } = require("../common/sheets");
+const { parseRange } = require("../shifts/shifts.controller");
+const { loadAsistencia, summarizeDays } = require("./asistencia.calculo");
+const importer = require("./asistencia.import");
+const { handleError } = require("../common/errors");
+
+module.exports = ({ pool }) => {
+  // Resumen del periodo de todos los empleados asignados a la sede / proyecto (solo los días allí)
+  async function resumen(req, res, { col, table, label }) {
+    try {
+      const id = Number(req.params.id);
+      const range = parseRange(req.query);
+      if (range.error) return res.status(400).json({ error: range.error });
+
+      const target = await pool.query(`SELECT id, name FROM ${table} WHERE id=$1 AND employer_id=$2`, [id, req.employerId]);
+      if (target.rowCount === 0) return res.status(404).json({ error: "No encontrado" });
+
+      const { rows: personas } = await pool.query(
+        `SELECT DISTINCT e.id, e.dni AS dni_numero,
+                concat_ws(' ', e.apellido_paterno, e.apellido_materno, e.nombres) AS nombre_completo
+           FROM asignaciones a
+           JOIN empleados e ON e.id = a.empleado_id
+          WHERE a.${col} = $1
+            AND e.employer_id = $4
+            AND a.valid_from <= $3::date
+            AND (a.valid_to IS NULL OR a.valid_to >= $2::date)
+          ORDER BY nombre_completo`,
+        [id, range.from, range.to, req.employerId]
+      );
+
+      const empleados = [];
+      const todos = [];
+      for (const p of personas) {
+        const dias = (await loadAsistencia(pool, { empleadoId: p.id, from: range.from, to: range.to }))
+          .filter(d => d[col] === id);
+        todos.push(...dias);
+        empleados.push({ empleado_id: p.id, dni_numero: p.dni_numero, nombre_completo: p.nombre_completo, ...summarizeDays(dias) });
+      }
+
+      res.json({
+        [col]: id,
+        name: target.rows[0].name,
+        from: range.from,
+        to: range.to,
+        totales: { empleados: empleados.length, ...summarizeDays(todos) },
+        empleados,
+      });
+    } catch (e) {
+      handleError(res, e, label, "Error calculando asistencia");
+    }
+  }
+
+  return {
+    // GET /asistencia/marcaciones?empleado_id&from&to
+    listMarcaciones: async (req, res) => {
+      try {
+        const { empleado_id = null, from = null, to = null } = req.query;
+        const where = ["e.employer_id = $1"];
+        const params = [req.employerId];
+        let i = 2;
+        if (empleado_id) { where.push(`m.empleado_id = $${i++}`); params.push(Number(empleado_id)); }
+        if (from) { where.push(`m.marcado_en >= $${i++}::date`); params.push(from); }
+        if (to) { where.push(`m.marcado_en < $${i++}::date + INTERVAL '1 day'`); params.push(to); }
+        const { rows } = await pool.query(
+          `SELECT m.id, m.empleado_id, e.dni AS dni_numero,
+                  concat_ws(' ', e.apellido_paterno, e.apellido_materno, e.nombres) AS nombre_completo,
+                  to_char(m.marcado_en, 'YYYY-MM-DD HH24:MI:SS') AS marcado_en,
+                  m.tipo, m.origen, m.dispositivo, m.created_at
+             FROM marcaciones m
+             JOIN empleados e ON e.id = m.empleado_id
+            WHERE ${where.join(" AND ")}
+            ORDER BY m.marcado_en DESC, m.id DESC
+            LIMIT 5000`,
+          params
+        );
+        res.json(rows);
+      } catch (e) {
+        handleError(res, e, "GET /api/asistencia/marcaciones", "Error consultando marcaciones");
+      }
+    },
+
+    // POST /asistencia/marcaciones { empleado_id, marcado_en: "YYYY-MM-DD HH:MM", tipo? }
+    createMarcacion: async (req, res) => {
+      try {
+        const body = req.body || {};
+        const empleadoId = Number(body.empleado_id);
+        const marcadoEn = importer.parseMarca({ marcado_en: body.marcado_en });
+        const tipo = importer.parseTipo(body.tipo);
+
+        const errores = {};
+        if (!Number.isInteger(empleadoId)) errores.empleado_id = "Obligatorio";
+        if (!marcadoEn) errores.marcado_en = "Fecha y hora inválidas (YYYY-MM-DD HH:MM)";
+        if (tipo === undefined) errores.tipo = "Debe ser ENTRADA o SALIDA";
+        if (Object.keys(errores).length) return res.status(400).json({ error: "Datos inválidos", campos: errores });
+
+        const emp = await pool.query(`SELECT 1 FROM empleados WHERE id=$1 AND employer_id=$2`, [empleadoId, req.employerId]);
+        if (emp.rowCount === 0) return res.status(404).json({ error: "Empleado no encontrado" });
+
+        const r = await pool.query(
+          `INSERT INTO marcaciones (empleado_id, marcado_en, tipo, origen, dispositivo, created_by)
+           VALUES ($1, $2::timestamp, $3, 'MANUAL', $4, $5)
+           RETURNING id, empleado_id, to_char(marcado_en, 'YYYY-MM-DD HH24:MI:SS') AS marcado_en, tipo, origen, dispositivo`,
+          [empleadoId, marcadoEn, tipo, body.dispositivo?.trim() || null, req.user?.id ?? null]
+        );
+        res.json(r.rows[0]);
+      } catch (e) {
+        if (e.code === "23505") return res.status(409).json({ error: "Ya existe una marcación a esa hora", code: "DUPLICADO" });
+        handleError(res, e, "POST /api/asistencia/marcaciones", "Error registrando marcación");
+      }
+    },
+
+    // POST /asistencia/marcaciones/import?mode=dry-run|commit (multipart, campo "archivo")
+    importMarcaciones: async (req, res) => {
+      const mode = req.query.mode || "dry-run";
+      if (!req.file) return res.status(400).json({ error: "Falta el archivo (campo \"archivo\")" });
+
+      const client = await pool.connect();
+      try {
+        const rows = await readRows(req.file);
+        if (!rows.length) return res.status(400).json({ error: "El archivo no tiene filas" });
+        if (rows.length > importer.MAX_ROWS) {
+          return res.status(400).json({ error: `Máximo ${importer.MAX_ROWS} filas por archivo` });
+        }
+
+        const report = await importer.buildReport(client, rows, { employerId: req.employerId });
+        if (mode === "commit") await importer.commitRows(client, report, { userId: req.user?.id ?? null });
+
+        res.json(importer.summarize(report, mode));
+      } catch (e) {
+        handleError(res, e, "POST /api/asistencia/marcaciones/import", "Error importando marcaciones");
+      } finally {
+        client.release();
+      }
+    },
+
+    removeMarcacion: async (req, res) => {
+      try {
+        const id = Number(req.params.id);
+        const r = await pool.query(
+          `DELETE FROM marcaciones m
+            USING empleados e
+            WHERE m.id=$1 AND e.id = m.empleado_id AND e.employer_id=$2`,
+          [id, req.employerId]
+        );
+        if (r.rowCount === 0) return res.status(404).json({ error: "No encontrado" });
+        res.json({ ok: true });
+      } catch (e) {
+        handleError(res, e, "DELETE /api/asistencia/marcaciones/:id", "Error eliminando marcación");
+      }
+    },
+
+    // GET /empleados/:id/asistencia?from&to — detalle por día + totales
+    byEmpleado: async (req, res) => {
+      try {
+        const id = Number(req.params.id);
+        const range = parseRange(req.query);
+        if (range.error) return res.status(400).json({ error: range.error });
+
+        const p = await pool.query(`SELECT id FROM empleados WHERE id=$1 AND employer_id=$2`, [id, req.employerId]);
+        if (p.rowCount === 0) return res.status(404).json({ error: "No encontrado" });
+
+        const dias = await loadAsistencia(pool, { empleadoId: id, from: range.from, to: range.to });
+        res.json({ empleado_id: id, from: range.from, to: range.to, totales: summarizeDays(dias), dias });
+      } catch (e) {
+        handleError(res, e, "GET /api/empleados/:id/asistencia", "Error calculando asistencia");
+      }
+    },
+
+    // GET /sites/:id/asistencia?from&to
+    bySite: (req, res) =>
+      resumen(req, res, { col: "site_id", table: "sites", label: "GET /api/sites/:id/asistencia" }),
+
+    // GET /projects/:id/asistencia?from&to
+    byProject: (req, res) =>
+      resumen(req, res, { col: "project_id", table: "projects", label: "GET /api/projects/:id/asistencia" }),
+  };
+};
@@ -0,0 +1,103 @@
+// Importación de marcaciones exportadas del reloj biométrico (CSV / XLSX)
+// Columnas: dni, fecha_hora (o fecha + hora), tipo opcional (entrada/salida, in/out, 0/1), dispositivo opcional
+
+const { toStamp } = require("./asistencia.calculo");
+
+const MAX_ROWS = 20000;
+
+const TIPOS = {
+  entrada: "ENTRADA", in: "ENTRADA", "0": "ENTRADA", "c/in": "ENTRADA", check_in: "ENTRADA",
+  salida: "SALIDA", out: "SALIDA", "1": "SALIDA", "c/out": "SALIDA", check_out: "SALIDA",
+};
+
+// "ENTRADA" | "SALIDA" | null (sin sentido) | undefined (valor no reconocido)
+function parseTipo(v) {
+  const k = String(v ?? "").trim().toLowerCase();
+  if (!k) return null;
+  return TIPOS[k];
+}
+
+// "01/03/2025 07:05" o "2025-03-01 07:05:00" -> "2025-03-01 07:05:00"
+function parseMarca(data) {
+  let raw = String(data.fecha_hora ?? data.marcado_en ?? "").trim();
+  if (!raw && data.fecha) raw = `${String(data.fecha).trim()} ${String(data.hora ?? "").trim()}`;
+  const dmy = /^(\d{1,2})\/(\d{1,2})\/(\d{4})\s+(.*)$/.exec(raw);
+  if (dmy) raw = `${dmy[3]}-${dmy[2].padStart(2, "0")}-${dmy[1].padStart(2, "0")} ${dmy[4]}`;
+  raw = raw.replace(/^(\S+)\s+(\d):/, "$1 0$2:");
+  if (toStamp(raw) === null) return null;
+  return raw.length === 16 ? `${raw.replace("T", " ")}:00` : raw.replace("T", " ");
+}
+
+// Valida filas y resuelve el empleado de la empresa por DNI (el activo más reciente)
+async function buildReport(db, rows, { employerId }) {
+  const report = rows.map(({ fila, data }) => {
+    const errores = {};
+    const dni = String(data.dni ?? data.documento ?? "").trim() || null;
+    const marcado_en = parseMarca(data);
+    const tipo = parseTipo(data.tipo);
+    if (!dni) errores.dni = "Obligatorio";
+    if (!marcado_en) errores.fecha_hora = "Fecha y hora inválidas";
+    if (tipo === undefined) errores.tipo = "Debe ser entrada o salida";
+    return { fila, dni, marcado_en, tipo: tipo ?? null, dispositivo: data.dispositivo || null, errores };
+  });
+
+  const dnis = [...new Set(report.filter(r => r.dni).map(r => r.dni))];
+  if (dnis.length) {
+    const { rows: found } = await db.query(
+      `SELECT DISTINCT ON (dni) dni, id
+         FROM empleados
+        WHERE dni = ANY($1::text[]) AND employer_id = $2
+        ORDER BY dni, (estado = 'ACTIVO') DESC, fecha_ingreso DESC`,
+      [dnis, employerId]
+    );
+    const byDni = new Map(found.map(r => [r.dni, r.id]));
+    for (const r of report) {
+      if (!r.dni) continue;
+      r.empleado_id = byDni.get(r.dni) ?? null;
+      if (!r.empleado_id) r.errores.dni = "No hay empleado con ese DNI";
+    }
+  }
+  return report.map(r => ({ ...r, ok: !Object.keys(r.errores).length }));
+}
+
+// Inserta las filas válidas; las marcas ya registradas (mismo empleado y hora) se omiten
+async function commitRows(client, report, { userId }) {
+  await client.query("BEGIN");
+  try {
+    for (const r of report) {
+      if (!r.ok) continue;
+      const ins = await client.query(
+        `INSERT INTO marcaciones (empleado_id, marcado_en, tipo, origen, dispositivo, created_by)
+         VALUES ($1, $2::timestamp, $3, 'BIOMETRICO', $4, $5)
+         ON CONFLICT (empleado_id, marcado_en) DO NOTHING
+         RETURNING id`,
+        [r.empleado_id, r.marcado_en, r.tipo, r.dispositivo, userId]
+      );
+      if (ins.rowCount) r.id = ins.rows[0].id;
+      else r.duplicada = true;
+    }
+    await client.query("COMMIT");
+  } catch (e) {
+    await client.query("ROLLBACK");
+    throw e;
+  }
+  return report;
+}
+
+function summarize(report, mode) {
+  const validos = report.filter(r => r.ok).length;
+  return {
+    modo: mode,
+    total: report.length,
+    validos,
+    con_errores: report.length - validos,
+    ...(mode === "commit"
+      ? { insertados: report.filter(r => r.id).length, duplicadas: report.filter(r => r.duplicada).length }
+      : {}),
+    filas: report
+      .filter(r => !r.ok || r.duplicada)
+      .map(({ fila, dni, marcado_en, errores, duplicada }) => ({ fila, dni, marcado_en, errores, ...(duplicada ? { duplicada } : {}) })),
+  };
+}
+
+module.exports = { MAX_ROWS, parseTipo, parseMarca, buildReport, commitRows, summarize };
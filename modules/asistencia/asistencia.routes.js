@@ -0,0 +1,33 @@
+const express = require('express');
+const controllerFactory = require('./asistencia.controller');
+const { v, validate, byId } = require('../common/validate');
+
+const MODES = ['dry-run', 'commit'];
+const range = { from: v.date(), to: v.date() };
+const byRange = validate({ params: { id: v.id() }, query: range });
+
+// marcado_en y tipo aceptan los mismos formatos que la importación (ver asistencia.import.js)
+const marcacionBody = {
+  empleado_id: v.id({ required: true }),
+  marcado_en: v.string({ max: 40, required: true }),
+  tipo: v.string({ max: 20 }),
+  dispositivo: v.string({ max: 100 }),
+};
+
+module.exports = function asistenciaRoutes({ pool, auth, tenant, upload }) {
+  const router = express.Router();
+  const ctrl = controllerFactory({ pool });
+
+  // marcaciones de reloj (manuales o del biométrico)
+  router.get('/asistencia/marcaciones', auth.staff, tenant, validate({ query: { empleado_id: v.id(), ...range } }), ctrl.listMarcaciones);
+  router.post('/asistencia/marcaciones/import', auth.staff, tenant, upload.single('archivo'), validate({ query: { mode: v.oneOf(MODES) } }), ctrl.importMarcaciones);
+  router.post('/asistencia/marcaciones', auth.staff, tenant, validate({ body: marcacionBody }), ctrl.createMarcacion);
+  router.delete('/asistencia/marcaciones/:id', auth.staff, tenant, byId, ctrl.removeMarcacion);
+
+  // cálculo por persona y resumen del periodo
+  router.get('/empleados/:id/asistencia', auth.staff, tenant, byRange, ctrl.byEmpleado);
+  router.get('/sites/:id/asistencia', auth.staff, tenant, byRange, ctrl.bySite);
+  router.get('/projects/:id/asistencia', auth.staff, tenant, byRange, ctrl.byProject);
+
+  return router;
+};
@@ -0,0 +1,48 @@
+const { escapeLike } = require("../common/search");
+const { buildPaging } = require("../candidatos/candidatos.query");
+const { handleError } = require("../common/errors");
+
+module.exports = ({ pool }) => {
+  return {
+    // GET /audit?entity&entity_id&action&actor_id&actor_email&route&from&to&page&pageSize
+    list: async (req, res) => {
+      try {
+        const { entity, entity_id, action, actor_id, actor_email, route, from, to } = req.query;
+        const paging = buildPaging(req.query) || { page: 1, pageSize: 50 };
+        if (paging.error) return res.status(400).json({ error: paging.error });
+
+        const where = ["employer_id = $1"];
+        const params = [req.employerId];
+        let i = 2;
+        if (entity)      { where.push(`entity = $${i++}`);                   params.push(entity); }
+        if (entity_id)   { where.push(`entity_id = $${i++}`);                params.push(Number(entity_id)); }
+        if (action)      { where.push(`action = $${i++}`);                   params.push(action.toUpperCase()); }
+        if (actor_id)    { where.push(`actor_id = $${i++}`);                 params.push(Number(actor_id)); }
+        if (actor_email) { where.push(`LOWER(actor_email) = $${i++}`);       params.push(actor_email); }
+        if (route)       { where.push(`route LIKE $${i++}`);                 params.push(`%${escapeLike(route)}%`); }
+        if (from)        { where.push(`created_at >= $${i++}::date`);        params.push(from); }
+        if (to)          { where.push(`created_at < $${i++}::date + 1`);     params.push(to); }
+
+        const { rows } = await pool.query(
+          `SELECT id, actor_id, actor_email, method, route, entity, entity_id, action, changes, created_at,
+                  COUNT(*) OVER()::int AS total_count
+             FROM audit_log
+            WHERE ${where.join(" AND ")}
+            ORDER BY created_at DESC, id DESC
+            LIMIT $${i++} OFFSET $${i++}`,
+          [...params, paging.pageSize, (paging.page - 1) * paging.pageSize]
+        );
+        const total = rows[0]?.total_count ?? 0;
+        res.json({
+          data: rows.map(({ total_count, ...r }) => r),
+          total,
+          page: paging.page,
+          pageSize: paging.pageSize,
+          pages: Math.ceil(total / paging.pageSize),
+        });
+      } catch (e) {
+        handleError(res, e, "GET /api/audit", "Error consultando auditoría");
+      }
+    },
+  };
+};
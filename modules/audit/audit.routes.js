@@ -0,0 +1,25 @@
+const express = require('express');
+const controllerFactory = require('./audit.controller');
+const { ACTIONS } = require('./audit.service');
+const { v, validate, paging } = require('../common/validate');
+
+const listQuery = {
+  entity: v.string({ max: 100 }),
+  entity_id: v.id(),
+  action: v.oneOf(ACTIONS),
+  actor_id: v.id(),
+  actor_email: v.string({ max: 200 }),
+  route: v.string({ max: 200 }),
+  from: v.date(),
+  to: v.date(),
+  ...paging,
+};
+
+module.exports = function auditRoutes({ pool, auth, tenant }) {
+  const router = express.Router();
+  const ctrl = controllerFactory({ pool });
+
+  router.get('/audit', auth.admin, tenant, validate({ query: listQuery }), ctrl.list);
+
+  return router;
+};
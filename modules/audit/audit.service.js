@@ -0,0 +1,42 @@
+// Registro de auditoría (audit_log). Los controladores llaman a record() con el mismo
+// `db` de la escritura: dentro de su transacción si la tienen, si no justo después.
+
+const ACTIONS = ["CREATE", "UPDATE", "DELETE"];
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// { campo: { antes, despues } } solo con lo que cambió (null en el lado que no existe)
+function diff(before, after) {
+  const changes = {};
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  for (const k of keys) {
+    const antes = before?.[k] ?? null;
+    const despues = after?.[k] ?? null;
+    if (!same(antes, despues)) changes[k] = { antes, despues };
+  }
+  return changes;
+}
+
+// before null = alta, after null = baja; una modificación sin cambios no se registra
+async function record(db, req, { entity, entityId = null, before = null, after = null, employerId = req.employerId }) {
+  const action = !before ? "CREATE" : !after ? "DELETE" : "UPDATE";
+  const changes = diff(before, after);
+  if (action === "UPDATE" && !Object.keys(changes).length) return;
+  await db.query(
+    `INSERT INTO audit_log (employer_id, actor_id, actor_email, method, route, entity, entity_id, action, changes)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9)`,
+    [
+      employerId ?? null,
+      req.user?.id ?? null,
+      req.user?.email ?? null,
+      req.method,
+      req.originalUrl.split("?")[0],
+      entity,
+      entityId === null ? null : Number(entityId),
+      action,
+      JSON.stringify(changes),
+    ]
+  );
+}
+
+module.exports = { ACTIONS, diff, record };
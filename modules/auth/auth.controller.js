@@ -0,0 +1,192 @@
+const bcrypt = require('bcryptjs');
+const { handleError } = require('../common/errors');
+
+module.exports = ({ pool, auth, tenancy }) => {
+  // Empresas del usuario, para el selector del front
+  async function employersFor(userId) {
+    const { rows } = await pool.query(
+      `SELECT e.id, e.ruc, e.name
+         FROM user_employers ue
+         JOIN employers e ON e.id = ue.employer_id
+        WHERE ue.user_id = $1
+        ORDER BY e.id`,
+      [userId]
+    );
+    return rows;
+  }
+
+  // employer_ids de un usuario: solo empresas a las que también pertenece el admin
+  async function parseEmployerIds(value, adminId) {
+    if (value === undefined || value === null) return { ids: null };
+    if (!Array.isArray(value)) return { error: "Debe ser una lista de ids" };
+    const ids = [...new Set(value.map(Number))];
+    if (ids.some(n => !Number.isInteger(n))) return { error: "Debe ser una lista de ids" };
+    const allowed = await tenancy.employersOf(adminId);
+    const ajenas = ids.filter(id => !allowed.includes(id));
+    if (ajenas.length) return { error: `Sin acceso a las empresas ${ajenas.join(", ")}` };
+    return { ids, allowed };
+  }
+
+  // Reemplaza las empresas del usuario dentro del alcance del admin (no toca las demás)
+  async function setMemberships(db, userId, ids, allowed) {
+    await db.query(
+      `DELETE FROM user_employers WHERE user_id = $1 AND employer_id = ANY($2::int[])`,
+      [userId, allowed]
+    );
+    if (ids.length) {
+      await db.query(
+        `INSERT INTO user_employers (user_id, employer_id)
+         SELECT $1, unnest($2::int[])
+         ON CONFLICT DO NOTHING`,
+        [userId, ids]
+      );
+    }
+  }
+
+  return {
+    login: async (req, res) => {
+      try {
+        const { email, password, employer_id = null } = req.body;
+
+        const q = await pool.query(
+          `SELECT id, email, name, role, password_hash
+             FROM users
+            WHERE LOWER(email) = LOWER($1) AND active = TRUE`,
+          [email]
+        );
+        const user = q.rows[0];
+        // mismo mensaje si no existe o si la clave no coincide
+        if (!user || !(await bcrypt.compare(password, user.password_hash))) {
+          return res.status(401).json({ error: "Credenciales inválidas" });
+        }
+
+        const { password_hash, ...publicUser } = user;
+        const employers = await employersFor(user.id);
+        let employerId = null;
+        if (employer_id !== null && employer_id !== "") {
+          employerId = Number(employer_id);
+          if (!employers.some(e => e.id === employerId)) {
+            return res.status(403).json({ error: "Sin acceso a esa empresa" });
+          }
+        }
+        res.json({ token: auth.signToken(publicUser, { employerId }), user: publicUser, employer_id: employerId, employers });
+      } catch (e) {
+        handleError(res, e, "POST /api/auth/login", "Error iniciando sesión");
+      }
+    },
+
+    me: async (req, res) => {
+      try {
+        res.json({ ...req.user, employers: await employersFor(req.user.id) });
+      } catch (e) {
+        handleError(res, e, "GET /api/auth/me", "Error consultando usuario");
+      }
+    },
+
+    // POST /auth/employer { employer_id } — nuevo token con la empresa de trabajo fijada
+    switchEmployer: async (req, res) => {
+      try {
+        const employerId = Number(req.body.employer_id);
+        const allowed = await tenancy.employersOf(req.user.id);
+        if (!allowed.includes(employerId)) return res.status(403).json({ error: "Sin acceso a esa empresa" });
+
+        const { employer_id, ...user } = req.user;
+        res.json({ token: auth.signToken(user, { employerId }), user, employer_id: employerId });
+      } catch (e) {
+        handleError(res, e, "POST /api/auth/employer", "Error cambiando de empresa");
+      }
+    },
+
+    // Solo usuarios que comparten alguna empresa con el admin; employer_ids lista solo esas empresas
+    listUsers: async (req, res) => {
+      try {
+        const { rows } = await pool.query(
+          `SELECT u.id, u.email, u.name, u.role, u.active, u.created_at,
+                  array_agg(ue.employer_id ORDER BY ue.employer_id) AS employer_ids
+             FROM users u
+             JOIN user_employers ue ON ue.user_id = u.id
+            WHERE ue.employer_id IN (SELECT employer_id FROM user_employers WHERE user_id = $1)
+            GROUP BY u.id
+            ORDER BY u.id ASC`,
+          [req.user.id]
+        );
+        res.json(rows);
+      } catch (e) {
+        handleError(res, e, "GET /api/auth/users", "Error consultando usuarios");
+      }
+    },
+
+    // POST /auth/users { email, password, role, name?, employer_ids? } — por defecto, las empresas del admin
+    createUser: async (req, res) => {
+      const client = await pool.connect();
+      try {
+        const { email, password, name = null, role, employer_ids } = req.body;
+        const emp = await parseEmployerIds(employer_ids, req.user.id);
+        if (emp.error) return res.status(400).json({ error: "Datos inválidos", campos: { employer_ids: emp.error } });
+        const allowed = emp.allowed ?? await tenancy.employersOf(req.user.id);
+
+        const hash = await bcrypt.hash(password, 10);
+        await client.query("BEGIN");
+        const r = await client.query(
+          `INSERT INTO users (email, password_hash, name, role)
+           VALUES (LOWER($1),$2,$3,$4)
+           RETURNING id, email, name, role, active, created_at`,
+          [email, hash, name, role]
+        );
+        const ids = emp.ids ?? allowed;
+        await setMemberships(client, r.rows[0].id, ids, allowed);
+        await client.query("COMMIT");
+        res.json({ ...r.rows[0], employer_ids: ids });
+      } catch (e) {
+        await client.query("ROLLBACK");
+        if (e.code === "23505") return res.status(409).json({ error: "Email ya registrado", code: "DUPLICADO", campos: { email: "Ya registrado" } });
+        handleError(res, e, "POST /api/auth/users", "Error creando usuario");
+      } finally {
+        client.release();
+      }
+    },
+
+    // employer_ids reemplaza las empresas del usuario entre las que administra quien edita.
+    // Un usuario que no comparte ninguna empresa con quien edita responde 404.
+    updateUser: async (req, res) => {
+      const client = await pool.connect();
+      try {
+        const id = Number(req.params.id);
+        const { name = null, role = null, password = null, employer_ids } = req.body;
+        let { active = null } = req.body;
+
+        if (active !== null) active = active === true || active === "true";
+        const emp = await parseEmployerIds(employer_ids, req.user.id);
+        if (emp.error) return res.status(400).json({ error: "Datos inválidos", campos: { employer_ids: emp.error } });
+
+        const hash = password ? await bcrypt.hash(password, 10) : null;
+        await client.query("BEGIN");
+        const r = await client.query(
+          `UPDATE users
+              SET name          = COALESCE($1, name),
+                  role          = COALESCE($2, role),
+                  active        = COALESCE($3, active),
+                  password_hash = COALESCE($4, password_hash)
+            WHERE id=$5
+              AND EXISTS (SELECT 1
+                            FROM user_employers mine
+                            JOIN user_employers theirs ON theirs.employer_id = mine.employer_id
+                           WHERE mine.user_id = $6 AND theirs.user_id = $5)`,
+          [name, role, active, hash, id, req.user.id]
+        );
+        if (r.rowCount === 0) {
+          await client.query("ROLLBACK");
+          return res.status(404).json({ error: "No encontrado" });
+        }
+        if (emp.ids) await setMemberships(client, id, emp.ids, emp.allowed);
+        await client.query("COMMIT");
+        res.json({ ok: true });
+      } catch (e) {
+        await client.query("ROLLBACK");
+        handleError(res, e, "PUT /api/auth/users/:id", "Error actualizando usuario");
+      } finally {
+        client.release();
+      }
+    },
+  };
+};
@@ -0,0 +1,83 @@
+const jwt = require('jsonwebtoken');
+const { handleError } = require('../common/errors');
+
+// Roles de usuario interno. El formulario público no tiene rol (sin token).
+const ROLES = Object.freeze({
+  ADMIN: 'admin',
+  RECRUITER: 'recruiter',
+});
+
+module.exports = function authMiddleware({
+  pool,
+  secret = process.env.JWT_SECRET,
+  expiresIn = process.env.JWT_EXPIRES_IN || '8h',
+} = {}) {
+  if (!secret) console.warn('JWT_SECRET no configurado: las rutas protegidas responderán 500');
+
+  // employer_id (opcional) fija la empresa de trabajo; ver modules/employers/employers.tenant.js
+  function signToken(user, { employerId = null } = {}) {
+    return jwt.sign(
+      {
+        sub: user.id, email: user.email, name: user.name, role: user.role,
+        ...(employerId ? { employer_id: employerId } : {}),
+      },
+      secret,
+      { expiresIn }
+    );
+  }
+
+  // Lee "Authorization: Bearer <token>" y deja el usuario en req.user.
+  // Rol y estado se leen de la base en cada petición: desactivar o cambiar el rol
+  // de un usuario surte efecto sin esperar a que venza su token.
+  async function requireAuth(req, res, next) {
+    if (!secret) return res.status(500).json({ error: 'Autenticación no configurada' });
+
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+    if (scheme !== 'Bearer' || !token) {
+      return res.status(401).json({ error: 'No autenticado' });
+    }
+
+    let payload;
+    try {
+      payload = jwt.verify(token, secret);
+    } catch (_e) {
+      return res.status(401).json({ error: 'Token inválido o expirado' });
+    }
+
+    try {
+      const { rows } = await pool.query(
+        'SELECT id, email, name, role FROM users WHERE id = $1 AND active = TRUE',
+        [payload.sub]
+      );
+      if (!rows.length) return res.status(401).json({ error: 'Usuario inactivo o inexistente' });
+      req.user = { ...rows[0], employer_id: payload.employer_id ?? null };
+    } catch (e) {
+      return handleError(res, e, 'auth', 'Error verificando usuario');
+    }
+    next();
+  }
+
+  // requireRole('admin', 'recruiter') => autentica y luego verifica el rol
+  function requireRole(...roles) {
+    return (req, res, next) => {
+      requireAuth(req, res, () => {
+        if (!roles.includes(req.user.role)) {
+          return res.status(403).json({ error: 'Sin permisos' });
+        }
+        next();
+      });
+    };
+  }
+
+  return {
+    signToken,
+    requireAuth,
+    requireRole,
+    // atajos para las rutas
+    staff: requireRole(ROLES.ADMIN, ROLES.RECRUITER),
+    admin: requireRole(ROLES.ADMIN),
+  };
+};
+
+module.exports.ROLES = ROLES;
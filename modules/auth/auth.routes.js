@@ -0,0 +1,34 @@
+const express = require('express');
+const controllerFactory = require('./auth.controller');
+const { ROLES } = require('./auth.middleware');
+const { v, validate } = require('../common/validate');
+
+const VALID_ROLES = Object.values(ROLES);
+
+const loginBody = {
+  email: v.string({ max: 200, required: true }),
+  password: v.string({ max: 200, required: true }),
+  employer_id: v.id(),
+};
+
+const userBody = (required) => ({
+  password: v.string({ max: 200, required }),
+  name: v.string({ max: 200 }),
+  role: v.oneOf(VALID_ROLES, { exact: true, required }),
+  employer_ids: v.array(v.id()),
+});
+
+module.exports = function authRoutes({ pool, auth, tenancy }) {
+  const router = express.Router();
+  const ctrl = controllerFactory({ pool, auth, tenancy });
+
+  router.post('/auth/login', validate({ body: loginBody }), ctrl.login);
+  router.get('/auth/me', auth.requireAuth, ctrl.me);
+  router.post('/auth/employer', auth.requireAuth, validate({ body: { employer_id: v.id({ required: true }) } }), ctrl.switchEmployer);
+
+  router.get('/auth/users', auth.admin, ctrl.listUsers);
+  router.post('/auth/users', auth.admin, validate({ body: { email: v.email({ required: true }), ...userBody(true) } }), ctrl.createUser);
+  router.put('/auth/users/:id', auth.admin, validate({ params: { id: v.id() }, body: { ...userBody(false), active: v.bool() } }), ctrl.updateUser);
+
+  return router;
+};
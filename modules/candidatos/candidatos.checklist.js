@@ -0,0 +1,52 @@
+// Completitud del candidato según los documentos requeridos (checklist_documentos)
+// de la sede y el proyecto de su asignación vigente (o, si aún no empieza, la próxima).
+
+const { VIGENTE_SQL } = require("./candidatos.documentos");
+
+const COMPLETITUD = ["completo", "incompleto", "sin_checklist"];
+
+// Expresión jsonb con los faltantes del candidato `ref` (columna o parámetro):
+// NULL si no le aplica ningún checklist, [] si está completo,
+// [{ tipo, requeridos, vigentes, faltan }] si no. Solo cuentan los documentos vigentes.
+const faltantesSQL = (ref) => `(
+  SELECT CASE WHEN COUNT(*) = 0 THEN NULL ELSE
+           COALESCE(
+             jsonb_agg(jsonb_build_object('tipo', r.tipo, 'requeridos', r.cantidad, 'vigentes', r.vigentes,
+                                          'faltan', r.cantidad - r.vigentes) ORDER BY r.tipo)
+               FILTER (WHERE r.vigentes < r.cantidad),
+             '[]'::jsonb)
+         END
+    FROM (
+      SELECT ck.tipo, MAX(ck.cantidad) AS cantidad,
+             (SELECT COUNT(*)::int FROM candidato_documentos d
+               WHERE d.candidato_id = ${ref} AND d.tipo = ck.tipo AND ${VIGENTE_SQL}) AS vigentes
+        FROM (SELECT a.site_id, a.project_id
+                FROM asignaciones a
+               WHERE a.candidato_id = ${ref} AND (a.valid_to IS NULL OR a.valid_to >= CURRENT_DATE)
+               ORDER BY (a.valid_from <= CURRENT_DATE) DESC, a.valid_from ASC
+               LIMIT 1) asig
+        JOIN checklist_documentos ck ON ck.site_id = asig.site_id OR ck.project_id = asig.project_id
+       GROUP BY ck.tipo
+    ) r
+)`;
+
+// Condición SQL para el filtro ?checklist=completo|incompleto|sin_checklist
+function completitudWhere(ref, value) {
+  const f = faltantesSQL(ref);
+  if (value === "sin_checklist") return `${f} IS NULL`;
+  if (value === "completo") return `jsonb_array_length(${f}) = 0`;
+  return `jsonb_array_length(${f}) > 0`;
+}
+
+// faltantes (jsonb) -> { completitud, faltantes }
+function completitud(faltantes) {
+  if (faltantes === null || faltantes === undefined) return { completitud: "sin_checklist", faltantes: [] };
+  return { completitud: faltantes.length ? "incompleto" : "completo", faltantes };
+}
+
+async function loadCompletitud(db, candidatoId) {
+  const { rows } = await db.query(`SELECT ${faltantesSQL("$1::int")} AS faltantes`, [candidatoId]);
+  return completitud(rows[0].faltantes);
+}
+
+module.exports = { COMPLETITUD, faltantesSQL, completitudWhere, completitud, loadCompletitud };
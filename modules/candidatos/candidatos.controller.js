@@ -1,67 +1,154 @@
-module.exports = ({ pool, uploadToCloudinary }) => {
+const {
+  DOC_COLUMNS, VIGENTE_SQL, saveDocuments, documentsAdded, removeStoredFile, putSingle, parseFechas, parseFechasDoc,
+} = require("./candidatos.documentos");
+const { loadWorkflow, insertHistory } = require("./candidatos.workflow");
+const { validateNuevoCandidato, prepareIdentidad, validateIdentidad, hasErrors } = require("./candidatos.validation");
+const { SORTABLE, buildFilters, buildOrder, buildPaging } = require("./candidatos.query");
+const { faltantesSQL, completitud, loadCompletitud } = require("./candidatos.checklist");
+const { parseColumns, exportCandidatos } = require("./candidatos.export");
+const importer = require("./candidatos.import");
+const audit = require("../audit/audit.service");
+const { archivedNames } = require("../common/archive");
+const webhooks = require("../webhooks/webhooks.service");
+const { issueToken, revokeTokens } = require("../portal/portal.tokens");
+const { signUrls } = require("../storage/storage.service");
+const { handleError } = require("../common/errors");
+
+// alias del listado y del detalle que traen la url del último documento de cada tipo
+const DOC_URL_FIELDS = ["dni_doc", "certificados", "antecedentes", "medicos", "capacitacion", "cv_doc"];
+
+// columnas del candidato que quedan en la auditoría
+const AUDIT_COLUMNS = "tipo_documento, dni, apellido_paterno, apellido_materno, nombres, sede, turno_horario, grupo, estado";
+
+module.exports = ({ pool, storage, workflow = loadWorkflow() }) => {
   return {
+    // GET /candidatos?ano&mes&estado&grupoInicio&grupoFin&q&sede&turno_horario&documentos&checklist&sort&dir&page&pageSize
     list: async (req, res) => {
-  try {
-    const {
-      ano = "TODOS",
-      mes = "TODOS",
-      estado = null,
-      grupoInicio = null,
-      grupoFin = null,
-    } = req.query;
-
-    const where = [];
-    const params = [];
-    let i = 1;
-
-    if (ano !== "TODOS") { where.push(`EXTRACT(YEAR  FROM v.fecha) = $${i++}`); params.push(Number(ano)); }
-    if (mes !== "TODOS") { where.push(`EXTRACT(MONTH FROM v.fecha) = $${i++}`); params.push(Number(mes)); }
-    if (estado)         { where.push(`LOWER(v.estado) = LOWER($${i++})`);       params.push(estado); }
-    if (grupoInicio && grupoFin) {
-      where.push(`(v.grupo ~ '^[0-9]+$' AND CAST(v.grupo AS INT) BETWEEN $${i++} AND $${i++})`);
-      params.push(Number(grupoInicio), Number(grupoFin));
-    }
-
-    const whereSQL = where.length ? `WHERE ${where.join(" AND ")}` : "";
-
-    const sql = `
-      SELECT
-        v.id,
-        v.dni                       AS dni_numero,
-        v.apellido_paterno,
-        v.apellido_materno,
-        v.nombres,
-        v.nombre_completo,
-        v.sede,
-        v.turno_horario,
-        v.grupo,
-        v.estado,
-        v.fecha,
-        v.dni_doc_url              AS dni_doc,   -- URL (truthy para tu puntito)
-        v.certificados_url         AS certificados,
-        v.antecedentes_url         AS antecedentes,
-        v.medicos_url              AS medicos,
-        v.capacitacion_url         AS capacitacion,
-        v.cv_url                   AS cv_doc,    -- URL (truthy para tu puntito)
-        COALESCE(dc.doc_count, 0)::int AS doc_count
-      FROM vw_api_candidatos v
-      LEFT JOIN LATERAL (
-        SELECT COUNT(*) AS doc_count
-        FROM candidato_documentos d
-        WHERE d.candidato_id = v.id
-      ) dc ON TRUE
-      ${whereSQL}
-      ORDER BY v.fecha DESC, v.id DESC
-    `;
-
-    const { rows } = await pool.query(sql, params);
-    res.json(rows);
-  } catch (e) {
-    console.error("GET /api/candidatos", e);
-    res.status(500).json({ error: "Error consultando candidatos" });
-  }
-},
+      try {
+        const { where, params, next } = buildFilters(req.query, { employerId: req.employerId });
+        const orderSQL = buildOrder(req.query);
+        if (!orderSQL) return res.status(400).json({ error: "sort inválido", permitidos: Object.keys(SORTABLE) });
+
+        const paging = buildPaging(req.query);
+        if (paging?.error) return res.status(400).json({ error: paging.error });
 
+        const whereSQL = where.length ? `WHERE ${where.join(" AND ")}` : "";
+        let i = next;
+        const pageSQL = paging ? `LIMIT $${i++} OFFSET $${i++}` : "";
+        if (paging) params.push(paging.pageSize, (paging.page - 1) * paging.pageSize);
+
+        // Primero se filtra/ordena/pagina la vista; el conteo de documentos solo se
+        // calcula para las filas de la página.
+        const sql = `
+          WITH page AS (
+            SELECT v.*, COUNT(*) OVER() AS total_count
+              FROM vw_api_candidatos v
+              ${whereSQL}
+             ORDER BY ${orderSQL}
+             ${pageSQL}
+          )
+          SELECT
+            v.id,
+            v.tipo_documento,
+            v.dni                       AS dni_numero,
+            v.apellido_paterno,
+            v.apellido_materno,
+            v.nombres,
+            v.nombre_completo,
+            v.sede,
+            v.turno_horario,
+            v.grupo,
+            v.estado,
+            v.fecha,
+            v.dni_doc_url              AS dni_doc,   -- URL (truthy para tu puntito)
+            v.certificados_url         AS certificados,
+            v.antecedentes_url         AS antecedentes,
+            v.medicos_url              AS medicos,
+            v.capacitacion_url         AS capacitacion,
+            v.cv_url                   AS cv_doc,    -- URL (truthy para tu puntito)
+            COALESCE(dc.doc_count, 0)::int AS doc_count,     -- solo vigentes: un vencido cuenta como faltante
+            COALESCE(dc.docs_vencidos, 0)::int AS docs_vencidos,
+            ${faltantesSQL("v.id")}    AS faltantes,  -- según el checklist de su sede / proyecto
+            v.total_count::int         AS total_count
+          FROM page v
+          LEFT JOIN LATERAL (
+            SELECT COUNT(*) FILTER (WHERE ${VIGENTE_SQL}) AS doc_count,
+                   COUNT(*) FILTER (WHERE NOT ${VIGENTE_SQL}) AS docs_vencidos
+            FROM candidato_documentos d
+            WHERE d.candidato_id = v.id
+          ) dc ON TRUE
+          ORDER BY ${orderSQL}
+        `;
+
+        const { rows } = await pool.query(sql, params);
+        const total = rows[0]?.total_count ?? 0;
+        const data = signUrls(storage, rows.map(({ total_count, faltantes, ...r }) => ({ ...r, ...completitud(faltantes) })), DOC_URL_FIELDS);
+
+        if (!paging) return res.json(data);
+
+        // Si la página pedida está fuera de rango el total viene vacío; se recalcula
+        let totalCount = total;
+        if (!rows.length && paging.page > 1) {
+          const c = await pool.query(
+            `SELECT COUNT(*)::int AS n FROM vw_api_candidatos v ${whereSQL}`,
+            params.slice(0, next - 1)
+          );
+          totalCount = c.rows[0].n;
+        }
+        res.json({
+          data,
+          total: totalCount,
+          page: paging.page,
+          pageSize: paging.pageSize,
+          pages: Math.ceil(totalCount / paging.pageSize),
+        });
+      } catch (e) {
+        handleError(res, e, "GET /api/candidatos", "Error consultando candidatos");
+      }
+    },
+
+    // GET /candidatos/export?format=csv|xlsx&columns=dni,nombres,doc_cv + mismos filtros que list
+    exportList: async (req, res) => {
+      try {
+        const format = req.query.format || "csv";
+        if (req.query.sort && !buildOrder(req.query)) {
+          return res.status(400).json({ error: "sort inválido", permitidos: Object.keys(SORTABLE) });
+        }
+
+        const { columns, error } = parseColumns(req.query.columns);
+        if (error) return res.status(400).json({ error });
+
+        await exportCandidatos(pool, { query: req.query, format, columns, employerId: req.employerId, res });
+      } catch (e) {
+        if (!res.headersSent) return handleError(res, e, "GET /api/candidatos/export", "Error exportando candidatos");
+        console.error("GET /api/candidatos/export", e);
+        res.destroy(e);
+      }
+    },
+
+    // POST /candidatos/import?mode=dry-run|commit (multipart, campo "archivo" .csv/.xlsx)
+    importFile: async (req, res) => {
+      const mode = req.query.mode || "dry-run";
+      if (!req.file) return res.status(400).json({ error: "Falta el archivo (campo \"archivo\")" });
+
+      const client = await pool.connect();
+      try {
+        const rows = await importer.readRows(req.file);
+        if (!rows.length) return res.status(400).json({ error: "El archivo no tiene filas" });
+        if (rows.length > importer.MAX_ROWS) {
+          return res.status(400).json({ error: `Máximo ${importer.MAX_ROWS} filas por archivo` });
+        }
+
+        const report = await importer.buildReport(client, rows, { employerId: req.employerId });
+        if (mode === "commit") await importer.commitRows(client, report, { workflow, employerId: req.employerId, req });
+
+        res.json(importer.summarize(report, mode));
+      } catch (e) {
+        handleError(res, e, "POST /api/candidatos/import", "Error importando candidatos");
+      } finally {
+        client.release();
+      }
+    },
 
     getById: async (req, res) => {
       try {
@@ -69,6 +156,7 @@ module.exports = ({ pool, uploadToCloudinary }) => {
         const cab = await pool.query(
           `SELECT
              v.id,
+             v.tipo_documento,
              v.dni                 AS dni_numero,
              v.apellido_paterno,
              v.apellido_materno,
@@ -84,32 +172,47 @@ module.exports = ({ pool, uploadToCloudinary }) => {
              v.antecedentes_url    AS antecedentes,
              v.medicos_url         AS medicos,
              v.capacitacion_url    AS capacitacion,
-             v.cv_url              AS cv_doc
+             v.cv_url              AS cv_doc,
+             ${faltantesSQL("v.id")} AS faltantes
            FROM vw_api_candidatos v
-           WHERE v.id=$1`,
-          [id]
+           WHERE v.id=$1 AND v.employer_id=$2`,
+          [id, req.employerId]
         );
         if (cab.rowCount === 0) return res.status(404).json({ error: "No encontrado" });
     
         const docs = await pool.query(
-          `SELECT tipo, url, created_at
+          `SELECT ${DOC_COLUMNS}
              FROM candidato_documentos
             WHERE candidato_id=$1
             ORDER BY created_at DESC`,
           [id]
         );
     
-        res.json({ ...cab.rows[0], documentos: docs.rows });
+        const { faltantes, ...cand } = cab.rows[0];
+        const [firmado] = signUrls(storage, [cand], DOC_URL_FIELDS);
+        res.json({ ...firmado, ...completitud(faltantes), documentos: signUrls(storage, docs.rows) });
       } catch (e) {
-        console.error("GET /api/candidatos/:id", e);
-        res.status(500).json({ error: "Error consultando candidato" });
+        handleError(res, e, "GET /api/candidatos/:id", "Error consultando candidato");
       }
     },
 
     create: async (req, res) => {
       const client = await pool.connect();
+      const uploadedKeys = [];
       try {
+        // normaliza tipo_documento/dni en req.body antes de leerlos
+        const vigencias = parseFechas(req.body);
+        const errores = {
+          ...validateNuevoCandidato(req.body),
+          ...vigencias.errores,
+          ...(await archivedNames(pool, req.employerId, req.body)),
+        };
+        if (hasErrors(errores)) {
+          return res.status(400).json({ error: "Datos inválidos", campos: errores });
+        }
+
         const {
+          tipo_documento,
           dni,
           apellido_paterno,
           apellido_materno,
@@ -119,59 +222,90 @@ module.exports = ({ pool, uploadToCloudinary }) => {
           grupo = null,
         } = req.body;
 
-        if (!dni || !apellido_paterno || !apellido_materno || !nombres) {
-          return res.status(400).json({ error: "Faltan campos obligatorios" });
-        }
-
         await client.query("BEGIN");
 
         const ins = await client.query(
-          `INSERT INTO candidatos (dni, apellido_paterno, apellido_materno, nombres, sede, turno_horario, grupo)
-           VALUES ($1,$2,$3,$4,$5,$6,$7)
-           RETURNING id, dni`,
-          [dni, apellido_paterno, apellido_materno, nombres, sede, turno_horario, grupo]
+          `INSERT INTO candidatos (employer_id, tipo_documento, dni, apellido_paterno, apellido_materno, nombres, sede, turno_horario, grupo, estado)
+           VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10)
+           RETURNING id, ${AUDIT_COLUMNS}`,
+          [req.employerId, tipo_documento, dni, apellido_paterno, apellido_materno, nombres, sede, turno_horario, grupo, workflow.initial]
         );
-        const { id: candidatoId, dni: candDni } = ins.rows[0];
+        const { id: candidatoId, ...creado } = ins.rows[0];
+        await insertHistory(client, { candidatoId, from: null, to: workflow.initial, comentario: "Registro" });
+        await audit.record(client, req, { entity: "candidato", entityId: candidatoId, after: creado });
+        await webhooks.emit(client, { employerId: req.employerId, event: "candidato.creado", data: { id: candidatoId, ...creado } });
 
-        const tipos = ["dni", "certificados", "antecedentes", "medicos", "capacitacion", "cv"];
-        const inserts = [];
+        const saved = await saveDocuments(client, storage, { candidatoId, dni: creado.dni, files: req.files, fechas: vigencias.fechas, keys: uploadedKeys });
+        await documentsAdded(client, req, candidatoId, saved.documentos);
 
-        for (const tipo of tipos) {
-          const files = req.files?.[tipo] || [];
-          for (const f of files) {
-            const folder = `candidatos/${candDni}/${tipo}`;
-            const url = await uploadToCloudinary(f.buffer, folder, f.originalname);
-            inserts.push({ tipo, url });
-          }
-        }
-
-        if (inserts.length) {
-          const values = inserts.map((_, i) => `($1, $${i * 2 + 2}, $${i * 2 + 3})`).join(", ");
-          const params = [candidatoId, ...inserts.flatMap(x => [x.tipo, x.url])];
-          await client.query(
-            `INSERT INTO candidato_documentos (candidato_id, tipo, url) VALUES ${values}`,
-            params
-          );
-        }
+        // enlace al portal para que el candidato siga su estado y complete documentos
+        const portal = await issueToken(client, { candidatoId, userId: req.user?.id ?? null });
 
         await client.query("COMMIT");
-        res.json({ ok: true, id: candidatoId });
+        res.json({ ok: true, id: candidatoId, portal });
       } catch (e) {
         await client.query("ROLLBACK");
-        console.error("POST /api/candidatos", e);
-        if (e.code === "23505") return res.status(409).json({ error: "DNI ya registrado" });
-        res.status(500).json({ error: "Error creando candidato" });
+        // no dejar archivos huérfanos si la transacción falló
+        await Promise.allSettled(uploadedKeys.map(k => storage.delete(k)));
+        if (e.code === "23505") return res.status(409).json({ error: "DNI ya registrado", code: "DUPLICADO", campos: { dni: "Ya registrado" } });
+        handleError(res, e, "POST /api/candidatos", "Error creando candidato");
       } finally {
         client.release();
       }
     },
 
     update: async (req, res) => {
+      const client = await pool.connect();
+      const uploadedKeys = [];
       try {
         const id = Number(req.params.id);
         const { apellido_paterno, apellido_materno, nombres, sede, turno_horario, grupo, estado } = req.body;
 
-        const r = await pool.query(
+        // el estado solo cambia por el workflow (PUT /candidatos/:id/estado)
+        if (estado !== undefined && estado !== "") {
+          return res.status(400).json({ error: "El estado se cambia con PUT /api/candidatos/:id/estado" });
+        }
+        const vigencias = parseFechas(req.body);
+        if (hasErrors(vigencias.errores)) {
+          return res.status(400).json({ error: "Datos inválidos", campos: vigencias.errores });
+        }
+
+        await client.query("BEGIN");
+
+        const cur = await client.query(
+          `SELECT ${AUDIT_COLUMNS} FROM candidatos WHERE id=$1 AND employer_id=$2 FOR UPDATE`,
+          [id, req.employerId]
+        );
+        if (cur.rowCount === 0) {
+          await client.query("ROLLBACK");
+          return res.status(404).json({ error: "No encontrado" });
+        }
+
+        // una sede o turno nuevos no pueden ser de un catálogo archivado
+        const archivados = await archivedNames(client, req.employerId, {
+          sede: sede && sede !== cur.rows[0].sede ? sede : null,
+          turno_horario: turno_horario && turno_horario !== cur.rows[0].turno_horario ? turno_horario : null,
+        });
+        if (hasErrors(archivados)) {
+          await client.query("ROLLBACK");
+          return res.status(400).json({ error: "Datos inválidos", campos: archivados });
+        }
+
+        // corrección de documento de identidad: se valida la combinación final
+        let identidad = { tipo_documento: null, dni: null };
+        if (req.body.dni || req.body.tipo_documento) {
+          identidad = prepareIdentidad({
+            tipo_documento: req.body.tipo_documento || cur.rows[0].tipo_documento,
+            dni: req.body.dni || cur.rows[0].dni,
+          });
+          const errores = validateIdentidad(identidad);
+          if (hasErrors(errores)) {
+            await client.query("ROLLBACK");
+            return res.status(400).json({ error: "Datos inválidos", campos: errores });
+          }
+        }
+
+        const r = await client.query(
           `UPDATE candidatos
               SET apellido_paterno = COALESCE($1, apellido_paterno),
                   apellido_materno = COALESCE($2, apellido_materno),
@@ -179,35 +313,258 @@ module.exports = ({ pool, uploadToCloudinary }) => {
                   sede            = COALESCE($4, sede),
                   turno_horario   = COALESCE($5, turno_horario),
                   grupo           = COALESCE($6, grupo),
-                  estado          = COALESCE($7, estado)
-            WHERE id=$8`,
+                  tipo_documento  = COALESCE($7, tipo_documento),
+                  dni             = COALESCE($8, dni)
+            WHERE id=$9
+            RETURNING ${AUDIT_COLUMNS}`,
           [apellido_paterno || null, apellido_materno || null, nombres || null,
-           sede || null, turno_horario || null, grupo || null, estado || null, id]
+           sede || null, turno_horario || null, grupo || null,
+           identidad.tipo_documento, identidad.dni, id]
+        );
+
+        // archivos adjuntos en el mismo multipart se agregan a los existentes
+        const saved = await saveDocuments(client, storage, {
+          candidatoId: id, dni: r.rows[0].dni, files: req.files, fechas: vigencias.fechas, keys: uploadedKeys,
+        });
+        await audit.record(client, req, { entity: "candidato", entityId: id, before: cur.rows[0], after: r.rows[0] });
+        await documentsAdded(client, req, id, saved.documentos);
+
+        await client.query("COMMIT");
+        res.json({ ok: true, documentos: signUrls(storage, saved.documentos) });
+      } catch (e) {
+        await client.query("ROLLBACK");
+        await Promise.allSettled(uploadedKeys.map(k => storage.delete(k)));
+        if (e.code === "23505") return res.status(409).json({ error: "DNI ya registrado", code: "DUPLICADO", campos: { dni: "Ya registrado" } });
+        handleError(res, e, "PUT /api/candidatos/:id", "Error actualizando candidato");
+      } finally {
+        client.release();
+      }
+    },
+
+    // POST /candidatos/:id/documentos (multipart con los mismos campos que el alta)
+    addDocuments: async (req, res) => {
+      const client = await pool.connect();
+      const uploadedKeys = [];
+      try {
+        const id = Number(req.params.id);
+        const cand = await client.query(`SELECT id, dni FROM candidatos WHERE id=$1 AND employer_id=$2`, [id, req.employerId]);
+        if (cand.rowCount === 0) return res.status(404).json({ error: "No encontrado" });
+
+        const hasFiles = Object.values(req.files || {}).some(arr => arr.length);
+        if (!hasFiles) return res.status(400).json({ error: "No se recibieron archivos" });
+        const vigencias = parseFechas(req.body);
+        if (hasErrors(vigencias.errores)) {
+          return res.status(400).json({ error: "Datos inválidos", campos: vigencias.errores });
+        }
+
+        await client.query("BEGIN");
+        const saved = await saveDocuments(client, storage, {
+          candidatoId: id, dni: cand.rows[0].dni, files: req.files, fechas: vigencias.fechas, keys: uploadedKeys,
+        });
+        await documentsAdded(client, req, id, saved.documentos);
+        await client.query("COMMIT");
+
+        res.json({ ok: true, documentos: signUrls(storage, saved.documentos) });
+      } catch (e) {
+        await client.query("ROLLBACK");
+        await Promise.allSettled(uploadedKeys.map(k => storage.delete(k)));
+        handleError(res, e, "POST /api/candidatos/:id/documentos", "Error agregando documentos");
+      } finally {
+        client.release();
+      }
+    },
+
+    // PUT /candidatos/:id/documentos/:docId — el archivo nuevo va en el campo de su mismo tipo;
+    // fecha_emision / fecha_vencimiento corrigen las fechas (con o sin archivo nuevo)
+    replaceDocument: async (req, res) => {
+      const client = await pool.connect();
+      let newKey = null;
+      try {
+        const id = Number(req.params.id);
+        const docId = Number(req.params.docId);
+        const body = req.body || {};
+
+        await client.query("BEGIN");
+        const cur = await client.query(
+          `SELECT ${DOC_COLUMNS}, c.dni
+             FROM candidato_documentos
+             JOIN candidatos c ON c.id = candidato_documentos.candidato_id
+            WHERE candidato_documentos.id=$1 AND candidato_documentos.candidato_id=$2 AND c.employer_id=$3
+            FOR UPDATE OF candidato_documentos`,
+          [docId, id, req.employerId]
         );
-        if (r.rowCount === 0) return res.status(404).json({ error: "No encontrado" });
+        if (cur.rowCount === 0) {
+          await client.query("ROLLBACK");
+          return res.status(404).json({ error: "Documento no encontrado" });
+        }
+        const doc = cur.rows[0];
 
+        const file = req.files?.[doc.tipo]?.[0];
+        const conFechas = body.fecha_emision !== undefined || body.fecha_vencimiento !== undefined;
+        if (!file && !conFechas) {
+          await client.query("ROLLBACK");
+          return res.status(400).json({ error: `Falta el archivo en el campo "${doc.tipo}" (o fecha_emision / fecha_vencimiento)` });
+        }
+        // sin fecha_vencimiento se recalcula desde la emisión (la guardada, salvo que cambie el archivo)
+        const { errores, fechas } = parseFechasDoc(doc.tipo, {
+          fecha_emision: body.fecha_emision !== undefined ? body.fecha_emision : (file ? null : doc.fecha_emision),
+          fecha_vencimiento: body.fecha_vencimiento,
+        });
+        if (hasErrors(errores)) {
+          await client.query("ROLLBACK");
+          return res.status(400).json({ error: "Datos inválidos", campos: errores });
+        }
+
+        let url = doc.url;
+        if (file) {
+          const put = await putSingle(storage, { dni: doc.dni, tipo: doc.tipo, file });
+          newKey = put.key;
+          url = put.url;
+        }
+
+        // con archivo nuevo created_at se renueva para que la vista tome este como el más reciente del tipo
+        const up = await client.query(
+          `UPDATE candidato_documentos
+              SET url=$1, fecha_emision=$2::date, fecha_vencimiento=$3::date,
+                  created_at = CASE WHEN $5 THEN NOW() ELSE created_at END
+            WHERE id=$4
+            RETURNING ${DOC_COLUMNS}`,
+          [url, fechas.fecha_emision, fechas.fecha_vencimiento, docId, Boolean(file)]
+        );
+        const { dni, ...before } = doc;
+        await audit.record(client, req, { entity: "candidato_documento", entityId: docId, before, after: up.rows[0] });
+        await client.query("COMMIT");
+
+        if (file) await removeStoredFile(storage, doc.url, pool);
+        res.json({ ok: true, documento: signUrls(storage, up.rows)[0] });
+      } catch (e) {
+        await client.query("ROLLBACK");
+        if (newKey) await Promise.allSettled([storage.delete(newKey)]);
+        handleError(res, e, "PUT /api/candidatos/:id/documentos/:docId", "Error reemplazando documento");
+      } finally {
+        client.release();
+      }
+    },
+
+    deleteDocument: async (req, res) => {
+      const client = await pool.connect();
+      try {
+        const id = Number(req.params.id);
+        const docId = Number(req.params.docId);
+        await client.query("BEGIN");
+        const r = await client.query(
+          `DELETE FROM candidato_documentos
+            USING candidatos c
+            WHERE candidato_documentos.id=$1 AND candidato_documentos.candidato_id=$2
+              AND c.id = candidato_documentos.candidato_id AND c.employer_id=$3
+            RETURNING ${DOC_COLUMNS}`,
+          [docId, id, req.employerId]
+        );
+        if (r.rowCount === 0) {
+          await client.query("ROLLBACK");
+          return res.status(404).json({ error: "Documento no encontrado" });
+        }
+        await audit.record(client, req, { entity: "candidato_documento", entityId: docId, before: r.rows[0] });
+        await client.query("COMMIT");
+
+        await removeStoredFile(storage, r.rows[0].url, pool);
         res.json({ ok: true });
       } catch (e) {
-        console.error("PUT /api/candidatos/:id", e);
-        res.status(500).json({ error: "Error actualizando candidato" });
+        await client.query("ROLLBACK");
+        handleError(res, e, "DELETE /api/candidatos/:id/documentos/:docId", "Error eliminando documento");
+      } finally {
+        client.release();
       }
     },
 
+    // Cambio de estado según el workflow configurado; deja registro en el historial
     updateEstado: async (req, res) => {
+      const client = await pool.connect();
       try {
         const id = Number(req.params.id);
-        const { estado } = req.body;
-        if (!["En Revision", "Cancelado", "Aprobado"].includes(estado)) {
-          return res.status(400).json({ error: "Estado inválido" });
+        const { estado, comentario = null } = req.body || {};
+
+        await client.query("BEGIN");
+        const cur = await client.query(
+          `SELECT estado FROM candidatos WHERE id=$1 AND employer_id=$2 FOR UPDATE`,
+          [id, req.employerId]
+        );
+        if (cur.rowCount === 0) {
+          await client.query("ROLLBACK");
+          return res.status(404).json({ error: "No encontrado" });
         }
-        const r = await pool.query(`UPDATE candidatos SET estado=$1 WHERE id=$2`, [estado, id]);
-        if (r.rowCount === 0) return res.status(404).json({ error: "No encontrado" });
-        res.json({ ok: true });
+
+        const t = workflow.check(cur.rows[0].estado, estado);
+        if (!t.ok) {
+          await client.query("ROLLBACK");
+          return res.status(t.status).json({ error: t.error, permitidos: t.allowed });
+        }
+
+        // no se aprueba (estado contratable) con documentos requeridos faltantes o vencidos
+        if (workflow.canHire(t.to)) {
+          const c = await loadCompletitud(client, id);
+          if (c.completitud === "incompleto") {
+            await client.query("ROLLBACK");
+            return res.status(409).json({ error: "Faltan documentos requeridos", faltantes: c.faltantes });
+          }
+        }
+
+        await client.query(`UPDATE candidatos SET estado=$1 WHERE id=$2`, [t.to, id]);
+        // proceso cerrado: el enlace del portal deja de servir
+        if (workflow.isClosed(t.to)) await revokeTokens(client, id);
+        await insertHistory(client, {
+          candidatoId: id,
+          from: cur.rows[0].estado,
+          to: t.to,
+          comentario,
+          user: req.user,
+        });
+        await audit.record(client, req, {
+          entity: "candidato", entityId: id, before: { estado: cur.rows[0].estado }, after: { estado: t.to },
+        });
+        await webhooks.emit(client, {
+          employerId: req.employerId,
+          event: "candidato.estado_cambiado",
+          data: { id, estado_anterior: cur.rows[0].estado, estado: t.to, comentario },
+        });
+
+        await client.query("COMMIT");
+        res.json({ ok: true, estado: t.to });
+      } catch (e) {
+        await client.query("ROLLBACK");
+        handleError(res, e, "PUT /api/candidatos/:id/estado", "Error cambiando estado");
+      } finally {
+        client.release();
+      }
+    },
+
+    estadoHistory: async (req, res) => {
+      try {
+        const id = Number(req.params.id);
+        const cand = await pool.query(`SELECT 1 FROM candidatos WHERE id=$1 AND employer_id=$2`, [id, req.employerId]);
+        if (cand.rowCount === 0) return res.status(404).json({ error: "No encontrado" });
+
+        const { rows } = await pool.query(
+          `SELECT id, estado_anterior, estado_nuevo, comentario, actor_id, actor_email, created_at
+             FROM candidato_estado_historial
+            WHERE candidato_id=$1
+            ORDER BY created_at DESC, id DESC`,
+          [id]
+        );
+        res.json(rows);
       } catch (e) {
-        console.error("PUT /api/candidatos/:id/estado", e);
-        res.status(500).json({ error: "Error cambiando estado" });
+        handleError(res, e, "GET /api/candidatos/:id/estado/history", "Error consultando historial de estado");
       }
     },
+
+    // Definición del workflow para que el front arme los botones de transición
+    workflowDefinition: (_req, res) => {
+      res.json({
+        initial: workflow.initial,
+        states: workflow.states,
+        transitions: workflow.transitions,
+      });
+    },
   };
 };
 
@@ -0,0 +1,202 @@
+// Helpers compartidos para los documentos de candidatos (candidato_documentos)
+
+const path = require("path");
+const { isIsoDate, addMonths, today } = require("../common/dates");
+const audit = require("../audit/audit.service");
+const webhooks = require("../webhooks/webhooks.service");
+
+// Mismos nombres que los campos multipart de `campos` en app.js
+const TIPOS = ["dni", "certificados", "antecedentes", "medicos", "capacitacion", "cv"];
+
+// Máximo de archivos por campo en una misma petición
+const MAX_ARCHIVOS = Object.freeze({ dni: 2, certificados: 10, antecedentes: 5, medicos: 5, capacitacion: 10, cv: 5 });
+
+// Formatos de archivo aceptados en los documentos: extensión -> tipo MIME.
+// Ambos deben coincidir (un .html o un PDF enviado como text/html se rechaza).
+const FORMATOS = Object.freeze({
+  ".pdf": "application/pdf",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".webp": "image/webp",
+  ".doc": "application/msword",
+  ".docx": "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+});
+
+function formatoPermitido({ originalname, mimetype }) {
+  const ext = path.extname(String(originalname || "")).toLowerCase();
+  return Object.hasOwn(FORMATOS, ext) && FORMATOS[ext] === String(mimetype || "").toLowerCase();
+}
+
+// Campos de fecha por tipo del multipart (ver parseFechas)
+const FECHA_FIELDS = TIPOS.flatMap(tipo => [`${tipo}_emision`, `${tipo}_vencimiento`]);
+
+// Vigencia por defecto (meses desde la emisión) de los tipos que vencen.
+// DOCUMENTOS_VIGENCIA_MESES='{"medicos":6}' reemplaza valores de esta tabla.
+const VIGENCIA_MESES = Object.freeze({
+  medicos: 12,
+  antecedentes: 3,
+  capacitacion: 12,
+  ...vigenciaEnv(process.env.DOCUMENTOS_VIGENCIA_MESES),
+});
+
+// Solo tipos conocidos con meses enteros positivos; lo demás se ignora con un aviso (no tumba el arranque)
+function vigenciaEnv(raw) {
+  if (!raw) return {};
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (_e) {
+    console.warn("DOCUMENTOS_VIGENCIA_MESES no es JSON válido; se ignora");
+    return {};
+  }
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+    console.warn("DOCUMENTOS_VIGENCIA_MESES debe ser un objeto { tipo: meses }; se ignora");
+    return {};
+  }
+  const out = {};
+  const invalidas = [];
+  for (const [tipo, meses] of Object.entries(parsed)) {
+    if (TIPOS.includes(tipo) && Number.isInteger(meses) && meses > 0) out[tipo] = meses;
+    else invalidas.push(tipo);
+  }
+  if (invalidas.length) console.warn(`DOCUMENTOS_VIGENCIA_MESES: se ignoran ${invalidas.join(", ")} (tipo desconocido o meses no enteros positivos)`);
+  return out;
+}
+
+// Columnas públicas de un documento (calificadas con el nombre de la tabla, sin alias)
+const DOC_COLUMNS = `candidato_documentos.id, tipo, url,
+  to_char(fecha_emision, 'YYYY-MM-DD') AS fecha_emision,
+  to_char(fecha_vencimiento, 'YYYY-MM-DD') AS fecha_vencimiento,
+  (fecha_vencimiento IS NOT NULL AND fecha_vencimiento < CURRENT_DATE) AS vencido,
+  candidato_documentos.created_at`;
+
+// Condición SQL de documento vigente (tabla con alias `d`); uno vencido cuenta como faltante
+const VIGENTE_SQL = "(d.fecha_vencimiento IS NULL OR d.fecha_vencimiento >= CURRENT_DATE)";
+
+// Vencimiento por defecto: emisión (o la fecha de carga si no se indicó) + vigencia del tipo
+function defaultVencimiento(tipo, emision) {
+  const meses = VIGENCIA_MESES[tipo];
+  return meses ? addMonths(emision || today(), meses) : null;
+}
+
+// Fechas de un documento: { fecha_emision, fecha_vencimiento } ("" = sin dato)
+function parseFechasDoc(tipo, { fecha_emision, fecha_vencimiento } = {}) {
+  const errores = {};
+  const emision = String(fecha_emision ?? "").trim() || null;
+  const vencimiento = String(fecha_vencimiento ?? "").trim() || null;
+  if (emision && !isIsoDate(emision)) errores.fecha_emision = "Fecha inválida (YYYY-MM-DD)";
+  if (vencimiento && !isIsoDate(vencimiento)) errores.fecha_vencimiento = "Fecha inválida (YYYY-MM-DD)";
+  if (!Object.keys(errores).length && emision && vencimiento && vencimiento < emision) {
+    errores.fecha_vencimiento = "Anterior a la fecha de emisión";
+  }
+  return {
+    errores,
+    fechas: { fecha_emision: emision, fecha_vencimiento: vencimiento ?? defaultVencimiento(tipo, emision) },
+  };
+}
+
+// Fechas por tipo en el multipart del alta: <tipo>_emision y <tipo>_vencimiento (p. ej. medicos_vencimiento)
+function parseFechas(body = {}) {
+  const errores = {};
+  const fechas = {};
+  for (const tipo of TIPOS) {
+    const r = parseFechasDoc(tipo, { fecha_emision: body[`${tipo}_emision`], fecha_vencimiento: body[`${tipo}_vencimiento`] });
+    if (r.errores.fecha_emision) errores[`${tipo}_emision`] = r.errores.fecha_emision;
+    if (r.errores.fecha_vencimiento) errores[`${tipo}_vencimiento`] = r.errores.fecha_vencimiento;
+    fechas[tipo] = r.fechas;
+  }
+  return { errores, fechas };
+}
+
+// Sube los archivos de req.files (por tipo) y los inserta en candidato_documentos.
+// `fechas` viene de parseFechas (sin ella, vencimiento por defecto desde hoy).
+// Cada key subida se agrega a `keys` (el arreglo del llamador) apenas se guarda, para que pueda
+// limpiarlas aunque falle un archivo posterior o el INSERT. Devuelve { keys, documentos }.
+async function saveDocuments(client, storage, { candidatoId, dni, files, fechas = {}, tipos = TIPOS, keys = [] }) {
+  const inserts = [];
+
+  for (const tipo of tipos) {
+    for (const f of files?.[tipo] || []) {
+      const folder = `candidatos/${dni}/${tipo}`;
+      const { key, url } = await storage.put(f.buffer, { folder, filename: f.originalname, contentType: f.mimetype });
+      keys.push(key);
+      const vigencia = fechas[tipo] || { fecha_emision: null, fecha_vencimiento: defaultVencimiento(tipo, null) };
+      inserts.push({ tipo, url, ...vigencia });
+    }
+  }
+
+  if (!inserts.length) return { keys, documentos: [] };
+
+  const values = inserts.map((_, i) => `($1, $${i * 4 + 2}, $${i * 4 + 3}, $${i * 4 + 4}::date, $${i * 4 + 5}::date)`).join(", ");
+  const params = [candidatoId, ...inserts.flatMap(x => [x.tipo, x.url, x.fecha_emision, x.fecha_vencimiento])];
+  const r = await client.query(
+    `INSERT INTO candidato_documentos (candidato_id, tipo, url, fecha_emision, fecha_vencimiento) VALUES ${values}
+     RETURNING ${DOC_COLUMNS}`,
+    params
+  );
+  return { keys, documentos: r.rows };
+}
+
+// Después de saveDocuments, dentro de la misma transacción: un registro de auditoría por
+// documento y un evento candidato.documentos_agregados
+async function documentsAdded(db, req, candidatoId, documentos) {
+  for (const d of documentos) {
+    await audit.record(db, req, { entity: "candidato_documento", entityId: d.id, after: d });
+  }
+  if (!documentos.length) return;
+  await webhooks.emit(db, {
+    employerId: req.employerId,
+    event: "candidato.documentos_agregados",
+    data: { candidato_id: candidatoId, documentos },
+  });
+}
+
+// Borra el archivo físico a partir de la url guardada (best-effort, no lanza).
+// Con `db` se conserva si otra fila lo sigue usando (p. ej. el legajo del empleado).
+async function removeStoredFile(storage, url, db = null) {
+  const key = storage.keyFromUrl(url);
+  if (!key) return;
+  try {
+    if (db) {
+      const used = await db.query(
+        `SELECT 1 FROM candidato_documentos WHERE url = $1
+         UNION ALL
+         SELECT 1 FROM empleado_documentos WHERE url = $1
+         LIMIT 1`,
+        [url]
+      );
+      if (used.rowCount) return;
+    }
+    await storage.delete(key);
+  } catch (e) {
+    console.error("No se pudo borrar el archivo", url, e);
+  }
+}
+
+// Sube un único archivo para reemplazar un documento existente
+async function putSingle(storage, { dni, tipo, file }) {
+  return storage.put(file.buffer, {
+    folder: `candidatos/${dni}/${tipo}`,
+    filename: file.originalname,
+    contentType: file.mimetype,
+  });
+}
+
+module.exports = {
+  TIPOS,
+  MAX_ARCHIVOS,
+  FORMATOS,
+  formatoPermitido,
+  FECHA_FIELDS,
+  VIGENCIA_MESES,
+  VIGENTE_SQL,
+  DOC_COLUMNS,
+  defaultVencimiento,
+  parseFechasDoc,
+  parseFechas,
+  saveDocuments,
+  documentsAdded,
+  removeStoredFile,
+  putSingle,
+};
@@ -0,0 +1,125 @@
+// Exportación del listado de candidatos a CSV / XLSX (en streaming)
+
+const QueryStream = require("pg-query-stream");
+const ExcelJS = require("exceljs");
+const { TIPOS, VIGENTE_SQL } = require("./candidatos.documentos");
+const { today } = require("../common/dates");
+const { DOC_COUNT_SQL, buildFilters, buildOrder } = require("./candidatos.query");
+
+// columna pública -> { header, sql }
+const COLUMNS = {
+  id:               { header: "ID",               sql: "v.id" },
+  tipo_documento:   { header: "Tipo doc.",        sql: "v.tipo_documento" },
+  dni:              { header: "N° documento",     sql: "v.dni" },
+  apellido_paterno: { header: "Apellido paterno", sql: "v.apellido_paterno" },
+  apellido_materno: { header: "Apellido materno", sql: "v.apellido_materno" },
+  nombres:          { header: "Nombres",          sql: "v.nombres" },
+  nombre_completo:  { header: "Nombre completo",  sql: "v.nombre_completo" },
+  sede:             { header: "Sede",             sql: "v.sede" },
+  turno_horario:    { header: "Turno",            sql: "v.turno_horario" },
+  grupo:            { header: "Grupo",            sql: "v.grupo" },
+  estado:           { header: "Estado",           sql: "v.estado" },
+  fecha:            { header: "Fecha",            sql: "to_char(v.fecha, 'YYYY-MM-DD')" },
+  doc_count:        { header: "N° documentos",    sql: `${DOC_COUNT_SQL}::int` },
+};
+// una columna Sí/No por cada tipo de documento (vigente): doc_dni, doc_cv, ...
+for (const tipo of TIPOS) {
+  COLUMNS[`doc_${tipo}`] = {
+    header: `Doc. ${tipo}`,
+    sql: `EXISTS (SELECT 1 FROM candidato_documentos d WHERE d.candidato_id = v.id AND d.tipo = '${tipo}' AND ${VIGENTE_SQL})`,
+    yesNo: true,
+  };
+}
+
+const DEFAULT_COLUMNS = [
+  "tipo_documento", "dni", "apellido_paterno", "apellido_materno", "nombres", "sede", "turno_horario",
+  "grupo", "estado", "fecha", ...TIPOS.map(t => `doc_${t}`),
+];
+
+// columns=dni,nombres,doc_cv -> lista validada (o { error })
+function parseColumns(raw) {
+  if (!raw) return { columns: DEFAULT_COLUMNS };
+  const columns = String(raw).split(",").map(c => c.trim()).filter(Boolean);
+  const invalid = columns.filter(c => !COLUMNS[c]);
+  if (invalid.length) return { error: `Columnas inválidas: ${invalid.join(", ")}` };
+  if (!columns.length) return { error: "columns vacío" };
+  return { columns };
+}
+
+function buildExportQuery(query, columns, employerId) {
+  const { where, params } = buildFilters(query, { employerId });
+  const orderSQL = buildOrder(query) || "v.fecha DESC, v.id DESC";
+  const select = columns.map(c => `${COLUMNS[c].sql} AS "${c}"`).join(",\n       ");
+  const whereSQL = where.length ? `WHERE ${where.join(" AND ")}` : "";
+  return {
+    sql: `SELECT ${select}
+            FROM vw_api_candidatos v
+            ${whereSQL}
+           ORDER BY ${orderSQL}`,
+    params,
+  };
+}
+
+const cellValue = (col, v) => (COLUMNS[col].yesNo ? (v ? "Sí" : "No") : v ?? "");
+
+// Texto que Excel / LibreOffice tomarían como fórmula (=, +, -, @, tab, retorno) va con ' delante
+const FORMULA = /^[=+\-@\t\r]/;
+
+function csvEscape(v) {
+  let s = String(v);
+  if (typeof v === "string" && FORMULA.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// Escribe respetando el backpressure de la respuesta
+function write(res, chunk) {
+  if (res.destroyed) return Promise.resolve();
+  return res.write(chunk)
+    ? Promise.resolve()
+    : new Promise(r => { res.once("drain", r); res.once("close", r); });
+}
+
+async function streamCsv(rows, res, columns) {
+  res.setHeader("Content-Type", "text/csv; charset=utf-8");
+  // BOM para que Excel reconozca las tildes
+  await write(res, "\uFEFF" + columns.map(c => csvEscape(COLUMNS[c].header)).join(",") + "\r\n");
+  for await (const row of rows) {
+    await write(res, columns.map(c => csvEscape(cellValue(c, row[c]))).join(",") + "\r\n");
+  }
+  res.end();
+}
+
+async function streamXlsx(rows, res, columns) {
+  res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+  const sheet = workbook.addWorksheet("Candidatos");
+  sheet.columns = columns.map(c => ({ header: COLUMNS[c].header, key: c, width: 18 }));
+  sheet.getRow(1).font = { bold: true };
+  sheet.getRow(1).commit();
+  for await (const row of rows) {
+    const values = {};
+    for (const c of columns) values[c] = cellValue(c, row[c]);
+    sheet.addRow(values).commit();
+  }
+  sheet.commit();
+  await workbook.commit();
+}
+
+const FORMATS = { csv: streamCsv, xlsx: streamXlsx };
+
+// Corre la consulta con cursor (no carga todas las filas en memoria) y la escribe en res
+async function exportCandidatos(pool, { query, format, columns, employerId, res }) {
+  const { sql, params } = buildExportQuery(query, columns, employerId);
+  const client = await pool.connect();
+  try {
+    const rows = client.query(new QueryStream(sql, params, { batchSize: 500 }));
+    // si el cliente corta la descarga, cerrar el cursor
+    res.once("close", () => rows.destroy());
+    res.setHeader("Content-Disposition", `attachment; filename="candidatos-${today()}.${format}"`);
+    await FORMATS[format](rows, res, columns);
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = { COLUMNS, DEFAULT_COLUMNS, FORMATS, parseColumns, csvEscape, exportCandidatos };
@@ -0,0 +1,105 @@
+// Importación masiva de candidatos desde CSV / XLSX
+// modo "dry-run": solo reporte fila por fila; modo "commit": inserta las filas válidas en una transacción
+
+const { normalizeBody } = require("../common/normalize");
+const { readRows } = require("../common/sheets");
+const { validateNuevoCandidato, hasErrors } = require("./candidatos.validation");
+const { insertHistory } = require("./candidatos.workflow");
+const audit = require("../audit/audit.service");
+const { archivedNames } = require("../common/archive");
+const webhooks = require("../webhooks/webhooks.service");
+
+const MAX_ROWS = 5000;
+const FIELDS = ["tipo_documento", "dni", "apellido_paterno", "apellido_materno", "nombres", "sede", "turno_horario", "grupo"];
+
+// Valida todas las filas; marca duplicados dentro del archivo y contra la empresa (caso 23505)
+async function buildReport(db, rows, { employerId }) {
+  const seen = new Map();
+  const report = rows.map(({ fila, data }) => {
+    const row = {};
+    for (const k of FIELDS) row[k] = data[k] ?? "";
+    normalizeBody(row);
+    for (const k of FIELDS) if (row[k] === "") row[k] = null;
+
+    const errores = validateNuevoCandidato(row);
+    if (row.dni) {
+      if (seen.has(row.dni)) errores.dni = `DNI repetido en el archivo (fila ${seen.get(row.dni)})`;
+      else seen.set(row.dni, fila);
+    }
+    return { fila, dni: row.dni, datos: row, errores };
+  });
+
+  const dnis = report.filter(r => r.dni && !r.errores.dni).map(r => r.dni);
+  if (dnis.length) {
+    const { rows: existing } = await db.query(
+      `SELECT dni FROM candidatos WHERE dni = ANY($1::text[]) AND employer_id = $2`,
+      [dnis, employerId]
+    );
+    const taken = new Set(existing.map(r => r.dni));
+    for (const r of report) {
+      if (taken.has(r.dni) && !r.errores.dni) r.errores.dni = "DNI ya registrado";
+    }
+  }
+
+  // sede / turno que nombran un catálogo archivado (una consulta por combinación distinta)
+  const archivados = new Map();
+  for (const r of report) {
+    const { sede, turno_horario } = r.datos;
+    if (!sede && !turno_horario) continue;
+    const k = JSON.stringify([sede, turno_horario]);
+    if (!archivados.has(k)) archivados.set(k, await archivedNames(db, employerId, { sede, turno_horario }));
+    Object.assign(r.errores, archivados.get(k));
+  }
+
+  return report.map(r => ({ ...r, ok: !hasErrors(r.errores) }));
+}
+
+// Inserta las filas válidas; cada fila con SAVEPOINT para reportar un 23505 de carrera sin abortar el resto
+async function commitRows(client, report, { workflow, employerId, req }) {
+  await client.query("BEGIN");
+  try {
+    for (const r of report) {
+      if (!r.ok) continue;
+      const d = r.datos;
+      await client.query("SAVEPOINT fila");
+      try {
+        const ins = await client.query(
+          `INSERT INTO candidatos (employer_id, tipo_documento, dni, apellido_paterno, apellido_materno, nombres, sede, turno_horario, grupo, estado)
+           VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10)
+           RETURNING id`,
+          [employerId, d.tipo_documento, d.dni, d.apellido_paterno, d.apellido_materno, d.nombres, d.sede, d.turno_horario, d.grupo, workflow.initial]
+        );
+        r.id = ins.rows[0].id;
+        await insertHistory(client, { candidatoId: r.id, from: null, to: workflow.initial, comentario: "Importación masiva" });
+        const creado = { ...d, estado: workflow.initial };
+        await audit.record(client, req, { entity: "candidato", entityId: r.id, after: creado, employerId });
+        await webhooks.emit(client, { employerId, event: "candidato.creado", data: { id: r.id, ...creado } });
+        await client.query("RELEASE SAVEPOINT fila");
+      } catch (e) {
+        await client.query("ROLLBACK TO SAVEPOINT fila");
+        if (e.code !== "23505") throw e;
+        r.ok = false;
+        r.errores.dni = "DNI ya registrado";
+      }
+    }
+    await client.query("COMMIT");
+  } catch (e) {
+    await client.query("ROLLBACK");
+    throw e;
+  }
+  return report;
+}
+
+function summarize(report, mode) {
+  const validos = report.filter(r => r.ok).length;
+  return {
+    modo: mode,
+    total: report.length,
+    validos,
+    con_errores: report.length - validos,
+    ...(mode === "commit" ? { insertados: report.filter(r => r.id).length } : {}),
+    filas: report.map(({ fila, dni, ok, errores, id }) => ({ fila, dni, ok, errores, ...(id ? { id } : {}) })),
+  };
+}
+
+module.exports = { MAX_ROWS, FIELDS, readRows, buildReport, commitRows, summarize };
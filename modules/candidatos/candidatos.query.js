@@ -0,0 +1,125 @@
+// Filtros, orden y paginación del listado de candidatos.
+// Lo usan GET /candidatos y la exportación, para que acepten los mismos parámetros.
+// Los valores de req.query ya llegan en minúsculas y sin tildes (middleware de app.js).
+
+const { TIPOS, VIGENTE_SQL } = require("./candidatos.documentos");
+const { plain, escapeLike } = require("../common/search");
+const { COMPLETITUD, completitudWhere } = require("./candidatos.checklist");
+
+// Documentos vigentes (los vencidos cuentan como faltantes)
+const DOC_COUNT_SQL = `(SELECT COUNT(*) FROM candidato_documentos d WHERE d.candidato_id = v.id AND ${VIGENTE_SQL})`;
+
+// columna pública -> expresión SQL (whitelist)
+const SORTABLE = {
+  id: "v.id",
+  fecha: "v.fecha",
+  dni: "v.dni",
+  apellido_paterno: "v.apellido_paterno",
+  apellido_materno: "v.apellido_materno",
+  nombres: "v.nombres",
+  nombre_completo: "v.nombre_completo",
+  sede: "v.sede",
+  turno_horario: "v.turno_horario",
+  grupo: "v.grupo",
+  estado: "v.estado",
+  doc_count: DOC_COUNT_SQL,
+};
+
+const MAX_PAGE_SIZE = 200;
+
+// Devuelve { where: [...], params: [...], next } — `next` es el siguiente índice de parámetro.
+// employerId limita a los candidatos de esa empresa.
+function buildFilters(query = {}, { startAt = 1, employerId = null } = {}) {
+  const {
+    ano = "TODOS",
+    mes = "TODOS",
+    estado = null,
+    grupoInicio = null,
+    grupoFin = null,
+    q = null,
+    sede = null,
+    turno_horario = null,
+    documentos = null,
+    checklist = null,
+  } = query;
+
+  const where = [];
+  const params = [];
+  let i = startAt;
+
+  if (employerId !== null) { where.push(`v.employer_id = $${i++}`); params.push(employerId); }
+  if (String(ano).toUpperCase() !== "TODOS") { where.push(`EXTRACT(YEAR  FROM v.fecha) = $${i++}`); params.push(Number(ano)); }
+  if (String(mes).toUpperCase() !== "TODOS") { where.push(`EXTRACT(MONTH FROM v.fecha) = $${i++}`); params.push(Number(mes)); }
+  if (estado)         { where.push(`LOWER(v.estado) = LOWER($${i++})`);       params.push(estado); }
+  if (grupoInicio && grupoFin) {
+    where.push(`(v.grupo ~ '^[0-9]+$' AND CAST(v.grupo AS INT) BETWEEN $${i++} AND $${i++})`);
+    params.push(Number(grupoInicio), Number(grupoFin));
+  }
+
+  // Búsqueda libre: cada palabra debe aparecer en DNI, apellidos, nombres o nombre completo
+  if (q) {
+    const haystack = plain(
+      `concat_ws(' ', v.dni, v.apellido_paterno, v.apellido_materno, v.nombres, v.nombre_completo)`
+    );
+    for (const word of String(q).split(/\s+/).filter(Boolean)) {
+      where.push(`${haystack} LIKE $${i++}`);
+      params.push(`%${escapeLike(word)}%`);
+    }
+  }
+
+  if (sede)          { where.push(`${plain("v.sede")} = $${i++}`);          params.push(sede); }
+  if (turno_horario) { where.push(`${plain("v.turno_horario")} = $${i++}`); params.push(turno_horario); }
+
+  // documentos=completo|incompleto|ninguno (completo = al menos uno vigente de cada tipo)
+  if (documentos === "ninguno") {
+    where.push(`NOT EXISTS (SELECT 1 FROM candidato_documentos d WHERE d.candidato_id = v.id AND ${VIGENTE_SQL})`);
+  } else if (documentos === "completo" || documentos === "incompleto") {
+    const missing = `EXISTS (
+        SELECT 1 FROM unnest($${i++}::text[]) t(tipo)
+         WHERE NOT EXISTS (
+           SELECT 1 FROM candidato_documentos d WHERE d.candidato_id = v.id AND d.tipo = t.tipo AND ${VIGENTE_SQL}
+         )
+      )`;
+    where.push(documentos === "completo" ? `NOT ${missing}` : missing);
+    params.push(TIPOS);
+  }
+
+  // checklist=completo|incompleto|sin_checklist (documentos requeridos por su sede / proyecto)
+  if (COMPLETITUD.includes(checklist)) where.push(completitudWhere("v.id", checklist));
+
+  return { where, params, next: i };
+}
+
+// sort=<columna> (o "-columna" para descendente), dir=asc|desc
+function buildOrder(query = {}) {
+  let { sort = null, dir = null } = query;
+  if (!sort) return "v.fecha DESC, v.id DESC";
+
+  sort = String(sort);
+  let desc = false;
+  if (sort.startsWith("-")) { desc = true; sort = sort.slice(1); }
+  if (dir) desc = String(dir) === "desc";
+
+  const col = SORTABLE[sort];
+  if (!col) return null;
+  return `${col} ${desc ? "DESC" : "ASC"} NULLS LAST, v.id ${desc ? "DESC" : "ASC"}`;
+}
+
+// Paginación opcional: sin page/pageSize se devuelve la lista completa (compatibilidad)
+function buildPaging(query = {}) {
+  const { page = null, pageSize = null } = query;
+  if (page === null && pageSize === null) return null;
+
+  const p = Number(page ?? 1);
+  const size = Number(pageSize ?? 50);
+  if (!Number.isInteger(p) || p < 1 || !Number.isInteger(size) || size < 1) return { error: "page/pageSize inválidos" };
+  return { page: p, pageSize: Math.min(size, MAX_PAGE_SIZE) };
+}
+
+module.exports = {
+  SORTABLE,
+  DOC_COUNT_SQL,
+  buildFilters,
+  buildOrder,
+  buildPaging,
+};
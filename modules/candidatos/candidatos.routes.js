@@ -1,16 +1,76 @@
 const express = require('express');
 const controllerFactory = require('./candidatos.controller');
+const { FECHA_FIELDS } = require('./candidatos.documentos');
+const { COMPLETITUD } = require('./candidatos.checklist');
+const { FORMATS } = require('./candidatos.export');
+const { v, validate, byId, paging } = require('../common/validate');
 
-module.exports = function candidatosRoutes({ pool, uploadToCloudinary, campos }) {
+const MODES = ['dry-run', 'commit'];
+
+// filtros de GET /candidatos (los usa también el export); llegan en minúsculas
+const listQuery = {
+  ano: v.string({ pattern: /^(\d{4}|todos)$/, message: 'Debe ser un año o TODOS' }),
+  mes: v.string({ pattern: /^(0?[1-9]|1[0-2]|todos)$/, message: 'Debe ser un mes (1-12) o TODOS' }),
+  estado: v.string({ max: 50 }),
+  grupoInicio: v.int({ min: 0 }),
+  grupoFin: v.int({ min: 0 }),
+  q: v.string({ max: 200 }),
+  sede: v.string({ max: 200 }),
+  turno_horario: v.string({ max: 200 }),
+  documentos: v.oneOf(['completo', 'incompleto', 'ninguno']),
+  checklist: v.oneOf(COMPLETITUD),
+  sort: v.string({ max: 50 }),
+  dir: v.oneOf(['asc', 'desc']),
+  ...paging,
+};
+
+const exportQuery = {
+  ...listQuery,
+  format: v.oneOf(Object.keys(FORMATS)),
+  columns: v.string({ max: 1000 }),
+};
+
+// tipo_documento / dni y las reglas de identidad las revisa candidatos.validation.js
+const candidatoBody = (required) => ({
+  tipo_documento: v.string({ max: 20 }),
+  dni: v.string({ max: 20, required }),
+  apellido_paterno: v.string({ max: 100, required }),
+  apellido_materno: v.string({ max: 100, required }),
+  nombres: v.string({ max: 200, required }),
+  sede: v.string({ max: 200 }),
+  turno_horario: v.string({ max: 200 }),
+  grupo: v.string({ max: 20 }),
+});
+
+// vigencia por tipo en el multipart: <tipo>_emision y <tipo>_vencimiento
+const fechasBody = Object.fromEntries(FECHA_FIELDS.map(k => [k, v.date()]));
+
+const fechaDocBody = { fecha_emision: v.date(), fecha_vencimiento: v.date() };
+
+const estadoBody = {
+  estado: v.string({ max: 50, required: true }),
+  comentario: v.string({ max: 1000 }),
+};
+
+const documentoParams = { id: v.id(), docId: v.id() };
+
+module.exports = function candidatosRoutes({ pool, storage, campos, upload, auth, tenant, publicTenant }) {
   const router = express.Router();
-  const ctrl = controllerFactory({ pool, uploadToCloudinary });
+  const ctrl = controllerFactory({ pool, storage });
+
+  router.get('/candidatos', auth.staff, tenant, validate({ query: listQuery }), ctrl.list);
+  router.get('/candidatos/export', auth.staff, tenant, validate({ query: exportQuery }), ctrl.exportList);
+  router.get('/candidatos/workflow', auth.staff, ctrl.workflowDefinition);
+  router.get('/candidatos/:id', auth.staff, tenant, byId, ctrl.getById);
+  router.post('/candidatos', campos, publicTenant, validate({ body: { employer_id: v.id(), ...candidatoBody(true), ...fechasBody } }), ctrl.create); // formulario público
+  router.post('/candidatos/import', auth.staff, tenant, upload.single('archivo'), validate({ query: { mode: v.oneOf(MODES) } }), ctrl.importFile);
+  router.put('/candidatos/:id', auth.staff, tenant, campos, validate({ params: { id: v.id() }, body: candidatoBody(false) }), ctrl.update);
+  router.put('/candidatos/:id/estado', auth.staff, tenant, validate({ params: { id: v.id() }, body: estadoBody }), ctrl.updateEstado);
+  router.get('/candidatos/:id/estado/history', auth.staff, tenant, byId, ctrl.estadoHistory);
 
-  router.get('/candidatos', ctrl.list);
-  router.get('/candidatos/:id', ctrl.getById);
-  router.post('/candidatos', campos, ctrl.create);
-  router.put('/candidatos/:id', campos, ctrl.update);
-  router.put('/candidatos/:id/estado', ctrl.updateEstado);
+  router.post('/candidatos/:id/documentos', auth.staff, tenant, campos, validate({ params: { id: v.id() }, body: fechasBody }), ctrl.addDocuments);
+  router.put('/candidatos/:id/documentos/:docId', auth.staff, tenant, campos, validate({ params: documentoParams, body: fechaDocBody }), ctrl.replaceDocument);
+  router.delete('/candidatos/:id/documentos/:docId', auth.staff, tenant, validate({ params: documentoParams }), ctrl.deleteDocument);
 
   return router;
 };
-
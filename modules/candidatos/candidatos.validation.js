@@ -0,0 +1,43 @@
+// Reglas de validación de candidatos (alta por formulario, importación y edición)
+
+const {
+  TIPOS_DOCUMENTO,
+  cleanNumber,
+  normalizeTipoDocumento,
+  validateDocumento,
+} = require("../common/identity");
+
+const REQUIRED = ["dni", "apellido_paterno", "apellido_materno", "nombres"];
+
+// Deja tipo_documento y el número (columna dni) en forma canónica, in-place
+function prepareIdentidad(body) {
+  body.tipo_documento = normalizeTipoDocumento(body.tipo_documento);
+  if (body.dni) body.dni = cleanNumber(body.dni);
+  return body;
+}
+
+// { campo: mensaje } para tipo_documento + dni
+function validateIdentidad(body) {
+  const errors = {};
+  if (!Object.values(TIPOS_DOCUMENTO).includes(body.tipo_documento)) {
+    errors.tipo_documento = `Debe ser ${Object.values(TIPOS_DOCUMENTO).join(", ")}`;
+  } else {
+    const e = validateDocumento(body.tipo_documento, body.dni);
+    if (e) errors.dni = e;
+  }
+  return errors;
+}
+
+// Normaliza la identidad y devuelve { campo: mensaje } con los errores (vacío si es válido)
+function validateNuevoCandidato(body = {}) {
+  prepareIdentidad(body);
+  const errors = {};
+  for (const k of REQUIRED) {
+    if (!body[k]) errors[k] = "Obligatorio";
+  }
+  return { ...validateIdentidad(body), ...errors };
+}
+
+const hasErrors = (errors) => Object.keys(errors).length > 0;
+
+module.exports = { REQUIRED, prepareIdentidad, validateIdentidad, validateNuevoCandidato, hasErrors };
@@ -0,0 +1,102 @@
+const fs = require("fs");
+
+// Flujo de estados por defecto. Se puede reemplazar con un JSON de la misma forma
+// apuntado por CANDIDATOS_WORKFLOW_FILE.
+const DEFAULT_WORKFLOW = {
+  initial: "En Revision",
+  states: ["En Revision", "Aprobado", "Cancelado"],
+  transitions: {
+    "En Revision": ["Aprobado", "Cancelado"],
+    "Aprobado":    ["En Revision", "Cancelado"],
+    "Cancelado":   ["En Revision"],
+  },
+  // estados desde los que se puede contratar (crear empleado)
+  hireable: ["Aprobado"],
+  // estados que cierran el proceso: al llegar a uno se revoca el enlace del portal
+  closed: ["Cancelado"],
+};
+
+const key = (s) => String(s || "").trim().toLowerCase();
+
+function validateDefinition(def) {
+  if (!def || !Array.isArray(def.states) || !def.states.length) {
+    throw new Error("Workflow inválido: 'states' debe ser una lista no vacía");
+  }
+  if (!def.states.includes(def.initial)) {
+    throw new Error("Workflow inválido: 'initial' debe ser uno de 'states'");
+  }
+  for (const [from, tos] of Object.entries(def.transitions || {})) {
+    for (const s of [from, ...tos]) {
+      if (!def.states.includes(s)) throw new Error(`Workflow inválido: estado desconocido "${s}"`);
+    }
+  }
+  for (const s of def.hireable || []) {
+    if (!def.states.includes(s)) throw new Error(`Workflow inválido: estado contratable desconocido "${s}"`);
+  }
+  for (const s of def.closed || []) {
+    if (!def.states.includes(s)) throw new Error(`Workflow inválido: estado de cierre desconocido "${s}"`);
+  }
+  return def;
+}
+
+function createWorkflow(def = DEFAULT_WORKFLOW) {
+  validateDefinition(def);
+  const byKey = new Map(def.states.map(s => [key(s), s]));
+
+  // "en revision" / "EN REVISION" -> "En Revision"
+  const canonical = (name) => byKey.get(key(name)) || null;
+
+  // Estados heredados (texto libre de antes del workflow) pueden ir a cualquier estado
+  const allowedFrom = (current) => {
+    const c = canonical(current);
+    if (!c) return def.states.slice();
+    return (def.transitions?.[c] || []).slice();
+  };
+
+  function check(current, next) {
+    const to = canonical(next);
+    if (!to) return { ok: false, status: 400, error: "Estado inválido", allowed: def.states };
+    const from = canonical(current) || current;
+    if (from === to) return { ok: false, status: 409, error: `El candidato ya está en "${to}"` };
+    const allowed = allowedFrom(current);
+    if (!allowed.includes(to)) {
+      return { ok: false, status: 409, error: `Transición no permitida: "${from}" → "${to}"`, allowed };
+    }
+    return { ok: true, from, to };
+  }
+
+  const hireable = new Set((def.hireable || []).map(key));
+  const canHire = (estado) => hireable.has(key(estado));
+  const closed = new Set((def.closed || []).map(key));
+  const isClosed = (estado) => closed.has(key(estado));
+
+  return {
+    initial: def.initial,
+    states: def.states.slice(),
+    transitions: def.transitions || {},
+    hireable: def.hireable || [],
+    closed: def.closed || [],
+    canonical,
+    allowedFrom,
+    check,
+    canHire,
+    isClosed,
+  };
+}
+
+function loadWorkflow(file = process.env.CANDIDATOS_WORKFLOW_FILE) {
+  if (!file) return createWorkflow(DEFAULT_WORKFLOW);
+  return createWorkflow(JSON.parse(fs.readFileSync(file, "utf8")));
+}
+
+// Registra un cambio de estado en candidato_estado_historial (dentro de la transacción de `client`)
+async function insertHistory(client, { candidatoId, from, to, comentario = null, user = null }) {
+  await client.query(
+    `INSERT INTO candidato_estado_historial
+       (candidato_id, estado_anterior, estado_nuevo, comentario, actor_id, actor_email)
+     VALUES ($1,$2,$3,$4,$5,$6)`,
+    [candidatoId, from, to, comentario, user?.id || null, user?.email || null]
+  );
+}
+
+module.exports = { DEFAULT_WORKFLOW, createWorkflow, loadWorkflow, insertHistory };
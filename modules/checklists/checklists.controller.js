@@ -0,0 +1,86 @@
+const { TIPOS } = require("../candidatos/candidatos.documentos");
+const { handleError } = require("../common/errors");
+
+// items: [{ tipo, cantidad? }] -> { errores, items }
+function validateItems(items) {
+  if (!Array.isArray(items)) return { errores: { items: "Debe ser una lista de { tipo, cantidad }" } };
+  const errores = {};
+  const seen = new Set();
+  const out = [];
+  items.forEach((it, k) => {
+    const tipo = String(it?.tipo ?? "").trim().toLowerCase();
+    const cantidad = it?.cantidad === undefined || it?.cantidad === null || it?.cantidad === "" ? 1 : Number(it.cantidad);
+    if (!TIPOS.includes(tipo)) errores[`items[${k}].tipo`] = `Debe ser uno de: ${TIPOS.join(", ")}`;
+    else if (seen.has(tipo)) errores[`items[${k}].tipo`] = "Tipo repetido";
+    if (!Number.isInteger(cantidad) || cantidad < 1) errores[`items[${k}].cantidad`] = "Entero mayor o igual a 1";
+    seen.add(tipo);
+    out.push({ tipo, cantidad });
+  });
+  return { errores, items: out };
+}
+
+module.exports = ({ pool }) => {
+  async function load(db, col, id) {
+    const { rows } = await db.query(
+      `SELECT tipo, cantidad FROM checklist_documentos WHERE ${col} = $1 ORDER BY tipo`,
+      [id]
+    );
+    return rows;
+  }
+
+  // GET /sites/:id/checklist | /projects/:id/checklist
+  async function get(req, res, { col, table, label }) {
+    try {
+      const id = Number(req.params.id);
+      const owner = await pool.query(`SELECT 1 FROM ${table} WHERE id=$1 AND employer_id=$2`, [id, req.employerId]);
+      if (owner.rowCount === 0) return res.status(404).json({ error: "No encontrado" });
+      res.json({ [col]: id, items: await load(pool, col, id) });
+    } catch (e) {
+      handleError(res, e, label, "Error consultando checklist");
+    }
+  }
+
+  // PUT /sites/:id/checklist { items: [{ tipo, cantidad }] } — reemplaza la lista completa ([] la vacía)
+  async function put(req, res, { col, table, label }) {
+    const client = await pool.connect();
+    try {
+      const id = Number(req.params.id);
+      const { errores, items } = validateItems((req.body || {}).items);
+      if (Object.keys(errores).length) return res.status(400).json({ error: "Datos inválidos", campos: errores });
+
+      await client.query("BEGIN");
+      const owner = await client.query(
+        `SELECT 1 FROM ${table} WHERE id=$1 AND employer_id=$2 FOR UPDATE`,
+        [id, req.employerId]
+      );
+      if (owner.rowCount === 0) {
+        await client.query("ROLLBACK");
+        return res.status(404).json({ error: "No encontrado" });
+      }
+      await client.query(`DELETE FROM checklist_documentos WHERE ${col} = $1`, [id]);
+      for (const it of items) {
+        await client.query(
+          `INSERT INTO checklist_documentos (${col}, tipo, cantidad) VALUES ($1,$2,$3)`,
+          [id, it.tipo, it.cantidad]
+        );
+      }
+      await client.query("COMMIT");
+      res.json({ [col]: id, items: await load(pool, col, id) });
+    } catch (e) {
+      await client.query("ROLLBACK");
+      handleError(res, e, label, "Error guardando checklist");
+    } finally {
+      client.release();
+    }
+  }
+
+  const SITE = { col: "site_id", table: "sites" };
+  const PROJECT = { col: "project_id", table: "projects" };
+
+  return {
+    siteChecklist: (req, res) => get(req, res, { ...SITE, label: "GET /api/sites/:id/checklist" }),
+    setSiteChecklist: (req, res) => put(req, res, { ...SITE, label: "PUT /api/sites/:id/checklist" }),
+    projectChecklist: (req, res) => get(req, res, { ...PROJECT, label: "GET /api/projects/:id/checklist" }),
+    setProjectChecklist: (req, res) => put(req, res, { ...PROJECT, label: "PUT /api/projects/:id/checklist" }),
+  };
+};
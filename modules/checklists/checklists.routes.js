@@ -0,0 +1,18 @@
+const express = require('express');
+const controllerFactory = require('./checklists.controller');
+const { v, validate, byId } = require('../common/validate');
+
+const setChecklist = validate({ params: { id: v.id() }, body: { items: v.array(v.object(), { max: 50, required: true }) } });
+
+module.exports = function checklistsRoutes({ pool, auth, tenant }) {
+  const router = express.Router();
+  const ctrl = controllerFactory({ pool });
+
+  // documentos requeridos a los candidatos asignados a la sede / proyecto
+  router.get('/sites/:id/checklist', auth.staff, tenant, byId, ctrl.siteChecklist);
+  router.put('/sites/:id/checklist', auth.admin, tenant, setChecklist, ctrl.setSiteChecklist);
+  router.get('/projects/:id/checklist', auth.staff, tenant, byId, ctrl.projectChecklist);
+  router.put('/projects/:id/checklist', auth.admin, tenant, setChecklist, ctrl.setProjectChecklist);
+
+  return router;
+};
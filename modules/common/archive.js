@@ -0,0 +1,55 @@
+// Archivo (baja lógica) de catálogos: sedes, proyectos y turnos.
+// Archivado = active false + archived_at; no se ofrece para registros nuevos pero conserva su historial.
+
+const STATE_COLUMNS = "active, archived_at";
+
+// ?include_archived (sin valor, 1 o true) incluye los archivados en los listados;
+// las rutas lo validan con v.bool(), así que solo llegan esos valores o 0 / false
+function includeArchived(query) {
+  const v = query.include_archived;
+  if (v === undefined) return false;
+  return !["0", "false"].includes(String(v).trim().toLowerCase());
+}
+
+// Archiva o restaura; devuelve { before, after } con `columns`, null si no existe
+// o lanza 409 si ya estaba en ese estado (`table` es siempre un nombre fijo del código).
+// `db` debería ser el cliente de la transacción que también graba la auditoría.
+async function setArchived(db, table, { id, employerId, archived, columns }) {
+  const cur = await db.query(
+    `SELECT ${columns} FROM ${table} WHERE id=$1 AND employer_id=$2 FOR UPDATE`,
+    [id, employerId]
+  );
+  if (cur.rowCount === 0) return null;
+  if (cur.rows[0].active === !archived) {
+    throw Object.assign(new Error(archived ? "Ya está archivado" : "No está archivado"), { status: 409 });
+  }
+  const r = await db.query(
+    `UPDATE ${table}
+        SET active = $2, archived_at = CASE WHEN $2 THEN NULL ELSE NOW() END
+      WHERE id=$1
+      RETURNING ${columns}`,
+    [id, !archived]
+  );
+  return { before: cur.rows[0], after: r.rows[0] };
+}
+
+// Textos libres del candidato (sede, turno_horario) que nombran un catálogo archivado
+// sin otro activo con el mismo nombre -> { campo: mensaje }
+async function archivedNames(db, employerId, { sede, turno_horario }) {
+  const errores = {};
+  const checks = [["sede", sede, "sites", "Sede archivada"], ["turno_horario", turno_horario, "shifts", "Turno archivado"]];
+  for (const [campo, value, table, msg] of checks) {
+    if (!value) continue;
+    const r = await db.query(
+      `SELECT 1 FROM ${table} t
+        WHERE t.employer_id = $1 AND NOT t.active AND lower(t.name) = lower($2)
+          AND NOT EXISTS (SELECT 1 FROM ${table} o WHERE o.employer_id = $1 AND o.active AND lower(o.name) = lower($2))
+        LIMIT 1`,
+      [employerId, String(value).trim()]
+    );
+    if (r.rowCount) errores[campo] = msg;
+  }
+  return errores;
+}
+
+module.exports = { STATE_COLUMNS, includeArchived, setArchived, archivedNames };
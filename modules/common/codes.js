@@ -0,0 +1,27 @@
+// Códigos legibles para catálogos (sedes, proyectos): "Mina Norte" -> "MINA-NORTE", "MINA-NORTE-2"...
+
+function slugify(str) {
+  return String(str || "")
+    .normalize("NFKD").replace(/[\u0300-\u036f]/g, "")
+    .toUpperCase()
+    .replace(/[^A-Z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 32);
+}
+
+// Primer código libre dentro de la empresa (`table` es siempre un nombre fijo del código)
+async function generateUniqueCode(db, table, baseCode, employerId) {
+  let code = baseCode || "ITEM";
+  let n = 1;
+  for (;;) {
+    const { rows } = await db.query(
+      `SELECT 1 FROM ${table} WHERE employer_id = $1 AND code = $2 LIMIT 1`,
+      [employerId, code]
+    );
+    if (!rows.length) return code;
+    n += 1;
+    code = `${baseCode}-${n}`;
+  }
+}
+
+module.exports = { slugify, generateUniqueCode };
@@ -0,0 +1,64 @@
+// Fechas "YYYY-MM-DD" (sin hora ni zona) como las maneja Postgres en columnas DATE
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+// true si es una fecha real ("2024-02-30" no lo es)
+function isIsoDate(s) {
+  if (!ISO_DATE.test(String(s || ""))) return false;
+  const d = new Date(`${s}T00:00:00Z`);
+  return !Number.isNaN(d.getTime()) && d.toISOString().slice(0, 10) === s;
+}
+
+// Zona de la operación: las marcaciones y los turnos son hora local sin zona, así que "hoy" y "ahora"
+// se toman en esta zona (y db.js fija la misma en la sesión para CURRENT_DATE / LOCALTIMESTAMP)
+const APP_TZ = (() => {
+  const tz = process.env.APP_TZ || "America/Lima";
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return tz;
+  } catch (_e) {
+    console.warn(`APP_TZ inválida (${tz}); se usa UTC`);
+    return "UTC";
+  }
+})();
+
+const localFormat = new Intl.DateTimeFormat("en-US", {
+  timeZone: APP_TZ, hourCycle: "h23",
+  year: "numeric", month: "2-digit", day: "2-digit", hour: "2-digit", minute: "2-digit",
+});
+
+// Fecha y hora local en APP_TZ: "2025-03-01 07:05"
+function nowLocal(date = new Date()) {
+  const p = Object.fromEntries(localFormat.formatToParts(date).map(x => [x.type, x.value]));
+  return `${p.year}-${p.month}-${p.day} ${p.hour}:${p.minute}`;
+}
+
+const today = () => nowLocal().slice(0, 10);
+
+const toUTC = (s) => new Date(`${s}T00:00:00Z`);
+
+// "2025-01-31" + 1 -> "2025-02-01"
+function addDays(s, n) {
+  const d = toUTC(s);
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+}
+
+// "2025-01-31" + 1 mes -> "2025-02-28" (se ajusta al último día del mes)
+function addMonths(s, n) {
+  const d = toUTC(s);
+  const day = d.getUTCDate();
+  d.setUTCDate(1);
+  d.setUTCMonth(d.getUTCMonth() + n);
+  const last = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 0)).getUTCDate();
+  d.setUTCDate(Math.min(day, last));
+  return d.toISOString().slice(0, 10);
+}
+
+// días entre dos fechas (b - a)
+const diffDays = (a, b) => Math.round((toUTC(b) - toUTC(a)) / 86400000);
+
+// Día de la semana ISO: 1 = lunes ... 7 = domingo
+const isoWeekday = (s) => toUTC(s).getUTCDay() || 7;
+
+module.exports = { APP_TZ, ISO_DATE, isIsoDate, nowLocal, today, addDays, addMonths, diffDays, isoWeekday };
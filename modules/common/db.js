@@ -0,0 +1,32 @@
+const { Pool } = require("pg");
+const { APP_TZ } = require("./dates");
+
+// Pool compartido por la app y los scripts.
+// PGSSLMODE=disable para un Postgres local sin SSL (por defecto SSL sin verificar, como en Render).
+// La sesión usa APP_TZ para que CURRENT_DATE coincida con today() de dates.js.
+function createPool({ connectionString = process.env.DATABASE_URL } = {}) {
+  return new Pool({
+    connectionString,
+    options: `-c TimeZone=${APP_TZ}`,
+    ssl: process.env.PGSSLMODE === "disable" ? false : { rejectUnauthorized: false },
+  });
+}
+
+// Corre fn(client) entre BEGIN y COMMIT (ROLLBACK si lanza) y devuelve lo que devuelva fn.
+// Para escrituras que van con su registro de auditoría: o quedan las dos o ninguna.
+async function withTransaction(pool, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const out = await fn(client);
+    await client.query("COMMIT");
+    return out;
+  } catch (e) {
+    await client.query("ROLLBACK");
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = { createPool, withTransaction };
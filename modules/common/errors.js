@@ -0,0 +1,106 @@
+// Formato único de error de la API:
+//   { error: "<mensaje>", code: "<CODIGO>", campos?: { campo: "<detalle>" }, ...otros detalles }
+// `error` se mantiene como mensaje para no romper a los clientes actuales.
+
+const STATUS_CODES = {
+  400: "DATOS_INVALIDOS",
+  401: "NO_AUTENTICADO",
+  403: "SIN_PERMISOS",
+  404: "NO_ENCONTRADO",
+  409: "CONFLICTO",
+  413: "ARCHIVO_MUY_GRANDE",
+  500: "ERROR_INTERNO",
+};
+
+const codeFor = (status) => STATUS_CODES[status] || (status >= 500 ? "ERROR_INTERNO" : "SOLICITUD_INVALIDA");
+
+// Completa el `code` de cualquier respuesta de error que no lo traiga
+function errorEnvelope(_req, res, next) {
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode >= 400 && body && typeof body === "object" && !Array.isArray(body) && !body.code) {
+      body = { error: body.error || "Error", code: codeFor(res.statusCode), ...body };
+    }
+    return json(body);
+  };
+  next();
+}
+
+// "Key (employer_id, dni)=(1, 4455)" -> { dni: msg } (employer_id lo pone el servidor, no se reporta)
+function keyFields(detail, msg) {
+  const m = /Key \(([^)]+)\)=/.exec(detail || "");
+  if (!m) return undefined;
+  const cols = m[1].split(",").map(c => c.trim().replace(/^lower\((.*)\)$/, "$1")).filter(c => c !== "employer_id");
+  if (!cols.length) return undefined;
+  return Object.fromEntries(cols.map(c => [c, msg]));
+}
+
+// Errores de Postgres causados por la petición -> { status, error, code, campos? }; null si es un error del servidor
+function fromPg(e) {
+  switch (e && e.code) {
+    case "23505":
+      return { status: 409, error: "Ya existe un registro con esos datos", code: "DUPLICADO", campos: keyFields(e.detail, "Ya registrado") };
+    case "23503":
+      if (/is still referenced/.test(e.detail || "")) {
+        return { status: 409, error: "No se puede eliminar: tiene registros asociados", code: "EN_USO" };
+      }
+      return { status: 400, error: "Referencia a un registro que no existe", code: "REFERENCIA_INEXISTENTE", campos: keyFields(e.detail, "No existe") };
+    case "23502":
+      return { status: 400, error: "Datos inválidos", code: "DATOS_INVALIDOS", campos: e.column ? { [e.column]: "Obligatorio" } : undefined };
+    case "23514":
+      return { status: 400, error: "Datos inválidos", code: "DATOS_INVALIDOS", regla: e.constraint };
+    case "22P02": // texto que no es número / uuid / enum
+    case "22003": // número fuera de rango
+    case "22007": // fecha u hora mal escrita
+    case "22008": // fecha u hora fuera de rango
+    case "22001": // texto demasiado largo
+      return { status: 400, error: "Valor inválido", code: "VALOR_INVALIDO" };
+    default:
+      return null;
+  }
+}
+
+// Respuesta de un catch de controlador: errores con status (los lanzados a propósito),
+// errores de Postgres mapeados a 4xx, y si no, se registra y se responde 500 con `message`
+function handleError(res, e, label, message = "Error interno") {
+  if (res.headersSent) {
+    console.error(label, e);
+    return res.end();
+  }
+  if (e && e.status && e.status < 500) {
+    return res.status(e.status).json({ error: e.message, ...(e.campos ? { campos: e.campos } : {}) });
+  }
+  const pg = fromPg(e);
+  if (pg) {
+    const { status, ...body } = pg;
+    if (!body.campos) delete body.campos;
+    return res.status(status).json(body);
+  }
+  console.error(label, e);
+  res.status(500).json({ error: message });
+}
+
+// 404 JSON para rutas /api que no existen
+function notFound(req, res) {
+  res.status(404).json({ error: `Ruta no encontrada: ${req.method} ${req.originalUrl.split("?")[0]}`, code: "RUTA_NO_ENCONTRADA" });
+}
+
+// Último middleware: JSON mal formado, límites de multer y cualquier error que llegue por next(err)
+function errorHandler(err, req, res, _next) {
+  if (err.type === "entity.parse.failed") {
+    return res.status(400).json({ error: "El cuerpo no es JSON válido", code: "JSON_INVALIDO" });
+  }
+  if (err.type === "entity.too.large") {
+    return res.status(413).json({ error: "El cuerpo es demasiado grande", code: "CUERPO_MUY_GRANDE" });
+  }
+  if (err.name === "MulterError") {
+    if (err.code === "LIMIT_FILE_SIZE") {
+      return res.status(413).json({ error: "El archivo supera el tamaño permitido", code: "ARCHIVO_MUY_GRANDE", campos: { [err.field]: "Muy grande" } });
+    }
+    const campos = err.field ? { [err.field]: err.code === "LIMIT_UNEXPECTED_FILE" ? "Campo de archivo no permitido o demasiados archivos" : err.message } : undefined;
+    return res.status(400).json({ error: "Archivos inválidos", code: "ARCHIVOS_INVALIDOS", ...(campos ? { campos } : {}) });
+  }
+  handleError(res, err, `${req.method} ${req.originalUrl}`);
+}
+
+module.exports = { STATUS_CODES, codeFor, errorEnvelope, fromPg, handleError, notFound, errorHandler };
@@ -0,0 +1,61 @@
+// Validación de documentos de identidad y RUC (Perú)
+
+const TIPOS_DOCUMENTO = Object.freeze({
+  DNI: "DNI",
+  CE: "CE",               // carné de extranjería
+  PASAPORTE: "PASAPORTE",
+});
+
+// Prefijos válidos del RUC: 10 persona natural, 15/16/17 casos especiales, 20 persona jurídica
+const RUC_PREFIXES = ["10", "15", "16", "17", "20"];
+const RUC_WEIGHTS = [5, 4, 3, 2, 7, 6, 5, 4, 3, 2];
+
+// Quita espacios/guiones y pasa a mayúsculas ("12 345-678" -> "12345678")
+const cleanNumber = (s) => String(s ?? "").replace(/[\s.-]+/g, "").toUpperCase();
+
+function normalizeTipoDocumento(tipo) {
+  const t = cleanNumber(tipo || TIPOS_DOCUMENTO.DNI);
+  if (t === "CARNE" || t === "CARNEEXTRANJERIA" || t === "CEXT") return TIPOS_DOCUMENTO.CE;
+  if (t === "PAS" || t === "PASS") return TIPOS_DOCUMENTO.PASAPORTE;
+  return t;
+}
+
+// Devuelve un mensaje de error o null si el número es válido para el tipo
+function validateDocumento(tipo, numero) {
+  const n = cleanNumber(numero);
+  if (!n) return "Obligatorio";
+  switch (tipo) {
+    case TIPOS_DOCUMENTO.DNI:
+      return /^\d{8}$/.test(n) ? null : "El DNI debe tener 8 dígitos";
+    case TIPOS_DOCUMENTO.CE:
+      return /^\d{9}$/.test(n) ? null : "El carné de extranjería debe tener 9 dígitos";
+    case TIPOS_DOCUMENTO.PASAPORTE:
+      return /^[A-Z0-9]{6,12}$/.test(n) ? null : "El pasaporte debe tener entre 6 y 12 letras o dígitos";
+    default:
+      return null; // el tipo se valida aparte
+  }
+}
+
+function rucCheckDigit(first10) {
+  const sum = RUC_WEIGHTS.reduce((acc, w, i) => acc + w * Number(first10[i]), 0);
+  const r = 11 - (sum % 11);
+  return r === 10 ? 0 : r === 11 ? 1 : r;
+}
+
+function validateRuc(ruc) {
+  const n = cleanNumber(ruc);
+  if (!n) return "Obligatorio";
+  if (!/^\d{11}$/.test(n)) return "El RUC debe tener 11 dígitos";
+  if (!RUC_PREFIXES.includes(n.slice(0, 2))) return `El RUC debe empezar con ${RUC_PREFIXES.join(", ")}`;
+  if (rucCheckDigit(n.slice(0, 10)) !== Number(n[10])) return "Dígito verificador del RUC inválido";
+  return null;
+}
+
+module.exports = {
+  TIPOS_DOCUMENTO,
+  cleanNumber,
+  normalizeTipoDocumento,
+  validateDocumento,
+  validateRuc,
+  rucCheckDigit,
+};
@@ -0,0 +1,60 @@
+// ===== Normalización de entrada (más segura) =====
+// Compartido por el middleware global de app.js y por la importación masiva.
+
+// Helpers
+function stripDiacritics(s = "") {
+  return s.normalize("NFD").replace(/[\u0300-\u036f]/g, "");
+}
+function toTitleCase(s = "") {
+  return s.toLowerCase().replace(/\b[\p{L}\p{N}]+/gu, w => w.charAt(0).toUpperCase() + w.slice(1));
+}
+function normalizeNameLike(str) {
+  const t = stripDiacritics(String(str).trim());
+  return toTitleCase(t);
+}
+function normalizeQueryValue(str) {
+  // Para búsquedas: trim + sin tildes + en minúsculas
+  return stripDiacritics(String(str).trim()).toLowerCase();
+}
+
+// Campos que NO se deben tocar (enums/ids/fechas/horas/urls/códigos)
+const skipKeys = new Set([
+  'regime_code','start_time','end_time','valid_from',
+  'logo_url','url','ruc','dni','tipo_documento','code','site_id','project_id','employer_id',
+  'grupo','estado'
+]);
+
+// Campos de tipo “nombre/título” que sí queremos Title Case sin tildes
+const nameLikeKeys = new Set([
+  'name','apellido_paterno','apellido_materno','nombres',
+  'sede','turno_horario'
+]);
+
+// Normaliza in-place los strings de un body (o de una fila importada)
+function normalizeBody(body) {
+  if (!body || typeof body !== "object" || Buffer.isBuffer(body)) return body;
+  for (const k of Object.keys(body)) {
+    if (typeof body[k] !== "string") continue;
+    const raw = body[k];
+    if (skipKeys.has(k)) {
+      // solo trimming suave para estos
+      body[k] = String(raw).trim();
+    } else if (nameLikeKeys.has(k)) {
+      body[k] = normalizeNameLike(raw);
+    } else {
+      // por defecto solo trim (no title-case para no sorprender)
+      body[k] = String(raw).trim();
+    }
+  }
+  return body;
+}
+
+module.exports = {
+  stripDiacritics,
+  toTitleCase,
+  normalizeNameLike,
+  normalizeQueryValue,
+  skipKeys,
+  nameLikeKeys,
+  normalizeBody,
+};
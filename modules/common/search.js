@@ -0,0 +1,12 @@
+// Búsqueda sin tildes ni mayúsculas en SQL.
+// Los valores de req.query ya llegan así (middleware de app.js); `plain` hace lo mismo con la columna.
+
+// Se traducen también las mayúsculas: LOWER no las convierte con collation "C"
+const ACCENTS_FROM = "áàäâéèëêíìïîóòöôúùüûñçÁÀÄÂÉÈËÊÍÌÏÎÓÒÖÔÚÙÜÛÑÇ";
+const ACCENTS_TO   = "aaaaeeeeiiiioooouuuuncAAAAEEEEIIIIOOOOUUUUNC";
+const plain = (expr) => `LOWER(translate(COALESCE(${expr}, ''), '${ACCENTS_FROM}', '${ACCENTS_TO}'))`;
+
+// Escapa comodines de LIKE en lo que escribe el usuario
+const escapeLike = (s) => String(s).replace(/[\\%_]/g, m => "\\" + m);
+
+module.exports = { plain, escapeLike };
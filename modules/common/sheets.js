@@ -0,0 +1,63 @@
+// Lectura de planillas CSV / XLSX subidas por multer (primera hoja, fila 1 = cabecera)
+
+const path = require("path");
+const { parse: parseCsv } = require("csv-parse/sync");
+const ExcelJS = require("exceljs");
+const { normalizeQueryValue } = require("./normalize");
+
+// "Apellido Paterno" / "APELLIDO_PATERNO" / "apellido-paterno" -> "apellido_paterno"
+const headerKey = (h) => normalizeQueryValue(h).replace(/[^a-z0-9]+/g, "_").replace(/^_+|_+$/g, "");
+
+function cellText(v) {
+  if (v === null || v === undefined) return "";
+  // fecha sola o fecha-hora (marcaciones), sin zona como la muestra Excel
+  if (v instanceof Date) {
+    const iso = v.toISOString();
+    return iso.slice(11, 19) === "00:00:00" ? iso.slice(0, 10) : `${iso.slice(0, 10)} ${iso.slice(11, 19)}`;
+  }
+  if (typeof v === "object") return String(v.text ?? v.result ?? ""); // rich text / fórmulas
+  return String(v);
+}
+
+async function readRows(file) {
+  const ext = path.extname(file.originalname || "").toLowerCase();
+
+  if (ext === ".xlsx") {
+    const wb = new ExcelJS.Workbook();
+    await wb.xlsx.load(file.buffer);
+    const sheet = wb.worksheets[0];
+    if (!sheet) return [];
+    const headers = [];
+    sheet.getRow(1).eachCell((c, col) => { headers[col] = headerKey(cellText(c.value)); });
+    const rows = [];
+    sheet.eachRow((row, n) => {
+      if (n === 1) return;
+      const obj = {};
+      headers.forEach((h, col) => { if (h) obj[h] = cellText(row.getCell(col).value); });
+      // Excel guarda el DNI como número y se come los ceros a la izquierda
+      const dniCol = headers.indexOf("dni");
+      if (dniCol > 0 && typeof row.getCell(dniCol).value === "number") obj.dni = obj.dni.padStart(8, "0");
+      rows.push({ fila: n, data: obj });
+    });
+    return rows;
+  }
+
+  if (ext === ".csv" || ext === ".txt" || !ext) {
+    const text = file.buffer.toString("utf8").replace(/^\uFEFF/, "");
+    const firstLine = text.split(/\r?\n/, 1)[0] || "";
+    const delimiter = firstLine.split(";").length > firstLine.split(",").length ? ";" : ",";
+    const records = parseCsv(text, {
+      delimiter,
+      columns: (hdr) => hdr.map(headerKey),
+      skip_empty_lines: true,
+      trim: true,
+      relax_column_count: true,
+    });
+    // fila 1 = cabecera
+    return records.map((r, idx) => ({ fila: idx + 2, data: r }));
+  }
+
+  throw Object.assign(new Error("Formato no soportado (usa .csv o .xlsx)"), { status: 400 });
+}
+
+module.exports = { headerKey, cellText, readRows };
@@ -0,0 +1,121 @@
+// Validación declarativa de params / query / body por ruta, antes del controlador:
+//   router.put('/sites/:id', auth.admin, tenant, validate({ params: { id: v.id() }, body: { name: v.string({ max: 200 }) } }), ctrl.update)
+// Cada regla es opcional salvo { required: true }; undefined, null y "" cuentan como ausentes.
+// Solo se revisa el tipo y el formato: las reglas de negocio siguen en cada controlador.
+// Las claves no declaradas pasan sin revisar.
+
+const { isIsoDate } = require("./dates");
+
+const TIME = /^([01]\d|2[0-3]):([0-5]\d)(?::[0-5]\d)?$/;
+const MONTH = /^\d{4}-(0[1-9]|1[0-2])$/;
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const INT = /^-?\d+$/;
+const MAX_INT = 2147483647;
+
+const isEmpty = (x) => x === undefined || x === null || x === "";
+
+// check(x) -> mensaje de error o null; type y las opciones quedan para describir la regla
+const rule = (type, check, opts = {}) => ({ ...opts, type, required: Boolean(opts.required), check });
+
+function toNumber(x) {
+  if (typeof x === "number") return x;
+  if (typeof x === "string" && x.trim() !== "" && !isNaN(Number(x))) return Number(x);
+  return NaN;
+}
+
+const range = (n, { min, max }) =>
+  (min !== undefined && n < min ? `Mínimo ${min}` : max !== undefined && n > max ? `Máximo ${max}` : null);
+
+const v = {
+  // id de tabla (SERIAL): entero positivo
+  id: (opts) => rule("id", x => {
+    const n = toNumber(x);
+    return Number.isInteger(n) && n > 0 && n <= MAX_INT && (typeof x === "number" || INT.test(x)) ? null : "Debe ser un id numérico";
+  }, opts),
+
+  int: (opts = {}) => rule("int", x => {
+    const n = toNumber(x);
+    if (!Number.isInteger(n) || (typeof x === "string" && !INT.test(x.trim())) || Math.abs(n) > MAX_INT) return "Debe ser un entero";
+    return range(n, opts);
+  }, opts),
+
+  number: (opts = {}) => rule("number", x => {
+    const n = toNumber(x);
+    return Number.isFinite(n) ? range(n, opts) : "Debe ser un número";
+  }, opts),
+
+  string: (opts = {}) => rule("string", x => {
+    if (typeof x !== "string" && typeof x !== "number") return "Debe ser texto";
+    const s = String(x);
+    if (opts.max && s.length > opts.max) return `Máximo ${opts.max} caracteres`;
+    if (opts.pattern && !opts.pattern.test(s)) return opts.message || "Formato inválido";
+    return null;
+  }, opts),
+
+  // valores fijos; sin distinguir mayúsculas (la query llega en minúsculas) salvo { exact: true }
+  oneOf: (values, opts = {}) => rule("enum", x => {
+    const s = opts.exact ? String(x) : String(x).toLowerCase();
+    return values.some(o => (opts.exact ? String(o) : String(o).toLowerCase()) === s) ? null : `Debe ser ${values.join(", ")}`;
+  }, { ...opts, values }),
+
+  date: (opts) => rule("date", x => (typeof x === "string" && isIsoDate(x) ? null : "Debe ser una fecha (YYYY-MM-DD)"), opts),
+  month: (opts) => rule("month", x => (typeof x === "string" && MONTH.test(x) ? null : "Debe ser un mes (YYYY-MM)"), opts),
+  time: (opts) => rule("time", x => (typeof x === "string" && TIME.test(x) ? null : "Debe ser una hora (HH:MM)"), opts),
+  email: (opts) => rule("email", x => (typeof x === "string" && EMAIL.test(x) ? null : "Email inválido"), opts),
+
+  bool: (opts) => rule("bool", x => ([true, false, "true", "false", "1", "0", 1, 0].includes(x) ? null : "Debe ser true o false"), opts),
+
+  // array de elementos que cumplen `item` (si se da)
+  array: (item, opts = {}) => rule("array", x => {
+    if (!Array.isArray(x)) return "Debe ser una lista";
+    if (opts.min && x.length < opts.min) return `Debe tener al menos ${opts.min} elemento(s)`;
+    if (opts.max && x.length > opts.max) return `Máximo ${opts.max} elementos`;
+    if (!item) return null;
+    for (let k = 0; k < x.length; k++) {
+      const msg = isEmpty(x[k]) ? (item.required ? "Obligatorio" : null) : item.check(x[k]);
+      if (msg) return `Elemento ${k + 1}: ${msg}`;
+    }
+    return null;
+  }, { ...opts, item }),
+
+  object: (opts) => rule("object", x => (x && typeof x === "object" && !Array.isArray(x) ? null : "Debe ser un objeto"), opts),
+};
+
+// Revisa un objeto contra un esquema { campo: regla } -> { campo: mensaje }
+function check(schema, source = {}) {
+  const campos = {};
+  for (const [k, r] of Object.entries(schema)) {
+    const x = source[k];
+    if (isEmpty(x)) {
+      if (r.required) campos[k] = "Obligatorio";
+      continue;
+    }
+    const msg = r.check(x);
+    if (msg) campos[k] = msg;
+  }
+  return campos;
+}
+
+// Middleware: 400 con todos los campos inválidos de params, query y body juntos
+// (el esquema queda en mw.schema para poder inspeccionarlo)
+function validate({ params, query, body } = {}) {
+  const mw = (req, res, next) => {
+    const campos = {
+      ...(params ? check(params, req.params) : {}),
+      ...(query ? check(query, req.query) : {}),
+      ...(body ? check(body, req.body || {}) : {}),
+    };
+    if (Object.keys(campos).length) {
+      return res.status(400).json({ error: "Datos inválidos", code: "DATOS_INVALIDOS", campos });
+    }
+    next();
+  };
+  mw.schema = { params, query, body };
+  return mw;
+}
+
+// Atajos frecuentes
+const byId = validate({ params: { id: v.id() } });
+const paging = { page: v.int({ min: 1 }), pageSize: v.int({ min: 1 }) };
+
+module.exports = { v, check, validate, byId, paging };
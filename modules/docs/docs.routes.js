@@ -0,0 +1,37 @@
+const express = require('express');
+const swaggerUi = require('swagger-ui-dist');
+const { buildSpec } = require('./openapi');
+
+// Swagger UI se sirve desde node_modules (versión fijada por package.json), no desde un CDN
+const page = (assets, specUrl) => `<!doctype html>
+<html lang="es">
+<head>
+  <meta charset="utf-8">
+  <title>API de Empleados</title>
+  <link rel="stylesheet" href="${assets}/swagger-ui.css">
+</head>
+<body>
+  <div id="docs"></div>
+  <script src="${assets}/swagger-ui-bundle.js"></script>
+  <script>
+    SwaggerUIBundle({ url: '${specUrl}', dom_id: '#docs', persistAuthorization: true });
+  </script>
+</body>
+</html>`;
+
+// Especificación OpenAPI (/api/openapi.json) y página para explorarla (/api/docs), públicas.
+// El documento se arma del router la primera vez que se pide (ya están montadas todas las rutas).
+module.exports = function docsRoutes({ auth, tenancy, campos, archivos }) {
+  const router = express.Router();
+  let spec = null;
+
+  router.get('/openapi.json', (req, res) => {
+    spec = spec || buildSpec(req.app, { auth, tenant: tenancy.tenant, publicTenant: tenancy.publicTenant, campos, archivos });
+    res.json(spec);
+  });
+
+  router.use('/docs/assets', express.static(swaggerUi.getAbsoluteFSPath(), { index: false }));
+  router.get('/docs', (req, res) => res.type('html').send(page(`${req.baseUrl}/docs/assets`, `${req.baseUrl}/openapi.json`)));
+
+  return router;
+};
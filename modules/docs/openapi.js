@@ -0,0 +1,212 @@
+// Documento OpenAPI 3 armado desde el router real: rutas, auth, tenant y multer se leen de la pila
+// de middlewares de cada ruta, y params / query / body de los esquemas de validate() (mw.schema).
+// Lo que no se puede inferir (resumen, respuesta 200) está en openapi.operations.js.
+
+const { schemas, ref } = require("./openapi.schemas");
+const { operations } = require("./openapi.operations");
+const { FORMATOS } = require("../candidatos/candidatos.documentos");
+const { version } = require("../../package.json");
+
+// "/^\/api\/?(?=\/|$)/i" -> "/api"
+function mountPath(layer) {
+  if (layer.regexp.fast_slash) return "";
+  return layer.regexp.source
+    .replace(/^\^/, "")
+    .replace(/\\\/\?\(\?=\\\/\|\$\)$/, "")
+    .replace(/\\\//g, "/");
+}
+
+// Rutas del app: [{ method, path, key, handles }]; key es "MÉTODO /ruta" relativa al montaje (openapi.operations.js)
+function listRoutes(app) {
+  const routes = [];
+  const add = (prefix, route) => {
+    for (const method of Object.keys(route.methods)) {
+      if (method === "_all") continue;
+      const m = method.toUpperCase();
+      routes.push({ method: m, path: prefix + route.path, key: `${m} ${route.path}`, handles: route.stack.map(l => l.handle) });
+    }
+  };
+  for (const layer of app._router.stack) {
+    if (layer.route) add("", layer.route);
+    else if (layer.name === "router") {
+      const prefix = mountPath(layer);
+      for (const l of layer.handle.stack) if (l.route) add(prefix, l.route);
+    }
+  }
+  return routes;
+}
+
+// "/candidatos/:id/documentos/:docId" -> "/candidatos/{id}/documentos/{docId}"; "/files/*" -> "/files/{key}"
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, "{$1}").replace(/\*/g, "{key}");
+const pathParams = (path) => [...toOpenApiPath(path).matchAll(/\{(\w+)\}/g)].map(m => m[1]);
+
+// Regla de validate.js -> JSON Schema
+function ruleSchema(r) {
+  const bounds = { ...(r.min !== undefined ? { minimum: r.min } : {}), ...(r.max !== undefined ? { maximum: r.max } : {}) };
+  switch (r.type) {
+    case "id": return { type: "integer", minimum: 1 };
+    case "int": return { type: "integer", ...bounds };
+    case "number": return { type: "number", ...bounds };
+    case "string": return {
+      type: "string",
+      ...(r.max ? { maxLength: r.max } : {}),
+      ...(r.pattern ? { pattern: r.pattern.source } : {}),
+      ...(r.message ? { description: r.message } : {}),
+    };
+    case "enum": return {
+      type: "string",
+      enum: r.values,
+      ...(r.exact ? {} : { description: "Sin distinguir mayúsculas" }),
+    };
+    case "date": return { type: "string", format: "date", example: "2025-03-01" };
+    case "month": return { type: "string", pattern: "^\\d{4}-(0[1-9]|1[0-2])$", example: "2025-03" };
+    case "time": return { type: "string", pattern: "^([01]\\d|2[0-3]):[0-5]\\d(:[0-5]\\d)?$", example: "07:00" };
+    case "email": return { type: "string", format: "email" };
+    case "bool": return { type: "boolean" };
+    case "array": return {
+      type: "array",
+      items: r.item ? ruleSchema(r.item) : {},
+      ...(r.min ? { minItems: r.min } : {}),
+      ...(r.max ? { maxItems: r.max } : {}),
+    };
+    case "object": return { type: "object" };
+    default: return {};
+  }
+}
+
+function objectSchema(rules = {}) {
+  const required = Object.keys(rules).filter(k => rules[k].required);
+  return {
+    type: "object",
+    properties: Object.fromEntries(Object.entries(rules).map(([k, r]) => [k, ruleSchema(r)])),
+    ...(required.length ? { required } : {}),
+  };
+}
+
+const errorResponse = (description) => ({
+  description,
+  content: { "application/json": { schema: ref("Error") } },
+});
+
+function buildOperation(route, { auth, tenant, publicTenant, campos, archivos }) {
+  const def = operations[route.key] || {};
+  const { handles } = route;
+  const has = (fn) => Boolean(fn) && handles.includes(fn);
+  const schema = Object.assign({}, ...handles.filter(h => h.schema).map(h => h.schema));
+  const multer = handles.find(h => h.name === "multerMiddleware");
+
+  // Auth: por identidad del middleware; las rutas con otro esquema (portal, archivos firmados) lo declaran
+  let security = def.security;
+  let roles = null;
+  if (!security) {
+    if (has(auth.admin)) roles = "admin";
+    else if (has(auth.staff)) roles = "admin, recruiter";
+    security = roles || has(auth.requireAuth) ? [{ bearerAuth: [] }] : [];
+  }
+  const secured = security.some(s => Object.keys(s).length);
+
+  const parameters = [];
+  for (const name of pathParams(route.path)) {
+    const rule = schema.params && schema.params[name];
+    parameters.push({ name, in: "path", required: true, schema: rule ? ruleSchema(rule) : { type: "string" } });
+  }
+  for (const [name, rule] of Object.entries(schema.query || {})) {
+    parameters.push({ name, in: "query", required: rule.required, schema: ruleSchema(rule) });
+  }
+  if (has(tenant) || has(publicTenant)) {
+    parameters.push({
+      name: "X-Employer-Id",
+      in: "header",
+      required: false,
+      description: has(publicTenant)
+        ? "Empresa del formulario (o employer_id en el cuerpo)"
+        : "Empresa activa; si falta se usa la del token o la única del usuario",
+      schema: { type: "integer", minimum: 1 },
+    });
+  }
+
+  let requestBody;
+  if (multer) {
+    // `campos`: un campo por tipo de documento; cualquier otro multer es upload.single('archivo')
+    const files = has(campos)
+      ? Object.fromEntries(archivos.map(({ name, maxCount }) => [name, {
+        type: "array",
+        items: { type: "string", format: "binary" },
+        maxItems: maxCount,
+        description: `Hasta ${maxCount} archivo(s) ${Object.keys(FORMATOS).join(", ")} (la extensión y el tipo de la parte deben coincidir)`,
+      }]))
+      : { archivo: { type: "string", format: "binary", description: "CSV o XLSX" } };
+    const body = objectSchema(schema.body);
+    for (const [name, file] of Object.entries(files)) {
+      const text = body.properties[name];
+      // `dni` va dos veces en el multipart: el número como texto (se devuelve como dni_numero) y las imágenes como archivos
+      body.properties[name] = text
+        ? { ...text, description: `Número de documento (se devuelve como ${name}_numero). El mismo campo admite además partes con archivo: ${file.description.toLowerCase()}` }
+        : file;
+    }
+    if (!has(campos)) body.required = [...(body.required || []), "archivo"];
+    requestBody = { required: Boolean(body.required), content: { "multipart/form-data": { schema: body } } };
+  } else if (schema.body) {
+    const body = objectSchema(schema.body);
+    requestBody = { required: Boolean(body.required), content: { "application/json": { schema: body } } };
+  }
+
+  const ok = def.content
+    ? { description: "OK", content: def.content }
+    : { description: "OK", ...(def.ok ? { content: { "application/json": { schema: def.ok } } } : {}) };
+  const responses = { 200: ok };
+  if (schema.params || schema.query || schema.body || multer || has(tenant) || has(publicTenant)) {
+    responses[400] = errorResponse("Datos inválidos (DATOS_INVALIDOS con `campos`, JSON_INVALIDO, VALOR_INVALIDO, ARCHIVOS_INVALIDOS...)");
+  }
+  if (secured) responses[401] = errorResponse("Sin token o token inválido (NO_AUTENTICADO)");
+  if (roles || has(tenant)) responses[403] = errorResponse("Sin permisos para esta ruta o empresa (SIN_PERMISOS)");
+  if (parameters.some(p => p.in === "path")) responses[404] = errorResponse("No encontrado (NO_ENCONTRADO)");
+  if (def.conflict) responses[409] = errorResponse("Conflicto (DUPLICADO, EN_USO o CONFLICTO)");
+  if (multer) responses[413] = errorResponse("Archivo demasiado grande (ARCHIVO_MUY_GRANDE)");
+  responses[500] = errorResponse("Error interno (ERROR_INTERNO)");
+
+  const description = [def.description, roles ? `Roles: ${roles}.` : null].filter(Boolean).join("\n\n");
+  return {
+    tags: def.tag ? [def.tag] : [],
+    summary: def.summary || route.key,
+    ...(description ? { description } : {}),
+    operationId: route.key.replace(/[^\w]+/g, "_").replace(/_$/, ""),
+    security,
+    ...(parameters.length ? { parameters } : {}),
+    ...(requestBody ? { requestBody } : {}),
+    responses,
+  };
+}
+
+// deps: { auth, tenant, publicTenant, campos, archivos } (los mismos objetos que reciben las rutas)
+function buildSpec(app, deps) {
+  const paths = {};
+  for (const route of listRoutes(app)) {
+    if (!route.path.startsWith("/api/")) continue;
+    const p = toOpenApiPath(route.path);
+    paths[p] = paths[p] || {};
+    paths[p][route.method.toLowerCase()] = buildOperation(route, deps);
+  }
+
+  return {
+    openapi: "3.0.3",
+    info: {
+      title: "API de Empleados",
+      version,
+      description: "Candidatos, empleados, sedes, turnos, asistencia y planillas. " +
+        "Todas las respuestas de error usan el esquema Error ({ error, code, campos? }).",
+    },
+    servers: [{ url: "/" }],
+    security: [{ bearerAuth: [] }],
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: "http", scheme: "bearer", bearerFormat: "JWT", description: "Token de POST /api/auth/login" },
+        portalToken: { type: "http", scheme: "bearer", description: "Token del enlace del portal (POST /api/candidatos/{id}/portal)" },
+      },
+      schemas,
+    },
+  };
+}
+
+module.exports = { listRoutes, toOpenApiPath, pathParams, buildSpec };
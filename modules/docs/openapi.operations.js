@@ -0,0 +1,213 @@
+// Qué documenta cada ruta además de lo que se infiere del router (auth, tenant, validate, multer):
+// etiqueta, resumen y cuerpo de la respuesta 200. La clave es "MÉTODO /ruta" tal como está en el router, sin /api.
+// test/openapi.test.js (npm test) falla si una ruta del app no tiene entrada aquí o si sobra una entrada.
+
+const { ref, list, obj } = require("./openapi.schemas");
+
+const op = (tag, summary, ok, extra = {}) => ({ tag, summary, ok, ...extra });
+
+const OK = ref("Ok");
+const csvXlsx = {
+  "text/csv": { schema: { type: "string" } },
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet": { schema: { type: "string", format: "binary" } },
+};
+
+const operations = {
+  /* ===== Documentación ===== */
+  "GET /openapi.json": op("Documentación", "Este documento OpenAPI", { type: "object" }),
+  "GET /docs": op("Documentación", "Página para explorar la API", null, { content: { "text/html": { schema: { type: "string" } } } }),
+
+  /* ===== Auth / usuarios ===== */
+  "POST /auth/login": op("Auth", "Iniciar sesión", ref("Sesion")),
+  "GET /auth/me": op("Auth", "Usuario actual y sus empresas", obj({
+    id: { type: "integer" }, email: { type: "string" }, name: { type: "string", nullable: true }, role: { type: "string" },
+    employer_id: { type: "integer", nullable: true, description: "Empresa de trabajo fijada en el token" },
+    employers: list(ref("Employer")),
+  })),
+  "POST /auth/employer": op("Auth", "Cambiar de empresa activa (nuevo token)", ref("Sesion")),
+  "GET /auth/users": op("Auth", "Listar usuarios", list(ref("Usuario")), {
+    description: "Solo usuarios que comparten alguna empresa con quien consulta; employer_ids lista solo esas empresas.",
+  }),
+  "POST /auth/users": op("Auth", "Crear usuario", ref("Usuario"), { conflict: true }),
+  "PUT /auth/users/:id": op("Auth", "Editar usuario (rol, activo, contraseña, empresas)", OK, {
+    description: "404 si el usuario no comparte ninguna empresa con quien edita.",
+    conflict: true,
+  }),
+
+  /* ===== Archivos ===== */
+  "GET /files/*": op("Archivos", "Descargar un archivo del driver local", null, {
+    description: "Con URL firmada (?expires=&signature=, la que devuelve la API en `url` de cada documento, válida 15 minutos) " +
+      "no hace falta token; sin firma se exige token de staff y que el archivo sea de la empresa activa. " +
+      "Se descarga como adjunto (Content-Disposition: attachment) con X-Content-Type-Options: nosniff.",
+    content: { "*/*": { schema: { type: "string", format: "binary" } } },
+    security: [{ bearerAuth: [] }, {}],
+  }),
+
+  /* ===== Candidatos ===== */
+  "GET /candidatos": op("Candidatos", "Listar candidatos", {
+    oneOf: [list(ref("Candidato")), ref("CandidatoPagina")],
+  }, {
+    description: "Sin page/pageSize devuelve la lista completa; con ellos, una página { data, total, page, pageSize, pages }. " +
+      "Alias en cada fila: dni_numero (número de documento), dni_doc y cv_doc (URL del último DNI / CV), " +
+      "certificados, antecedentes, medicos, capacitacion (URL del último de cada tipo) y doc_count (documentos vigentes).",
+  }),
+  "GET /candidatos/export": op("Candidatos", "Exportar el listado filtrado (CSV o XLSX)", null, { content: csvXlsx }),
+  "GET /candidatos/workflow": op("Candidatos", "Estados y transiciones permitidas", ref("Workflow")),
+  "GET /candidatos/:id": op("Candidatos", "Detalle de un candidato con sus documentos", ref("CandidatoDetalle")),
+  "POST /candidatos": op("Candidatos", "Registrar candidato (formulario público)", ref("CandidatoCreado"), {
+    description: "Multipart. La empresa va en employer_id (o X-Employer-Id). Cada tipo de documento acepta " +
+      "<tipo>_emision y <tipo>_vencimiento opcionales.",
+    conflict: true,
+  }),
+  "POST /candidatos/import": op("Candidatos", "Importar candidatos desde CSV / XLSX", ref("ResumenImportacion"), {
+    description: "mode=dry-run (por defecto) solo valida; mode=commit inserta las filas válidas.",
+  }),
+  "PUT /candidatos/:id": op("Candidatos", "Editar datos y agregar documentos", obj({ ok: { type: "boolean" }, documentos: list(ref("Documento")) }), { conflict: true }),
+  "PUT /candidatos/:id/estado": op("Candidatos", "Cambiar estado", obj({ ok: { type: "boolean" }, estado: { type: "string" } }), {
+    description: "409 si faltan documentos requeridos por el checklist para el estado destino.",
+    conflict: true,
+  }),
+  "GET /candidatos/:id/estado/history": op("Candidatos", "Historial de estados", list(ref("EstadoHistorial"))),
+  "POST /candidatos/:id/documentos": op("Documentos", "Agregar documentos", obj({ ok: { type: "boolean" }, documentos: list(ref("Documento")) })),
+  "PUT /candidatos/:id/documentos/:docId": op("Documentos", "Reemplazar un documento o cambiar su vigencia", obj({ ok: { type: "boolean" }, documento: ref("Documento") }), {
+    description: "El archivo va en el campo de su tipo (dni, certificados, ...).",
+  }),
+  "DELETE /candidatos/:id/documentos/:docId": op("Documentos", "Eliminar un documento", OK),
+
+  /* ===== Portal del candidato ===== */
+  "GET /portal": op("Portal", "Datos y documentos del candidato del enlace", ref("Portal"), { security: [{ portalToken: [] }] }),
+  "POST /portal/documentos": op("Portal", "Subir documentos desde el portal", {
+    allOf: [obj({ ok: { type: "boolean" }, documentos: list(ref("Documento")) }), obj({ completitud: { type: "string" }, faltantes: list(ref("Faltante")) })],
+  }, {
+    security: [{ portalToken: [] }],
+    description: "Solo tipos faltantes del checklist y, por tipo, no más archivos que los que faltan (`faltan`). " +
+      "Sin checklist, hasta el máximo por tipo del formulario entre lo ya guardado y lo nuevo.",
+  }),
+  "POST /candidatos/:id/portal": op("Portal", "Emitir enlace (revoca los anteriores)", ref("PortalToken"), {
+    description: "No se emite para candidatos contratados ni en un estado de cierre del workflow (409). " +
+      "Contratar o pasar a un estado de cierre revoca los enlaces vigentes.",
+    conflict: true,
+  }),
+  "DELETE /candidatos/:id/portal": op("Portal", "Revocar enlaces vigentes", obj({ ok: { type: "boolean" }, revocados: { type: "integer" } })),
+
+  /* ===== Empleados ===== */
+  "GET /empleados": op("Empleados", "Listar empleados", list(ref("Empleado"))),
+  "GET /empleados/:id": op("Empleados", "Detalle de un empleado con sus documentos", ref("EmpleadoDetalle")),
+  "POST /empleados": op("Empleados", "Contratar a un candidato", ref("Empleado"), { conflict: true }),
+  "PUT /empleados/:id": op("Empleados", "Editar contrato", OK),
+  "PUT /empleados/:id/cese": op("Empleados", "Registrar cese", OK, { conflict: true }),
+  "DELETE /empleados/:id": op("Empleados", "Eliminar empleado", OK, { conflict: true }),
+
+  /* ===== Documentos ===== */
+  "GET /documentos/vencimientos": op("Documentos", "Documentos vencidos o por vencer, por sede", ref("Vencimientos")),
+
+  /* ===== Asignaciones ===== */
+  "GET /asignaciones": op("Asignaciones", "Listar asignaciones", list(ref("Asignacion"))),
+  "POST /asignaciones": op("Asignaciones", "Asignar sede / proyecto / turno por fechas", ref("Asignacion"), { conflict: true }),
+  "PUT /asignaciones/:id": op("Asignaciones", "Editar asignación", OK, { conflict: true }),
+  "DELETE /asignaciones/:id": op("Asignaciones", "Eliminar asignación", OK),
+  "GET /sites/:id/asignaciones": op("Asignaciones", "Asignaciones de una sede", list(ref("Asignacion"))),
+  "GET /empleados/:id/asignaciones": op("Asignaciones", "Asignaciones de un empleado", list(ref("Asignacion"))),
+  "GET /candidatos/:id/asignaciones": op("Asignaciones", "Asignaciones de un candidato", list(ref("Asignacion"))),
+
+  /* ===== Empresas / régimen ===== */
+  "GET /employers": op("Empresas", "Empresas del usuario", list(ref("Employer"))),
+  "POST /employers": op("Empresas", "Crear empresa", ref("Employer"), { conflict: true }),
+  "GET /employers/:id": op("Empresas", "Detalle de una empresa", ref("Employer")),
+  "PUT /employers/:id": op("Empresas", "Editar empresa", ref("Employer"), { conflict: true }),
+  "GET /employer": op("Empresas", "Empresa activa", { ...ref("Employer"), nullable: true }),
+  "POST /employer": op("Empresas", "Crear o actualizar empresa por RUC", ref("Employer"), { conflict: true }),
+  "GET /regimes/tax": op("Empresas", "Regímenes tributarios", list(ref("Regimen"))),
+  "GET /employer/tax": op("Empresas", "Régimen vigente (hoy o en ?at=)", { ...ref("TramoTributario"), nullable: true }),
+  "GET /employer/tax/history": op("Empresas", "Historial de régimen", list(ref("TramoTributario"))),
+  "POST /employer/tax": op("Empresas", "Nuevo régimen desde una fecha", ref("TramoTributario"), { conflict: true }),
+  "PUT /employer/tax/:id": op("Empresas", "Editar un tramo del historial", ref("TramoTributario"), { conflict: true }),
+  "DELETE /employer/tax/:id": op("Empresas", "Eliminar un tramo del historial", OK, { conflict: true }),
+
+  /* ===== Sedes ===== */
+  "GET /sites": op("Sedes", "Listar sedes", list(ref("Site"))),
+  "GET /sites/:id/projects": op("Sedes", "Proyectos de una sede", list(ref("Project"))),
+  "POST /sites": op("Sedes", "Crear sede", ref("Site"), { conflict: true }),
+  "PUT /sites/:id": op("Sedes", "Editar sede", OK, { conflict: true }),
+  "DELETE /sites/:id": op("Sedes", "Eliminar sede (409 si tiene registros; mejor archivar)", OK, { conflict: true }),
+  "POST /sites/:id/archive": op("Sedes", "Archivar sede", ref("Site")),
+  "POST /sites/:id/restore": op("Sedes", "Restaurar sede", ref("Site")),
+
+  /* ===== Proyectos ===== */
+  "GET /projects": op("Proyectos", "Listar proyectos", list(ref("Project"))),
+  "POST /projects": op("Proyectos", "Crear proyecto", ref("Project"), { conflict: true }),
+  "PUT /projects/:id": op("Proyectos", "Editar proyecto", OK, { conflict: true }),
+  "DELETE /projects/:id": op("Proyectos", "Eliminar proyecto (409 si tiene registros; mejor archivar)", OK, { conflict: true }),
+  "GET /projects/:id/sites": op("Proyectos", "Sedes de un proyecto", list(ref("Site"))),
+  "PUT /projects/:id/sites/:siteId": op("Proyectos", "Vincular sede", obj({ ok: { type: "boolean" }, project_id: { type: "integer" }, site_id: { type: "integer" } })),
+  "DELETE /projects/:id/sites/:siteId": op("Proyectos", "Desvincular sede", OK),
+  "POST /projects/:id/archive": op("Proyectos", "Archivar proyecto", ref("Project")),
+  "POST /projects/:id/restore": op("Proyectos", "Restaurar proyecto", ref("Project")),
+
+  /* ===== Checklists ===== */
+  "GET /sites/:id/checklist": op("Checklists", "Documentos requeridos de una sede", ref("Checklist")),
+  "PUT /sites/:id/checklist": op("Checklists", "Reemplazar checklist de una sede", ref("Checklist")),
+  "GET /projects/:id/checklist": op("Checklists", "Documentos requeridos de un proyecto", ref("Checklist")),
+  "PUT /projects/:id/checklist": op("Checklists", "Reemplazar checklist de un proyecto", ref("Checklist")),
+
+  /* ===== Turnos / rotaciones ===== */
+  "GET /shifts": op("Turnos", "Listar turnos", list(ref("Shift"))),
+  "POST /shifts": op("Turnos", "Crear turno", ref("Shift"), {
+    description: "Si end_time <= start_time el turno termina al día siguiente; iguales es un turno de 24 horas.",
+    conflict: true,
+  }),
+  "PUT /shifts/:id": op("Turnos", "Editar turno", ref("Shift"), { conflict: true }),
+  "DELETE /shifts/:id": op("Turnos", "Eliminar turno (409 si está en uso)", OK, { conflict: true }),
+  "POST /shifts/:id/archive": op("Turnos", "Archivar turno", ref("Shift")),
+  "POST /shifts/:id/restore": op("Turnos", "Restaurar turno", ref("Shift")),
+  "GET /shift-rotations": op("Turnos", "Listar rotaciones", list(ref("Rotation"))),
+  "POST /shift-rotations": op("Turnos", "Crear rotación", ref("Rotation"), { conflict: true }),
+  "PUT /shift-rotations/:id": op("Turnos", "Editar rotación", ref("Rotation"), { conflict: true }),
+  "DELETE /shift-rotations/:id": op("Turnos", "Eliminar rotación (409 si está en uso)", OK, { conflict: true }),
+  "GET /shift-rotations/:id/calendario": op("Turnos", "Vista previa de una rotación", {
+    allOf: [ref("Rotation"), ref("Calendario"), obj({ anchor: { type: "string", format: "date" } })],
+  }),
+  "GET /empleados/:id/calendario": op("Turnos", "Calendario de turnos de un empleado", ref("Calendario")),
+  "GET /candidatos/:id/calendario": op("Turnos", "Calendario de turnos de un candidato", ref("Calendario")),
+
+  /* ===== Asistencia ===== */
+  "GET /asistencia/marcaciones": op("Asistencia", "Listar marcaciones", list(ref("Marcacion"))),
+  "POST /asistencia/marcaciones/import": op("Asistencia", "Importar marcaciones del biométrico (CSV / XLSX)", ref("ResumenImportacionMarcaciones"), {
+    description: "mode=dry-run (por defecto) solo valida; mode=commit inserta las filas válidas.",
+  }),
+  "POST /asistencia/marcaciones": op("Asistencia", "Registrar marcación manual", ref("Marcacion"), { conflict: true }),
+  "DELETE /asistencia/marcaciones/:id": op("Asistencia", "Eliminar marcación", OK),
+  "GET /empleados/:id/asistencia": op("Asistencia", "Asistencia diaria de un empleado", ref("AsistenciaEmpleado")),
+  "GET /sites/:id/asistencia": op("Asistencia", "Resumen de asistencia de una sede", ref("AsistenciaGrupo")),
+  "GET /projects/:id/asistencia": op("Asistencia", "Resumen de asistencia de un proyecto", ref("AsistenciaGrupo")),
+
+  /* ===== Planillas ===== */
+  "GET /planillas": op("Planillas", "Listar planillas", list(ref("Planilla"))),
+  "GET /planillas/:id": op("Planillas", "Detalle de una planilla con sus líneas", ref("PlanillaDetalle")),
+  "POST /planillas": op("Planillas", "Calcular planilla de un periodo", ref("Planilla"), { conflict: true }),
+  "POST /planillas/:id/recalcular": op("Planillas", "Recalcular planilla en borrador", ref("Planilla"), { conflict: true }),
+  "PUT /planillas/:id/cerrar": op("Planillas", "Cerrar planilla", OK, { conflict: true }),
+  "DELETE /planillas/:id": op("Planillas", "Eliminar planilla en borrador", OK, { conflict: true }),
+
+  /* ===== Auditoría ===== */
+  "GET /audit": op("Auditoría", "Consultar auditoría", ref("AuditPagina")),
+
+  /* ===== Webhooks ===== */
+  "GET /webhooks/events": op("Webhooks", "Eventos disponibles", list({ type: "string" })),
+  "GET /webhooks/deliveries": op("Webhooks", "Listar entregas", ref("WebhookDeliveryPagina")),
+  "GET /webhooks/deliveries/:id": op("Webhooks", "Detalle de una entrega (con payload)", ref("WebhookDelivery")),
+  "POST /webhooks/deliveries/:id/replay": op("Webhooks", "Reintentar una entrega", ref("WebhookDelivery"), {
+    description: "409 si la suscripción está desactivada.",
+    conflict: true,
+  }),
+  "GET /webhooks": op("Webhooks", "Listar suscripciones", list(ref("WebhookSubscription"))),
+  "POST /webhooks": op("Webhooks", "Crear suscripción (devuelve el secreto una vez)", ref("WebhookSubscription"), {
+    description: "La url no puede resolver a loopback, redes privadas ni link-local (salvo WEBHOOK_ALLOW_PRIVATE_URLS=1).",
+  }),
+  "PUT /webhooks/:id": op("Webhooks", "Editar suscripción o rotar secreto", ref("WebhookSubscription"), {
+    description: "Con active=false las entregas pendientes de la suscripción pasan a DESCARTADO.",
+  }),
+  "DELETE /webhooks/:id": op("Webhooks", "Eliminar suscripción", OK),
+};
+
+module.exports = { operations };
@@ -0,0 +1,261 @@
+// Esquemas de respuesta (components.schemas) del documento OpenAPI.
+// Reflejan las columnas que devuelve cada controlador, con sus alias (dni_numero, dni_doc, cv_doc, doc_count...).
+
+const { TIPOS } = require("../candidatos/candidatos.documentos");
+const { COMPLETITUD } = require("../candidatos/candidatos.checklist");
+const { EVENTS, ESTADOS: ESTADOS_ENTREGA } = require("../webhooks/webhooks.service");
+const { ACTIONS } = require("../audit/audit.service");
+const { STATUS_CODES } = require("../common/errors");
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const obj = (properties, required) => ({ type: "object", properties, ...(required ? { required } : {}) });
+const list = (items) => ({ type: "array", items });
+const nullable = (s) => ({ ...s, nullable: true });
+
+const id = { type: "integer", minimum: 1 };
+const int = { type: "integer" };
+const num = { type: "number" };
+const str = { type: "string" };
+const bool = { type: "boolean" };
+const date = { type: "string", format: "date", example: "2025-03-01" };
+const datetime = { type: "string", format: "date-time" };
+const time = { type: "string", pattern: "^\\d{2}:\\d{2}$", example: "07:00" };
+
+// Códigos de error que puede traer `code` además de los de cada status
+const ERROR_CODES = [
+  ...new Set([
+    ...Object.values(STATUS_CODES),
+    "SOLICITUD_INVALIDA", "JSON_INVALIDO", "CUERPO_MUY_GRANDE", "ARCHIVOS_INVALIDOS",
+    "DUPLICADO", "EN_USO", "REFERENCIA_INEXISTENTE", "VALOR_INVALIDO", "RUTA_NO_ENCONTRADA",
+  ]),
+];
+
+const Documento = obj({
+  id, tipo: { type: "string", enum: TIPOS }, url: str,
+  fecha_emision: nullable(date), fecha_vencimiento: nullable(date), vencido: bool, created_at: datetime,
+});
+
+const Faltante = obj({ tipo: { type: "string", enum: TIPOS }, requeridos: int, vigentes: int, faltan: int });
+
+// Campos del listado de candidatos: dni_numero es el número; dni_doc / cv_doc y los demás tipos son la URL
+// del último archivo de ese tipo (null si no hay). doc_count cuenta solo documentos vigentes.
+const candidatoBase = {
+  id,
+  tipo_documento: { type: "string", example: "DNI" },
+  dni_numero: str,
+  apellido_paterno: str,
+  apellido_materno: str,
+  nombres: str,
+  nombre_completo: str,
+  sede: nullable(str),
+  turno_horario: nullable(str),
+  grupo: nullable(str),
+  estado: str,
+  fecha: datetime,
+  dni_doc: nullable(str),
+  certificados: nullable(str),
+  antecedentes: nullable(str),
+  medicos: nullable(str),
+  capacitacion: nullable(str),
+  cv_doc: nullable(str),
+  completitud: { type: "string", enum: COMPLETITUD },
+  faltantes: list(Faltante),
+};
+
+const pagina = (items) => obj({ data: list(items), total: int, page: int, pageSize: int, pages: int });
+
+const schemas = {
+  Error: obj({
+    error: { type: "string", description: "Mensaje para mostrar" },
+    code: { type: "string", enum: ERROR_CODES, description: "Código estable para el cliente" },
+    campos: { type: "object", additionalProperties: str, description: "Detalle por campo (solo errores de datos)" },
+  }, ["error", "code"]),
+
+  Ok: obj({ ok: { type: "boolean", enum: [true] } }, ["ok"]),
+
+  Documento,
+  Faltante,
+
+  Candidato: obj({ ...candidatoBase, doc_count: int, docs_vencidos: int }),
+  CandidatoPagina: pagina(ref("Candidato")),
+  CandidatoDetalle: obj({ ...candidatoBase, documentos: list(Documento) }),
+  CandidatoCreado: obj({
+    ok: bool, id,
+    portal: obj({ token: str, expires_at: datetime }),
+  }),
+  EstadoHistorial: obj({
+    id, estado_anterior: nullable(str), estado_nuevo: str, comentario: nullable(str),
+    actor_id: nullable(id), actor_email: nullable(str), created_at: datetime,
+  }),
+  Workflow: obj({ initial: str, states: list(str), transitions: { type: "object", additionalProperties: list(str) } }),
+
+  ResumenImportacion: obj({
+    modo: { type: "string", enum: ["dry-run", "commit"] },
+    total: int, validos: int, con_errores: int,
+    insertados: { type: "integer", description: "Solo con mode=commit" },
+    filas: list(obj({ fila: int, dni: nullable(str), ok: bool, errores: { type: "object", additionalProperties: str }, id })),
+  }),
+  ResumenImportacionMarcaciones: obj({
+    modo: { type: "string", enum: ["dry-run", "commit"] },
+    total: int, validos: int, con_errores: int,
+    insertados: { type: "integer", description: "Solo con mode=commit" },
+    duplicadas: { type: "integer", description: "Solo con mode=commit: filas que ya estaban registradas" },
+    filas: list(obj({
+      fila: int, dni: nullable(str), marcado_en: nullable(str), errores: { type: "object", additionalProperties: str },
+      duplicada: bool,
+    })),
+  }),
+
+  PortalToken: obj({ token: str, expires_at: datetime }),
+  Portal: obj({
+    candidato: obj({ id, nombres: str, apellido_paterno: str, apellido_materno: str, estado: str }),
+    completitud: { type: "string", enum: COMPLETITUD },
+    faltantes: list(Faltante),
+    documentos: list(obj({ id, tipo: str, fecha_emision: nullable(date), fecha_vencimiento: nullable(date), vencido: bool, created_at: datetime })),
+    tipos_permitidos: list({ type: "string", enum: TIPOS }),
+    expires_at: datetime,
+  }),
+
+  Empleado: obj({
+    id, candidato_id: id, employer_id: id,
+    tipo_documento: str, dni_numero: str,
+    apellido_paterno: str, apellido_materno: str, nombres: str, nombre_completo: str,
+    fecha_ingreso: date, cargo: str, sueldo: num, tipo_contrato: str,
+    sistema_pensiones: nullable(str), afp: nullable(str),
+    fecha_fin_contrato: nullable(date),
+    estado: { type: "string", enum: ["ACTIVO", "CESADO"] },
+    fecha_cese: nullable(date), motivo_cese: nullable(str), created_at: datetime,
+  }),
+  EmpleadoDetalle: {
+    allOf: [ref("Empleado"), obj({ documentos: list(obj({ ...Documento.properties, candidato_documento_id: nullable(id) })) })],
+  },
+
+  Site: obj({
+    id, code: str, name: str,
+    address: nullable(str), ubigeo: nullable({ type: "string", pattern: "^\\d{6}$" }),
+    district: nullable(str), province: nullable(str), department: nullable(str),
+    latitude: nullable(num), longitude: nullable(num),
+    active: bool, archived_at: nullable(datetime),
+    linked_at: { ...datetime, description: "Solo en GET /projects/{id}/sites" },
+  }),
+  Project: obj({
+    id, code: str, name: str, active: bool, archived_at: nullable(datetime),
+    site_ids: { ...list(id), description: "Solo en GET /projects" },
+    linked_at: { ...datetime, description: "Solo en GET /sites/{id}/projects" },
+  }),
+  Checklist: obj({
+    site_id: id, project_id: id,
+    items: list(obj({ tipo: { type: "string", enum: TIPOS }, cantidad: { type: "integer", minimum: 1 } })),
+  }),
+
+  Shift: obj({
+    id, name: str, start_time: time, end_time: time, break_minutes: int,
+    weekdays: list({ type: "integer", minimum: 1, maximum: 7 }),
+    overnight: bool, duration_minutes: int, net_minutes: int, net_hours: num,
+    active: bool, archived_at: nullable(datetime),
+  }),
+  Rotation: obj({ id, name: str, pattern: list(nullable(id)), cycle_days: int, created_at: datetime }),
+  Calendario: obj({
+    from: date, to: date, dias_trabajo: int, horas_netas: num,
+    dias: list(obj({
+      fecha: date, trabaja: bool,
+      site_id: nullable(id), project_id: nullable(id), asignacion_id: nullable(id),
+      motivo: { type: "string", enum: ["sin_asignacion", "descanso", "sin_turno"], description: "Solo si no trabaja" },
+      shift_id: id, shift_name: str, inicio: str, fin: str, break_minutes: int, net_hours: num,
+    })),
+  }),
+
+  Asignacion: obj({
+    id, candidato_id: nullable(id), empleado_id: nullable(id), nombre_completo: str, dni_numero: str,
+    site_id: id, site_name: str, project_id: nullable(id), project_name: nullable(str),
+    shift_id: nullable(id), shift_name: nullable(str), rotation_id: nullable(id), rotation_name: nullable(str),
+    valid_from: date, valid_to: nullable(date),
+  }),
+
+  Marcacion: obj({
+    id, empleado_id: id, dni_numero: str, nombre_completo: str,
+    marcado_en: { type: "string", example: "2025-03-01 07:05:00" },
+    tipo: nullable({ type: "string", enum: ["ENTRADA", "SALIDA"] }),
+    origen: { type: "string", enum: ["MANUAL", "BIOMETRICO"] }, dispositivo: nullable(str), created_at: datetime,
+  }),
+  ResumenAsistencia: obj({
+    dias_programados: int, dias_asistidos: int, faltas: int, tardanzas: int, incompletos: int,
+    dias_no_programados: int, tardanza_min: int, salida_anticipada_min: int, horas_extra: num, horas_trabajadas: num,
+  }),
+  AsistenciaEmpleado: obj({ empleado_id: id, from: date, to: date, totales: ref("ResumenAsistencia"), dias: list({ type: "object" }) }),
+  AsistenciaGrupo: obj({
+    site_id: { ...id, description: "En /sites/{id}/asistencia" },
+    project_id: { ...id, description: "En /projects/{id}/asistencia" },
+    name: str, from: date, to: date,
+    totales: { allOf: [ref("ResumenAsistencia"), obj({ empleados: int })] },
+    empleados: list({ allOf: [obj({ empleado_id: id, dni_numero: str, nombre_completo: str }), ref("ResumenAsistencia")] }),
+  }),
+
+  Vencimientos: obj({
+    dias: int, total: int, vencidos: int,
+    sedes: list(obj({
+      site_id: nullable(id), site_name: nullable(str),
+      personas: list(obj({
+        persona: { type: "string", enum: ["candidato", "empleado"] }, id, dni_numero: str, nombre_completo: str,
+        documentos: list(obj({ ...Documento.properties, dias_restantes: int })),
+      })),
+    })),
+  }),
+
+  Planilla: obj({
+    id, employer_id: id, periodo: { type: "string", example: "2025-03" },
+    estado: { type: "string", enum: ["BORRADOR", "CERRADA"] },
+    total_ingresos: num, total_descuentos: num, total_neto: num, total_aportes: num, total_provisiones: num,
+    empleados: int, created_by: nullable(id), created_at: datetime, calculated_at: nullable(datetime),
+    locked_by: nullable(id), locked_at: nullable(datetime),
+  }),
+  PlanillaDetalle: {
+    allOf: [ref("Planilla"), obj({
+      lineas: list(obj({
+        id, empleado_id: id, dni_numero: str, nombre_completo: str, cargo: str,
+        sistema_pensiones: nullable(str), afp: nullable(str), dias: int, regimenes: list(str),
+        sueldo: num, ingresos: num, descuentos: num, neto: num, aportes: num, provisiones: num,
+        detalle: list({
+          type: "object",
+          description: "Un concepto del cálculo; además de estos campos trae los que usó (base, tasa, afp, regimen, dias...)",
+          properties: { concepto: str, tipo: { type: "string", enum: ["INGRESO", "DESCUENTO", "APORTE", "PROVISION"] }, monto: num },
+          additionalProperties: true,
+        }),
+      })),
+    })],
+  },
+
+  Employer: obj({ id, ruc: str, name: str, logo_url: nullable(str) }),
+  Regimen: obj({ id, code: str, name: str }),
+  TramoTributario: obj({ id, code: str, name: str, valid_from: date, valid_to: nullable(date) }),
+
+  Usuario: obj({ id, email: str, name: nullable(str), role: { type: "string", enum: ["admin", "recruiter"] }, active: bool, created_at: datetime, employer_ids: list(id) }),
+  Sesion: obj({
+    token: str,
+    user: obj({ id, email: str, name: nullable(str), role: str }),
+    employer_id: nullable(id),
+    employers: list(obj({ id, ruc: str, name: str })),
+  }),
+
+  AuditEntry: obj({
+    id, actor_id: nullable(id), actor_email: nullable(str), method: str, route: str,
+    entity: str, entity_id: nullable(int), action: { type: "string", enum: ACTIONS },
+    changes: { type: "object" }, created_at: datetime,
+  }),
+  AuditPagina: pagina(ref("AuditEntry")),
+
+  WebhookSubscription: obj({
+    id, url: str, events: list({ type: "string", enum: EVENTS }), active: bool, created_at: datetime,
+    secret_hint: str, secret: { type: "string", description: "Solo al crear o rotar" },
+  }),
+  WebhookDelivery: obj({
+    id, subscription_id: id, url: str, event: { type: "string", enum: EVENTS },
+    estado: { type: "string", enum: ESTADOS_ENTREGA }, attempts: int,
+    next_attempt_at: nullable(datetime), last_attempt_at: nullable(datetime),
+    last_status: nullable(int), last_error: nullable(str), delivered_at: nullable(datetime), created_at: datetime,
+    payload: { type: "object", description: "Solo en el detalle" },
+  }),
+  WebhookDeliveryPagina: pagina(ref("WebhookDelivery")),
+};
+
+module.exports = { schemas, ref, list, obj };
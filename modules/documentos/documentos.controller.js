@@ -0,0 +1,108 @@
+const { handleError } = require("../common/errors");
+const { signUrls } = require("../storage/storage.service");
+
+const MAX_DIAS = 365;
+const PERSONAS = ["candidato", "empleado"];
+const ESTADOS = ["vencido", "por_vencer"];
+
+// Último documento de cada tipo por persona: candidatos aún no contratados y empleados activos.
+// La sede es la de la asignación vigente hoy (null si no tiene).
+const SQL_VENCIMIENTOS = `
+  WITH docs AS (
+    (SELECT DISTINCT ON (c.id, d.tipo)
+            'candidato' AS persona, c.id AS persona_id, c.dni AS dni_numero,
+            concat_ws(' ', c.apellido_paterno, c.apellido_materno, c.nombres) AS nombre_completo,
+            d.id, d.tipo, d.url, d.fecha_emision, d.fecha_vencimiento
+       FROM candidato_documentos d
+       JOIN candidatos c ON c.id = d.candidato_id
+      WHERE c.employer_id = $1
+        AND NOT EXISTS (SELECT 1 FROM empleados e WHERE e.candidato_id = c.id)
+      ORDER BY c.id, d.tipo, d.created_at DESC, d.id DESC)
+    UNION ALL
+    (SELECT DISTINCT ON (e.id, d.tipo)
+            'empleado', e.id, e.dni,
+            concat_ws(' ', e.apellido_paterno, e.apellido_materno, e.nombres),
+            d.id, d.tipo, d.url, d.fecha_emision, d.fecha_vencimiento
+       FROM empleado_documentos d
+       JOIN empleados e ON e.id = d.empleado_id
+      WHERE e.employer_id = $1 AND e.estado = 'ACTIVO'
+      ORDER BY e.id, d.tipo, d.created_at DESC, d.id DESC)
+  )
+  SELECT docs.persona, docs.persona_id, docs.dni_numero, docs.nombre_completo,
+         docs.id, docs.tipo, docs.url,
+         to_char(docs.fecha_emision, 'YYYY-MM-DD')     AS fecha_emision,
+         to_char(docs.fecha_vencimiento, 'YYYY-MM-DD') AS fecha_vencimiento,
+         (docs.fecha_vencimiento - CURRENT_DATE)::int  AS dias_restantes,
+         s.id AS site_id, s.name AS site_name
+    FROM docs
+    LEFT JOIN LATERAL (
+      SELECT a.site_id
+        FROM asignaciones a
+       WHERE (CASE docs.persona WHEN 'candidato' THEN a.candidato_id ELSE a.empleado_id END) = docs.persona_id
+         AND a.valid_from <= CURRENT_DATE AND (a.valid_to IS NULL OR a.valid_to >= CURRENT_DATE)
+       ORDER BY a.valid_from DESC
+       LIMIT 1
+    ) asig ON TRUE
+    LEFT JOIN sites s ON s.id = asig.site_id
+   WHERE docs.fecha_vencimiento <= CURRENT_DATE + $2::int
+     AND ($3::text IS NULL OR ($3 = 'vencido') = (docs.fecha_vencimiento < CURRENT_DATE))
+     AND ($4::int IS NULL OR s.id = $4)
+     AND ($5::text IS NULL OR docs.tipo = $5)
+     AND ($6::text IS NULL OR docs.persona = $6)
+   ORDER BY s.name NULLS LAST, docs.nombre_completo, docs.persona_id, docs.fecha_vencimiento`;
+
+// Filas planas -> sedes > personas > documentos (las filas vienen ordenadas así)
+function groupBySite(rows) {
+  const sedes = [];
+  for (const r of rows) {
+    let sede = sedes[sedes.length - 1];
+    if (!sede || sede.site_id !== r.site_id) {
+      sede = { site_id: r.site_id, site_name: r.site_name, personas: [] };
+      sedes.push(sede);
+    }
+    let persona = sede.personas[sede.personas.length - 1];
+    if (!persona || persona.persona !== r.persona || persona.id !== r.persona_id) {
+      persona = { persona: r.persona, id: r.persona_id, dni_numero: r.dni_numero, nombre_completo: r.nombre_completo, documentos: [] };
+      sede.personas.push(persona);
+    }
+    persona.documentos.push({
+      id: r.id,
+      tipo: r.tipo,
+      url: r.url,
+      fecha_emision: r.fecha_emision,
+      fecha_vencimiento: r.fecha_vencimiento,
+      dias_restantes: r.dias_restantes,
+      vencido: r.dias_restantes < 0,
+    });
+  }
+  return sedes;
+}
+
+module.exports = ({ pool, storage }) => {
+  return {
+    // GET /documentos/vencimientos?dias=30&estado=vencido|por_vencer&site_id&tipo&persona=candidato|empleado
+    // Documentos vencidos o que vencen en los próximos `dias`, agrupados por sede y persona
+    vencimientos: async (req, res) => {
+      try {
+        const { dias = "30", estado = null, site_id = null, tipo = null, persona = null } = req.query;
+        const n = Number(dias);
+
+        const { rows } = await pool.query(SQL_VENCIMIENTOS, [
+          req.employerId, n, estado, site_id ? Number(site_id) : null, tipo, persona,
+        ]);
+        res.json({
+          dias: n,
+          total: rows.length,
+          vencidos: rows.filter(r => r.dias_restantes < 0).length,
+          sedes: groupBySite(signUrls(storage, rows)),
+        });
+      } catch (e) {
+        handleError(res, e, "GET /api/documentos/vencimientos", "Error consultando vencimientos");
+      }
+    },
+  };
+};
+
+module.exports.MAX_DIAS = MAX_DIAS;
+module.exports.PERSONAS = PERSONAS;
+module.exports.ESTADOS = ESTADOS;
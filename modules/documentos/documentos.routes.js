@@ -0,0 +1,23 @@
+const express = require('express');
+const controllerFactory = require('./documentos.controller');
+const { MAX_DIAS, PERSONAS, ESTADOS } = controllerFactory;
+const { TIPOS } = require('../candidatos/candidatos.documentos');
+const { v, validate } = require('../common/validate');
+
+const vencimientosQuery = {
+  dias: v.int({ min: 0, max: MAX_DIAS }),
+  estado: v.oneOf(ESTADOS),
+  site_id: v.id(),
+  tipo: v.oneOf(TIPOS),
+  persona: v.oneOf(PERSONAS),
+};
+
+module.exports = function documentosRoutes({ pool, storage, auth, tenant }) {
+  const router = express.Router();
+  const ctrl = controllerFactory({ pool, storage });
+
+  // alertas de documentos vencidos / por vencer (candidatos y empleados)
+  router.get('/documentos/vencimientos', auth.staff, tenant, validate({ query: vencimientosQuery }), ctrl.vencimientos);
+
+  return router;
+};
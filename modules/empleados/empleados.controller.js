@@ -0,0 +1,318 @@
+const { isIsoDate } = require("../common/dates");
+const { plain, escapeLike } = require("../common/search");
+const { loadWorkflow } = require("../candidatos/candidatos.workflow");
+const { SISTEMAS_PENSIONES, AFPS } = require("../planillas/planillas.reglas");
+const webhooks = require("../webhooks/webhooks.service");
+const { revokeTokens } = require("../portal/portal.tokens");
+const { handleError } = require("../common/errors");
+const { withTransaction } = require("../common/db");
+const { signUrls } = require("../storage/storage.service");
+
+const TIPOS_CONTRATO = ["INDETERMINADO", "PLAZO_FIJO", "TIEMPO_PARCIAL", "PRACTICAS"];
+
+// CHECK (fecha_cese IS NULL OR fecha_cese >= fecha_ingreso) de 0005_empleados (nombre automático)
+const CESE_CHECK = "empleados_check";
+
+const SELECT_EMPLEADO = `
+  SELECT e.id, e.candidato_id, e.employer_id,
+         e.tipo_documento, e.dni AS dni_numero,
+         e.apellido_paterno, e.apellido_materno, e.nombres,
+         concat_ws(' ', e.apellido_paterno, e.apellido_materno, e.nombres) AS nombre_completo,
+         to_char(e.fecha_ingreso, 'YYYY-MM-DD')      AS fecha_ingreso,
+         e.cargo, e.sueldo::float AS sueldo, e.tipo_contrato,
+         e.sistema_pensiones, e.afp,
+         to_char(e.fecha_fin_contrato, 'YYYY-MM-DD') AS fecha_fin_contrato,
+         e.estado,
+         to_char(e.fecha_cese, 'YYYY-MM-DD')         AS fecha_cese,
+         e.motivo_cese, e.created_at
+    FROM empleados e`;
+
+// Valida los datos de contrato; `partial` para PUT (solo lo que venga: las reglas que cruzan
+// campos se revisan en update sobre la fila combinada)
+function validateContrato(body, { partial = false } = {}) {
+  const errors = {};
+  const has = (k) => body[k] !== undefined && body[k] !== null && body[k] !== "";
+
+  if (!partial || has("fecha_ingreso")) {
+    if (!isIsoDate(body.fecha_ingreso)) errors.fecha_ingreso = "Fecha inválida (YYYY-MM-DD)";
+  }
+  if (!partial || has("cargo")) {
+    if (!body.cargo) errors.cargo = "Obligatorio";
+  }
+  if (!partial || has("sueldo")) {
+    const n = Number(body.sueldo);
+    if (!Number.isFinite(n) || n <= 0) errors.sueldo = "Debe ser un número mayor a 0";
+  }
+  if (!partial || has("tipo_contrato")) {
+    if (!TIPOS_CONTRATO.includes(String(body.tipo_contrato || "").toUpperCase())) {
+      errors.tipo_contrato = `Debe ser ${TIPOS_CONTRATO.join(", ")}`;
+    }
+  }
+  if (has("fecha_fin_contrato") && !isIsoDate(body.fecha_fin_contrato)) {
+    errors.fecha_fin_contrato = "Fecha inválida (YYYY-MM-DD)";
+  }
+  if (has("sistema_pensiones") && !SISTEMAS_PENSIONES.includes(String(body.sistema_pensiones).toUpperCase())) {
+    errors.sistema_pensiones = `Debe ser ${SISTEMAS_PENSIONES.join(", ")}`;
+  }
+  if (has("afp") && !AFPS.includes(String(body.afp).toUpperCase())) {
+    errors.afp = `Debe ser ${AFPS.join(", ")}`;
+  }
+  if (!partial && String(body.sistema_pensiones || "").toUpperCase() === "AFP" && !has("afp")) {
+    errors.afp = "Obligatorio si sistema_pensiones es AFP";
+  }
+  return errors;
+}
+
+module.exports = ({ pool, storage, workflow = loadWorkflow() }) => {
+  return {
+    // GET /empleados?estado=activo|cesado&q=...
+    list: async (req, res) => {
+      try {
+        const { estado = null, q = null } = req.query;
+        const where = ["e.employer_id = $1"];
+        const params = [req.employerId];
+        let i = 2;
+
+        if (estado) { where.push(`LOWER(e.estado) = LOWER($${i++})`); params.push(estado); }
+        if (q) {
+          where.push(`${plain("concat_ws(' ', e.dni, e.apellido_paterno, e.apellido_materno, e.nombres, e.cargo)")} LIKE $${i++}`);
+          params.push(`%${escapeLike(q)}%`);
+        }
+        const { rows } = await pool.query(
+          `${SELECT_EMPLEADO}
+           WHERE ${where.join(" AND ")}
+           ORDER BY e.fecha_ingreso DESC, e.id DESC`,
+          params
+        );
+        res.json(rows);
+      } catch (e) {
+        handleError(res, e, "GET /api/empleados", "Error consultando empleados");
+      }
+    },
+
+    getById: async (req, res) => {
+      try {
+        const id = Number(req.params.id);
+        const cab = await pool.query(`${SELECT_EMPLEADO} WHERE e.id=$1 AND e.employer_id=$2`, [id, req.employerId]);
+        if (cab.rowCount === 0) return res.status(404).json({ error: "No encontrado" });
+
+        const docs = await pool.query(
+          `SELECT id, tipo, url, candidato_documento_id,
+                  to_char(fecha_emision, 'YYYY-MM-DD') AS fecha_emision,
+                  to_char(fecha_vencimiento, 'YYYY-MM-DD') AS fecha_vencimiento,
+                  (fecha_vencimiento IS NOT NULL AND fecha_vencimiento < CURRENT_DATE) AS vencido,
+                  created_at
+             FROM empleado_documentos
+            WHERE empleado_id=$1
+            ORDER BY created_at DESC`,
+          [id]
+        );
+        res.json({ ...cab.rows[0], documentos: signUrls(storage, docs.rows) });
+      } catch (e) {
+        handleError(res, e, "GET /api/empleados/:id", "Error consultando empleado");
+      }
+    },
+
+    // POST /empleados { candidato_id, fecha_ingreso, cargo, sueldo, tipo_contrato, fecha_fin_contrato?,
+    //                   sistema_pensiones? (ONP por defecto), afp? }
+    // Contrata a un candidato aprobado: copia sus datos y documentos al legajo.
+    hire: async (req, res) => {
+      const client = await pool.connect();
+      try {
+        const body = req.body || {};
+        const candidatoId = Number(body.candidato_id);
+        if (!Number.isInteger(candidatoId)) {
+          return res.status(400).json({ error: "Datos inválidos", campos: { candidato_id: "Obligatorio" } });
+        }
+        const errores = validateContrato(body);
+        const tipoContrato = String(body.tipo_contrato || "").toUpperCase();
+        if (tipoContrato === "PLAZO_FIJO" && !body.fecha_fin_contrato) {
+          errores.fecha_fin_contrato = "Obligatorio para contratos a plazo fijo";
+        }
+        if (body.fecha_fin_contrato && body.fecha_fin_contrato < body.fecha_ingreso) {
+          errores.fecha_fin_contrato = "Debe ser posterior a fecha_ingreso";
+        }
+        if (Object.keys(errores).length) return res.status(400).json({ error: "Datos inválidos", campos: errores });
+
+        const employerId = req.employerId;
+        await client.query("BEGIN");
+
+        const cand = await client.query(
+          `SELECT id, tipo_documento, dni, apellido_paterno, apellido_materno, nombres, estado
+             FROM candidatos
+            WHERE id=$1 AND employer_id=$2
+            FOR UPDATE`,
+          [candidatoId, employerId]
+        );
+        if (cand.rowCount === 0) {
+          await client.query("ROLLBACK");
+          return res.status(404).json({ error: "Candidato no encontrado" });
+        }
+        const c = cand.rows[0];
+        if (!workflow.canHire(c.estado)) {
+          await client.query("ROLLBACK");
+          return res.status(409).json({
+            error: `Solo se puede contratar a candidatos en estado ${workflow.hireable.join(" / ")}`,
+          });
+        }
+
+        const ins = await client.query(
+          `INSERT INTO empleados
+             (candidato_id, employer_id, tipo_documento, dni, apellido_paterno, apellido_materno, nombres,
+              fecha_ingreso, cargo, sueldo, tipo_contrato, fecha_fin_contrato, sistema_pensiones, afp)
+           VALUES ($1,$2,$3,$4,$5,$6,$7,$8::date,$9,$10,$11,$12::date,$13,$14)
+           RETURNING id, candidato_id, tipo_documento, dni, apellido_paterno, apellido_materno, nombres,
+                     to_char(fecha_ingreso, 'YYYY-MM-DD') AS fecha_ingreso, cargo, sueldo, tipo_contrato,
+                     to_char(fecha_fin_contrato, 'YYYY-MM-DD') AS fecha_fin_contrato, sistema_pensiones, afp`,
+          [c.id, employerId, c.tipo_documento, c.dni, c.apellido_paterno, c.apellido_materno, c.nombres,
+           body.fecha_ingreso, String(body.cargo).trim(), Number(body.sueldo), tipoContrato,
+           body.fecha_fin_contrato || null,
+           body.sistema_pensiones ? String(body.sistema_pensiones).toUpperCase() : "ONP",
+           body.afp ? String(body.afp).toUpperCase() : null]
+        );
+        const empleadoId = ins.rows[0].id;
+
+        // Los documentos pasan al legajo apuntando al mismo archivo
+        await client.query(
+          `INSERT INTO empleado_documentos (empleado_id, tipo, url, candidato_documento_id, fecha_emision, fecha_vencimiento, created_at)
+           SELECT $1, tipo, url, id, fecha_emision, fecha_vencimiento, created_at
+             FROM candidato_documentos
+            WHERE candidato_id = $2`,
+          [empleadoId, c.id]
+        );
+        // ya contratado: el portal del candidato no tiene nada más que completar
+        await revokeTokens(client, c.id);
+        await webhooks.emit(client, { employerId, event: "empleado.contratado", data: ins.rows[0] });
+
+        await client.query("COMMIT");
+
+        const r = await pool.query(`${SELECT_EMPLEADO} WHERE e.id=$1`, [empleadoId]);
+        res.json(r.rows[0]);
+      } catch (e) {
+        await client.query("ROLLBACK");
+        if (e.code === "23505") return res.status(409).json({ error: "El candidato ya fue contratado", code: "DUPLICADO" });
+        handleError(res, e, "POST /api/empleados", "Error contratando candidato");
+      } finally {
+        client.release();
+      }
+    },
+
+    // PUT /empleados/:id: solo lo que venga; fecha_fin_contrato: null la borra.
+    // Las reglas de plazo fijo y de AFP se revisan sobre el contrato ya combinado con lo actual.
+    update: async (req, res) => {
+      const client = await pool.connect();
+      try {
+        const id = Number(req.params.id);
+        const body = req.body || {};
+        const errores = validateContrato(body, { partial: true });
+        if (Object.keys(errores).length) return res.status(400).json({ error: "Datos inválidos", campos: errores });
+
+        await client.query("BEGIN");
+        const cur = await client.query(
+          `SELECT to_char(fecha_ingreso, 'YYYY-MM-DD') AS fecha_ingreso, tipo_contrato,
+                  to_char(fecha_fin_contrato, 'YYYY-MM-DD') AS fecha_fin_contrato, sistema_pensiones, afp
+             FROM empleados
+            WHERE id=$1 AND employer_id=$2
+            FOR UPDATE`,
+          [id, req.employerId]
+        );
+        if (cur.rowCount === 0) {
+          await client.query("ROLLBACK");
+          return res.status(404).json({ error: "No encontrado" });
+        }
+
+        const fechaIngreso = body.fecha_ingreso || cur.rows[0].fecha_ingreso;
+        const tipoContrato = body.tipo_contrato ? String(body.tipo_contrato).toUpperCase() : cur.rows[0].tipo_contrato;
+        const fechaFin = body.fecha_fin_contrato !== undefined ? body.fecha_fin_contrato || null : cur.rows[0].fecha_fin_contrato;
+        if (tipoContrato === "PLAZO_FIJO" && !fechaFin) {
+          errores.fecha_fin_contrato = "Obligatorio para contratos a plazo fijo";
+        } else if (fechaFin && fechaFin < fechaIngreso) {
+          errores.fecha_fin_contrato = "Debe ser posterior a fecha_ingreso";
+        }
+        const sistema = body.sistema_pensiones ? String(body.sistema_pensiones).toUpperCase() : cur.rows[0].sistema_pensiones;
+        const afp = body.afp ? String(body.afp).toUpperCase() : cur.rows[0].afp;
+        if (sistema === "AFP" && !afp) errores.afp = "Obligatorio si sistema_pensiones es AFP";
+        if (Object.keys(errores).length) {
+          await client.query("ROLLBACK");
+          return res.status(400).json({ error: "Datos inválidos", campos: errores });
+        }
+
+        await client.query(
+          `UPDATE empleados
+              SET fecha_ingreso      = $1::date,
+                  cargo              = COALESCE($2, cargo),
+                  sueldo             = COALESCE($3, sueldo),
+                  tipo_contrato      = $4,
+                  fecha_fin_contrato = $5::date,
+                  sistema_pensiones  = COALESCE($6, sistema_pensiones),
+                  afp                = CASE WHEN $6 = 'ONP' THEN NULL ELSE COALESCE($7, afp) END
+            WHERE id=$8`,
+          [fechaIngreso, body.cargo || null,
+           body.sueldo ? Number(body.sueldo) : null,
+           tipoContrato, fechaFin,
+           body.sistema_pensiones ? String(body.sistema_pensiones).toUpperCase() : null,
+           body.afp ? String(body.afp).toUpperCase() : null, id]
+        );
+        await client.query("COMMIT");
+        res.json({ ok: true });
+      } catch (e) {
+        await client.query("ROLLBACK");
+        if (e.constraint === "empleados_afp_chk") return res.status(400).json({ error: "Datos inválidos", campos: { afp: "Obligatorio si sistema_pensiones es AFP" } });
+        if (e.constraint === CESE_CHECK) return res.status(400).json({ error: "fecha_ingreso no puede ser posterior al cese", campos: { fecha_ingreso: "Posterior al cese" } });
+        handleError(res, e, "PUT /api/empleados/:id", "Error actualizando empleado");
+      } finally {
+        client.release();
+      }
+    },
+
+    // PUT /empleados/:id/cese { fecha_cese, motivo_cese }
+    terminate: async (req, res) => {
+      try {
+        const id = Number(req.params.id);
+        const { fecha_cese, motivo_cese } = req.body;
+
+        // la fila queda bloqueada entre la revisión del estado y el UPDATE (dos ceses a la vez: uno da 409)
+        const cesado = await withTransaction(pool, async (client) => {
+          const cur = await client.query(
+            `SELECT estado, to_char(fecha_ingreso, 'YYYY-MM-DD') AS fecha_ingreso
+               FROM empleados
+              WHERE id=$1 AND employer_id=$2
+              FOR UPDATE`,
+            [id, req.employerId]
+          );
+          if (cur.rowCount === 0) return false;
+          if (cur.rows[0].estado === "CESADO") throw Object.assign(new Error("El empleado ya está cesado"), { status: 409 });
+          if (fecha_cese < cur.rows[0].fecha_ingreso) {
+            throw Object.assign(new Error("Datos inválidos"), { status: 400, campos: { fecha_cese: "Anterior a la fecha de ingreso" } });
+          }
+
+          await client.query(
+            `UPDATE empleados
+                SET estado='CESADO', fecha_cese=$1::date, motivo_cese=$2
+              WHERE id=$3`,
+            [fecha_cese, motivo_cese, id]
+          );
+          return true;
+        });
+        if (!cesado) return res.status(404).json({ error: "No encontrado" });
+        res.json({ ok: true });
+      } catch (e) {
+        handleError(res, e, "PUT /api/empleados/:id/cese", "Error registrando cese");
+      }
+    },
+
+    remove: async (req, res) => {
+      try {
+        const id = Number(req.params.id);
+        const r = await pool.query(`DELETE FROM empleados WHERE id=$1 AND employer_id=$2`, [id, req.employerId]);
+        if (r.rowCount === 0) return res.status(404).json({ error: "No encontrado" });
+        res.json({ ok: true });
+      } catch (e) {
+        if (e.code === "23503") return res.status(409).json({ error: "No se puede eliminar: tiene registros asociados", code: "EN_USO" });
+        handleError(res, e, "DELETE /api/empleados/:id", "Error eliminando empleado");
+      }
+    },
+  };
+};
+
+module.exports.TIPOS_CONTRATO = TIPOS_CONTRATO;
@@ -0,0 +1,35 @@
+const express = require('express');
+const controllerFactory = require('./empleados.controller');
+const { TIPOS_CONTRATO } = controllerFactory;
+const { SISTEMAS_PENSIONES, AFPS } = require('../planillas/planillas.reglas');
+const { v, validate, byId } = require('../common/validate');
+
+// formato de los datos de contrato; las combinaciones las revisa validateContrato
+const contratoBody = {
+  fecha_ingreso: v.date(),
+  cargo: v.string({ max: 200 }),
+  sueldo: v.number({ min: 0 }),
+  tipo_contrato: v.oneOf(TIPOS_CONTRATO),
+  fecha_fin_contrato: v.date(),
+  sistema_pensiones: v.oneOf(SISTEMAS_PENSIONES),
+  afp: v.oneOf(AFPS),
+};
+
+const ceseBody = {
+  fecha_cese: v.date({ required: true }),
+  motivo_cese: v.string({ max: 500, required: true }),
+};
+
+module.exports = function empleadosRoutes({ pool, storage, auth, tenant }) {
+  const router = express.Router();
+  const ctrl = controllerFactory({ pool, storage });
+
+  router.get('/empleados', auth.staff, tenant, validate({ query: { estado: v.oneOf(['activo', 'cesado']), q: v.string({ max: 200 }) } }), ctrl.list);
+  router.get('/empleados/:id', auth.staff, tenant, byId, ctrl.getById);
+  router.post('/empleados', auth.staff, tenant, validate({ body: { candidato_id: v.id({ required: true }), ...contratoBody } }), ctrl.hire); // contratar candidato aprobado
+  router.put('/empleados/:id', auth.staff, tenant, validate({ params: { id: v.id() }, body: contratoBody }), ctrl.update);
+  router.put('/empleados/:id/cese', auth.staff, tenant, validate({ params: { id: v.id() }, body: ceseBody }), ctrl.terminate);
+  router.delete('/empleados/:id', auth.admin, tenant, byId, ctrl.remove);
+
+  return router;
+};
@@ -0,0 +1,372 @@
+const { validateRuc, cleanNumber } = require("../common/identity");
+const { isIsoDate, today } = require("../common/dates");
+const audit = require("../audit/audit.service");
+const { handleError } = require("../common/errors");
+const {
+  TAX_SELECT, loadHistory, checkHistory, insertPeriod, updatePeriod, removePeriod, checkClosedPayrolls, applyHistory,
+} = require("./employers.tax");
+
+const EMPLOYER_COLUMNS = "id, ruc, name, logo_url";
+
+module.exports = ({ pool }) => {
+  // Alta de empresa + acceso para quien la crea (en la transacción del llamador)
+  async function insertEmployer(client, { ruc, name, logo_url, userId }) {
+    const ins = await client.query(
+      `INSERT INTO employers (ruc, name, logo_url)
+       VALUES ($1,$2,$3)
+       RETURNING ${EMPLOYER_COLUMNS}`,
+      [ruc, name, logo_url]
+    );
+    await client.query(
+      `INSERT INTO user_employers (user_id, employer_id) VALUES ($1,$2) ON CONFLICT DO NOTHING`,
+      [userId, ins.rows[0].id]
+    );
+    return ins.rows[0];
+  }
+
+  // regime_code / valid_from / valid_to ("" o null en valid_to = abierto)
+  async function validateTax(body, { partial }) {
+    const errores = {};
+    const values = {};
+    if (body.regime_code) {
+      const code = String(body.regime_code).trim().toUpperCase();
+      const r = await pool.query(`SELECT id FROM regimes_tax WHERE code = $1`, [code]);
+      if (r.rowCount === 0) errores.regime_code = "Régimen inválido";
+      else Object.assign(values, { regime_id: r.rows[0].id, code });
+    } else if (!partial) {
+      errores.regime_code = "Obligatorio";
+    }
+    if (body.valid_from !== undefined && body.valid_from !== null && body.valid_from !== "") {
+      if (!isIsoDate(body.valid_from)) errores.valid_from = "Fecha inválida (YYYY-MM-DD)";
+      else values.valid_from = body.valid_from;
+    }
+    if (body.valid_to !== undefined) {
+      if (body.valid_to === null || body.valid_to === "") values.valid_to = null;
+      else if (!isIsoDate(body.valid_to)) errores.valid_to = "Fecha inválida (YYYY-MM-DD)";
+      else values.valid_to = body.valid_to;
+    }
+    if (values.valid_from && values.valid_to && values.valid_to < values.valid_from) {
+      errores.valid_to = "Anterior a valid_from";
+    }
+    return { errores, values };
+  }
+
+  const taxSnapshot = (h) => ({ id: h.id, code: h.code, valid_from: h.valid_from, valid_to: h.valid_to });
+
+  // Reescribe el historial de la empresa con build(rows) -> nuevo historial (null = tramo no encontrado);
+  // cada tramo creado, modificado o borrado queda en la auditoría
+  async function writeHistory(req, build) {
+    const employerId = req.employerId;
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+      // serializa las escrituras del historial de la misma empresa
+      await client.query(`SELECT 1 FROM employers WHERE id = $1 FOR UPDATE`, [employerId]);
+      const before = await loadHistory(client, employerId);
+      const after = build(before);
+      if (!after) {
+        await client.query("ROLLBACK");
+        return null;
+      }
+      checkHistory(after, before);
+      await checkClosedPayrolls(client, employerId, before, after);
+      const existing = new Set(before.map(h => h.id));
+      await applyHistory(client, employerId, before, after);
+
+      const byId = new Map(after.map(h => [h.id, h]));
+      for (const h of before) {
+        const now = byId.get(h.id);
+        await audit.record(client, req, {
+          entity: "employer_tax", entityId: h.id, before: taxSnapshot(h), after: now ? taxSnapshot(now) : null,
+        });
+      }
+      for (const h of after.filter(x => !existing.has(x.id))) {
+        await audit.record(client, req, { entity: "employer_tax", entityId: h.id, after: taxSnapshot(h) });
+      }
+      await client.query("COMMIT");
+      return after;
+    } catch (e) {
+      await client.query("ROLLBACK");
+      throw e;
+    } finally {
+      client.release();
+    }
+  }
+
+  async function taxById(id) {
+    const q = await pool.query(`${TAX_SELECT} WHERE eth.id = $1`, [id]);
+    return q.rows[0];
+  }
+
+  function validateEmployer(body, { partial = false } = {}) {
+    const errores = {};
+    if (!partial || body.ruc !== undefined) {
+      if (!body.ruc) errores.ruc = "Obligatorio";
+      else {
+        const rucError = validateRuc(body.ruc);
+        if (rucError) errores.ruc = rucError;
+      }
+    }
+    if ((!partial || body.name !== undefined) && !body.name) errores.name = "Obligatorio";
+    return errores;
+  }
+
+  return {
+    // GET /employers — empresas a las que tiene acceso el usuario
+    list: async (req, res) => {
+      try {
+        const { rows } = await pool.query(
+          `SELECT e.id, e.ruc, e.name, e.logo_url
+             FROM employers e
+             JOIN user_employers ue ON ue.employer_id = e.id AND ue.user_id = $1
+            ORDER BY e.name ASC`,
+          [req.user.id]
+        );
+        res.json(rows);
+      } catch (e) {
+        handleError(res, e, "GET /api/employers", "Error consultando empresas");
+      }
+    },
+
+    getById: async (req, res) => {
+      try {
+        const id = Number(req.params.id);
+        const r = await pool.query(
+          `SELECT e.id, e.ruc, e.name, e.logo_url
+             FROM employers e
+             JOIN user_employers ue ON ue.employer_id = e.id AND ue.user_id = $2
+            WHERE e.id = $1`,
+          [id, req.user.id]
+        );
+        // sin acceso = no existe para este usuario
+        if (r.rowCount === 0) return res.status(404).json({ error: "No encontrado" });
+        res.json(r.rows[0]);
+      } catch (e) {
+        handleError(res, e, "GET /api/employers/:id", "Error consultando empresa");
+      }
+    },
+
+    // POST /employers { ruc, name, logo_url? }
+    create: async (req, res) => {
+      const body = req.body || {};
+      const errores = validateEmployer(body);
+      if (Object.keys(errores).length) return res.status(400).json({ error: "Datos inválidos", campos: errores });
+
+      const client = await pool.connect();
+      try {
+        await client.query("BEGIN");
+        const emp = await insertEmployer(client, {
+          ruc: cleanNumber(body.ruc),
+          name: String(body.name).trim(),
+          logo_url: body.logo_url || null,
+          userId: req.user.id,
+        });
+        await audit.record(client, req, { entity: "employer", entityId: emp.id, after: emp, employerId: emp.id });
+        await client.query("COMMIT");
+        res.json(emp);
+      } catch (e) {
+        await client.query("ROLLBACK");
+        if (e.code === "23505") return res.status(409).json({ error: "RUC ya registrado", code: "DUPLICADO" });
+        handleError(res, e, "POST /api/employers", "Error creando empresa");
+      } finally {
+        client.release();
+      }
+    },
+
+    update: async (req, res) => {
+      const id = Number(req.params.id);
+      const body = req.body || {};
+      const errores = validateEmployer(body, { partial: true });
+      if (Object.keys(errores).length) return res.status(400).json({ error: "Datos inválidos", campos: errores });
+
+      const client = await pool.connect();
+      try {
+        await client.query("BEGIN");
+        const cur = await client.query(
+          `SELECT ${EMPLOYER_COLUMNS}
+             FROM employers e
+            WHERE e.id = $1
+              AND EXISTS (SELECT 1 FROM user_employers ue WHERE ue.employer_id = e.id AND ue.user_id = $2)
+            FOR UPDATE OF e`,
+          [id, req.user.id]
+        );
+        if (cur.rowCount === 0) {
+          await client.query("ROLLBACK");
+          return res.status(404).json({ error: "No encontrado" });
+        }
+
+        const r = await client.query(
+          `UPDATE employers e
+              SET ruc      = COALESCE($1, e.ruc),
+                  name     = COALESCE($2, e.name),
+                  logo_url = COALESCE($3, e.logo_url)
+            WHERE e.id = $4
+            RETURNING ${EMPLOYER_COLUMNS}`,
+          [body.ruc ? cleanNumber(body.ruc) : null, body.name ? String(body.name).trim() : null,
+           body.logo_url || null, id]
+        );
+        await audit.record(client, req, { entity: "employer", entityId: id, before: cur.rows[0], after: r.rows[0], employerId: id });
+        await client.query("COMMIT");
+        res.json(r.rows[0]);
+      } catch (e) {
+        await client.query("ROLLBACK");
+        if (e.code === "23505") return res.status(409).json({ error: "RUC ya registrado", code: "DUPLICADO" });
+        handleError(res, e, "PUT /api/employers/:id", "Error actualizando empresa");
+      } finally {
+        client.release();
+      }
+    },
+
+    /* ---------- Empresa de la petición (compatibilidad con el front actual) ---------- */
+
+    // GET /employer — la empresa elegida para la petición
+    current: async (req, res) => {
+      try {
+        const q = await pool.query(`SELECT ${EMPLOYER_COLUMNS} FROM employers WHERE id=$1`, [req.employerId]);
+        res.json(q.rows[0] || null);
+      } catch (e) {
+        handleError(res, e, "GET /api/employer", "Error consultando empresa");
+      }
+    },
+
+    // POST /employer { ruc, name, logo_url? } — alta o actualización por RUC.
+    // Actualizar un RUC existente exige tener acceso a esa empresa.
+    upsert: async (req, res) => {
+      const body = req.body || {};
+      const rucError = validateRuc(body.ruc);
+      if (rucError) return res.status(400).json({ error: "RUC inválido", campos: { ruc: rucError } });
+
+      const ruc = cleanNumber(body.ruc);
+      const name = String(body.name).trim();
+      const client = await pool.connect();
+      try {
+        await client.query("BEGIN");
+        const cur = await client.query(
+          `SELECT ${EMPLOYER_COLUMNS},
+                  EXISTS (SELECT 1 FROM user_employers ue WHERE ue.employer_id = e.id AND ue.user_id = $2) AS member
+             FROM employers e
+            WHERE e.ruc = $1
+            FOR UPDATE`,
+          [ruc, req.user.id]
+        );
+
+        let emp;
+        if (!cur.rowCount) {
+          emp = await insertEmployer(client, { ruc, name, logo_url: body.logo_url || null, userId: req.user.id });
+          await audit.record(client, req, { entity: "employer", entityId: emp.id, after: emp, employerId: emp.id });
+        } else if (!cur.rows[0].member) {
+          await client.query("ROLLBACK");
+          return res.status(403).json({ error: "Sin acceso a esa empresa" });
+        } else {
+          const up = await client.query(
+            `UPDATE employers SET name=$2, logo_url=$3 WHERE id=$1 RETURNING ${EMPLOYER_COLUMNS}`,
+            [cur.rows[0].id, name, body.logo_url || null]
+          );
+          emp = up.rows[0];
+          const { member, ...before } = cur.rows[0];
+          await audit.record(client, req, { entity: "employer", entityId: emp.id, before, after: emp, employerId: emp.id });
+        }
+        await client.query("COMMIT");
+        res.json(emp);
+      } catch (e) {
+        await client.query("ROLLBACK");
+        if (e.code === "23505") return res.status(409).json({ error: "RUC ya registrado", code: "DUPLICADO" });
+        handleError(res, e, "POST /api/employer", "Error guardando empresa");
+      } finally {
+        client.release();
+      }
+    },
+
+    /* ---------- Régimen tributario ---------- */
+
+    regimes: async (_req, res) => {
+      try {
+        const { rows } = await pool.query(`SELECT id, code, name FROM regimes_tax ORDER BY id ASC`);
+        res.json(rows);
+      } catch (e) {
+        handleError(res, e, "GET /api/regimes/tax", "Error consultando regímenes");
+      }
+    },
+
+    // GET /employer/tax?at=YYYY-MM-DD — régimen vigente en esa fecha (sin at: el último registrado)
+    currentTax: async (req, res) => {
+      try {
+        const { at = null } = req.query;
+        const q = await pool.query(
+          `${TAX_SELECT}
+            WHERE eth.employer_id = $1
+              AND ($2::date IS NULL OR (eth.valid_from <= $2::date AND (eth.valid_to IS NULL OR eth.valid_to >= $2::date)))
+            ORDER BY eth.valid_from DESC
+            LIMIT 1`,
+          [req.employerId, at]
+        );
+        res.json(q.rows[0] || null);
+      } catch (e) {
+        handleError(res, e, "GET /api/employer/tax", "Error consultando régimen tributario");
+      }
+    },
+
+    taxHistory: async (req, res) => {
+      try {
+        const { rows } = await pool.query(
+          `${TAX_SELECT}
+            WHERE eth.employer_id = $1
+            ORDER BY eth.valid_from DESC`,
+          [req.employerId]
+        );
+        res.json(rows);
+      } catch (e) {
+        handleError(res, e, "GET /api/employer/tax/history", "Error consultando historial tributario");
+      }
+    },
+
+    // POST /employer/tax { regime_code: 'MICRO'|'ESPECIAL'|'PEQUENA'|'GENERAL', valid_from?: hoy, valid_to? }
+    // Después del último tramo lo cierra el día anterior; en fechas pasadas inserta el periodo
+    // partiendo el tramo que lo contiene (ver employers.tax.js).
+    setTax: async (req, res) => {
+      try {
+        const body = req.body || {};
+        const { errores, values } = await validateTax(body, { partial: false });
+        if (Object.keys(errores).length) return res.status(400).json({ error: "Datos inválidos", campos: errores });
+
+        const nuevo = {
+          id: null,
+          regime_id: values.regime_id,
+          code: values.code,
+          valid_from: values.valid_from ?? today(),
+          valid_to: values.valid_to ?? null,
+        };
+        const after = await writeHistory(req, rows => insertPeriod(rows, nuevo));
+        res.json(await taxById(after.find(h => h.valid_from === nuevo.valid_from).id));
+      } catch (e) {
+        handleError(res, e, "POST /api/employer/tax", "Error estableciendo régimen tributario");
+      }
+    },
+
+    // PUT /employer/tax/:id { regime_code?, valid_from?, valid_to? } — los vecinos se ajustan al nuevo borde
+    updateTax: async (req, res) => {
+      try {
+        const id = Number(req.params.id);
+        const { errores, values } = await validateTax(req.body || {}, { partial: true });
+        if (Object.keys(errores).length) return res.status(400).json({ error: "Datos inválidos", campos: errores });
+
+        const after = await writeHistory(req, rows => updatePeriod(rows, id, values));
+        if (!after) return res.status(404).json({ error: "No encontrado" });
+        res.json(await taxById(id));
+      } catch (e) {
+        handleError(res, e, "PUT /api/employer/tax/:id", "Error corrigiendo régimen tributario");
+      }
+    },
+
+    deleteTax: async (req, res) => {
+      try {
+        const id = Number(req.params.id);
+        const after = await writeHistory(req, rows => removePeriod(rows, id));
+        if (!after) return res.status(404).json({ error: "No encontrado" });
+        res.json({ ok: true });
+      } catch (e) {
+        handleError(res, e, "DELETE /api/employer/tax/:id", "Error eliminando régimen tributario");
+      }
+    },
+  };
+};
@@ -0,0 +1,40 @@
+const express = require('express');
+const controllerFactory = require('./employers.controller');
+const { v, validate, byId } = require('../common/validate');
+
+// el RUC (dígito verificador) lo revisa el controlador
+const employerBody = (required) => ({
+  ruc: v.string({ max: 20, required }),
+  name: v.string({ max: 200, required }),
+  logo_url: v.string({ max: 2000 }),
+});
+
+const taxBody = (required) => ({
+  regime_code: v.string({ max: 50, required }),
+  valid_from: v.date(),
+  valid_to: v.date(),
+});
+
+module.exports = function employersRoutes({ pool, auth, tenant }) {
+  const router = express.Router();
+  const ctrl = controllerFactory({ pool });
+
+  // empresas del usuario
+  router.get('/employers', auth.staff, ctrl.list);
+  router.post('/employers', auth.admin, validate({ body: employerBody(true) }), ctrl.create);
+  router.get('/employers/:id', auth.staff, byId, ctrl.getById);
+  router.put('/employers/:id', auth.admin, validate({ params: { id: v.id() }, body: employerBody(false) }), ctrl.update);
+
+  // empresa de la petición (X-Employer-Id / token)
+  router.get('/employer', auth.staff, tenant, ctrl.current);
+  router.post('/employer', auth.admin, validate({ body: employerBody(true) }), ctrl.upsert);
+
+  router.get('/regimes/tax', auth.staff, ctrl.regimes);
+  router.get('/employer/tax', auth.staff, tenant, validate({ query: { at: v.date() } }), ctrl.currentTax);
+  router.get('/employer/tax/history', auth.staff, tenant, ctrl.taxHistory);
+  router.post('/employer/tax', auth.admin, tenant, validate({ body: taxBody(true) }), ctrl.setTax);
+  router.put('/employer/tax/:id', auth.admin, tenant, validate({ params: { id: v.id() }, body: taxBody(false) }), ctrl.updateTax);
+  router.delete('/employer/tax/:id', auth.admin, tenant, byId, ctrl.deleteTax);
+
+  return router;
+};
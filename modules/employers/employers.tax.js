@@ -0,0 +1,197 @@
+// Historial del régimen tributario de la empresa.
+// Regla: tramos [valid_from, valid_to] contiguos, sin superposiciones ni huecos;
+// solo el último puede quedar abierto (valid_to NULL).
+// Cada operación arma el historial resultante en memoria, checkHistory valida los tramos que
+// cambian (y sus vecinos) y luego applyHistory escribe la diferencia.
+
+const { addDays } = require("../common/dates");
+const { monthRange, regimeLookup } = require("../planillas/planillas.calculo");
+
+const TAX_SELECT = `
+  SELECT eth.id, rt.code, rt.name,
+         to_char(eth.valid_from, 'YYYY-MM-DD') AS valid_from,
+         to_char(eth.valid_to,   'YYYY-MM-DD') AS valid_to
+    FROM employer_tax_history eth
+    JOIN regimes_tax rt ON rt.id = eth.regime_id`;
+
+const conflict = (msg) => Object.assign(new Error(msg), { status: 409 });
+
+// Historial ordenado por fecha (con regime_id para poder reescribirlo)
+async function loadHistory(db, employerId) {
+  const { rows } = await db.query(
+    `SELECT eth.id, eth.regime_id, rt.code,
+            to_char(eth.valid_from, 'YYYY-MM-DD') AS valid_from,
+            to_char(eth.valid_to,   'YYYY-MM-DD') AS valid_to
+       FROM employer_tax_history eth
+       JOIN regimes_tax rt ON rt.id = eth.regime_id
+      WHERE eth.employer_id = $1
+      ORDER BY eth.valid_from ASC, eth.id ASC`,
+    [employerId]
+  );
+  return rows;
+}
+
+const label = (h) => (h.id ? `#${h.id}` : "nuevo");
+
+const sameRow = (a, b) => a.regime_id === b.regime_id && a.valid_from === b.valid_from && a.valid_to === b.valid_to;
+
+// Lanza 409 con el primer problema que encuentre. Con `before` solo revisa las fechas que cambian
+// y los bordes entre tramos que cambian: un historial antiguo con defectos (anterior a 0011)
+// no bloquea las escrituras que no lo tocan.
+function checkHistory(rows, before = null) {
+  const previous = new Map((before || []).map((h, k) => [h.id, { ...h, k }]));
+  const old = (h) => (before && h.id ? previous.get(h.id) : undefined);
+
+  rows.forEach((h, k) => {
+    const o = old(h);
+    if ((!o || o.valid_from !== h.valid_from || o.valid_to !== h.valid_to) && h.valid_to && h.valid_to < h.valid_from) {
+      throw conflict(`El tramo ${label(h)} quedaría con fechas invertidas (${h.valid_from} a ${h.valid_to})`);
+    }
+    const next = rows[k + 1];
+    if (!next) return;
+    const n = old(next);
+    // mismo par contiguo y mismo borde que antes: no se revisa
+    if (o && n && n.k === o.k + 1 && o.valid_to === h.valid_to && n.valid_from === next.valid_from) return;
+    if (!h.valid_to || h.valid_to >= next.valid_from) {
+      throw conflict(`Los tramos ${label(h)} y ${label(next)} se superponen`);
+    }
+    if (addDays(h.valid_to, 1) !== next.valid_from) {
+      throw conflict(
+        `Quedaría un hueco del ${addDays(h.valid_to, 1)} al ${addDays(next.valid_from, -1)} entre los tramos ${label(h)} y ${label(next)}`
+      );
+    }
+  });
+}
+
+// Nuevo tramo. Dentro de un tramo existente lo parte (el resto conserva su régimen);
+// antes del primero llega por defecto hasta el día previo; después del último, lo cierra.
+function insertPeriod(rows, nuevo) {
+  const { valid_from: from, valid_to: to } = nuevo;
+  if (!rows.length) return [nuevo];
+
+  const first = rows[0];
+  const last = rows[rows.length - 1];
+  if (from < first.valid_from) return [{ ...nuevo, valid_to: to ?? addDays(first.valid_from, -1) }, ...rows];
+  if (last.valid_to && from > last.valid_to) return [...rows, nuevo];
+
+  const k = rows.findIndex(h => h.valid_from <= from && (!h.valid_to || h.valid_to >= from));
+  if (k === -1) {
+    // `from` cae en un hueco (historial anterior a 0011): va entre sus vecinos y checkHistory decide si encaja
+    const j = rows.findIndex(h => h.valid_from > from);
+    if (j === -1) return [...rows, nuevo];
+    return [...rows.slice(0, j), { ...nuevo, valid_to: to ?? addDays(rows[j].valid_from, -1) }, ...rows.slice(j)];
+  }
+  const p = rows[k];
+  const next = rows[k + 1];
+  if (next && (to === null || to >= next.valid_from)) {
+    throw conflict(`Se superpone con el tramo #${next.id} (desde ${next.valid_from})`);
+  }
+  if (from === p.valid_from && (to === null || (p.valid_to && to >= p.valid_to))) {
+    throw conflict(`Cubre todo el tramo #${p.id}: corrígelo con PUT /api/employer/tax/${p.id}`);
+  }
+
+  const out = rows.slice(0, k);
+  if (from > p.valid_from) out.push({ ...p, valid_to: addDays(from, -1) });
+  out.push(nuevo);
+  if (to !== null && (p.valid_to === null || to < p.valid_to)) {
+    // si el nuevo empieza con el tramo, el resto conserva el id original
+    out.push({ ...p, id: from > p.valid_from ? null : p.id, valid_from: addDays(to, 1) });
+  }
+  return [...out, ...rows.slice(k + 1)];
+}
+
+// Corrección de un tramo; mover un borde mueve también el del vecino para no dejar huecos
+function updatePeriod(rows, id, { regime_id, code, valid_from, valid_to }) {
+  const k = rows.findIndex(h => h.id === id);
+  if (k === -1) return null;
+  const out = rows.map(h => ({ ...h }));
+  const h = out[k];
+  if (regime_id) Object.assign(h, { regime_id, code });
+  if (valid_from !== undefined) {
+    h.valid_from = valid_from;
+    if (k > 0) out[k - 1].valid_to = addDays(valid_from, -1);
+  }
+  if (valid_to !== undefined) {
+    if (valid_to === null && k < out.length - 1) throw conflict("Solo el último tramo puede quedar abierto");
+    h.valid_to = valid_to;
+    if (k < out.length - 1) out[k + 1].valid_from = addDays(valid_to, 1);
+  }
+  return out;
+}
+
+// Se pueden borrar el primero y el último (el anterior vuelve a quedar vigente); uno del medio dejaría un hueco
+function removePeriod(rows, id) {
+  const k = rows.findIndex(h => h.id === id);
+  if (k === -1) return null;
+  if (k > 0 && k < rows.length - 1) {
+    throw conflict(`Eliminar el tramo #${id} dejaría un hueco: corrige las fechas de los tramos vecinos`);
+  }
+  const out = rows.filter(h => h.id !== id);
+  if (k > 0) {
+    const prev = rows[k - 1];
+    const { valid_to } = rows[k];
+    // con fechas antiguas incoherentes el anterior quedaría invertido
+    if (valid_to && valid_to < prev.valid_from) {
+      throw conflict(`El tramo #${prev.id} quedaría con fechas invertidas (${prev.valid_from} a ${valid_to}): corrige las fechas antes de eliminar #${id}`);
+    }
+    out[k - 1] = { ...prev, valid_to };
+  }
+  return out;
+}
+
+// Las planillas cerradas no se recalculan: su mes no puede cambiar de régimen
+async function checkClosedPayrolls(db, employerId, before, after) {
+  const { rows } = await db.query(
+    `SELECT periodo FROM planillas WHERE employer_id = $1 AND estado = 'CERRADA' ORDER BY periodo`,
+    [employerId]
+  );
+  const antes = regimeLookup(before);
+  const despues = regimeLookup(after);
+  for (const { periodo } of rows) {
+    const mes = monthRange(periodo);
+    for (let d = mes.first; d <= mes.last; d = addDays(d, 1)) {
+      if (antes(d) !== despues(d)) {
+        throw conflict(`Cambia el régimen del ${d}, que pertenece a la planilla cerrada ${periodo}`);
+      }
+    }
+  }
+}
+
+// Escribe la diferencia entre el historial actual y el nuevo (borra, actualiza, inserta)
+async function applyHistory(client, employerId, before, after) {
+  const kept = new Set(after.filter(h => h.id).map(h => h.id));
+  for (const h of before) {
+    if (!kept.has(h.id)) await client.query(`DELETE FROM employer_tax_history WHERE id = $1`, [h.id]);
+  }
+  const byId = new Map(before.map(h => [h.id, h]));
+  for (const h of after) {
+    const o = h.id && byId.get(h.id);
+    if (!o || sameRow(o, h)) continue;
+    await client.query(
+      `UPDATE employer_tax_history SET regime_id = $2, valid_from = $3::date, valid_to = $4::date WHERE id = $1`,
+      [h.id, h.regime_id, h.valid_from, h.valid_to]
+    );
+  }
+  for (const h of after) {
+    if (h.id) continue;
+    const ins = await client.query(
+      `INSERT INTO employer_tax_history (employer_id, regime_id, valid_from, valid_to)
+       VALUES ($1, $2, $3::date, $4::date)
+       RETURNING id`,
+      [employerId, h.regime_id, h.valid_from, h.valid_to]
+    );
+    h.id = ins.rows[0].id;
+  }
+  return after;
+}
+
+module.exports = {
+  TAX_SELECT,
+  loadHistory,
+  checkHistory,
+  insertPeriod,
+  updatePeriod,
+  removePeriod,
+  checkClosedPayrolls,
+  applyHistory,
+};
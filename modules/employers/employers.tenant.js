@@ -0,0 +1,88 @@
+// Empresa (tenant) de cada petición. Se elige, en este orden, por:
+//   1. cabecera  X-Employer-Id: <id>
+//   2. ruta      /api/employers/<id>/<ruta>  (se reescribe a /api/<ruta> con la cabecera)
+//   3. claim     employer_id del token (POST /api/auth/employer)
+//   4. la única empresa que tenga asignada el usuario
+// Un usuario solo accede a las empresas de user_employers.
+
+const { handleError } = require("../common/errors");
+
+const HEADER = "x-employer-id";
+const PATH_PREFIX = /^\/api\/employers\/(\d+)(\/.+)$/;
+
+const parseId = (v) => (v === undefined || v === null || v === "" ? null : Number(v));
+
+module.exports = function tenantFactory({ pool }) {
+  // Ids de empresa que el usuario puede operar
+  async function employersOf(userId) {
+    const { rows } = await pool.query(
+      `SELECT employer_id FROM user_employers WHERE user_id = $1 ORDER BY employer_id`,
+      [userId]
+    );
+    return rows.map(r => r.employer_id);
+  }
+
+  // Montar antes de las rutas: /api/employers/5/sites -> /api/sites + X-Employer-Id: 5
+  function pathPrefix(req, _res, next) {
+    const m = PATH_PREFIX.exec(req.url);
+    if (m) {
+      req.headers[HEADER] = m[1];
+      req.url = `/api${m[2]}`;
+    }
+    next();
+  }
+
+  // Tras auth.staff / auth.admin: deja req.employerId o responde 400/403
+  async function tenant(req, res, next) {
+    try {
+      const requested = parseId(req.headers[HEADER] ?? req.user?.employer_id);
+      if (requested !== null && !Number.isInteger(requested)) {
+        return res.status(400).json({ error: "X-Employer-Id inválido" });
+      }
+
+      const allowed = await employersOf(req.user.id);
+      if (requested === null) {
+        if (allowed.length === 1) {
+          req.employerId = allowed[0];
+          return next();
+        }
+        return allowed.length
+          ? res.status(400).json({ error: "Indica la empresa (cabecera X-Employer-Id)" })
+          : res.status(403).json({ error: "Tu usuario no tiene empresas asignadas" });
+      }
+      if (!allowed.includes(requested)) return res.status(403).json({ error: "Sin acceso a esa empresa" });
+
+      req.employerId = requested;
+      next();
+    } catch (e) {
+      handleError(res, e, "tenant", "Error resolviendo la empresa");
+    }
+  }
+
+  // Formulario público (sin token): cabecera o campo employer_id; si hay una sola empresa, esa.
+  // Va después de multer para poder leer el campo del multipart.
+  async function publicTenant(req, res, next) {
+    try {
+      const requested = parseId(req.headers[HEADER] ?? req.body?.employer_id);
+      if (requested !== null && !Number.isInteger(requested)) {
+        return res.status(400).json({ error: "Datos inválidos", campos: { employer_id: "Debe ser un id" } });
+      }
+      const { rows } = await pool.query(
+        `SELECT id FROM employers WHERE ($1::int IS NULL OR id = $1) ORDER BY id LIMIT 2`,
+        [requested]
+      );
+      if (requested !== null && !rows.length) {
+        return res.status(400).json({ error: "Datos inválidos", campos: { employer_id: "Empresa no encontrada" } });
+      }
+      if (requested === null && rows.length !== 1) {
+        return res.status(400).json({ error: "Datos inválidos", campos: { employer_id: "Obligatorio" } });
+      }
+      req.employerId = rows[0].id;
+      next();
+    } catch (e) {
+      handleError(res, e, "publicTenant", "Error resolviendo la empresa");
+    }
+  }
+
+  return { HEADER, employersOf, pathPrefix, tenant, publicTenant };
+};
@@ -0,0 +1,134 @@
+// Cálculo de la línea de planilla de un empleado para un mes, día a día según el régimen vigente
+// en employer_tax_history (un cambio de régimen a mitad de mes parte el cálculo en tramos).
+
+const { addDays, diffDays } = require("../common/dates");
+const R = require("./planillas.reglas");
+
+const PERIODO = /^(\d{4})-(0[1-9]|1[0-2])$/;
+
+const r2 = (n) => Math.round((n + Number.EPSILON) * 100) / 100;
+
+// "2025-02" -> { first: "2025-02-01", last: "2025-02-28", days: 28 }
+function monthRange(periodo) {
+  const m = PERIODO.exec(String(periodo || ""));
+  if (!m) return null;
+  const first = `${m[1]}-${m[2]}-01`;
+  const last = addDays(m[2] === "12" ? `${Number(m[1]) + 1}-01-01` : `${m[1]}-${String(Number(m[2]) + 1).padStart(2, "0")}-01`, -1);
+  return { first, last, days: diffDays(first, last) + 1, year: Number(m[1]), month: Number(m[2]) };
+}
+
+// Devuelve regimeAt(fecha) -> código vigente (o null) a partir de las filas del historial
+function regimeLookup(history) {
+  const sorted = [...history].sort((a, b) => (a.valid_from < b.valid_from ? 1 : -1));
+  return (fecha) => sorted.find(h => h.valid_from <= fecha && (!h.valid_to || h.valid_to >= fecha))?.code ?? null;
+}
+
+const sinRegimen = (fecha) =>
+  Object.assign(new Error(`No hay régimen tributario vigente el ${fecha}`), { status: 409 });
+
+// Tramos consecutivos con el mismo régimen dentro de [from, to]
+function segments(from, to, regimeAt) {
+  const out = [];
+  for (let d = from; d <= to; d = addDays(d, 1)) {
+    const code = regimeAt(d);
+    if (!code) throw sinRegimen(d);
+    const last = out[out.length - 1];
+    if (last && last.code === code) { last.to = d; last.dias++; }
+    else out.push({ code, from: d, to: d, dias: 1 });
+  }
+  return out;
+}
+
+// Gratificación de julio (ene–jun) o diciembre (jul–dic): proporcional a los días laborados
+// en el semestre y a la fracción de sueldo del régimen de cada día
+function gratificacion({ sueldo, year, month, ingreso, cese, regimeAt }) {
+  if (month !== 7 && month !== 12) return 0;
+  const semFrom = month === 7 ? `${year}-01-01` : `${year}-07-01`;
+  const semTo = month === 7 ? `${year}-06-30` : `${year}-12-31`;
+  const from = ingreso > semFrom ? ingreso : semFrom;
+  const to = cese && cese < semTo ? cese : semTo;
+  if (from > to) return 0;
+
+  let factor = 0;
+  for (const s of segments(from, to, regimeAt)) factor += R.BENEFICIOS[s.code].gratificacion * s.dias;
+  return sueldo * factor / (diffDays(semFrom, semTo) + 1);
+}
+
+// Calcula la línea; null si el empleado no estuvo en planilla ese mes
+function computeLinea({ empleado, periodo, regimeAt }) {
+  const mes = monthRange(periodo);
+  const ingreso = empleado.fecha_ingreso;
+  const cese = empleado.fecha_cese || null;
+  const from = ingreso > mes.first ? ingreso : mes.first;
+  const to = cese && cese < mes.last ? cese : mes.last;
+  if (from > to) return null;
+
+  const sueldo = Number(empleado.sueldo);
+  const tramos = segments(from, to, regimeAt);
+  const detalle = [];
+  const add = (tipo, concepto, monto, extra = {}) => {
+    const m = r2(monto);
+    if (m > 0) detalle.push({ tipo, concepto, monto: m, ...extra });
+    return m;
+  };
+
+  // Ingresos
+  let remuneracion = 0;
+  for (const t of tramos) {
+    remuneracion += add("INGRESO", "Remuneración básica", sueldo * t.dias / mes.days,
+      { regimen: t.code, dias: t.dias, desde: t.from, hasta: t.to });
+  }
+  const grati = add("INGRESO", "Gratificación", gratificacion({ sueldo, year: mes.year, month: mes.month, ingreso, cese, regimeAt }));
+  const bonif = add("INGRESO", "Bonificación extraordinaria", grati * R.BONIFICACION_EXTRAORDINARIA,
+    { base: grati, tasa: R.BONIFICACION_EXTRAORDINARIA });
+
+  // Descuentos al trabajador (la bonificación extraordinaria es inafecta)
+  const afecto = remuneracion + grati;
+  let descuentos = 0;
+  if (empleado.sistema_pensiones === "AFP") {
+    const comision = R.AFP_COMISION[empleado.afp] ?? 0;
+    const baseSeguro = Math.min(afecto, R.REMUNERACION_MAXIMA_ASEGURABLE);
+    descuentos += add("DESCUENTO", "AFP aporte obligatorio", afecto * R.AFP_APORTE, { base: r2(afecto), tasa: R.AFP_APORTE, afp: empleado.afp });
+    descuentos += add("DESCUENTO", "AFP prima de seguros", baseSeguro * R.AFP_PRIMA_SEGURO, { base: r2(baseSeguro), tasa: R.AFP_PRIMA_SEGURO, afp: empleado.afp });
+    descuentos += add("DESCUENTO", "AFP comisión", afecto * comision, { base: r2(afecto), tasa: comision, afp: empleado.afp });
+  } else {
+    descuentos += add("DESCUENTO", "ONP", afecto * R.ONP_TASA, { base: r2(afecto), tasa: R.ONP_TASA });
+  }
+
+  // Aportes del empleador y provisiones de beneficios, por tramo de régimen
+  let aportes = 0;
+  let provisiones = 0;
+  for (const t of tramos) {
+    const b = R.BENEFICIOS[t.code];
+    const frac = t.dias / mes.days;
+    const rem = sueldo * frac;
+    if (b.essalud) {
+      const base = Math.max(rem, R.RMV * frac);
+      aportes += add("APORTE", "EsSalud", base * R.ESSALUD_TASA, { regimen: t.code, base: r2(base), tasa: R.ESSALUD_TASA });
+    } else {
+      aportes += add("APORTE", "SIS (microempresa)", R.SIS_MICRO * frac, { regimen: t.code });
+    }
+    // CTS: 1/12 de la remuneración computable (sueldo + 1/6 de la gratificación) por la fracción del régimen
+    const computable = sueldo + (sueldo * b.gratificacion) / 6;
+    provisiones += add("PROVISION", "CTS", (computable * b.cts / 12) * frac, { regimen: t.code, base: r2(computable), fraccion: b.cts });
+    provisiones += add("PROVISION", "Vacaciones", (sueldo * b.vacaciones_dias / 30 / 12) * frac,
+      { regimen: t.code, dias_vacaciones: b.vacaciones_dias });
+  }
+
+  const ingresos = r2(remuneracion + grati + bonif);
+  descuentos = r2(descuentos);
+  return {
+    empleado_id: empleado.id,
+    dias: diffDays(from, to) + 1,
+    regimenes: [...new Set(tramos.map(t => t.code))],
+    sueldo,
+    ingresos,
+    descuentos,
+    neto: r2(ingresos - descuentos),
+    aportes: r2(aportes),
+    provisiones: r2(provisiones),
+    detalle,
+  };
+}
+
+module.exports = { PERIODO, monthRange, regimeLookup, computeLinea };
@@ -0,0 +1,224 @@
+const { monthRange, regimeLookup, computeLinea } = require("./planillas.calculo");
+const { handleError } = require("../common/errors");
+
+const SELECT_PLANILLA = `
+  SELECT p.id, p.employer_id, p.periodo, p.estado,
+         p.total_ingresos::float    AS total_ingresos,
+         p.total_descuentos::float  AS total_descuentos,
+         p.total_neto::float        AS total_neto,
+         p.total_aportes::float     AS total_aportes,
+         p.total_provisiones::float AS total_provisiones,
+         (SELECT count(*)::int FROM planilla_lineas l WHERE l.planilla_id = p.id) AS empleados,
+         p.created_by, p.created_at, p.calculated_at, p.locked_by, p.locked_at
+    FROM planillas p`;
+
+// Recalcula todas las líneas de la planilla (dentro de la transacción del llamador)
+async function calculate(client, { planillaId, employerId, periodo }) {
+  const mes = monthRange(periodo);
+
+  const { rows: history } = await client.query(
+    `SELECT rt.code,
+            to_char(eth.valid_from, 'YYYY-MM-DD') AS valid_from,
+            to_char(eth.valid_to,   'YYYY-MM-DD') AS valid_to
+       FROM employer_tax_history eth
+       JOIN regimes_tax rt ON rt.id = eth.regime_id
+      WHERE eth.employer_id = $1`,
+    [employerId]
+  );
+  const regimeAt = regimeLookup(history);
+
+  const { rows: empleados } = await client.query(
+    `SELECT id, sueldo, sistema_pensiones, afp,
+            to_char(fecha_ingreso, 'YYYY-MM-DD') AS fecha_ingreso,
+            to_char(fecha_cese,    'YYYY-MM-DD') AS fecha_cese
+       FROM empleados
+      WHERE employer_id = $1
+        AND fecha_ingreso <= $3::date
+        AND (fecha_cese IS NULL OR fecha_cese >= $2::date)
+      ORDER BY id`,
+    [employerId, mes.first, mes.last]
+  );
+
+  const lineas = [];
+  for (const empleado of empleados) {
+    try {
+      const l = computeLinea({ empleado, periodo, regimeAt });
+      if (l) lineas.push(l);
+    } catch (e) {
+      if (e.status) e.message = `Empleado #${empleado.id}: ${e.message}`;
+      throw e;
+    }
+  }
+
+  await client.query(`DELETE FROM planilla_lineas WHERE planilla_id=$1`, [planillaId]);
+  for (const l of lineas) {
+    await client.query(
+      `INSERT INTO planilla_lineas
+         (planilla_id, empleado_id, dias, regimenes, sueldo, ingresos, descuentos, neto, aportes, provisiones, detalle)
+       VALUES ($1,$2,$3,$4::text[],$5,$6,$7,$8,$9,$10,$11::jsonb)`,
+      [planillaId, l.empleado_id, l.dias, l.regimenes, l.sueldo, l.ingresos, l.descuentos, l.neto,
+       l.aportes, l.provisiones, JSON.stringify(l.detalle)]
+    );
+  }
+
+  const total = (k) => Math.round(lineas.reduce((acc, l) => acc + l[k], 0) * 100) / 100;
+  await client.query(
+    `UPDATE planillas
+        SET total_ingresos = $2, total_descuentos = $3, total_neto = $4,
+            total_aportes = $5, total_provisiones = $6, calculated_at = NOW()
+      WHERE id = $1`,
+    [planillaId, total("ingresos"), total("descuentos"), total("neto"), total("aportes"), total("provisiones")]
+  );
+}
+
+module.exports = ({ pool }) => {
+  // Bloquea la planilla y verifica que siga en BORRADOR; devuelve la fila o responde el error
+  async function lockDraft(client, res, id, employerId) {
+    const cur = await client.query(
+      `SELECT id, employer_id, periodo, estado FROM planillas WHERE id=$1 AND employer_id=$2 FOR UPDATE`,
+      [id, employerId]
+    );
+    if (cur.rowCount === 0) {
+      res.status(404).json({ error: "No encontrado" });
+      return null;
+    }
+    if (cur.rows[0].estado !== "BORRADOR") {
+      res.status(409).json({ error: "La planilla está cerrada" });
+      return null;
+    }
+    return cur.rows[0];
+  }
+
+  return {
+    // GET /planillas?periodo=YYYY-MM
+    list: async (req, res) => {
+      try {
+        const { periodo = null } = req.query;
+        const { rows } = await pool.query(
+          `${SELECT_PLANILLA}
+            WHERE p.employer_id = $1 AND ($2::text IS NULL OR p.periodo = $2)
+            ORDER BY p.periodo DESC`,
+          [req.employerId, periodo]
+        );
+        res.json(rows);
+      } catch (e) {
+        handleError(res, e, "GET /api/planillas", "Error consultando planillas");
+      }
+    },
+
+    // GET /planillas/:id — cabecera + líneas con el detalle de conceptos
+    getById: async (req, res) => {
+      try {
+        const id = Number(req.params.id);
+        const cab = await pool.query(`${SELECT_PLANILLA} WHERE p.id=$1 AND p.employer_id=$2`, [id, req.employerId]);
+        if (cab.rowCount === 0) return res.status(404).json({ error: "No encontrado" });
+
+        const { rows: lineas } = await pool.query(
+          `SELECT l.id, l.empleado_id, e.dni AS dni_numero,
+                  concat_ws(' ', e.apellido_paterno, e.apellido_materno, e.nombres) AS nombre_completo,
+                  e.cargo, e.sistema_pensiones, e.afp,
+                  l.dias, l.regimenes, l.sueldo::float AS sueldo,
+                  l.ingresos::float AS ingresos, l.descuentos::float AS descuentos, l.neto::float AS neto,
+                  l.aportes::float AS aportes, l.provisiones::float AS provisiones, l.detalle
+             FROM planilla_lineas l
+             JOIN empleados e ON e.id = l.empleado_id
+            WHERE l.planilla_id = $1
+            ORDER BY nombre_completo`,
+          [id]
+        );
+        res.json({ ...cab.rows[0], lineas });
+      } catch (e) {
+        handleError(res, e, "GET /api/planillas/:id", "Error consultando planilla");
+      }
+    },
+
+    // POST /planillas { periodo: "YYYY-MM" } — crea el borrador calculado
+    create: async (req, res) => {
+      const periodo = String(req.body.periodo);
+
+      const client = await pool.connect();
+      try {
+        const employerId = req.employerId;
+        await client.query("BEGIN");
+        const ins = await client.query(
+          `INSERT INTO planillas (employer_id, periodo, created_by) VALUES ($1,$2,$3) RETURNING id`,
+          [employerId, periodo, req.user?.id ?? null]
+        );
+        await calculate(client, { planillaId: ins.rows[0].id, employerId, periodo });
+        await client.query("COMMIT");
+
+        const r = await pool.query(`${SELECT_PLANILLA} WHERE p.id=$1`, [ins.rows[0].id]);
+        res.json(r.rows[0]);
+      } catch (e) {
+        await client.query("ROLLBACK");
+        if (e.code === "23505") return res.status(409).json({ error: `Ya existe la planilla de ${periodo}`, code: "DUPLICADO" });
+        handleError(res, e, "POST /api/planillas", "Error calculando planilla");
+      } finally {
+        client.release();
+      }
+    },
+
+    // POST /planillas/:id/recalcular — solo en BORRADOR (p. ej. tras corregir sueldos o régimen)
+    recalculate: async (req, res) => {
+      const client = await pool.connect();
+      try {
+        const id = Number(req.params.id);
+        await client.query("BEGIN");
+        const p = await lockDraft(client, res, id, req.employerId);
+        if (!p) { await client.query("ROLLBACK"); return; }
+
+        await calculate(client, { planillaId: id, employerId: p.employer_id, periodo: p.periodo });
+        await client.query("COMMIT");
+
+        const r = await pool.query(`${SELECT_PLANILLA} WHERE p.id=$1`, [id]);
+        res.json(r.rows[0]);
+      } catch (e) {
+        await client.query("ROLLBACK");
+        handleError(res, e, "POST /api/planillas/:id/recalcular", "Error calculando planilla");
+      } finally {
+        client.release();
+      }
+    },
+
+    // PUT /planillas/:id/cerrar — después de revisada ya no se recalcula ni elimina
+    lock: async (req, res) => {
+      const client = await pool.connect();
+      try {
+        const id = Number(req.params.id);
+        await client.query("BEGIN");
+        const p = await lockDraft(client, res, id, req.employerId);
+        if (!p) { await client.query("ROLLBACK"); return; }
+
+        await client.query(
+          `UPDATE planillas SET estado='CERRADA', locked_by=$2, locked_at=NOW() WHERE id=$1`,
+          [id, req.user?.id ?? null]
+        );
+        await client.query("COMMIT");
+        res.json({ ok: true });
+      } catch (e) {
+        await client.query("ROLLBACK");
+        handleError(res, e, "PUT /api/planillas/:id/cerrar", "Error cerrando planilla");
+      } finally {
+        client.release();
+      }
+    },
+
+    remove: async (req, res) => {
+      try {
+        const id = Number(req.params.id);
+        const r = await pool.query(
+          `DELETE FROM planillas WHERE id=$1 AND employer_id=$2 AND estado='BORRADOR'`,
+          [id, req.employerId]
+        );
+        if (r.rowCount === 0) {
+          const exists = await pool.query(`SELECT 1 FROM planillas WHERE id=$1 AND employer_id=$2`, [id, req.employerId]);
+          if (exists.rowCount) return res.status(409).json({ error: "La planilla está cerrada" });
+          return res.status(404).json({ error: "No encontrado" });
+        }
+        res.json({ ok: true });
+      } catch (e) {
+        handleError(res, e, "DELETE /api/planillas/:id", "Error eliminando planilla");
+      }
+    },
+  };
+};
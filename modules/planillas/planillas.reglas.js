@@ -0,0 +1,41 @@
+// Parámetros laborales por régimen de la empresa (Perú). Montos y tasas vigentes a 2025:
+// revisar RMV, RMA y comisiones AFP cuando cambien.
+
+const RMV = 1130;                                // Remuneración mínima vital (base mínima EsSalud)
+const REMUNERACION_MAXIMA_ASEGURABLE = 12234.34; // tope para la prima de seguros AFP
+
+const ONP_TASA = 0.13;
+const AFP_APORTE = 0.10;
+const AFP_PRIMA_SEGURO = 0.0137;
+const AFP_COMISION = { HABITAT: 0.0147, INTEGRA: 0.0155, PRIMA: 0.016, PROFUTURO: 0.0169 };
+
+const ESSALUD_TASA = 0.09;
+const SIS_MICRO = 15;              // aporte mensual del empleador al SIS semicontributivo
+const BONIFICACION_EXTRAORDINARIA = 0.09; // Ley 30334: lo que no se aporta a EsSalud sobre la gratificación
+
+// Beneficios por régimen: fracción de sueldo de CTS y gratificación, días de vacaciones y si aporta a EsSalud.
+// ESPECIAL es un régimen tributario: sin inscripción REMYPE sus trabajadores tienen los beneficios del general.
+const BENEFICIOS = {
+  MICRO:    { cts: 0,   gratificacion: 0,   vacaciones_dias: 15, essalud: false },
+  PEQUENA:  { cts: 0.5, gratificacion: 0.5, vacaciones_dias: 15, essalud: true },
+  ESPECIAL: { cts: 1,   gratificacion: 1,   vacaciones_dias: 30, essalud: true },
+  GENERAL:  { cts: 1,   gratificacion: 1,   vacaciones_dias: 30, essalud: true },
+};
+
+const SISTEMAS_PENSIONES = ["ONP", "AFP"];
+const AFPS = Object.keys(AFP_COMISION);
+
+module.exports = {
+  RMV,
+  REMUNERACION_MAXIMA_ASEGURABLE,
+  ONP_TASA,
+  AFP_APORTE,
+  AFP_PRIMA_SEGURO,
+  AFP_COMISION,
+  ESSALUD_TASA,
+  SIS_MICRO,
+  BONIFICACION_EXTRAORDINARIA,
+  BENEFICIOS,
+  SISTEMAS_PENSIONES,
+  AFPS,
+};
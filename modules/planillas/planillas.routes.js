@@ -0,0 +1,17 @@
+const express = require('express');
+const controllerFactory = require('./planillas.controller');
+const { v, validate, byId } = require('../common/validate');
+
+module.exports = function planillasRoutes({ pool, auth, tenant }) {
+  const router = express.Router();
+  const ctrl = controllerFactory({ pool });
+
+  router.get('/planillas', auth.staff, tenant, validate({ query: { periodo: v.month() } }), ctrl.list);
+  router.get('/planillas/:id', auth.staff, tenant, byId, ctrl.getById);
+  router.post('/planillas', auth.admin, tenant, validate({ body: { periodo: v.month({ required: true }) } }), ctrl.create);
+  router.post('/planillas/:id/recalcular', auth.admin, tenant, byId, ctrl.recalculate);
+  router.put('/planillas/:id/cerrar', auth.admin, tenant, byId, ctrl.lock);
+  router.delete('/planillas/:id', auth.admin, tenant, byId, ctrl.remove);
+
+  return router;
+};
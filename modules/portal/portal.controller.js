@@ -0,0 +1,139 @@
+const {
+  TIPOS, MAX_ARCHIVOS, DOC_COLUMNS, saveDocuments, documentsAdded, parseFechas,
+} = require("../candidatos/candidatos.documentos");
+const { loadCompletitud } = require("../candidatos/candidatos.checklist");
+const { loadWorkflow } = require("../candidatos/candidatos.workflow");
+const { hasErrors } = require("../candidatos/candidatos.validation");
+const { issueToken, revokeTokens } = require("./portal.tokens");
+const { handleError } = require("../common/errors");
+
+// Cuántos archivos puede subir todavía por tipo -> [{ tipo, faltan }]: los faltantes de su checklist,
+// o, si no le aplica ninguno, hasta MAX_ARCHIVOS guardados de cada tipo
+async function cupos(db, candidatoId, c) {
+  if (c.completitud !== "sin_checklist") return c.faltantes.filter(f => TIPOS.includes(f.tipo));
+  const { rows } = await db.query(
+    `SELECT tipo, COUNT(*)::int AS n FROM candidato_documentos WHERE candidato_id=$1 GROUP BY tipo`,
+    [candidatoId]
+  );
+  const guardados = Object.fromEntries(rows.map(r => [r.tipo, r.n]));
+  return TIPOS.map(tipo => ({ tipo, faltan: MAX_ARCHIVOS[tipo] - (guardados[tipo] || 0) })).filter(f => f.faltan > 0);
+}
+
+// Archivos de más por tipo: no se aceptan más que los que quedan en su cupo -> { tipo: mensaje }
+function excedentes(cupo, files) {
+  const errores = {};
+  for (const { tipo, faltan } of cupo) {
+    const n = files[tipo]?.length || 0;
+    if (n > faltan) errores[tipo] = faltan === 1 ? "Solo falta 1 archivo" : `Solo faltan ${faltan} archivos`;
+  }
+  return errores;
+}
+
+module.exports = ({ pool, storage, workflow = loadWorkflow() }) => {
+  return {
+    /* ---------- Candidato (token del portal) ---------- */
+
+    // GET /portal — solo su estado, su checklist y sus documentos (sin enlaces a los archivos)
+    me: async (req, res) => {
+      try {
+        const id = req.portal.candidatoId;
+        const cand = await pool.query(
+          `SELECT id, nombres, apellido_paterno, apellido_materno, estado FROM candidatos WHERE id=$1`,
+          [id]
+        );
+        const docs = await pool.query(
+          `SELECT ${DOC_COLUMNS} FROM candidato_documentos WHERE candidato_id=$1 ORDER BY created_at DESC`,
+          [id]
+        );
+        const c = await loadCompletitud(pool, id);
+        const cupo = await cupos(pool, id, c);
+        res.json({
+          candidato: cand.rows[0],
+          ...c,
+          documentos: docs.rows.map(({ url, ...d }) => d),
+          tipos_permitidos: cupo.map(f => f.tipo),
+          expires_at: req.portal.expiresAt,
+        });
+      } catch (e) {
+        handleError(res, e, "GET /api/portal", "Error consultando tus datos");
+      }
+    },
+
+    // POST /portal/documentos (multipart `campos`, con <tipo>_emision / <tipo>_vencimiento opcionales)
+    upload: async (req, res) => {
+      const client = await pool.connect();
+      const uploadedKeys = [];
+      try {
+        const id = req.portal.candidatoId;
+        const recibidos = Object.keys(req.files || {}).filter(t => req.files[t].length);
+        if (!recibidos.length) return res.status(400).json({ error: "No se recibieron archivos" });
+
+        // el candidato queda bloqueado para que dos envíos a la vez no superen lo que falta
+        await client.query("BEGIN");
+        const cand = await client.query(`SELECT dni FROM candidatos WHERE id=$1 FOR UPDATE`, [id]);
+        const actual = await loadCompletitud(client, id);
+        const cupo = await cupos(client, id, actual);
+        const permitidos = cupo.map(f => f.tipo);
+        const errores = excedentes(cupo, req.files);
+        for (const t of recibidos) {
+          if (permitidos.includes(t)) continue;
+          errores[t] = actual.completitud === "sin_checklist" ? `Ya tiene el máximo de ${MAX_ARCHIVOS[t]} archivos` : "No falta este documento";
+        }
+        const vigencias = parseFechas(req.body);
+        Object.assign(errores, vigencias.errores);
+        if (hasErrors(errores)) {
+          await client.query("ROLLBACK");
+          return res.status(400).json({ error: "Datos inválidos", campos: errores, tipos_permitidos: permitidos });
+        }
+
+        const saved = await saveDocuments(client, storage, {
+          candidatoId: id, dni: cand.rows[0].dni, files: req.files, fechas: vigencias.fechas, tipos: permitidos, keys: uploadedKeys,
+        });
+        await documentsAdded(client, req, id, saved.documentos);
+        await client.query("COMMIT");
+
+        const c = await loadCompletitud(pool, id);
+        res.json({ ok: true, documentos: saved.documentos.map(({ url, ...d }) => d), ...c });
+      } catch (e) {
+        await client.query("ROLLBACK");
+        await Promise.allSettled(uploadedKeys.map(k => storage.delete(k)));
+        handleError(res, e, "POST /api/portal/documentos", "Error subiendo documentos");
+      } finally {
+        client.release();
+      }
+    },
+
+    /* ---------- Reclutador ---------- */
+
+    // POST /candidatos/:id/portal — nuevo enlace (revoca el anterior); no para contratados ni procesos cerrados
+    issue: async (req, res) => {
+      try {
+        const id = Number(req.params.id);
+        const cand = await pool.query(
+          `SELECT c.estado, EXISTS (SELECT 1 FROM empleados e WHERE e.candidato_id = c.id) AS contratado
+             FROM candidatos c
+            WHERE c.id=$1 AND c.employer_id=$2`,
+          [id, req.employerId]
+        );
+        if (cand.rowCount === 0) return res.status(404).json({ error: "No encontrado" });
+        const { estado, contratado } = cand.rows[0];
+        if (contratado) return res.status(409).json({ error: "El candidato ya fue contratado" });
+        if (workflow.isClosed(estado)) return res.status(409).json({ error: `El proceso del candidato está cerrado (${estado})` });
+        res.json(await issueToken(pool, { candidatoId: id, userId: req.user.id }));
+      } catch (e) {
+        handleError(res, e, "POST /api/candidatos/:id/portal", "Error generando enlace");
+      }
+    },
+
+    revoke: async (req, res) => {
+      try {
+        const id = Number(req.params.id);
+        const cand = await pool.query(`SELECT 1 FROM candidatos WHERE id=$1 AND employer_id=$2`, [id, req.employerId]);
+        if (cand.rowCount === 0) return res.status(404).json({ error: "No encontrado" });
+        res.json({ ok: true, revocados: await revokeTokens(pool, id) });
+      } catch (e) {
+        handleError(res, e, "DELETE /api/candidatos/:id/portal", "Error revocando enlace");
+      }
+    },
+  };
+};
@@ -0,0 +1,24 @@
+const express = require('express');
+const controllerFactory = require('./portal.controller');
+const { portalAuth } = require('./portal.tokens');
+const { FECHA_FIELDS } = require('../candidatos/candidatos.documentos');
+const { v, validate, byId } = require('../common/validate');
+
+// vigencia opcional por tipo: <tipo>_emision y <tipo>_vencimiento
+const fechasBody = Object.fromEntries(FECHA_FIELDS.map(k => [k, v.date()]));
+
+module.exports = function portalRoutes({ pool, storage, campos, auth, tenant }) {
+  const router = express.Router();
+  const ctrl = controllerFactory({ pool, storage });
+  const portal = portalAuth({ pool });
+
+  // autoservicio del candidato (Authorization: Bearer <token del enlace>)
+  router.get('/portal', portal, ctrl.me);
+  router.post('/portal/documentos', portal, campos, validate({ body: fechasBody }), ctrl.upload);
+
+  // enlaces que emite el reclutador
+  router.post('/candidatos/:id/portal', auth.staff, tenant, byId, ctrl.issue);
+  router.delete('/candidatos/:id/portal', auth.staff, tenant, byId, ctrl.revoke);
+
+  return router;
+};
@@ -0,0 +1,62 @@
+// Tokens del portal del candidato: opacos (no son JWT, así que no sirven en las rutas internas),
+// de un solo candidato y con vencimiento (PORTAL_TOKEN_DIAS, 14 por defecto).
+
+const crypto = require("crypto");
+const { handleError } = require("../common/errors");
+
+const TTL_DIAS = Number(process.env.PORTAL_TOKEN_DIAS || 14);
+
+const hash = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+// Emite un token nuevo y revoca los vigentes del candidato; devuelve { token, expires_at }
+async function issueToken(db, { candidatoId, userId = null }) {
+  await db.query(
+    `UPDATE candidato_portal_tokens SET revoked_at = NOW()
+      WHERE candidato_id = $1 AND revoked_at IS NULL AND expires_at > NOW()`,
+    [candidatoId]
+  );
+  const token = crypto.randomBytes(32).toString("base64url");
+  const r = await db.query(
+    `INSERT INTO candidato_portal_tokens (candidato_id, token_hash, expires_at, created_by)
+     VALUES ($1, $2, NOW() + make_interval(days => $3), $4)
+     RETURNING expires_at`,
+    [candidatoId, hash(token), TTL_DIAS, userId]
+  );
+  return { token, expires_at: r.rows[0].expires_at };
+}
+
+async function revokeTokens(db, candidatoId) {
+  const r = await db.query(
+    `UPDATE candidato_portal_tokens SET revoked_at = NOW()
+      WHERE candidato_id = $1 AND revoked_at IS NULL AND expires_at > NOW()`,
+    [candidatoId]
+  );
+  return r.rowCount;
+}
+
+// Middleware: "Authorization: Bearer <token del portal>" -> req.portal { candidatoId, expiresAt } y req.employerId
+function portalAuth({ pool }) {
+  return async (req, res, next) => {
+    const [scheme, token] = (req.headers.authorization || "").split(" ");
+    if (scheme !== "Bearer" || !token) return res.status(401).json({ error: "No autenticado" });
+    try {
+      const r = await pool.query(
+        `UPDATE candidato_portal_tokens t
+            SET last_used_at = NOW()
+           FROM candidatos c
+          WHERE t.token_hash = $1 AND t.revoked_at IS NULL AND t.expires_at > NOW() AND c.id = t.candidato_id
+          RETURNING t.candidato_id, t.expires_at, c.employer_id`,
+        [hash(token)]
+      );
+      if (r.rowCount === 0) return res.status(401).json({ error: "Enlace inválido o expirado" });
+      const { candidato_id, expires_at, employer_id } = r.rows[0];
+      req.portal = { candidatoId: candidato_id, expiresAt: expires_at };
+      req.employerId = employer_id;
+      next();
+    } catch (e) {
+      handleError(res, e, "portalAuth", "Error validando enlace");
+    }
+  };
+}
+
+module.exports = { TTL_DIAS, issueToken, revokeTokens, portalAuth };
@@ -0,0 +1,199 @@
+const { slugify, generateUniqueCode } = require("../common/codes");
+const audit = require("../audit/audit.service");
+const { STATE_COLUMNS, includeArchived, setArchived } = require("../common/archive");
+const { handleError } = require("../common/errors");
+const { withTransaction } = require("../common/db");
+
+const PROJECT_COLUMNS = `id, code, name, ${STATE_COLUMNS}`;
+
+module.exports = ({ pool }) => {
+  // POST /projects/:id/archive | /restore
+  async function toggle(req, res, archived, label) {
+    try {
+      const id = Number(req.params.id);
+      const r = await withTransaction(pool, async (client) => {
+        const r = await setArchived(client, "projects", { id, employerId: req.employerId, archived, columns: PROJECT_COLUMNS });
+        if (r) await audit.record(client, req, { entity: "project", entityId: id, ...r });
+        return r;
+      });
+      if (!r) return res.status(404).json({ error: "No encontrado" });
+      res.json(r.after);
+    } catch (e) {
+      handleError(res, e, label, "Error archivando o restaurando proyecto");
+    }
+  }
+
+  return {
+    list: async (req, res) => {
+      try {
+        const { rows } = await pool.query(
+          `SELECT ${PROJECT_COLUMNS},
+                  ARRAY(SELECT ps.site_id FROM project_sites ps WHERE ps.project_id = projects.id ORDER BY ps.site_id) AS site_ids
+             FROM projects
+            WHERE employer_id = $1 ${includeArchived(req.query) ? "" : "AND active"}
+            ORDER BY id ASC`,
+          [req.employerId]
+        );
+        res.json(rows);
+      } catch (e) {
+        handleError(res, e, "GET /api/projects", "Error consultando proyectos");
+      }
+    },
+
+    create: async (req, res) => {
+      try {
+        const { name } = req.body || {};
+        if (!name) return res.status(400).json({ error: "Datos inválidos", campos: { name: "Obligatorio" } });
+
+        const base = slugify(name);
+        const code = await generateUniqueCode(pool, "projects", base || "PROJ", req.employerId);
+
+        const project = await withTransaction(pool, async (client) => {
+          const r = await client.query(
+            `INSERT INTO projects (employer_id, code, name)
+             VALUES ($1,$2,$3)
+             RETURNING ${PROJECT_COLUMNS}`,
+            [req.employerId, code, String(name).trim()]
+          );
+          await audit.record(client, req, { entity: "project", entityId: r.rows[0].id, after: r.rows[0] });
+          return r.rows[0];
+        });
+        res.json(project);
+      } catch (e) {
+        handleError(res, e, "POST /api/projects", "Error creando proyecto");
+      }
+    },
+
+    update: async (req, res) => {
+      try {
+        const id = Number(req.params.id);
+        const { name = null } = req.body || {};
+        const found = await withTransaction(pool, async (client) => {
+          const cur = await client.query(
+            `SELECT ${PROJECT_COLUMNS} FROM projects WHERE id=$1 AND employer_id=$2 FOR UPDATE`,
+            [id, req.employerId]
+          );
+          if (cur.rowCount === 0) return false;
+
+          const r = await client.query(
+            `UPDATE projects
+                SET name = COALESCE($1, name)
+              WHERE id=$2
+              RETURNING ${PROJECT_COLUMNS}`,
+            [name, id]
+          );
+          await audit.record(client, req, { entity: "project", entityId: id, before: cur.rows[0], after: r.rows[0] });
+          return true;
+        });
+        if (!found) return res.status(404).json({ error: "No encontrado" });
+        res.json({ ok: true });
+      } catch (e) {
+        handleError(res, e, "PUT /api/projects/:id", "Error actualizando proyecto");
+      }
+    },
+
+    remove: async (req, res) => {
+      try {
+        const id = Number(req.params.id);
+        const deleted = await withTransaction(pool, async (client) => {
+          const r = await client.query(
+            `DELETE FROM projects WHERE id=$1 AND employer_id=$2 RETURNING ${PROJECT_COLUMNS}`,
+            [id, req.employerId]
+          );
+          if (r.rowCount) await audit.record(client, req, { entity: "project", entityId: id, before: r.rows[0] });
+          return r.rowCount > 0;
+        });
+        if (!deleted) return res.status(404).json({ error: "No encontrado" });
+        res.json({ ok: true });
+      } catch (e) {
+        if (e.code === "23503") {
+          return res.status(409).json({ error: "No se puede eliminar: tiene asignaciones o dependencias (puede archivarse)", code: "EN_USO" });
+        }
+        handleError(res, e, "DELETE /api/projects/:id", "Error eliminando proyecto");
+      }
+    },
+
+    /* ---------- Sedes del proyecto ---------- */
+
+    // GET /projects/:id/sites?include_archived
+    listSites: async (req, res) => {
+      try {
+        const id = Number(req.params.id);
+        const project = await pool.query(`SELECT 1 FROM projects WHERE id=$1 AND employer_id=$2`, [id, req.employerId]);
+        if (project.rowCount === 0) return res.status(404).json({ error: "No encontrado" });
+
+        const { rows } = await pool.query(
+          `SELECT s.id, s.code, s.name, s.address, s.ubigeo, s.district, s.province, s.department,
+                  s.latitude, s.longitude, s.active, s.archived_at, ps.created_at AS linked_at
+             FROM project_sites ps
+             JOIN sites s ON s.id = ps.site_id
+            WHERE ps.project_id = $1 ${includeArchived(req.query) ? "" : "AND s.active"}
+            ORDER BY s.name ASC`,
+          [id]
+        );
+        res.json(rows);
+      } catch (e) {
+        handleError(res, e, "GET /api/projects/:id/sites", "Error consultando sedes del proyecto");
+      }
+    },
+
+    // PUT /projects/:id/sites/:siteId — vincula (idempotente); no acepta catálogos archivados
+    attachSite: async (req, res) => {
+      try {
+        const id = Number(req.params.id);
+        const siteId = Number(req.params.siteId);
+        const { rows } = await pool.query(
+          `SELECT p.active AS project_active, s.active AS site_active
+             FROM projects p
+             LEFT JOIN sites s ON s.id = $2 AND s.employer_id = p.employer_id
+            WHERE p.id = $1 AND p.employer_id = $3`,
+          [id, siteId, req.employerId]
+        );
+        if (!rows.length) return res.status(404).json({ error: "No encontrado" });
+        const errores = {};
+        if (rows[0].site_active === null) errores.site_id = "No existe";
+        else if (!rows[0].site_active) errores.site_id = "Archivado";
+        if (!rows[0].project_active) errores.project_id = "Archivado";
+        if (Object.keys(errores).length) return res.status(400).json({ error: "Datos inválidos", campos: errores });
+
+        await withTransaction(pool, async (client) => {
+          const r = await client.query(
+            `INSERT INTO project_sites (project_id, site_id) VALUES ($1, $2)
+             ON CONFLICT DO NOTHING
+             RETURNING project_id, site_id`,
+            [id, siteId]
+          );
+          if (r.rowCount) await audit.record(client, req, { entity: "project_site", entityId: id, after: r.rows[0] });
+        });
+        res.json({ ok: true, project_id: id, site_id: siteId });
+      } catch (e) {
+        handleError(res, e, "PUT /api/projects/:id/sites/:siteId", "Error vinculando sede");
+      }
+    },
+
+    detachSite: async (req, res) => {
+      try {
+        const id = Number(req.params.id);
+        const siteId = Number(req.params.siteId);
+        const deleted = await withTransaction(pool, async (client) => {
+          const r = await client.query(
+            `DELETE FROM project_sites ps
+              USING projects p
+              WHERE ps.project_id = $1 AND ps.site_id = $2 AND p.id = ps.project_id AND p.employer_id = $3
+              RETURNING ps.project_id, ps.site_id`,
+            [id, siteId, req.employerId]
+          );
+          if (r.rowCount) await audit.record(client, req, { entity: "project_site", entityId: id, before: r.rows[0] });
+          return r.rowCount > 0;
+        });
+        if (!deleted) return res.status(404).json({ error: "No encontrado" });
+        res.json({ ok: true });
+      } catch (e) {
+        handleError(res, e, "DELETE /api/projects/:id/sites/:siteId", "Error desvinculando sede");
+      }
+    },
+
+    archive: (req, res) => toggle(req, res, true, "POST /api/projects/:id/archive"),
+    restore: (req, res) => toggle(req, res, false, "POST /api/projects/:id/restore"),
+  };
+};
@@ -0,0 +1,29 @@
+const express = require('express');
+const controllerFactory = require('./projects.controller');
+const { v, validate, byId } = require('../common/validate');
+
+const projectSite = validate({ params: { id: v.id(), siteId: v.id() } });
+
+// ?include_archived en los listados (sin valor también los incluye)
+const listQuery = { include_archived: v.bool() };
+
+module.exports = function projectsRoutes({ pool, auth, tenant }) {
+  const router = express.Router();
+  const ctrl = controllerFactory({ pool });
+
+  router.get('/projects', auth.staff, tenant, validate({ query: listQuery }), ctrl.list);
+  router.post('/projects', auth.admin, tenant, validate({ body: { name: v.string({ max: 200, required: true }) } }), ctrl.create);
+  router.put('/projects/:id', auth.admin, tenant, validate({ params: { id: v.id() }, body: { name: v.string({ max: 200 }) } }), ctrl.update);
+  router.delete('/projects/:id', auth.admin, tenant, byId, ctrl.remove);
+
+  // sedes del proyecto (muchos a muchos)
+  router.get('/projects/:id/sites', auth.staff, tenant, validate({ params: { id: v.id() }, query: listQuery }), ctrl.listSites);
+  router.put('/projects/:id/sites/:siteId', auth.admin, tenant, projectSite, ctrl.attachSite);
+  router.delete('/projects/:id/sites/:siteId', auth.admin, tenant, projectSite, ctrl.detachSite);
+
+  // baja lógica: archivados no se listan (salvo ?include_archived) ni se asignan
+  router.post('/projects/:id/archive', auth.admin, tenant, byId, ctrl.archive);
+  router.post('/projects/:id/restore', auth.admin, tenant, byId, ctrl.restore);
+
+  return router;
+};
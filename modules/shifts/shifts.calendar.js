@@ -0,0 +1,95 @@
+// Calendario concreto de trabajo de una persona a partir de sus asignaciones
+// (turno fijo con días de la semana, o rotación anclada en el valid_from de la asignación)
+
+const { addDays, diffDays, isoWeekday } = require("../common/dates");
+const { decorateShift, worksOn, toMinutes, spanMinutes } = require("./shifts.model");
+
+const MAX_DAYS = 370;
+
+const SHIFT_COLUMNS = `id, name,
+       to_char(start_time,'HH24:MI') AS start_time,
+       to_char(end_time,  'HH24:MI') AS end_time,
+       break_minutes, weekday_mask`;
+
+// Día de trabajo: inicio/fin como "YYYY-MM-DD HH:MM" (el fin puede caer al día siguiente)
+function workDay(fecha, shift) {
+  const start = toMinutes(shift.start_time);
+  const endDate = addDays(fecha, Math.floor((start + spanMinutes(start, toMinutes(shift.end_time))) / 1440));
+  return {
+    fecha,
+    trabaja: true,
+    shift_id: shift.id,
+    shift_name: shift.name,
+    inicio: `${fecha} ${shift.start_time}`,
+    fin: `${endDate} ${shift.end_time}`,
+    break_minutes: Number(shift.break_minutes || 0),
+    net_hours: decorateShift(shift).net_hours,
+  };
+}
+
+// Pura: arma los días [from, to] con las asignaciones y catálogos ya cargados
+function buildCalendar({ from, to, assignments, shiftsById, rotationsById }) {
+  const days = [];
+  for (let fecha = from; fecha <= to; fecha = addDays(fecha, 1)) {
+    const a = assignments.find(x => x.valid_from <= fecha && (!x.valid_to || x.valid_to >= fecha));
+    const base = { fecha, site_id: a?.site_id ?? null, project_id: a?.project_id ?? null, asignacion_id: a?.id ?? null };
+
+    if (!a) { days.push({ ...base, trabaja: false, motivo: "sin_asignacion" }); continue; }
+
+    let shift = null;
+    if (a.rotation_id) {
+      const rot = rotationsById.get(a.rotation_id);
+      const pattern = rot?.pattern || [];
+      const idx = pattern.length ? ((diffDays(a.valid_from, fecha) % pattern.length) + pattern.length) % pattern.length : 0;
+      const shiftId = pattern[idx] ?? null;
+      if (shiftId === null) { days.push({ ...base, trabaja: false, motivo: "descanso" }); continue; }
+      shift = shiftsById.get(shiftId);
+    } else if (a.shift_id) {
+      shift = shiftsById.get(a.shift_id);
+      if (shift && !worksOn(shift.weekday_mask, isoWeekday(fecha))) {
+        days.push({ ...base, trabaja: false, motivo: "descanso" });
+        continue;
+      }
+    }
+
+    if (!shift) { days.push({ ...base, trabaja: false, motivo: "sin_turno" }); continue; }
+    days.push({ ...base, ...workDay(fecha, shift) });
+  }
+  return days;
+}
+
+// Carga asignaciones, turnos y rotaciones de la persona y arma el calendario
+async function loadPersonCalendar(db, { personCol, personId, from, to }) {
+  const { rows: assignments } = await db.query(
+    `SELECT id, site_id, project_id, shift_id, rotation_id,
+            to_char(valid_from,'YYYY-MM-DD') AS valid_from,
+            to_char(valid_to,  'YYYY-MM-DD') AS valid_to
+       FROM asignaciones
+      WHERE ${personCol === "empleado_id" ? "empleado_id" : "candidato_id"} = $1
+        AND valid_from <= $3::date
+        AND (valid_to IS NULL OR valid_to >= $2::date)
+      ORDER BY valid_from ASC`,
+    [personId, from, to]
+  );
+
+  const rotationIds = [...new Set(assignments.map(a => a.rotation_id).filter(Boolean))];
+  const { rows: rotations } = rotationIds.length
+    ? await db.query(`SELECT id, name, pattern FROM shift_rotations WHERE id = ANY($1::int[])`, [rotationIds])
+    : { rows: [] };
+
+  const shiftIds = new Set(assignments.map(a => a.shift_id).filter(Boolean));
+  for (const r of rotations) for (const s of r.pattern) if (s) shiftIds.add(s);
+  const { rows: shifts } = shiftIds.size
+    ? await db.query(`SELECT ${SHIFT_COLUMNS} FROM shifts WHERE id = ANY($1::int[])`, [[...shiftIds]])
+    : { rows: [] };
+
+  return buildCalendar({
+    from,
+    to,
+    assignments,
+    shiftsById: new Map(shifts.map(s => [s.id, s])),
+    rotationsById: new Map(rotations.map(r => [r.id, r])),
+  });
+}
+
+module.exports = { MAX_DAYS, SHIFT_COLUMNS, buildCalendar, loadPersonCalendar, workDay };
@@ -0,0 +1,350 @@
+const { isIsoDate, diffDays, today, addDays } = require("../common/dates");
+const { decorateShift, validateShift } = require("./shifts.model");
+const { MAX_DAYS, SHIFT_COLUMNS, buildCalendar, loadPersonCalendar } = require("./shifts.calendar");
+const audit = require("../audit/audit.service");
+const { STATE_COLUMNS, includeArchived, setArchived } = require("../common/archive");
+const { handleError } = require("../common/errors");
+const { withTransaction } = require("../common/db");
+
+// Rango ?from&to (por defecto los próximos 30 días); devuelve { error } o { from, to }
+function parseRange(query) {
+  const from = query.from || today();
+  const to = query.to || addDays(from, 29);
+  if (!isIsoDate(from) || !isIsoDate(to)) return { error: "from y to deben ser fechas (YYYY-MM-DD)" };
+  if (to < from) return { error: "to debe ser posterior o igual a from" };
+  if (diffDays(from, to) >= MAX_DAYS) return { error: `El rango no puede superar ${MAX_DAYS} días` };
+  return { from, to };
+}
+
+// 400 lanzado desde dentro de una transacción (handleError lo responde con `campos`)
+const invalid = (campos) => Object.assign(new Error("Datos inválidos"), { status: 400, campos });
+
+const SHIFT_LIST_COLUMNS = `${SHIFT_COLUMNS}, ${STATE_COLUMNS}`;
+const ROTATION_COLUMNS = "id, name, pattern, cardinality(pattern) AS cycle_days, created_at";
+
+// El patrón de una rotación: array de shift_id o null (descanso)
+function validatePattern(pattern) {
+  if (!Array.isArray(pattern) || !pattern.length || pattern.length > 84) {
+    return { error: "Debe ser una lista de 1 a 84 días (shift_id o null para descanso)" };
+  }
+  const values = [];
+  for (const p of pattern) {
+    if (p === null || p === "" || p === 0) { values.push(null); continue; }
+    const n = Number(p);
+    if (!Number.isInteger(n) || n <= 0) return { error: "Cada día debe ser un shift_id o null" };
+    values.push(n);
+  }
+  if (values.every(v => v === null)) return { error: "La rotación debe tener al menos un día de trabajo" };
+  return { values };
+}
+
+// Error del patrón si usa turnos de otra empresa o archivados (salvo los que ya tenía: `current`)
+async function checkPatternShifts(db, ids, employerId, current = []) {
+  const wanted = [...new Set(ids.filter(Boolean))];
+  if (!wanted.length) return null;
+  const { rows } = await db.query(
+    `SELECT id, active FROM shifts WHERE id = ANY($1::int[]) AND employer_id = $2`,
+    [wanted, employerId]
+  );
+  const found = new Map(rows.map(r => [r.id, r.active]));
+  const missing = wanted.filter(id => !found.has(id));
+  if (missing.length) return `Turnos inexistentes: ${missing.join(", ")}`;
+  const archived = wanted.filter(id => !found.get(id) && !current.includes(id));
+  if (archived.length) return `Turnos archivados: ${archived.join(", ")}`;
+  return null;
+}
+
+module.exports = ({ pool }) => {
+  async function personCalendar(req, res, { personCol, table, label }) {
+    try {
+      const id = Number(req.params.id);
+      const range = parseRange(req.query);
+      if (range.error) return res.status(400).json({ error: range.error });
+
+      const p = await pool.query(`SELECT id FROM ${table} WHERE id=$1 AND employer_id=$2`, [id, req.employerId]);
+      if (p.rowCount === 0) return res.status(404).json({ error: "No encontrado" });
+
+      const dias = await loadPersonCalendar(pool, { personCol, personId: id, from: range.from, to: range.to });
+      const trabajados = dias.filter(d => d.trabaja);
+      res.json({
+        from: range.from,
+        to: range.to,
+        dias_trabajo: trabajados.length,
+        horas_netas: Math.round(trabajados.reduce((acc, d) => acc + d.net_hours, 0) * 100) / 100,
+        dias,
+      });
+    } catch (e) {
+      handleError(res, e, label, "Error armando calendario");
+    }
+  }
+
+  async function toggleShift(req, res, archived, label) {
+    try {
+      const id = Number(req.params.id);
+      const r = await withTransaction(pool, async (client) => {
+        const r = await setArchived(client, "shifts", { id, employerId: req.employerId, archived, columns: SHIFT_LIST_COLUMNS });
+        if (r) await audit.record(client, req, { entity: "shift", entityId: id, ...r });
+        return r;
+      });
+      if (!r) return res.status(404).json({ error: "No encontrado" });
+      res.json(decorateShift(r.after));
+    } catch (e) {
+      handleError(res, e, label, "Error archivando o restaurando turno");
+    }
+  }
+
+  return {
+    list: async (req, res) => {
+      try {
+        const { rows } = await pool.query(
+          `SELECT ${SHIFT_LIST_COLUMNS}
+             FROM shifts
+            WHERE employer_id=$1 ${includeArchived(req.query) ? "" : "AND active"}
+            ORDER BY id ASC`,
+          [req.employerId]
+        );
+        res.json(rows.map(decorateShift));
+      } catch (e) {
+        handleError(res, e, "GET /api/shifts", "Error consultando turnos");
+      }
+    },
+
+    // POST /shifts { name, start_time, end_time, break_minutes?, weekdays? }
+    create: async (req, res) => {
+      try {
+        const { errors, values } = validateShift(req.body || {});
+        if (Object.keys(errors).length) return res.status(400).json({ error: "Datos inválidos", campos: errors });
+
+        const shift = await withTransaction(pool, async (client) => {
+          const r = await client.query(
+            `INSERT INTO shifts (employer_id, name, start_time, end_time, break_minutes, weekday_mask)
+             VALUES ($1,$2,$3,$4,$5,$6)
+             RETURNING ${SHIFT_LIST_COLUMNS}`,
+            [req.employerId, values.name, values.start_time, values.end_time, values.break_minutes ?? 0, values.weekday_mask ?? 127]
+          );
+          await audit.record(client, req, { entity: "shift", entityId: r.rows[0].id, after: r.rows[0] });
+          return r.rows[0];
+        });
+        res.json(decorateShift(shift));
+      } catch (e) {
+        handleError(res, e, "POST /api/shifts", "Error creando turno");
+      }
+    },
+
+    update: async (req, res) => {
+      try {
+        const id = Number(req.params.id);
+        const shift = await withTransaction(pool, async (client) => {
+          const cur = await client.query(
+            `SELECT ${SHIFT_LIST_COLUMNS} FROM shifts WHERE id=$1 AND employer_id=$2 FOR UPDATE`,
+            [id, req.employerId]
+          );
+          if (cur.rowCount === 0) return null;
+
+          const { errors, values } = validateShift(req.body || {}, { current: cur.rows[0] });
+          if (Object.keys(errors).length) throw invalid(errors);
+
+          const r = await client.query(
+            `UPDATE shifts
+                SET name          = COALESCE($1, name),
+                    start_time    = COALESCE($2::time, start_time),
+                    end_time      = COALESCE($3::time, end_time),
+                    break_minutes = COALESCE($4, break_minutes),
+                    weekday_mask  = COALESCE($5, weekday_mask)
+              WHERE id=$6
+              RETURNING ${SHIFT_LIST_COLUMNS}`,
+            [values.name ?? null, values.start_time ?? null, values.end_time ?? null,
+             values.break_minutes ?? null, values.weekday_mask ?? null, id]
+          );
+          await audit.record(client, req, { entity: "shift", entityId: id, before: cur.rows[0], after: r.rows[0] });
+          return r.rows[0];
+        });
+        if (!shift) return res.status(404).json({ error: "No encontrado" });
+        res.json(decorateShift(shift));
+      } catch (e) {
+        handleError(res, e, "PUT /api/shifts/:id", "Error actualizando turno");
+      }
+    },
+
+    remove: async (req, res) => {
+      try {
+        const id = Number(req.params.id);
+        // las rotaciones guardan shift_id en un array (sin FK)
+        const rot = await pool.query(
+          `SELECT name FROM shift_rotations WHERE $1 = ANY(pattern) AND employer_id = $2 ORDER BY name`,
+          [id, req.employerId]
+        );
+        if (rot.rowCount) {
+          return res.status(409).json({
+            error: `No se puede eliminar: lo usan las rotaciones ${rot.rows.map(r => r.name).join(", ")}`,
+          });
+        }
+        const deleted = await withTransaction(pool, async (client) => {
+          const r = await client.query(
+            `DELETE FROM shifts WHERE id=$1 AND employer_id=$2 RETURNING ${SHIFT_LIST_COLUMNS}`,
+            [id, req.employerId]
+          );
+          if (r.rowCount) await audit.record(client, req, { entity: "shift", entityId: id, before: r.rows[0] });
+          return r.rowCount > 0;
+        });
+        if (!deleted) return res.status(404).json({ error: "No encontrado" });
+        res.json({ ok: true });
+      } catch (e) {
+        if (e.code === "23503") return res.status(409).json({ error: "No se puede eliminar: está referenciado (puede archivarse)", code: "EN_USO" });
+        handleError(res, e, "DELETE /api/shifts/:id", "Error eliminando turno");
+      }
+    },
+
+    // POST /shifts/:id/archive | /restore — las rotaciones y asignaciones existentes lo siguen usando
+    archive: (req, res) => toggleShift(req, res, true, "POST /api/shifts/:id/archive"),
+    restore: (req, res) => toggleShift(req, res, false, "POST /api/shifts/:id/restore"),
+
+    /* ---------- Rotaciones ---------- */
+
+    listRotations: async (req, res) => {
+      try {
+        const { rows } = await pool.query(
+          `SELECT ${ROTATION_COLUMNS}
+             FROM shift_rotations
+            WHERE employer_id = $1
+            ORDER BY id ASC`,
+          [req.employerId]
+        );
+        res.json(rows);
+      } catch (e) {
+        handleError(res, e, "GET /api/shift-rotations", "Error consultando rotaciones");
+      }
+    },
+
+    // POST /shift-rotations { name, pattern: [shift_id | null, ...] }
+    createRotation: async (req, res) => {
+      try {
+        const { name, pattern } = req.body || {};
+        const errores = {};
+        if (!name) errores.name = "Obligatorio";
+        const p = validatePattern(pattern);
+        if (p.error) errores.pattern = p.error;
+        if (!errores.pattern) {
+          const error = await checkPatternShifts(pool, p.values, req.employerId);
+          if (error) errores.pattern = error;
+        }
+        if (Object.keys(errores).length) return res.status(400).json({ error: "Datos inválidos", campos: errores });
+
+        const rotation = await withTransaction(pool, async (client) => {
+          const r = await client.query(
+            `INSERT INTO shift_rotations (employer_id, name, pattern)
+             VALUES ($1, $2, $3::int[])
+             RETURNING ${ROTATION_COLUMNS}`,
+            [req.employerId, String(name).trim(), p.values]
+          );
+          await audit.record(client, req, { entity: "shift_rotation", entityId: r.rows[0].id, after: r.rows[0] });
+          return r.rows[0];
+        });
+        res.json(rotation);
+      } catch (e) {
+        if (e.code === "23505") return res.status(409).json({ error: "Ya existe una rotación con ese nombre", code: "DUPLICADO" });
+        handleError(res, e, "POST /api/shift-rotations", "Error creando rotación");
+      }
+    },
+
+    updateRotation: async (req, res) => {
+      try {
+        const id = Number(req.params.id);
+        const { name = null, pattern } = req.body || {};
+        const rotation = await withTransaction(pool, async (client) => {
+          const cur = await client.query(
+            `SELECT ${ROTATION_COLUMNS} FROM shift_rotations WHERE id=$1 AND employer_id=$2 FOR UPDATE`,
+            [id, req.employerId]
+          );
+          if (cur.rowCount === 0) return null;
+
+          let values = null;
+          if (pattern !== undefined) {
+            const p = validatePattern(pattern);
+            if (p.error) throw invalid({ pattern: p.error });
+            const error = await checkPatternShifts(client, p.values, req.employerId, cur.rows[0].pattern);
+            if (error) throw invalid({ pattern: error });
+            values = p.values;
+          }
+
+          const r = await client.query(
+            `UPDATE shift_rotations
+                SET name    = COALESCE($1, name),
+                    pattern = COALESCE($2::int[], pattern)
+              WHERE id=$3
+              RETURNING ${ROTATION_COLUMNS}`,
+            [name ? String(name).trim() : null, values, id]
+          );
+          await audit.record(client, req, { entity: "shift_rotation", entityId: id, before: cur.rows[0], after: r.rows[0] });
+          return r.rows[0];
+        });
+        if (!rotation) return res.status(404).json({ error: "No encontrado" });
+        res.json(rotation);
+      } catch (e) {
+        if (e.code === "23505") return res.status(409).json({ error: "Ya existe una rotación con ese nombre", code: "DUPLICADO" });
+        handleError(res, e, "PUT /api/shift-rotations/:id", "Error actualizando rotación");
+      }
+    },
+
+    removeRotation: async (req, res) => {
+      try {
+        const id = Number(req.params.id);
+        const deleted = await withTransaction(pool, async (client) => {
+          const r = await client.query(
+            `DELETE FROM shift_rotations WHERE id=$1 AND employer_id=$2 RETURNING ${ROTATION_COLUMNS}`,
+            [id, req.employerId]
+          );
+          if (r.rowCount) await audit.record(client, req, { entity: "shift_rotation", entityId: id, before: r.rows[0] });
+          return r.rowCount > 0;
+        });
+        if (!deleted) return res.status(404).json({ error: "No encontrado" });
+        res.json({ ok: true });
+      } catch (e) {
+        if (e.code === "23503") return res.status(409).json({ error: "No se puede eliminar: tiene asignaciones", code: "EN_USO" });
+        handleError(res, e, "DELETE /api/shift-rotations/:id", "Error eliminando rotación");
+      }
+    },
+
+    // GET /shift-rotations/:id/calendario?from&to&anchor — vista previa con el ciclo iniciando en anchor
+    rotationPreview: async (req, res) => {
+      try {
+        const id = Number(req.params.id);
+        const range = parseRange(req.query);
+        if (range.error) return res.status(400).json({ error: range.error });
+        const anchor = req.query.anchor || range.from;
+        if (!isIsoDate(anchor)) return res.status(400).json({ error: "anchor inválido (YYYY-MM-DD)" });
+
+        const rot = await pool.query(
+          `SELECT id, name, pattern FROM shift_rotations WHERE id=$1 AND employer_id=$2`,
+          [id, req.employerId]
+        );
+        if (rot.rowCount === 0) return res.status(404).json({ error: "No encontrado" });
+        const { rows: shifts } = await pool.query(
+          `SELECT ${SHIFT_COLUMNS} FROM shifts WHERE id = ANY($1::int[])`,
+          [rot.rows[0].pattern.filter(Boolean)]
+        );
+
+        const dias = buildCalendar({
+          from: range.from,
+          to: range.to,
+          assignments: [{ id: null, site_id: null, project_id: null, rotation_id: id, valid_from: anchor, valid_to: null }],
+          shiftsById: new Map(shifts.map(s => [s.id, s])),
+          rotationsById: new Map([[id, rot.rows[0]]]),
+        }).map(({ site_id, project_id, asignacion_id, ...d }) => d);
+
+        res.json({ ...rot.rows[0], anchor, from: range.from, to: range.to, dias });
+      } catch (e) {
+        handleError(res, e, "GET /api/shift-rotations/:id/calendario", "Error armando calendario");
+      }
+    },
+
+    // GET /empleados/:id/calendario?from&to
+    empleadoCalendar: (req, res) =>
+      personCalendar(req, res, { personCol: "empleado_id", table: "empleados", label: "GET /api/empleados/:id/calendario" }),
+
+    candidatoCalendar: (req, res) =>
+      personCalendar(req, res, { personCol: "candidato_id", table: "candidatos", label: "GET /api/candidatos/:id/calendario" }),
+  };
+};
+
+module.exports.parseRange = parseRange;
@@ -0,0 +1,108 @@
+// Reglas de turnos: horas que cruzan la medianoche, descanso y días de la semana
+
+const TIME = /^([01]\d|2[0-3]):([0-5]\d)(?::[0-5]\d)?$/;
+const ALL_DAYS = 0b1111111;
+
+// Acepta 1..7 (ISO, 1 = lunes) o abreviaturas en español
+const DAY_ALIASES = { lun: 1, mar: 2, mie: 3, jue: 4, vie: 5, sab: 6, dom: 7 };
+
+// "22:30" -> 1350
+function toMinutes(hhmm) {
+  const m = TIME.exec(String(hhmm || ""));
+  return m ? Number(m[1]) * 60 + Number(m[2]) : null;
+}
+
+// [1,2,3,4,5,6] -> 0b0111111 ; null si algún día no es válido
+function weekdaysToMask(days) {
+  if (!Array.isArray(days) || !days.length) return null;
+  let mask = 0;
+  for (const d of days) {
+    const n = typeof d === "number" ? d : DAY_ALIASES[String(d).toLowerCase().slice(0, 3)] ?? Number(d);
+    if (!Number.isInteger(n) || n < 1 || n > 7) return null;
+    mask |= 1 << (n - 1);
+  }
+  return mask;
+}
+
+function maskToWeekdays(mask) {
+  const days = [];
+  for (let d = 1; d <= 7; d++) if (mask & (1 << (d - 1))) days.push(d);
+  return days;
+}
+
+const worksOn = (mask, isoWeekday) => Boolean(mask & (1 << (isoWeekday - 1)));
+
+// Minutos entre inicio y fin; si fin <= inicio el turno termina al día siguiente (iguales: 24 horas)
+function spanMinutes(startMin, endMin) {
+  return endMin > startMin ? endMin - startMin : endMin + 1440 - startMin;
+}
+
+// Agrega los campos calculados a una fila de `shifts`
+function decorateShift(row) {
+  const start = toMinutes(row.start_time);
+  const end = toMinutes(row.end_time);
+  const duration = start === null || end === null ? null : spanMinutes(start, end);
+  const breakMin = Number(row.break_minutes || 0);
+  const net = duration === null ? null : Math.max(duration - breakMin, 0);
+  const { weekday_mask, ...rest } = row;
+  return {
+    ...rest,
+    break_minutes: breakMin,
+    weekdays: maskToWeekdays(weekday_mask ?? ALL_DAYS),
+    overnight: end !== null && start !== null && end <= start,
+    duration_minutes: duration,
+    net_minutes: net,
+    net_hours: net === null ? null : Math.round((net / 60) * 100) / 100,
+  };
+}
+
+// Valida el body de POST/PUT. Devuelve { errors, values } (values listos para SQL).
+// Con `current` (PUT) se validan las combinaciones contra lo que ya existe.
+function validateShift(body = {}, { current = null } = {}) {
+  const errors = {};
+  const values = {};
+  const has = (k) => body[k] !== undefined && body[k] !== null && body[k] !== "";
+
+  if (!current || has("name")) {
+    if (!has("name")) errors.name = "Obligatorio";
+    else values.name = String(body.name).trim();
+  }
+  for (const k of ["start_time", "end_time"]) {
+    if (!current || has(k)) {
+      if (toMinutes(body[k]) === null) errors[k] = "Hora inválida (HH:MM)";
+      else values[k] = body[k];
+    }
+  }
+  if (has("break_minutes")) {
+    const n = Number(body.break_minutes);
+    if (!Number.isInteger(n) || n < 0) errors.break_minutes = "Debe ser un entero >= 0";
+    else values.break_minutes = n;
+  }
+  if (has("weekdays")) {
+    const mask = weekdaysToMask(body.weekdays);
+    if (mask === null) errors.weekdays = "Lista de días 1..7 (1 = lunes) o lun..dom";
+    else values.weekday_mask = mask;
+  }
+
+  if (!Object.keys(errors).length) {
+    const start = toMinutes(values.start_time ?? current?.start_time);
+    const end = toMinutes(values.end_time ?? current?.end_time);
+    const breakMin = values.break_minutes ?? Number(current?.break_minutes || 0);
+    // start_time = end_time es un turno de 24 horas (spanMinutes da 1440)
+    if (breakMin >= spanMinutes(start, end)) {
+      errors.break_minutes = "El descanso no puede ser mayor o igual a la duración del turno";
+    }
+  }
+  return { errors, values };
+}
+
+module.exports = {
+  ALL_DAYS,
+  toMinutes,
+  spanMinutes,
+  weekdaysToMask,
+  maskToWeekdays,
+  worksOn,
+  decorateShift,
+  validateShift,
+};
@@ -0,0 +1,44 @@
+const express = require('express');
+const controllerFactory = require('./shifts.controller');
+const { v, validate, byId } = require('../common/validate');
+
+const range = { from: v.date(), to: v.date() };
+
+const shiftBody = (required) => ({
+  name: v.string({ max: 200, required }),
+  start_time: v.time({ required }),
+  end_time: v.time({ required }),
+  break_minutes: v.int({ min: 0 }),
+  weekdays: v.array(v.string({ max: 3 }), { min: 1, max: 7 }),
+});
+
+// pattern: shift_id o null (descanso) por día
+const rotationBody = (required) => ({
+  name: v.string({ max: 200, required }),
+  pattern: v.array(v.int({ min: 0 }), { max: 84, required }),
+});
+
+module.exports = function shiftsRoutes({ pool, auth, tenant }) {
+  const router = express.Router();
+  const ctrl = controllerFactory({ pool });
+
+  router.get('/shifts', auth.staff, tenant, validate({ query: { include_archived: v.bool() } }), ctrl.list);
+  router.post('/shifts', auth.admin, tenant, validate({ body: shiftBody(true) }), ctrl.create);
+  router.put('/shifts/:id', auth.admin, tenant, validate({ params: { id: v.id() }, body: shiftBody(false) }), ctrl.update);
+  router.delete('/shifts/:id', auth.admin, tenant, byId, ctrl.remove);
+  router.post('/shifts/:id/archive', auth.admin, tenant, byId, ctrl.archive);
+  router.post('/shifts/:id/restore', auth.admin, tenant, byId, ctrl.restore);
+
+  // rotaciones (4x4, 14x7...)
+  router.get('/shift-rotations', auth.staff, tenant, ctrl.listRotations);
+  router.post('/shift-rotations', auth.admin, tenant, validate({ body: rotationBody(true) }), ctrl.createRotation);
+  router.put('/shift-rotations/:id', auth.admin, tenant, validate({ params: { id: v.id() }, body: rotationBody(false) }), ctrl.updateRotation);
+  router.delete('/shift-rotations/:id', auth.admin, tenant, byId, ctrl.removeRotation);
+  router.get('/shift-rotations/:id/calendario', auth.staff, tenant, validate({ params: { id: v.id() }, query: { ...range, anchor: v.date() } }), ctrl.rotationPreview);
+
+  // días de trabajo concretos por persona
+  router.get('/empleados/:id/calendario', auth.staff, tenant, validate({ params: { id: v.id() }, query: range }), ctrl.empleadoCalendar);
+  router.get('/candidatos/:id/calendario', auth.staff, tenant, validate({ params: { id: v.id() }, query: range }), ctrl.candidatoCalendar);
+
+  return router;
+};
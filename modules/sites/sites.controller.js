@@ -0,0 +1,161 @@
+const { slugify, generateUniqueCode } = require("../common/codes");
+const audit = require("../audit/audit.service");
+const { STATE_COLUMNS, includeArchived, setArchived } = require("../common/archive");
+const { LOCATION_FIELDS, validateSite } = require("./sites.model");
+const { handleError } = require("../common/errors");
+const { withTransaction } = require("../common/db");
+
+const SITE_COLUMNS = `id, code, name, ${LOCATION_FIELDS.join(", ")}, ${STATE_COLUMNS}`;
+
+module.exports = ({ pool }) => {
+  // POST /sites/:id/archive | /restore
+  async function toggle(req, res, archived, label) {
+    try {
+      const id = Number(req.params.id);
+      const r = await withTransaction(pool, async (client) => {
+        const r = await setArchived(client, "sites", { id, employerId: req.employerId, archived, columns: SITE_COLUMNS });
+        if (r) await audit.record(client, req, { entity: "site", entityId: id, ...r });
+        return r;
+      });
+      if (!r) return res.status(404).json({ error: "No encontrado" });
+      res.json(r.after);
+    } catch (e) {
+      handleError(res, e, label, "Error archivando o restaurando sede");
+    }
+  }
+
+  return {
+    list: async (req, res) => {
+      try {
+        const { rows } = await pool.query(
+          `SELECT ${SITE_COLUMNS}
+             FROM sites
+            WHERE employer_id = $1 ${includeArchived(req.query) ? "" : "AND active"}
+            ORDER BY id ASC`,
+          [req.employerId]
+        );
+        res.json(rows);
+      } catch (e) {
+        handleError(res, e, "GET /api/sites", "Error consultando sedes");
+      }
+    },
+
+    // POST /sites { name, address?, ubigeo?, district?, province?, department?, latitude?, longitude? }
+    create: async (req, res) => {
+      try {
+        const { errors, values } = validateSite(req.body || {});
+        if (Object.keys(errors).length) return res.status(400).json({ error: "Datos inválidos", campos: errors });
+
+        const base = slugify(values.name);
+        const code = await generateUniqueCode(pool, "sites", base || "SITE", req.employerId);
+
+        const cols = ["employer_id", "code", ...Object.keys(values)];
+        const site = await withTransaction(pool, async (client) => {
+          const r = await client.query(
+            `INSERT INTO sites (${cols.join(", ")})
+             VALUES (${cols.map((_, i) => `$${i + 1}`).join(", ")})
+             RETURNING ${SITE_COLUMNS}`,
+            [req.employerId, code, ...Object.values(values)]
+          );
+          await audit.record(client, req, { entity: "site", entityId: r.rows[0].id, after: r.rows[0] });
+          return r.rows[0];
+        });
+        res.json(site);
+      } catch (e) {
+        handleError(res, e, "POST /api/sites", "Error creando sede");
+      }
+    },
+
+    update: async (req, res) => {
+      try {
+        const id = Number(req.params.id);
+        const { errors, values } = validateSite(req.body || {}, { partial: true });
+        if (Object.keys(errors).length) return res.status(400).json({ error: "Datos inválidos", campos: errors });
+        const found = await withTransaction(pool, async (client) => {
+          const cur = await client.query(
+            `SELECT ${SITE_COLUMNS} FROM sites WHERE id=$1 AND employer_id=$2 FOR UPDATE`,
+            [id, req.employerId]
+          );
+          if (cur.rowCount === 0) return false;
+          if (!Object.keys(values).length) return true;
+
+          // solo los campos recibidos; null borra un dato de ubicación
+          const sets = Object.keys(values).map((k, i) => `${k} = $${i + 2}`);
+          const r = await client.query(
+            `UPDATE sites
+                SET ${sets.join(", ")}
+              WHERE id=$1
+              RETURNING ${SITE_COLUMNS}`,
+            [id, ...Object.values(values)]
+          );
+          await audit.record(client, req, { entity: "site", entityId: id, before: cur.rows[0], after: r.rows[0] });
+          return true;
+        });
+        if (!found) return res.status(404).json({ error: "No encontrado" });
+        res.json({ ok: true });
+      } catch (e) {
+        handleError(res, e, "PUT /api/sites/:id", "Error actualizando sede");
+      }
+    },
+
+    // GET /sites/:id/projects?include_archived
+    listProjects: async (req, res) => {
+      try {
+        const id = Number(req.params.id);
+        const site = await pool.query(`SELECT 1 FROM sites WHERE id=$1 AND employer_id=$2`, [id, req.employerId]);
+        if (site.rowCount === 0) return res.status(404).json({ error: "No encontrado" });
+
+        const { rows } = await pool.query(
+          `SELECT p.id, p.code, p.name, p.active, p.archived_at, ps.created_at AS linked_at
+             FROM project_sites ps
+             JOIN projects p ON p.id = ps.project_id
+            WHERE ps.site_id = $1 ${includeArchived(req.query) ? "" : "AND p.active"}
+            ORDER BY p.name ASC`,
+          [id]
+        );
+        res.json(rows);
+      } catch (e) {
+        handleError(res, e, "GET /api/sites/:id/projects", "Error consultando proyectos de la sede");
+      }
+    },
+
+    remove: async (req, res) => {
+      try {
+        const id = Number(req.params.id);
+        // los proyectos vinculados bloquean el borrado: se informan por nombre
+        const linked = await pool.query(
+          `SELECT p.id, p.code, p.name
+             FROM project_sites ps
+             JOIN projects p ON p.id = ps.project_id
+            WHERE ps.site_id = $1 AND p.employer_id = $2
+            ORDER BY p.name`,
+          [id, req.employerId]
+        );
+        if (linked.rowCount) {
+          return res.status(409).json({
+            error: `No se puede eliminar: la usan los proyectos ${linked.rows.map(p => p.name).join(", ")}`,
+            proyectos: linked.rows,
+          });
+        }
+        const deleted = await withTransaction(pool, async (client) => {
+          const r = await client.query(
+            `DELETE FROM sites WHERE id=$1 AND employer_id=$2 RETURNING ${SITE_COLUMNS}`,
+            [id, req.employerId]
+          );
+          if (r.rowCount) await audit.record(client, req, { entity: "site", entityId: id, before: r.rows[0] });
+          return r.rowCount > 0;
+        });
+        if (!deleted) return res.status(404).json({ error: "No encontrado" });
+        res.json({ ok: true });
+      } catch (e) {
+        if (e.code === "23503") {
+          return res.status(409).json({ error: "No se puede eliminar: tiene asignaciones o dependencias (puede archivarse)", code: "EN_USO" });
+        }
+        handleError(res, e, "DELETE /api/sites/:id", "Error eliminando sede");
+      }
+    },
+
+    archive: (req, res) => toggle(req, res, true, "POST /api/sites/:id/archive"),
+    restore: (req, res) => toggle(req, res, false, "POST /api/sites/:id/restore"),
+  };
+};
@@ -0,0 +1,56 @@
+// Reglas de sedes: nombre y ubicación (dirección, ubigeo INEI y coordenadas opcionales)
+
+const TEXT_FIELDS = ["address", "district", "province", "department"];
+const LOCATION_FIELDS = ["address", "ubigeo", "district", "province", "department", "latitude", "longitude"];
+
+const blank = (v) => v === null || String(v).trim() === "";
+
+// Número en [min, max] o null si viene vacío; undefined si no es válido
+function coordinate(v, min, max) {
+  if (blank(v)) return null;
+  const n = Number(v);
+  return Number.isFinite(n) && n >= min && n <= max ? n : undefined;
+}
+
+// Devuelve { errors, values } solo con los campos recibidos ("" o null borran un dato de ubicación).
+// En `partial` (PUT) el nombre es opcional; las coordenadas van siempre juntas.
+function validateSite(body = {}, { partial = false } = {}) {
+  const errors = {};
+  const values = {};
+
+  if (!partial || body.name !== undefined) {
+    if (blank(body.name ?? null)) errors.name = "Obligatorio";
+    else values.name = String(body.name).trim();
+  }
+
+  for (const k of TEXT_FIELDS) {
+    if (body[k] !== undefined) values[k] = blank(body[k]) ? null : String(body[k]).trim();
+  }
+
+  if (body.ubigeo !== undefined) {
+    const u = blank(body.ubigeo) ? null : String(body.ubigeo).trim();
+    // 2 dígitos de departamento (01-25), 2 de provincia y 2 de distrito
+    if (u !== null && (!/^\d{6}$/.test(u) || Number(u.slice(0, 2)) < 1 || Number(u.slice(0, 2)) > 25)) {
+      errors.ubigeo = "Debe ser el código INEI de 6 dígitos (p. ej. 150101)";
+    } else {
+      values.ubigeo = u;
+    }
+  }
+
+  if ((body.latitude !== undefined) !== (body.longitude !== undefined)) {
+    errors[body.latitude === undefined ? "latitude" : "longitude"] = "Indica latitude y longitude juntas";
+  } else if (body.latitude !== undefined) {
+    const lat = coordinate(body.latitude, -90, 90);
+    const lng = coordinate(body.longitude, -180, 180);
+    if (lat === undefined) errors.latitude = "Debe ser un número entre -90 y 90";
+    if (lng === undefined) errors.longitude = "Debe ser un número entre -180 y 180";
+    if (lat !== undefined && lng !== undefined) {
+      if ((lat === null) !== (lng === null)) errors.longitude = "Indica latitude y longitude juntas";
+      else Object.assign(values, { latitude: lat, longitude: lng });
+    }
+  }
+
+  return { errors, values };
+}
+
+module.exports = { LOCATION_FIELDS, validateSite };
@@ -0,0 +1,34 @@
+const express = require('express');
+const controllerFactory = require('./sites.controller');
+const { v, validate, byId } = require('../common/validate');
+
+const siteBody = (required) => ({
+  name: v.string({ max: 200, required }),
+  address: v.string({ max: 300 }),
+  ubigeo: v.string({ pattern: /^\d{6}$/, message: "Debe ser el código INEI de 6 dígitos (p. ej. 150101)" }),
+  district: v.string({ max: 100 }),
+  province: v.string({ max: 100 }),
+  department: v.string({ max: 100 }),
+  latitude: v.number({ min: -90, max: 90 }),
+  longitude: v.number({ min: -180, max: 180 }),
+});
+
+// ?include_archived en los listados (sin valor también los incluye)
+const listQuery = { include_archived: v.bool() };
+
+module.exports = function sitesRoutes({ pool, auth, tenant }) {
+  const router = express.Router();
+  const ctrl = controllerFactory({ pool });
+
+  router.get('/sites', auth.staff, tenant, validate({ query: listQuery }), ctrl.list);
+  router.get('/sites/:id/projects', auth.staff, tenant, validate({ params: { id: v.id() }, query: listQuery }), ctrl.listProjects);
+  router.post('/sites', auth.admin, tenant, validate({ body: siteBody(true) }), ctrl.create);
+  router.put('/sites/:id', auth.admin, tenant, validate({ params: { id: v.id() }, body: siteBody(false) }), ctrl.update);
+  router.delete('/sites/:id', auth.admin, tenant, byId, ctrl.remove);
+
+  // baja lógica: archivados no se listan (salvo ?include_archived) ni se asignan
+  router.post('/sites/:id/archive', auth.admin, tenant, byId, ctrl.archive);
+  router.post('/sites/:id/restore', auth.admin, tenant, byId, ctrl.restore);
+
+  return router;
+};
@@ -0,0 +1,74 @@
+const { Readable } = require("stream");
+const cloudinary = require("cloudinary").v2;
+const streamifier = require("streamifier");
+
+// Clave = "<resource_type>:<public_id>" (destroy necesita el resource_type)
+function parseKey(key) {
+  const idx = String(key).indexOf(":");
+  if (idx === -1) return { resourceType: "image", publicId: key };
+  return { resourceType: key.slice(0, idx), publicId: key.slice(idx + 1) };
+}
+
+module.exports = function cloudinaryStorage({ url = process.env.CLOUDINARY_URL } = {}) {
+  // Usa CLOUDINARY_URL o variables separadas
+  cloudinary.config(url);
+
+  return {
+    driver: "cloudinary",
+
+    put(buffer, { folder, filename } = {}) {
+      return new Promise((resolve, reject) => {
+        const up = cloudinary.uploader.upload_stream(
+          {
+            folder,
+            resource_type: "auto",
+            public_id: filename?.replace(/\.[^.]+$/, "")?.slice(0, 120),
+          },
+          (err, result) =>
+            err
+              ? reject(err)
+              : resolve({
+                  key: `${result.resource_type}:${result.public_id}`,
+                  url: result.secure_url,
+                })
+        );
+        streamifier.createReadStream(buffer).pipe(up);
+      });
+    },
+
+    async get(key) {
+      const r = await fetch(this.url(key));
+      if (!r.ok) return null;
+      return {
+        stream: Readable.fromWeb(r.body),
+        contentType: r.headers.get("content-type") || "application/octet-stream",
+      };
+    },
+
+    async delete(key) {
+      const { resourceType, publicId } = parseKey(key);
+      await cloudinary.uploader.destroy(publicId, { resource_type: resourceType, invalidate: true });
+    },
+
+    // URL firmada de Cloudinary (no expira, pero no se puede alterar)
+    url(key) {
+      const { resourceType, publicId } = parseKey(key);
+      return cloudinary.url(publicId, { resource_type: resourceType, secure: true, sign_url: true });
+    },
+
+    // la secure_url guardada ya se puede abrir desde el navegador
+    signedUrl(storedUrl) {
+      return storedUrl;
+    },
+
+    // https://res.cloudinary.com/<cloud>/<rtype>/upload/(s--xx--/)?(v123/)?<public_id>(.ext)
+    keyFromUrl(url) {
+      const m = /\/(image|video|raw)\/upload\/(?:s--[^/]+--\/)?(?:v\d+\/)?(.+)$/.exec(String(url || ""));
+      if (!m) return null;
+      const [, resourceType, path] = m;
+      // en "raw" la extensión es parte del public_id
+      const publicId = resourceType === "raw" ? path : path.replace(/\.[^./]+$/, "");
+      return `${resourceType}:${decodeURIComponent(publicId)}`;
+    },
+  };
+};
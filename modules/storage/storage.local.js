@@ -0,0 +1,85 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+// Las URLs guardadas apuntan a la ruta autenticada de descarga (/api/files/<key>)
+const FILES_PREFIX = "/api/files/";
+
+function safeName(filename = "archivo") {
+  return String(filename)
+    .normalize("NFKD").replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^A-Za-z0-9._-]+/g, "_")
+    .slice(-120) || "archivo";
+}
+
+module.exports = function localStorage({
+  root = process.env.STORAGE_LOCAL_DIR || path.join(process.cwd(), "uploads"),
+  baseUrl = process.env.PUBLIC_BASE_URL || "",
+  secret = process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET,
+} = {}) {
+  const rootDir = path.resolve(root);
+
+  // Evita que una clave tipo "../../etc/passwd" salga de la carpeta raíz
+  function resolveKey(key) {
+    const full = path.resolve(rootDir, String(key));
+    if (!full.startsWith(rootDir + path.sep)) throw new Error("Clave de archivo inválida");
+    return full;
+  }
+
+  function sign(key, expires) {
+    return crypto.createHmac("sha256", secret || "").update(`${key}:${expires}`).digest("hex");
+  }
+
+  return {
+    driver: "local",
+
+    async put(buffer, { folder = "", filename } = {}) {
+      const key = path.posix.join(folder, `${Date.now()}-${crypto.randomBytes(4).toString("hex")}-${safeName(filename)}`);
+      const full = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(full), { recursive: true });
+      await fs.promises.writeFile(full, buffer);
+      return { key, url: `${baseUrl}${FILES_PREFIX}${key}` };
+    },
+
+    async get(key) {
+      const full = resolveKey(key);
+      try {
+        await fs.promises.access(full, fs.constants.R_OK);
+      } catch (_e) {
+        return null;
+      }
+      return { stream: fs.createReadStream(full), contentType: null };
+    },
+
+    async delete(key) {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    },
+
+    // URL con firma temporal para abrir el archivo sin header Authorization
+    url(key, { expiresIn = 15 * 60 } = {}) {
+      const expires = Math.floor(Date.now() / 1000) + expiresIn;
+      return `${baseUrl}${FILES_PREFIX}${key}?expires=${expires}&signature=${sign(key, expires)}`;
+    },
+
+    // La url guardada (/api/files/<key>) pide token; en las respuestas va firmada
+    signedUrl(storedUrl, options) {
+      const key = this.keyFromUrl(storedUrl);
+      return key ? this.url(key, options) : storedUrl;
+    },
+
+    verifySignature(key, { expires, signature } = {}) {
+      if (!secret || !expires || !signature) return false;
+      if (Number(expires) < Date.now() / 1000) return false;
+      const expected = Buffer.from(sign(key, expires));
+      const given = Buffer.from(String(signature));
+      return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+    },
+
+    keyFromUrl(url) {
+      const u = String(url || "");
+      const idx = u.indexOf(FILES_PREFIX);
+      if (idx === -1) return null;
+      return decodeURIComponent(u.slice(idx + FILES_PREFIX.length).split("?")[0]);
+    },
+  };
+};
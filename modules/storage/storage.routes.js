@@ -0,0 +1,73 @@
+const path = require('path');
+const express = require('express');
+const { v, validate } = require('../common/validate');
+const { handleError } = require('../common/errors');
+
+const signedQuery = validate({ query: { expires: v.int({ min: 0 }), signature: v.string({ max: 200 }) } });
+
+// Descarga de archivos del driver local: /api/files/<key>
+// Acepta una URL firmada (?expires=&signature=) generada con storage.url(), o token de staff
+// si el archivo pertenece a un documento de la empresa activa
+module.exports = function storageRoutes({ pool, storage, auth, tenant }) {
+  const router = express.Router();
+
+  async function ownedByEmployer(key, employerId) {
+    const suffix = `/api/files/${key}`;
+    const { rows } = await pool.query(
+      `SELECT 1
+         FROM candidato_documentos d
+         JOIN candidatos c ON c.id = d.candidato_id
+        WHERE c.employer_id = $2 AND right(d.url, length($1)) = $1
+       UNION ALL
+       SELECT 1
+         FROM empleado_documentos d
+         JOIN empleados e ON e.id = d.empleado_id
+        WHERE e.employer_id = $2 AND right(d.url, length($1)) = $1
+       LIMIT 1`,
+      [suffix, employerId]
+    );
+    return rows.length > 0;
+  }
+
+  const signedOrStaff = (req, res, next) => {
+    const key = req.params[0];
+    if (storage.verifySignature && storage.verifySignature(key, req.query)) return next();
+    auth.staff(req, res, () => tenant(req, res, async () => {
+      try {
+        if (!(await ownedByEmployer(key, req.employerId))) {
+          return res.status(404).json({ error: "Archivo no encontrado" });
+        }
+        next();
+      } catch (e) {
+        handleError(res, e, "GET /api/files/*", "Error leyendo archivo");
+      }
+    }));
+  };
+
+  router.get('/files/*', signedQuery, signedOrStaff, async (req, res) => {
+    try {
+      const key = req.params[0];
+      const file = await storage.get(key);
+      if (!file) return res.status(404).json({ error: "Archivo no encontrado" });
+
+      // siempre como descarga y sin que el navegador adivine el tipo (un archivo subido no se abre como página)
+      res.attachment(path.posix.basename(key));
+      res.set('X-Content-Type-Options', 'nosniff');
+      if (file.contentType) res.type(file.contentType);
+      else if (path.extname(key)) res.type(path.extname(key));
+      else res.type('application/octet-stream');
+
+      file.stream.on('error', (e) => {
+        console.error("GET /api/files/*", e);
+        if (!res.headersSent) res.status(500).json({ error: "Error leyendo archivo" });
+        else res.end();
+      });
+      file.stream.pipe(res);
+    } catch (e) {
+      console.error("GET /api/files/*", e);
+      res.status(400).json({ error: "Archivo inválido" });
+    }
+  });
+
+  return router;
+};
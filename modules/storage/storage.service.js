@@ -0,0 +1,35 @@
+const cloudinaryStorage = require("./storage.cloudinary");
+const localStorage = require("./storage.local");
+
+// Interfaz común de los drivers:
+//   put(buffer, { folder, filename, contentType }) -> { key, url }
+//   get(key)        -> { stream, contentType } | null
+//   delete(key)     -> void
+//   url(key, opts)  -> URL firmada/servible
+//   signedUrl(url)  -> la url guardada, lista para devolver en la API
+//   keyFromUrl(url) -> key | null   (candidato_documentos solo guarda la url)
+const drivers = {
+  cloudinary: cloudinaryStorage,
+  local: localStorage,
+};
+
+// STORAGE_DRIVER=cloudinary|local. Sin configurar: cloudinary si hay CLOUDINARY_URL, si no local.
+module.exports = function createStorage({
+  driver = process.env.STORAGE_DRIVER || (process.env.CLOUDINARY_URL ? "cloudinary" : "local"),
+  ...options
+} = {}) {
+  const factory = drivers[driver];
+  if (!factory) throw new Error(`STORAGE_DRIVER desconocido: ${driver}`);
+  return factory(options);
+};
+
+// Copia de las filas con las urls guardadas de `fields` reemplazadas por storage.signedUrl() (las nulas quedan igual)
+function signUrls(storage, rows, fields = ["url"]) {
+  return rows.map((row) => {
+    const out = { ...row };
+    for (const f of fields) if (out[f]) out[f] = storage.signedUrl(out[f]);
+    return out;
+  });
+}
+
+module.exports.signUrls = signUrls;
@@ -0,0 +1,236 @@
+const { buildPaging } = require("../candidatos/candidatos.query");
+const { EVENTS, newSecret, unsafeTarget } = require("./webhooks.service");
+const audit = require("../audit/audit.service");
+const { handleError } = require("../common/errors");
+const { withTransaction } = require("../common/db");
+
+// el secreto completo solo se muestra al crearlo o rotarlo
+const SUBSCRIPTION_COLUMNS = `id, url, events, active, created_at,
+  '…' || right(secret, 4) AS secret_hint`;
+
+const DELIVERY_COLUMNS = `d.id, d.subscription_id, s.url, d.event, d.estado, d.attempts,
+  d.next_attempt_at, d.last_attempt_at, d.last_status, d.last_error, d.delivered_at, d.created_at`;
+
+function validUrl(v) {
+  try {
+    const u = new URL(String(v));
+    return u.protocol === "https:" || u.protocol === "http:";
+  } catch {
+    return false;
+  }
+}
+
+// { errors, values } con url / events / active / secret recibidos; la url no puede apuntar a una red interna
+async function validateSubscription(body = {}, { partial = false } = {}) {
+  const errors = {};
+  const values = {};
+  if (!partial || body.url !== undefined) {
+    const motivo = validUrl(body.url) ? await unsafeTarget(String(body.url).trim()) : "Debe ser una URL http(s)";
+    if (motivo) errors.url = motivo;
+    else values.url = String(body.url).trim();
+  }
+  if (!partial || body.events !== undefined) {
+    const events = Array.isArray(body.events) ? [...new Set(body.events.map(String))] : [];
+    const unknown = events.filter(e => !EVENTS.includes(e));
+    if (!events.length) errors.events = `Indica al menos un evento: ${EVENTS.join(", ")}`;
+    else if (unknown.length) errors.events = `Eventos desconocidos: ${unknown.join(", ")} (válidos: ${EVENTS.join(", ")})`;
+    else values.events = events;
+  }
+  if (body.active !== undefined) {
+    if (typeof body.active !== "boolean") errors.active = "Debe ser true o false";
+    else values.active = body.active;
+  }
+  if (body.secret !== undefined) {
+    if (String(body.secret).length < 16) errors.secret = "Mínimo 16 caracteres";
+    else values.secret = String(body.secret);
+  }
+  return { errors, values };
+}
+
+module.exports = ({ pool }) => {
+  return {
+    events: (_req, res) => res.json(EVENTS),
+
+    listSubscriptions: async (req, res) => {
+      try {
+        const { rows } = await pool.query(
+          `SELECT ${SUBSCRIPTION_COLUMNS} FROM webhook_subscriptions WHERE employer_id = $1 ORDER BY id ASC`,
+          [req.employerId]
+        );
+        res.json(rows);
+      } catch (e) {
+        handleError(res, e, "GET /api/webhooks", "Error consultando webhooks");
+      }
+    },
+
+    // POST /webhooks { url, events: [...], secret?, active? } — sin secret se genera uno
+    createSubscription: async (req, res) => {
+      try {
+        const { errors, values } = await validateSubscription(req.body || {});
+        if (Object.keys(errors).length) return res.status(400).json({ error: "Datos inválidos", campos: errors });
+
+        const secret = values.secret || newSecret();
+        const sub = await withTransaction(pool, async (client) => {
+          const r = await client.query(
+            `INSERT INTO webhook_subscriptions (employer_id, url, secret, events, active, created_by)
+             VALUES ($1, $2, $3, $4::text[], $5, $6)
+             RETURNING ${SUBSCRIPTION_COLUMNS}`,
+            [req.employerId, values.url, secret, values.events, values.active ?? true, req.user.id]
+          );
+          await audit.record(client, req, { entity: "webhook", entityId: r.rows[0].id, after: r.rows[0] });
+          return r.rows[0];
+        });
+        res.json({ ...sub, secret });
+      } catch (e) {
+        handleError(res, e, "POST /api/webhooks", "Error creando webhook");
+      }
+    },
+
+    // PUT /webhooks/:id { url?, events?, active?, secret? | rotate_secret: true }
+    // Al desactivarla, sus entregas pendientes pasan a DESCARTADO (reactivarla no las recupera)
+    updateSubscription: async (req, res) => {
+      try {
+        const id = Number(req.params.id);
+        const body = req.body || {};
+        const { errors, values } = await validateSubscription(body, { partial: true });
+        if (Object.keys(errors).length) return res.status(400).json({ error: "Datos inválidos", campos: errors });
+        if (body.rotate_secret === true && !values.secret) values.secret = newSecret();
+
+        const sub = await withTransaction(pool, async (client) => {
+          const cur = await client.query(
+            `SELECT ${SUBSCRIPTION_COLUMNS} FROM webhook_subscriptions WHERE id=$1 AND employer_id=$2 FOR UPDATE`,
+            [id, req.employerId]
+          );
+          if (cur.rowCount === 0) return null;
+          if (!Object.keys(values).length) return cur.rows[0];
+
+          const sets = Object.keys(values).map((k, i) => `${k} = $${i + 2}${k === "events" ? "::text[]" : ""}`);
+          const r = await client.query(
+            `UPDATE webhook_subscriptions SET ${sets.join(", ")} WHERE id=$1 RETURNING ${SUBSCRIPTION_COLUMNS}`,
+            [id, ...Object.values(values)]
+          );
+          if (values.active === false) {
+            await client.query(
+              `UPDATE webhook_deliveries SET estado = 'DESCARTADO', last_error = 'Suscripción desactivada'
+                WHERE subscription_id = $1 AND estado = 'PENDIENTE'`,
+              [id]
+            );
+          }
+          await audit.record(client, req, { entity: "webhook", entityId: id, before: cur.rows[0], after: r.rows[0] });
+          return r.rows[0];
+        });
+        if (!sub) return res.status(404).json({ error: "No encontrado" });
+        res.json(values.secret ? { ...sub, secret: values.secret } : sub);
+      } catch (e) {
+        handleError(res, e, "PUT /api/webhooks/:id", "Error actualizando webhook");
+      }
+    },
+
+    // Borra la suscripción y su registro de entregas
+    removeSubscription: async (req, res) => {
+      try {
+        const id = Number(req.params.id);
+        const deleted = await withTransaction(pool, async (client) => {
+          const r = await client.query(
+            `DELETE FROM webhook_subscriptions WHERE id=$1 AND employer_id=$2 RETURNING ${SUBSCRIPTION_COLUMNS}`,
+            [id, req.employerId]
+          );
+          if (r.rowCount) await audit.record(client, req, { entity: "webhook", entityId: id, before: r.rows[0] });
+          return r.rowCount > 0;
+        });
+        if (!deleted) return res.status(404).json({ error: "No encontrado" });
+        res.json({ ok: true });
+      } catch (e) {
+        handleError(res, e, "DELETE /api/webhooks/:id", "Error eliminando webhook");
+      }
+    },
+
+    /* ---------- Registro de entregas ---------- */
+
+    // GET /webhooks/deliveries?estado&event&subscription_id&page&pageSize
+    listDeliveries: async (req, res) => {
+      try {
+        const { estado, event, subscription_id } = req.query;
+        const paging = buildPaging(req.query) || { page: 1, pageSize: 50 };
+        if (paging.error) return res.status(400).json({ error: paging.error });
+
+        const where = ["d.employer_id = $1"];
+        const params = [req.employerId];
+        let i = 2;
+        if (estado)          { where.push(`d.estado = $${i++}`);          params.push(estado.toUpperCase()); }
+        if (event)           { where.push(`d.event = $${i++}`);           params.push(event); }
+        if (subscription_id) { where.push(`d.subscription_id = $${i++}`); params.push(Number(subscription_id)); }
+
+        const { rows } = await pool.query(
+          `SELECT ${DELIVERY_COLUMNS}, COUNT(*) OVER()::int AS total_count
+             FROM webhook_deliveries d
+             JOIN webhook_subscriptions s ON s.id = d.subscription_id
+            WHERE ${where.join(" AND ")}
+            ORDER BY d.created_at DESC, d.id DESC
+            LIMIT $${i++} OFFSET $${i++}`,
+          [...params, paging.pageSize, (paging.page - 1) * paging.pageSize]
+        );
+        const total = rows[0]?.total_count ?? 0;
+        res.json({
+          data: rows.map(({ total_count, ...r }) => r),
+          total,
+          page: paging.page,
+          pageSize: paging.pageSize,
+          pages: Math.ceil(total / paging.pageSize),
+        });
+      } catch (e) {
+        handleError(res, e, "GET /api/webhooks/deliveries", "Error consultando entregas");
+      }
+    },
+
+    getDelivery: async (req, res) => {
+      try {
+        const id = Number(req.params.id);
+        const r = await pool.query(
+          `SELECT ${DELIVERY_COLUMNS}, d.payload
+             FROM webhook_deliveries d
+             JOIN webhook_subscriptions s ON s.id = d.subscription_id
+            WHERE d.id=$1 AND d.employer_id=$2`,
+          [id, req.employerId]
+        );
+        if (r.rowCount === 0) return res.status(404).json({ error: "No encontrado" });
+        res.json(r.rows[0]);
+      } catch (e) {
+        handleError(res, e, "GET /api/webhooks/deliveries/:id", "Error consultando entrega");
+      }
+    },
+
+    // POST /webhooks/deliveries/:id/replay — vuelve a la cola con los intentos en cero (409 si la suscripción está inactiva)
+    replayDelivery: async (req, res) => {
+      try {
+        const id = Number(req.params.id);
+        const row = await withTransaction(pool, async (client) => {
+          const cur = await client.query(
+            `SELECT s.active
+               FROM webhook_deliveries d
+               JOIN webhook_subscriptions s ON s.id = d.subscription_id
+              WHERE d.id=$1 AND d.employer_id=$2
+              FOR UPDATE OF d`,
+            [id, req.employerId]
+          );
+          if (cur.rowCount === 0) return null;
+          if (!cur.rows[0].active) {
+            throw Object.assign(new Error("La suscripción está desactivada: actívala antes de reenviar"), { status: 409 });
+          }
+          const r = await client.query(
+            `UPDATE webhook_deliveries
+                SET estado = 'PENDIENTE', attempts = 0, next_attempt_at = NOW(), delivered_at = NULL
+              WHERE id=$1
+              RETURNING id, estado, next_attempt_at`,
+            [id]
+          );
+          return r.rows[0];
+        });
+        if (!row) return res.status(404).json({ error: "No encontrado" });
+        res.json(row);
+      } catch (e) {
+        handleError(res, e, "POST /api/webhooks/deliveries/:id/replay", "Error reenviando entrega");
+      }
+    },
+  };
+};
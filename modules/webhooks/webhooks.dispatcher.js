@@ -0,0 +1,144 @@
+// Despachador de la bandeja de salida: toma las entregas PENDIENTE vencidas, las envía
+// firmadas y reprograma las fallidas con backoff exponencial hasta agotar los intentos.
+// Varias instancias pueden correr a la vez (FOR UPDATE SKIP LOCKED + reserva de la fila).
+// Antes de cada envío se vuelve a resolver el destino: si ahora apunta a una red interna, no se envía.
+
+const { sign, unsafeTarget } = require("./webhooks.service");
+
+const POLL_MS = Number(process.env.WEBHOOK_POLL_MS || 10000);
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 8);
+const BASE_DELAY_S = 30;
+const MAX_DELAY_S = 6 * 3600;
+const TIMEOUT_MS = 10000;
+const BATCH = 20;
+// mientras se envía, la fila queda reservada por este tiempo (si el proceso cae, se reintenta después)
+const LEASE = "5 minutes";
+
+// 30s, 1m, 2m, 4m... hasta 6h
+const backoffSeconds = (attempts) => Math.min(BASE_DELAY_S * 2 ** (attempts - 1), MAX_DELAY_S);
+
+// allowPrivate: permite destinos internos (por defecto WEBHOOK_ALLOW_PRIVATE_URLS=1)
+module.exports = function createDispatcher({ pool, fetch = globalThis.fetch, log = console, allowPrivate }) {
+  let timer = null;
+  let running = false;
+
+  async function claim() {
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+      const { rows } = await client.query(
+        `SELECT d.id, d.event, d.payload, d.attempts, s.url, s.secret
+           FROM webhook_deliveries d
+           JOIN webhook_subscriptions s ON s.id = d.subscription_id
+          WHERE d.estado = 'PENDIENTE' AND d.next_attempt_at <= NOW() AND s.active
+          ORDER BY d.next_attempt_at ASC
+          LIMIT $1
+          FOR UPDATE OF d SKIP LOCKED`,
+        [BATCH]
+      );
+      if (rows.length) {
+        await client.query(
+          `UPDATE webhook_deliveries SET next_attempt_at = NOW() + interval '${LEASE}' WHERE id = ANY($1::int[])`,
+          [rows.map(r => r.id)]
+        );
+      }
+      await client.query("COMMIT");
+      return rows;
+    } catch (e) {
+      await client.query("ROLLBACK");
+      throw e;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Un intento: { status, error } (status null si no hubo respuesta). Del receptor solo se guarda
+  // el código HTTP: su cuerpo no se lee (no se expone en el registro de entregas).
+  async function send(d) {
+    const body = JSON.stringify({ id: d.id, ...d.payload });
+    try {
+      const motivo = await unsafeTarget(d.url, { allowPrivate });
+      if (motivo) return { status: null, error: motivo };
+      const r = await fetch(d.url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "empleados-api-webhooks",
+          "X-Webhook-Event": d.event,
+          "X-Webhook-Delivery": String(d.id),
+          "X-Webhook-Signature": sign(d.secret, body),
+        },
+        body,
+        // una redirección podría llevar a una red interna: cuenta como fallo (HTTP 3xx)
+        redirect: "manual",
+        signal: AbortSignal.timeout(TIMEOUT_MS),
+      });
+      await r.body?.cancel().catch(() => {});
+      return { status: r.status, error: r.ok ? null : `HTTP ${r.status}` };
+    } catch (e) {
+      if (e.name === "TimeoutError") return { status: null, error: `Sin respuesta en ${TIMEOUT_MS} ms` };
+      // fetch falla con "fetch failed": el motivo (ECONNREFUSED, ENOTFOUND...) está en cause
+      return { status: null, error: `Sin conexión (${e.cause?.code || e.message})` };
+    }
+  }
+
+  async function record(d, { status, error }) {
+    const attempts = d.attempts + 1;
+    if (!error) {
+      await pool.query(
+        `UPDATE webhook_deliveries
+            SET estado = 'ENTREGADO', attempts = $2, last_attempt_at = NOW(), last_status = $3,
+                last_error = NULL, delivered_at = NOW()
+          WHERE id = $1`,
+        [d.id, attempts, status]
+      );
+      return;
+    }
+    const agotado = attempts >= MAX_ATTEMPTS;
+    // si la suscripción se desactivó durante el envío, la entrega ya quedó DESCARTADO
+    await pool.query(
+      `UPDATE webhook_deliveries
+          SET estado = $2, attempts = $3, last_attempt_at = NOW(), last_status = $4, last_error = $5,
+              next_attempt_at = NOW() + make_interval(secs => $6)
+        WHERE id = $1 AND estado = 'PENDIENTE'`,
+      [d.id, agotado ? "FALLIDO" : "PENDIENTE", attempts, status, error, agotado ? 0 : backoffSeconds(attempts)]
+    );
+  }
+
+  // Procesa lo vencido (por lotes); devuelve cuántas entregas intentó
+  async function runOnce() {
+    let total = 0;
+    for (;;) {
+      const batch = await claim();
+      for (const d of batch) await record(d, await send(d));
+      total += batch.length;
+      if (batch.length < BATCH) return total;
+    }
+  }
+
+  async function tick() {
+    if (running) return;
+    running = true;
+    try {
+      await runOnce();
+    } catch (e) {
+      log.error("webhooks: error despachando entregas", e);
+    } finally {
+      running = false;
+    }
+  }
+
+  return {
+    runOnce,
+    start() {
+      if (!timer) timer = setInterval(tick, POLL_MS);
+      return this;
+    },
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+  };
+};
+
+module.exports.backoffSeconds = backoffSeconds;
@@ -0,0 +1,38 @@
+const express = require('express');
+const controllerFactory = require('./webhooks.controller');
+const { EVENTS, ESTADOS } = require('./webhooks.service');
+const { v, validate, byId, paging } = require('../common/validate');
+
+const deliveriesQuery = {
+  estado: v.oneOf(ESTADOS),
+  event: v.oneOf(EVENTS),
+  subscription_id: v.id(),
+  ...paging,
+};
+
+const subscriptionBody = (required) => ({
+  url: v.string({ max: 2000, required }),
+  events: v.array(v.string({ max: 100 }), { required }),
+  active: v.bool(),
+  secret: v.string({ max: 200 }),
+});
+
+module.exports = function webhooksRoutes({ pool, auth, tenant }) {
+  const router = express.Router();
+  const ctrl = controllerFactory({ pool });
+
+  router.get('/webhooks/events', auth.admin, ctrl.events);
+
+  // registro de entregas (antes de /webhooks/:id)
+  router.get('/webhooks/deliveries', auth.admin, tenant, validate({ query: deliveriesQuery }), ctrl.listDeliveries);
+  router.get('/webhooks/deliveries/:id', auth.admin, tenant, byId, ctrl.getDelivery);
+  router.post('/webhooks/deliveries/:id/replay', auth.admin, tenant, byId, ctrl.replayDelivery);
+
+  // suscripciones
+  router.get('/webhooks', auth.admin, tenant, ctrl.listSubscriptions);
+  router.post('/webhooks', auth.admin, tenant, validate({ body: subscriptionBody(true) }), ctrl.createSubscription);
+  router.put('/webhooks/:id', auth.admin, tenant, validate({ params: { id: v.id() }, body: { ...subscriptionBody(false), rotate_secret: v.bool() } }), ctrl.updateSubscription);
+  router.delete('/webhooks/:id', auth.admin, tenant, byId, ctrl.removeSubscription);
+
+  return router;
+};
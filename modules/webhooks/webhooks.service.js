@@ -0,0 +1,68 @@
+// Webhooks salientes. emit() se llama con el mismo `db` de la escritura (dentro de su transacción):
+// deja una entrega PENDIENTE por cada suscripción activa de la empresa que escucha el evento.
+// Si la transacción se revierte, no queda nada que enviar.
+
+const crypto = require("crypto");
+const dns = require("dns");
+const net = require("net");
+
+const EVENTS = [
+  "candidato.creado",
+  "candidato.estado_cambiado",
+  "candidato.documentos_agregados",
+  "empleado.contratado",
+];
+
+// DESCARTADO: la suscripción se desactivó antes de entregarla
+const ESTADOS = ["PENDIENTE", "ENTREGADO", "FALLIDO", "DESCARTADO"];
+
+async function emit(db, { employerId, event, data }) {
+  if (!EVENTS.includes(event)) throw new Error(`Evento de webhook desconocido: ${event}`);
+  await db.query(
+    `INSERT INTO webhook_deliveries (subscription_id, employer_id, event, payload)
+     SELECT s.id, s.employer_id, $2, jsonb_build_object('event', $2::text, 'created_at', NOW(), 'data', $3::jsonb)
+       FROM webhook_subscriptions s
+      WHERE s.employer_id = $1 AND s.active AND $2 = ANY(s.events)`,
+    [employerId, event, JSON.stringify(data)]
+  );
+}
+
+// Firma HMAC-SHA256 de `${timestamp}.${body}` con el secreto de la suscripción.
+// Cabecera: X-Webhook-Signature: t=<unix>,v1=<hex>. El receptor recalcula y compara
+// (y descarta timestamps viejos para evitar reenvíos maliciosos).
+function sign(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const hex = crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+  return `t=${timestamp},v1=${hex}`;
+}
+
+// Destinos internos que un webhook no puede alcanzar: loopback, redes privadas, link-local
+// (metadatos de la nube), CGNAT, multicast y reservadas. BlockList aplica las reglas IPv4
+// también a las IPv4 mapeadas en IPv6 (::ffff:127.0.0.1).
+const INTERNAS = new net.BlockList();
+for (const [red, bits] of [
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+  ["172.16.0.0", 12], ["192.168.0.0", 16], ["224.0.0.0", 4], ["240.0.0.0", 4],
+]) INTERNAS.addSubnet(red, bits, "ipv4");
+for (const [red, bits] of [["::", 128], ["::1", 128], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8]]) {
+  INTERNAS.addSubnet(red, bits, "ipv6");
+}
+
+// WEBHOOK_ALLOW_PRIVATE_URLS=1 permite destinos internos (desarrollo, receptores en la misma red)
+const allowPrivateUrls = () => process.env.WEBHOOK_ALLOW_PRIVATE_URLS === "1";
+
+// Motivo por el que no se puede enviar a `url` (o null): el host debe resolver y ninguna de sus
+// direcciones puede ser interna. El despachador lo repite antes de cada envío.
+async function unsafeTarget(url, { allowPrivate = allowPrivateUrls(), lookup = dns.promises.lookup } = {}) {
+  if (allowPrivate) return null;
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, "");
+  const addresses = net.isIP(host)
+    ? [{ address: host, family: net.isIP(host) }]
+    : await lookup(host, { all: true }).catch(() => []);
+  if (!addresses.length) return `No se pudo resolver ${host}`;
+  const interna = addresses.find(a => INTERNAS.check(a.address, a.family === 6 ? "ipv6" : "ipv4"));
+  return interna ? `Apunta a una dirección interna (${interna.address})` : null;
+}
+
+const newSecret = () => `whsec_${crypto.randomBytes(24).toString("hex")}`;
+
+module.exports = { EVENTS, ESTADOS, emit, sign, unsafeTarget, newSecret };
@@ -0,0 +1,41 @@
+// scripts/create-user.js
+// Crea (o reactiva) un usuario interno. Útil para el primer admin.
+// Uso: node scripts/create-user.js <email> <password> [admin|recruiter] [nombre]
+
+const { createPool } = require("../modules/common/db");
+const bcrypt = require("bcryptjs");
+const { ROLES } = require("../modules/auth/auth.middleware");
+
+async function main() {
+  const [email, password, role = ROLES.ADMIN, ...nameParts] = process.argv.slice(2);
+  if (!email || !password) {
+    console.error("Uso: node scripts/create-user.js <email> <password> [admin|recruiter] [nombre]");
+    process.exit(1);
+  }
+  if (!Object.values(ROLES).includes(role)) {
+    console.error(`Rol inválido: ${role}`);
+    process.exit(1);
+  }
+
+  const pool = createPool();
+
+  try {
+    const hash = await bcrypt.hash(password, 10);
+    const r = await pool.query(
+      `INSERT INTO users (email, password_hash, name, role)
+       VALUES (LOWER($1),$2,$3,$4)
+       ON CONFLICT (email) DO UPDATE
+         SET password_hash=EXCLUDED.password_hash, role=EXCLUDED.role, active=TRUE
+       RETURNING id, email, role`,
+      [email, hash, nameParts.join(" ") || null, role]
+    );
+    console.log("Usuario listo:", r.rows[0]);
+  } finally {
+    await pool.end();
+  }
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
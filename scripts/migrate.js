@@ -0,0 +1,131 @@
+// scripts/migrate.js
+// Migraciones versionadas del esquema (carpeta migrations/).
+// Cada versión es un par NNNN_nombre.up.sql / NNNN_nombre.down.sql y corre en su propia transacción.
+//
+// Uso:
+//   node scripts/migrate.js up [version]   aplica las pendientes (hasta `version` si se indica)
+//   node scripts/migrate.js down [n]       revierte las últimas n (por defecto 1)
+//   node scripts/migrate.js status         lista aplicadas y pendientes
+
+const fs = require("fs");
+const path = require("path");
+const { createPool } = require("../modules/common/db");
+
+const MIGRATIONS_DIR = path.join(__dirname, "..", "migrations");
+// Evita que dos procesos migren a la vez (número arbitrario fijo)
+const LOCK_ID = 724001;
+
+function listMigrations() {
+  const byVersion = new Map();
+  for (const file of fs.readdirSync(MIGRATIONS_DIR).sort()) {
+    const m = /^(\d+)_(.+)\.(up|down)\.sql$/.exec(file);
+    if (!m) continue;
+    const [, version, name, dir] = m;
+    const mig = byVersion.get(version) || { version, name };
+    mig[dir] = path.join(MIGRATIONS_DIR, file);
+    byVersion.set(version, mig);
+  }
+  const list = [...byVersion.values()];
+  for (const mig of list) {
+    if (!mig.up) throw new Error(`Migración ${mig.version}_${mig.name} no tiene .up.sql`);
+  }
+  return list;
+}
+
+async function ensureTable(client) {
+  await client.query(
+    `CREATE TABLE IF NOT EXISTS schema_migrations (
+       version     TEXT PRIMARY KEY,
+       name        TEXT NOT NULL,
+       applied_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+     )`
+  );
+}
+
+async function appliedVersions(client) {
+  const { rows } = await client.query(`SELECT version, name, applied_at FROM schema_migrations ORDER BY version ASC`);
+  return rows;
+}
+
+async function runFile(client, file, after) {
+  const sql = fs.readFileSync(file, "utf8");
+  await client.query("BEGIN");
+  try {
+    await client.query(sql);
+    await after();
+    await client.query("COMMIT");
+  } catch (e) {
+    await client.query("ROLLBACK");
+    throw e;
+  }
+}
+
+async function up(client, target = null) {
+  const done = new Set((await appliedVersions(client)).map(r => r.version));
+  const pending = listMigrations().filter(m => !done.has(m.version) && (!target || m.version <= target));
+  if (!pending.length) return console.log("Sin migraciones pendientes");
+
+  for (const m of pending) {
+    process.stdout.write(`↑ ${m.version}_${m.name} ... `);
+    await runFile(client, m.up, () =>
+      client.query(`INSERT INTO schema_migrations (version, name) VALUES ($1,$2)`, [m.version, m.name])
+    );
+    console.log("ok");
+  }
+}
+
+async function down(client, steps = 1) {
+  const all = new Map(listMigrations().map(m => [m.version, m]));
+  const applied = (await appliedVersions(client)).reverse().slice(0, steps);
+  if (!applied.length) return console.log("No hay migraciones aplicadas");
+
+  for (const row of applied) {
+    const m = all.get(row.version);
+    if (!m?.down) throw new Error(`Migración ${row.version}_${row.name} no tiene .down.sql`);
+    process.stdout.write(`↓ ${m.version}_${m.name} ... `);
+    await runFile(client, m.down, () =>
+      client.query(`DELETE FROM schema_migrations WHERE version = $1`, [m.version])
+    );
+    console.log("ok");
+  }
+}
+
+async function status(client) {
+  const applied = new Map((await appliedVersions(client)).map(r => [r.version, r]));
+  for (const m of listMigrations()) {
+    const a = applied.get(m.version);
+    const when = a ? new Date(a.applied_at).toISOString() : "pendiente";
+    console.log(`${a ? "[x]" : "[ ]"} ${m.version}_${m.name}  ${when}`);
+  }
+}
+
+async function main() {
+  const [command = "status", arg] = process.argv.slice(2);
+  if (!["up", "down", "status"].includes(command)) {
+    console.error("Uso: node scripts/migrate.js <up [version]|down [n]|status>");
+    process.exit(1);
+  }
+
+  const pool = createPool();
+  const client = await pool.connect();
+  try {
+    await client.query(`SELECT pg_advisory_lock($1)`, [LOCK_ID]);
+    await ensureTable(client);
+    if (command === "up") await up(client, arg || null);
+    if (command === "down") await down(client, Number(arg || 1));
+    if (command === "status") await status(client);
+  } finally {
+    await client.query(`SELECT pg_advisory_unlock($1)`, [LOCK_ID]).catch(() => {});
+    client.release();
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  main().catch((e) => {
+    console.error(e.message || e);
+    process.exit(1);
+  });
+}
+
+module.exports = { listMigrations, up, down, status };
@@ -4,3 +4,6 @@ const app = require('./app');
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => console.log(`Servidor en puerto ${PORT}`));
 
+// entregas de webhooks pendientes (WEBHOOK_POLL_MS)
+app.locals.webhooks.start();
+
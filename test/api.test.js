@@ -0,0 +1,544 @@
+// Recorre la API real y compara cada respuesta 200 con su esquema de /api/openapi.json.
+// Necesita TEST_DATABASE_URL: un Postgres donde el usuario pueda crear bases. Se crea empleados_test_<pid>,
+// se le aplican las migraciones y se borra al terminar (PGSSLMODE=disable para un Postgres local sin SSL).
+// Sin TEST_DATABASE_URL la prueba se omite.
+//
+// Falla si:
+//  - una respuesta 200 no cumple su esquema (los objetos son cerrados: un campo sin documentar también falla)
+//  - un controlador lee de req.query una clave que su ruta no declara en validate()
+//  - queda una operación del documento sin recorrer
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const http = require("http");
+const { execFileSync } = require("child_process");
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const bcrypt = require("bcryptjs");
+
+const BASE_URL = process.env.TEST_DATABASE_URL;
+const DB_NAME = `empleados_test_${process.pid}`;
+
+function databaseUrl(name) {
+  const u = new URL(BASE_URL);
+  u.pathname = `/${name}`;
+  return u.toString();
+}
+
+// antes de cargar el app: su pool, el secreto del JWT y el almacenamiento local salen de aquí
+if (BASE_URL) process.env.DATABASE_URL = databaseUrl(DB_NAME);
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test";
+process.env.STORAGE_DRIVER = "local";
+const STORAGE_DIR = BASE_URL ? fs.mkdtempSync(path.join(os.tmpdir(), "empleados-test-")) : null;
+if (STORAGE_DIR) process.env.STORAGE_LOCAL_DIR = STORAGE_DIR;
+
+const { createPool } = require("../modules/common/db");
+const { toOpenApiPath } = require("../modules/docs/openapi");
+const { FORMATOS } = require("../modules/candidatos/candidatos.documentos");
+
+// tipo MIME con el que se sube cada archivo de prueba (documentos por extensión; lo demás son CSV de importación)
+const mimeOf = (name) => FORMATOS[path.extname(name).toLowerCase()] || "text/csv";
+
+/* ---------- Esquemas ---------- */
+
+// Sigue $ref; las claves junto al $ref (p. ej. nullable) se aplican encima
+function deref(spec, s) {
+  while (s && s.$ref) {
+    const { $ref, ...rest } = s;
+    s = { ...$ref.slice(2).split("/").reduce((n, k) => n[k], spec), ...rest };
+  }
+  return s;
+}
+
+// Propiedades declaradas (uniendo allOf); null si el objeto es abierto
+function declaredProps(spec, s) {
+  s = deref(spec, s);
+  if (s.allOf) {
+    const parts = s.allOf.map(b => declaredProps(spec, b));
+    return parts.includes(null) ? null : new Set(parts.flatMap(p => [...p]));
+  }
+  if (!s.properties || s.additionalProperties) return null;
+  return new Set(Object.keys(s.properties));
+}
+
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+const isObject = (x) => x !== null && typeof x === "object" && !Array.isArray(x);
+
+// Errores de `value` contra el esquema `s` (subconjunto de OpenAPI 3.0 que usa el documento)
+function checkSchema(spec, s, value, at = "$", errors = [], closed = true) {
+  s = deref(spec, s);
+  if (value === null) {
+    if (!s.nullable) errors.push(`${at}: null no permitido`);
+    return errors;
+  }
+  if (s.allOf) {
+    for (const b of s.allOf) checkSchema(spec, b, value, at, errors, false);
+    const props = declaredProps(spec, s);
+    if (closed && props && isObject(value)) {
+      for (const k of Object.keys(value)) if (!props.has(k)) errors.push(`${at}.${k}: no está documentado`);
+    }
+    return errors;
+  }
+  if (s.oneOf) {
+    const ok = s.oneOf.filter(b => !checkSchema(spec, b, value, at, [], closed).length);
+    if (ok.length !== 1) errors.push(`${at}: cumple ${ok.length} de las opciones de oneOf (debe ser 1)`);
+    return errors;
+  }
+
+  const fail = (msg) => errors.push(`${at}: ${msg} (${JSON.stringify(value)})`);
+  switch (s.type) {
+    case "integer":
+      if (!Number.isInteger(value)) return fail("debe ser entero"), errors;
+      break;
+    case "number":
+      if (typeof value !== "number") return fail("debe ser número"), errors;
+      break;
+    case "boolean":
+      if (typeof value !== "boolean") return fail("debe ser booleano"), errors;
+      break;
+    case "string":
+      if (typeof value !== "string") return fail("debe ser texto"), errors;
+      if (s.format === "date" && !DATE.test(value)) fail("debe ser fecha YYYY-MM-DD");
+      if (s.format === "date-time" && (!value.includes("T") || isNaN(Date.parse(value)))) fail("debe ser fecha y hora ISO");
+      if (s.pattern && !new RegExp(s.pattern).test(value)) fail(`no cumple ${s.pattern}`);
+      break;
+    case "array":
+      if (!Array.isArray(value)) return fail("debe ser lista"), errors;
+      value.forEach((x, i) => checkSchema(spec, s.items || {}, x, `${at}[${i}]`, errors));
+      break;
+    case "object":
+      if (!isObject(value)) return fail("debe ser objeto"), errors;
+      for (const [k, x] of Object.entries(value)) {
+        if (s.properties?.[k]) checkSchema(spec, s.properties[k], x, `${at}.${k}`, errors);
+        else if (isObject(s.additionalProperties)) checkSchema(spec, s.additionalProperties, x, `${at}.${k}`, errors);
+        else if (closed && s.properties && !s.additionalProperties) errors.push(`${at}.${k}: no está documentado`);
+      }
+      break;
+  }
+  if (s.enum && !s.enum.includes(value)) fail(`no está en ${JSON.stringify(s.enum)}`);
+  if (s.minimum !== undefined && value < s.minimum) fail(`menor que ${s.minimum}`);
+  if (s.maximum !== undefined && value > s.maximum) fail(`mayor que ${s.maximum}`);
+  return errors;
+}
+
+/* ---------- Base temporal ---------- */
+
+async function createDatabase() {
+  const admin = createPool({ connectionString: BASE_URL });
+  try {
+    await admin.query(`DROP DATABASE IF EXISTS ${DB_NAME}`);
+    await admin.query(`CREATE DATABASE ${DB_NAME}`);
+  } finally {
+    await admin.end();
+  }
+  execFileSync(process.execPath, [path.join(__dirname, "..", "scripts", "migrate.js"), "up"], {
+    env: process.env,
+    stdio: "pipe",
+  });
+}
+
+async function dropDatabase() {
+  const admin = createPool({ connectionString: BASE_URL });
+  try {
+    await admin.query(`DROP DATABASE IF EXISTS ${DB_NAME} WITH (FORCE)`);
+  } finally {
+    await admin.end();
+  }
+}
+
+// Empresa y admin iniciales (lo mismo que haría scripts/create-user.js)
+async function seed(pool) {
+  const emp = await pool.query(`INSERT INTO employers (ruc, name) VALUES ('20100000009', 'Empresa de prueba') RETURNING id`);
+  const user = await pool.query(
+    `INSERT INTO users (email, password_hash, name, role) VALUES ('admin@prueba.pe', $1, 'Admin', 'admin') RETURNING id`,
+    [bcrypt.hashSync("secreto", 4)]
+  );
+  await pool.query(`INSERT INTO user_employers (user_id, employer_id) VALUES ($1, $2)`, [user.rows[0].id, emp.rows[0].id]);
+  return emp.rows[0].id;
+}
+
+/* ---------- Prueba ---------- */
+
+test("cada operación responde 200 según su esquema y solo lee de req.query lo que declara", {
+  skip: !BASE_URL && "define TEST_DATABASE_URL para recorrer la API contra un Postgres",
+}, async (t) => {
+  const app = require("../app");
+  let server;
+  t.after(async () => {
+    if (server) await new Promise((resolve) => server.close(resolve));
+    await app.locals.pool.end();
+    await dropDatabase();
+    fs.rmSync(STORAGE_DIR, { recursive: true, force: true });
+  });
+
+  await createDatabase();
+  const employerId = await seed(app.locals.pool);
+
+  // req.query con registro de lecturas: se arma antes de entrar al app (Express no lo vuelve a parsear)
+  const parseQuery = app.get("query parser fn");
+  const queryReads = [];
+  server = http.createServer((req, res) => {
+    const seen = new Set();
+    const query = parseQuery(new URL(req.url, "http://localhost").search.slice(1));
+    req.query = new Proxy(query, {
+      get(target, key, receiver) {
+        if (typeof key === "string" && !(key in Object.prototype)) seen.add(key);
+        return Reflect.get(target, key, receiver);
+      },
+    });
+    res.on("finish", () => {
+      if (req.route) queryReads.push({ route: req.route, baseUrl: req.baseUrl, method: req.method, seen });
+    });
+    app(req, res);
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  const spec = await (await fetch(`${base}/api/openapi.json`)).json();
+  const covered = new Set();
+  let token = null;
+
+  // request("GET /sites/:id/projects", { params, query, body, files, auth, employer }) -> { status, type, data }.
+  // `files`: { campo: [[nombre, contenido], ...] } manda multipart con `body` como campos de texto.
+  async function request(key, { params = {}, query, body, files, auth = token, employer = employerId } = {}) {
+    const [method, route] = key.split(" ");
+    const url = new URL(`/api${route.replace(/:(\w+)/g, (_, n) => params[n]).replace("*", params.key)}`, base);
+    for (const [k, v] of Object.entries(query || {})) url.searchParams.set(k, v);
+
+    const headers = {};
+    if (auth) headers.Authorization = `Bearer ${auth}`;
+    if (employer) headers["X-Employer-Id"] = String(employer);
+    let payload;
+    if (files) {
+      payload = new FormData();
+      for (const [k, v] of Object.entries(body || {})) payload.append(k, String(v));
+      for (const [field, list] of Object.entries(files)) {
+        for (const [name, content] of list) payload.append(field, new Blob([content], { type: mimeOf(name) }), name);
+      }
+    } else if (body !== undefined) {
+      headers["Content-Type"] = "application/json";
+      payload = JSON.stringify(body);
+    }
+
+    const res = await fetch(url, { method, headers, body: payload });
+    const type = (res.headers.get("content-type") || "").split(";")[0];
+    const data = type === "application/json" ? await res.json() : await res.text();
+    return { status: res.status, type, data };
+  }
+
+  // call(...) -> cuerpo de la respuesta, que debe ser 200 y cumplir el esquema del documento
+  async function call(key, options = {}) {
+    const [method, route] = key.split(" ");
+    const { status, type, data } = await request(key, options);
+    assert.equal(status, 200, `${key}: ${status} ${JSON.stringify(data)}`);
+
+    const operation = spec.paths[toOpenApiPath(`/api${route}`)]?.[method.toLowerCase()];
+    assert.ok(operation, `${key}: no está en el documento`);
+    const content = operation.responses[200].content || {};
+    if (type === "application/json") {
+      assert.ok(content["application/json"], `${key}: responde JSON pero el documento no lo declara`);
+      // un error por campo, no uno por cada elemento de una lista
+      const errores = new Set(checkSchema(spec, content["application/json"].schema, data).map(e => e.replace(/\[\d+\]/g, "[]")));
+      assert.deepEqual([...errores], [], `${key}: respuesta fuera del esquema`);
+    } else {
+      assert.ok(content[type] || content["*/*"], `${key}: responde ${type}, el documento declara ${Object.keys(content)}`);
+    }
+    covered.add(`${method.toLowerCase()} ${toOpenApiPath(`/api${route}`)}`);
+    return data;
+  }
+
+  // Cada paso usa lo que crearon los anteriores: si uno falla, los siguientes se omiten
+  let fallo = null;
+  const step = (name, fn) => t.test(name, { skip: fallo ? `falló "${fallo}"` : false }, async () => {
+    try {
+      await fn();
+    } catch (e) {
+      fallo = name;
+      throw e;
+    }
+  });
+
+  await step("documentación", async () => {
+    await call("GET /openapi.json");
+    await call("GET /docs");
+  });
+
+  await step("auth y usuarios", async () => {
+    const s = await call("POST /auth/login", { body: { email: "admin@prueba.pe", password: "secreto" }, auth: null, employer: null });
+    token = s.token;
+    await call("GET /auth/me");
+    const u = await call("POST /auth/users", { body: { email: "reclutador@prueba.pe", password: "secreto123", role: "recruiter", employer_ids: [employerId] } });
+    await call("PUT /auth/users/:id", { params: { id: u.id }, body: { name: "Reclutador" } });
+    await call("GET /auth/users");
+  });
+
+  await step("usuarios de otra empresa no se ven ni se editan", async () => {
+    const { pool } = app.locals;
+    const ajena = await pool.query(`INSERT INTO employers (ruc, name) VALUES ('20300000003', 'Empresa ajena') RETURNING id`);
+    const intruso = await pool.query(
+      `INSERT INTO users (email, password_hash, name, role) VALUES ('admin@ajena.pe', $1, 'Admin ajeno', 'admin') RETURNING id`,
+      [bcrypt.hashSync("ajena123", 4)]
+    );
+    await pool.query(`INSERT INTO user_employers (user_id, employer_id) VALUES ($1, $2)`, [intruso.rows[0].id, ajena.rows[0].id]);
+
+    const propios = await call("GET /auth/users");
+    assert.ok(!propios.some(u => u.id === intruso.rows[0].id), "lista un usuario de otra empresa");
+    const cruzado = await request("PUT /auth/users/:id", { params: { id: intruso.rows[0].id }, body: { password: "tomada123" } });
+    assert.equal(cruzado.status, 404);
+
+    const s = await call("POST /auth/login", { body: { email: "admin@ajena.pe", password: "ajena123" }, auth: null, employer: null });
+    const comoIntruso = { auth: s.token, employer: ajena.rows[0].id };
+    const vistos = await call("GET /auth/users", comoIntruso);
+    assert.deepEqual(vistos.map(u => u.id), [intruso.rows[0].id]);
+    const [admin] = propios.filter(u => u.email === "admin@prueba.pe");
+    const ajeno = await request("PUT /auth/users/:id", { ...comoIntruso, params: { id: admin.id }, body: { role: "recruiter", active: false } });
+    assert.equal(ajeno.status, 404);
+    // el admin sigue activo y con su clave
+    await call("POST /auth/login", { body: { email: "admin@prueba.pe", password: "secreto" }, auth: null, employer: null });
+  });
+
+  let sub;
+  await step("webhooks (suscripción antes de generar eventos)", async () => {
+    await call("GET /webhooks/events");
+    const interna = await request("POST /webhooks", { body: { url: "http://169.254.169.254/latest", events: ["candidato.creado"] } });
+    assert.equal(interna.status, 400);
+    assert.match(interna.data.campos.url, /interna/);
+    // 203.0.113.0/24 es de documentación: pasa el filtro y nunca se llega a enviar (el despachador no corre aquí)
+    sub = await call("POST /webhooks", { body: { url: "http://203.0.113.10/hook", events: ["candidato.creado", "empleado.contratado"] } });
+    await call("PUT /webhooks/:id", { params: { id: sub.id }, body: { rotate_secret: true } });
+    await call("GET /webhooks");
+  });
+
+  let otra;
+  await step("empresas y régimen", async () => {
+    otra = await call("POST /employers", { body: { ruc: "20200000006", name: "Otra empresa" } });
+    await call("POST /auth/employer", { body: { employer_id: employerId } });
+    await call("GET /employers");
+    await call("GET /employers/:id", { params: { id: otra.id } });
+    await call("PUT /employers/:id", { params: { id: otra.id }, body: { name: "Otra empresa SAC" } });
+    await call("GET /employer");
+    await call("POST /employer", { body: { ruc: "20100000009", name: "Empresa de prueba SAC" } });
+    await call("GET /regimes/tax");
+    await call("POST /employer/tax", { body: { regime_code: "GENERAL", valid_from: "2025-01-01" } });
+    const tramo = await call("POST /employer/tax", { body: { regime_code: "MICRO", valid_from: "2027-01-01" } });
+    await call("PUT /employer/tax/:id", { params: { id: tramo.id }, body: { regime_code: "PEQUENA" } });
+    await call("GET /employer/tax", { query: { at: "2025-03-15" } });
+    await call("GET /employer/tax/history");
+    await call("DELETE /employer/tax/:id", { params: { id: tramo.id } });
+  });
+
+  let site, project, shift, rotation;
+  await step("sedes, proyectos, checklists y turnos", async () => {
+    site = await call("POST /sites", { body: { name: "Mina Norte", ubigeo: "150101", latitude: -12.05, longitude: -77.04 } });
+    const extra = await call("POST /sites", { body: { name: "Sede temporal" } });
+    await call("PUT /sites/:id", { params: { id: site.id }, body: { district: "Lima" } });
+    await call("POST /sites/:id/archive", { params: { id: extra.id } });
+    await call("POST /sites/:id/restore", { params: { id: extra.id } });
+
+    project = await call("POST /projects", { body: { name: "Proyecto Uno" } });
+    const spare = await call("POST /projects", { body: { name: "Proyecto temporal" } });
+    await call("PUT /projects/:id", { params: { id: project.id }, body: { name: "Proyecto Uno A" } });
+    await call("PUT /projects/:id/sites/:siteId", { params: { id: project.id, siteId: site.id } });
+    await call("PUT /projects/:id/sites/:siteId", { params: { id: spare.id, siteId: extra.id } });
+    await call("GET /projects/:id/sites", { params: { id: project.id }, query: { include_archived: "true" } });
+    await call("GET /sites/:id/projects", { params: { id: site.id }, query: { include_archived: "true" } });
+    await call("DELETE /projects/:id/sites/:siteId", { params: { id: spare.id, siteId: extra.id } });
+    await call("POST /projects/:id/archive", { params: { id: spare.id } });
+    await call("POST /projects/:id/restore", { params: { id: spare.id } });
+    await call("GET /projects", { query: { include_archived: "true" } });
+    await call("GET /sites", { query: { include_archived: "true" } });
+    await call("DELETE /projects/:id", { params: { id: spare.id } });
+    await call("DELETE /sites/:id", { params: { id: extra.id } });
+
+    await call("PUT /sites/:id/checklist", { params: { id: site.id }, body: { items: [{ tipo: "dni" }, { tipo: "medicos" }] } });
+    await call("GET /sites/:id/checklist", { params: { id: site.id } });
+    await call("PUT /projects/:id/checklist", { params: { id: project.id }, body: { items: [{ tipo: "cv" }] } });
+    await call("GET /projects/:id/checklist", { params: { id: project.id } });
+
+    shift = await call("POST /shifts", { body: { name: "Día", start_time: "07:00", end_time: "16:00", break_minutes: 60 } });
+    const noche = await call("POST /shifts", { body: { name: "Noche", start_time: "22:00", end_time: "06:00" } });
+    await call("PUT /shifts/:id", { params: { id: shift.id }, body: { weekdays: ["lun", "mar", "mie", "jue", "vie"] } });
+    await call("POST /shifts/:id/archive", { params: { id: noche.id } });
+    await call("POST /shifts/:id/restore", { params: { id: noche.id } });
+    await call("GET /shifts", { query: { include_archived: "true" } });
+    await call("DELETE /shifts/:id", { params: { id: noche.id } });
+
+    rotation = await call("POST /shift-rotations", { body: { name: "5x2", pattern: [shift.id, shift.id, shift.id, shift.id, shift.id, null, null] } });
+    const spareRot = await call("POST /shift-rotations", { body: { name: "Temporal", pattern: [shift.id, null] } });
+    await call("PUT /shift-rotations/:id", { params: { id: rotation.id }, body: { name: "Cinco por dos" } });
+    await call("GET /shift-rotations");
+    await call("GET /shift-rotations/:id/calendario", { params: { id: rotation.id }, query: { from: "2025-03-01", to: "2025-03-14", anchor: "2025-03-03" } });
+    await call("DELETE /shift-rotations/:id", { params: { id: spareRot.id } });
+  });
+
+  let cand, portalToken, docs;
+  await step("candidatos, documentos y portal", async () => {
+    const creado = await call("POST /candidatos", {
+      auth: null,
+      body: { employer_id: employerId, dni: "44556677", apellido_paterno: "Pérez", apellido_materno: "López", nombres: "Juan", sede: "Mina Norte" },
+      files: { dni: [["dni.pdf", "dni"]], cv: [["cv.pdf", "cv"]] },
+    });
+    cand = creado.id;
+    portalToken = creado.portal.token;
+
+    // el formulario público no acepta archivos que no sean documentos
+    const html = new FormData();
+    for (const [k, v] of Object.entries({ employer_id: employerId, dni: "40000001", apellido_paterno: "X", apellido_materno: "Y", nombres: "Z" })) html.append(k, String(v));
+    html.append("cv", new Blob(["<script>alert(1)</script>"], { type: "text/html" }), "cv.html");
+    const rechazado = await fetch(`${base}/api/candidatos`, { method: "POST", body: html });
+    assert.equal(rechazado.status, 400);
+    assert.equal((await rechazado.json()).code, "ARCHIVOS_INVALIDOS");
+
+    await call("GET /candidatos/workflow");
+    await call("GET /candidatos", { query: { q: "perez", sort: "fecha", dir: "desc" } });
+    await call("GET /candidatos", { query: { page: 1, pageSize: 5, documentos: "incompleto" } });
+    await call("PUT /candidatos/:id", { params: { id: cand }, body: { grupo: "A1" }, files: { certificados: [["cert.pdf", "c"]] } });
+    const added = await call("POST /candidatos/:id/documentos", {
+      params: { id: cand },
+      body: { capacitacion_emision: "2025-01-10" },
+      files: { capacitacion: [["curso.pdf", "curso"]] },
+    });
+    const docId = added.documentos[0].id;
+    await call("PUT /candidatos/:id/documentos/:docId", { params: { id: cand, docId }, body: { fecha_vencimiento: "2030-01-01" }, files: {} });
+    const detalle = await call("GET /candidatos/:id", { params: { id: cand } });
+    docs = detalle.documentos;
+    // la url de la respuesta va firmada: se abre sin token, como descarga y con nosniff
+    const signed = new URL(docs.find(d => d.tipo === "cv").url, base);
+    const key = signed.pathname.replace(/^\/api\/files\//, "");
+    await call("GET /files/*", { params: { key }, query: Object.fromEntries(signed.searchParams), auth: null, employer: null });
+    const descarga = await fetch(signed);
+    assert.equal(descarga.headers.get("x-content-type-options"), "nosniff");
+    assert.match(descarga.headers.get("content-disposition"), /^attachment; filename=".+cv\.pdf"$/);
+    assert.equal((await fetch(new URL(signed.pathname, base))).status, 401, "sin firma ni token no se descarga");
+    await call("DELETE /candidatos/:id/documentos/:docId", { params: { id: cand, docId } });
+
+    await call("GET /candidatos/export", { query: { format: "csv", columns: "dni,nombres,doc_cv" } });
+    await call("GET /candidatos/export", { query: { format: "xlsx" } });
+    await call("POST /candidatos/import", {
+      query: { mode: "commit" },
+      files: { archivo: [["candidatos.csv", "dni,apellido paterno,apellido materno,nombres\n11223344,Soto,Ruiz,Ana\n"]] },
+    });
+
+    // sin asignación no le aplica checklist: el tope es MAX_ARCHIVOS guardados por tipo (dni: 2, ya tiene 1)
+    const portal = { auth: portalToken, employer: null };
+    const sinChecklist = await call("GET /portal", portal);
+    assert.equal(sinChecklist.completitud, "sin_checklist");
+    const dos = await request("POST /portal/documentos", { ...portal, files: { dni: [["dni-1.pdf", "a"], ["dni-2.pdf", "b"]] } });
+    assert.equal(dos.status, 400);
+    assert.equal(dos.data.campos.dni, "Solo falta 1 archivo");
+    await call("POST /portal/documentos", { ...portal, files: { dni: [["dni-reverso.pdf", "r"]] } });
+    const lleno = await request("POST /portal/documentos", { ...portal, files: { dni: [["dni-3.pdf", "c"]] } });
+    assert.equal(lleno.status, 400);
+    assert.equal(lleno.data.campos.dni, "Ya tiene el máximo de 2 archivos");
+    assert.ok(!(await call("GET /portal", portal)).tipos_permitidos.includes("dni"));
+
+    await call("POST /asignaciones", { body: { candidato_id: cand, site_id: site.id, project_id: project.id, shift_id: shift.id, valid_from: "2025-02-01" } });
+    await call("GET /portal", { auth: portalToken, employer: null });
+    await call("POST /portal/documentos", { auth: portalToken, employer: null, files: { medicos: [["medico.pdf", "m"]] } });
+    const nuevo = await call("POST /candidatos/:id/portal", { params: { id: cand } });
+    portalToken = nuevo.token;
+    await call("DELETE /candidatos/:id/portal", { params: { id: cand } });
+
+    await call("PUT /candidatos/:id/estado", { params: { id: cand }, body: { estado: "Aprobado", comentario: "Completo" } });
+    await call("GET /candidatos/:id/estado/history", { params: { id: cand } });
+    await call("GET /candidatos/:id/asignaciones", { params: { id: cand } });
+    await call("GET /candidatos/:id/calendario", { params: { id: cand }, query: { from: "2025-02-01", to: "2025-02-14" } });
+  });
+
+  let emp;
+  await step("empleados, asignaciones y asistencia", async () => {
+    emp = await call("POST /empleados", {
+      body: { candidato_id: cand, fecha_ingreso: "2025-02-01", cargo: "Operario", sueldo: 2500, tipo_contrato: "INDETERMINADO", sistema_pensiones: "AFP", afp: "INTEGRA" },
+    });
+    await call("PUT /empleados/:id", { params: { id: emp.id }, body: { cargo: "Operario senior" } });
+    // ya tiene AFP guardada: no hace falta repetirla
+    await call("PUT /empleados/:id", { params: { id: emp.id }, body: { sistema_pensiones: "AFP" } });
+    await call("GET /empleados", { query: { estado: "activo", q: "perez" } });
+    await call("GET /empleados/:id", { params: { id: emp.id } });
+
+    const asig = await call("POST /asignaciones", {
+      body: { empleado_id: emp.id, site_id: site.id, project_id: project.id, rotation_id: rotation.id, valid_from: "2025-03-01" },
+    });
+    await call("PUT /asignaciones/:id", { params: { id: asig.id }, body: { valid_to: "2025-12-31" } });
+    await call("GET /asignaciones", { query: { site_id: site.id, fecha: "2025-03-10" } });
+    await call("GET /sites/:id/asignaciones", { params: { id: site.id }, query: { fecha: "2025-03-10" } });
+    await call("GET /empleados/:id/asignaciones", { params: { id: emp.id } });
+    await call("GET /empleados/:id/calendario", { params: { id: emp.id }, query: { from: "2025-03-01", to: "2025-03-07" } });
+
+    const marca = await call("POST /asistencia/marcaciones", { body: { empleado_id: emp.id, marcado_en: "2025-03-03 07:05", tipo: "ENTRADA", dispositivo: "Reloj portería" } });
+    assert.equal(marca.dispositivo, "Reloj portería");
+    await call("POST /asistencia/marcaciones/import", {
+      query: { mode: "commit" },
+      files: { archivo: [["marcas.csv", "dni,fecha_hora,tipo\n44556677,2025-03-03 16:10,salida\n"]] },
+    });
+    await call("GET /asistencia/marcaciones", { query: { empleado_id: emp.id, from: "2025-03-01", to: "2025-03-31" } });
+    const range = { from: "2025-03-01", to: "2025-03-07" };
+    await call("GET /empleados/:id/asistencia", { params: { id: emp.id }, query: range });
+    await call("GET /sites/:id/asistencia", { params: { id: site.id }, query: range });
+    await call("GET /projects/:id/asistencia", { params: { id: project.id }, query: range });
+    await call("DELETE /asistencia/marcaciones/:id", { params: { id: marca.id } });
+
+    await call("GET /documentos/vencimientos", { query: { dias: 365 } });
+  });
+
+  await step("planillas", async () => {
+    const marzo = await call("POST /planillas", { body: { periodo: "2025-03" } });
+    await call("POST /planillas/:id/recalcular", { params: { id: marzo.id } });
+    await call("GET /planillas/:id", { params: { id: marzo.id } });
+    await call("PUT /planillas/:id/cerrar", { params: { id: marzo.id } });
+    const abril = await call("POST /planillas", { body: { periodo: "2025-04" } });
+    await call("GET /planillas", { query: { periodo: "2025-04" } });
+    await call("DELETE /planillas/:id", { params: { id: abril.id } });
+  });
+
+  await step("bajas, auditoría y entregas de webhooks", async () => {
+    // un segundo contratado que se puede borrar (sin planillas ni marcaciones)
+    const importado = await app.locals.pool.query(`SELECT id FROM candidatos WHERE dni = '11223344'`);
+    const otro = importado.rows[0].id;
+    await call("PUT /candidatos/:id/estado", { params: { id: otro }, body: { estado: "Aprobado" } });
+    const temporal = await call("POST /empleados", {
+      body: { candidato_id: otro, fecha_ingreso: "2025-06-01", cargo: "Ayudante", sueldo: 1200, tipo_contrato: "PLAZO_FIJO", fecha_fin_contrato: "2025-08-31" },
+    });
+    await call("DELETE /empleados/:id", { params: { id: temporal.id } });
+    await call("PUT /empleados/:id/cese", { params: { id: emp.id }, body: { fecha_cese: "2025-12-31", motivo_cese: "Renuncia" } });
+    const otraVez = await request("PUT /empleados/:id/cese", { params: { id: emp.id }, body: { fecha_cese: "2025-12-31", motivo_cese: "Renuncia" } });
+    assert.equal(otraVez.status, 409);
+
+    const asignaciones = await call("GET /asignaciones", { query: { candidato_id: cand } });
+    await call("DELETE /asignaciones/:id", { params: { id: asignaciones[0].id } });
+
+    await call("GET /audit", { query: { entity: "site", page: 1, pageSize: 20 } });
+
+    const entregas = await call("GET /webhooks/deliveries", { query: { subscription_id: sub.id, page: 1, pageSize: 10 } });
+    assert.ok(entregas.data.length, "la suscripción debería tener entregas");
+    await call("GET /webhooks/deliveries/:id", { params: { id: entregas.data[0].id } });
+    await call("POST /webhooks/deliveries/:id/replay", { params: { id: entregas.data[0].id } });
+    // desactivar la suscripción descarta lo pendiente y no deja reenviarlo
+    await call("PUT /webhooks/:id", { params: { id: sub.id }, body: { active: false } });
+    const descartadas = await call("GET /webhooks/deliveries", { query: { subscription_id: sub.id, estado: "DESCARTADO" } });
+    assert.equal(descartadas.total, entregas.total);
+    assert.equal(descartadas.data[0].last_error, "Suscripción desactivada");
+    const reenvio = await request("POST /webhooks/deliveries/:id/replay", { params: { id: entregas.data[0].id } });
+    assert.equal(reenvio.status, 409);
+    await call("DELETE /webhooks/:id", { params: { id: sub.id } });
+  });
+
+  await t.test("los controladores solo leen de req.query claves declaradas en validate()", () => {
+    const errores = new Set();
+    for (const { route, baseUrl, method, seen } of queryReads) {
+      const declared = new Set(
+        route.stack.flatMap(l => Object.keys(l.handle.schema?.query || {}))
+      );
+      for (const k of seen) {
+        if (!declared.has(k)) errores.add(`${method} ${baseUrl}${route.path}: lee ?${k} sin declararlo`);
+      }
+    }
+    assert.deepEqual([...errores], []);
+  });
+
+  await step("se recorrieron todas las operaciones del documento", () => {
+    const todas = Object.entries(spec.paths).flatMap(([p, ops]) => Object.keys(ops).map(m => `${m} ${p}`));
+    assert.deepEqual(todas.filter(op => !covered.has(op)), []);
+  });
+});
@@ -0,0 +1,82 @@
+// Cálculo de asistencia (puro): ventana de búsqueda de marcas, tardanza con tolerancia y horas extra
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { toStamp, assignMarks, evaluateDay, summarizeDays } = require("../modules/asistencia/asistencia.calculo");
+
+const dia = (fecha, inicio, fin, extra = {}) => ({ fecha, trabaja: true, inicio: `${fecha} ${inicio}`, fin, break_minutes: 60, ...extra });
+const marca = (marcado_en, tipo = null) => ({ marcado_en, tipo, t: toStamp(marcado_en) });
+// "ahora" muy posterior a los turnos de prueba
+const now = toStamp("2030-01-01 00:00");
+
+test("toStamp acepta segundos opcionales y rechaza fechas u horas inválidas", () => {
+  assert.equal(toStamp("2025-03-01 00:01") - toStamp("2025-03-01 00:00"), 1);
+  assert.equal(toStamp("2025-03-01T07:15:30"), toStamp("2025-03-01 07:15"));
+  assert.equal(toStamp("2025-02-30 07:00"), null);
+  assert.equal(toStamp("2025-03-01 24:00"), null);
+  assert.equal(toStamp(null), null);
+});
+
+test("una marca se asigna al turno solo desde 4 h antes del inicio hasta 6 h después del fin", () => {
+  const days = [dia("2025-03-03", "08:00", "2025-03-03 17:00"), dia("2025-03-04", "08:00", "2025-03-04 17:00")];
+  const byDay = assignMarks(days, [
+    { marcado_en: "2025-03-03 04:00:00" }, // justo 4 h antes: entra
+    { marcado_en: "2025-03-03 23:00:00" }, // justo 6 h después: entra
+    { marcado_en: "2025-03-04 03:59:00" }, // fuera de ambas ventanas: queda en su fecha calendario
+  ]);
+  assert.deepEqual(byDay.get("2025-03-03").map(m => m.marcado_en), ["2025-03-03 04:00:00", "2025-03-03 23:00:00"]);
+  assert.deepEqual(byDay.get("2025-03-04").map(m => m.marcado_en), ["2025-03-04 03:59:00"]);
+});
+
+test("en un turno nocturno la salida de madrugada pertenece al día en que empezó", () => {
+  const days = [dia("2025-03-03", "22:00", "2025-03-04 06:00"), dia("2025-03-04", "22:00", "2025-03-05 06:00")];
+  const byDay = assignMarks(days, [{ marcado_en: "2025-03-03 21:55:00" }, { marcado_en: "2025-03-04 06:10:00" }]);
+  assert.equal(byDay.get("2025-03-03").length, 2);
+  assert.equal(byDay.get("2025-03-04").length, 0);
+});
+
+test("la tardanza cuenta desde el inicio del turno una vez superada la tolerancia", () => {
+  const day = dia("2025-03-03", "08:00", "2025-03-03 17:00");
+  const marks = (entrada) => [marca(entrada, "ENTRADA"), marca("2025-03-03 17:00", "SALIDA")];
+
+  const aTiempo = evaluateDay(day, marks("2025-03-03 08:05"), { tol: 5, now });
+  assert.equal(aTiempo.estado, "PRESENTE");
+  assert.equal(aTiempo.tardanza_min, 0);
+
+  const tarde = evaluateDay(day, marks("2025-03-03 08:06"), { tol: 5, now });
+  assert.equal(tarde.estado, "TARDANZA");
+  assert.equal(tarde.tardanza_min, 6);
+
+  assert.equal(evaluateDay(day, marks("2025-03-03 08:01"), { tol: 0, now }).tardanza_min, 1);
+});
+
+test("horas extra y salida anticipada se miden contra el fin del turno y el trabajo descuenta el refrigerio", () => {
+  const day = dia("2025-03-03", "08:00", "2025-03-03 17:00");
+  const extra = evaluateDay(day, [marca("2025-03-03 07:50"), marca("2025-03-03 18:30")], { tol: 0, now });
+  assert.equal(extra.horas_extra_min, 90);
+  assert.equal(extra.salida_anticipada_min, 0);
+  assert.equal(extra.trabajado_min, 10 * 60 + 40 - 60);
+
+  const temprano = evaluateDay(day, [marca("2025-03-03 08:00"), marca("2025-03-03 16:15")], { tol: 0, now });
+  assert.equal(temprano.salida_anticipada_min, 45);
+  assert.equal(temprano.horas_extra_min, 0);
+  assert.equal(temprano.estado, "PRESENTE");
+});
+
+test("sin marcas es FALTA cuando el turno ya terminó y trabajar en día libre es todo sobretiempo", () => {
+  const day = dia("2025-03-03", "08:00", "2025-03-03 17:00");
+  assert.equal(evaluateDay(day, [], { tol: 0, now }).estado, "FALTA");
+  assert.equal(evaluateDay(day, [], { tol: 0, now: toStamp("2025-03-03 12:00") }).estado, "PENDIENTE");
+  assert.equal(evaluateDay(day, [marca("2025-03-03 08:00", "ENTRADA")], { tol: 0, now }).estado, "INCOMPLETO");
+
+  const libre = { fecha: "2025-03-08", trabaja: false, motivo: "descanso" };
+  const d = evaluateDay(libre, [marca("2025-03-08 09:00"), marca("2025-03-08 13:00")], { tol: 0, now });
+  assert.equal(d.estado, "NO_PROGRAMADO");
+  assert.equal(d.horas_extra_min, 240);
+
+  const resumen = summarizeDays([d, evaluateDay(day, [], { tol: 0, now })]);
+  assert.equal(resumen.dias_programados, 1);
+  assert.equal(resumen.faltas, 1);
+  assert.equal(resumen.horas_extra, 4);
+});
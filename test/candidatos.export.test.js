@@ -0,0 +1,22 @@
+// Celdas del CSV de candidatos: comillas y textos que una planilla ejecutaría como fórmula
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { csvEscape } = require("../modules/candidatos/candidatos.export");
+
+test("los textos que empiezan como fórmula llevan ' delante", () => {
+  assert.equal(csvEscape("=HYPERLINK(\"http://x\")"), `"'=HYPERLINK(""http://x"")"`);
+  assert.equal(csvEscape("+51 999"), "'+51 999");
+  assert.equal(csvEscape("-2+3"), "'-2+3");
+  assert.equal(csvEscape("@SUM(A1)"), "'@SUM(A1)");
+  assert.equal(csvEscape("\t=1"), "'\t=1");
+});
+
+test("el resto se escribe igual, con comillas solo si hace falta", () => {
+  assert.equal(csvEscape("Pérez"), "Pérez");
+  assert.equal(csvEscape("Soto, Ana"), `"Soto, Ana"`);
+  assert.equal(csvEscape("2025-03-01"), "2025-03-01");
+  assert.equal(csvEscape(-5), "-5");
+  assert.equal(csvEscape(""), "");
+});
@@ -0,0 +1,77 @@
+// Historial del régimen tributario (puro): partir, corregir y borrar tramos, y qué valida checkHistory
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { checkHistory, insertPeriod, updatePeriod, removePeriod } = require("../modules/employers/employers.tax");
+
+const tramo = (id, code, valid_from, valid_to = null) => ({ id, regime_id: code.length, code, valid_from, valid_to });
+const fechas = (rows) => rows.map(h => [h.id, h.code, h.valid_from, h.valid_to]);
+const conflicto = (re) => (e) => e.status === 409 && re.test(e.message);
+
+const HISTORIAL = [tramo(1, "GENERAL", "2024-01-01", "2024-12-31"), tramo(2, "MYPE", "2025-01-01")];
+
+test("un tramo nuevo dentro de otro lo parte y el resto conserva su régimen", () => {
+  const after = insertPeriod(HISTORIAL, { id: null, regime_id: 5, code: "MICRO", valid_from: "2024-04-01", valid_to: "2024-06-30" });
+  assert.deepEqual(fechas(after), [
+    [1, "GENERAL", "2024-01-01", "2024-03-31"],
+    [null, "MICRO", "2024-04-01", "2024-06-30"],
+    [null, "GENERAL", "2024-07-01", "2024-12-31"],
+    [2, "MYPE", "2025-01-01", null],
+  ]);
+  checkHistory(after, HISTORIAL);
+
+  assert.throws(() => insertPeriod(HISTORIAL, { id: null, code: "MICRO", valid_from: "2024-06-01", valid_to: "2025-02-01" }), conflicto(/#2/));
+  assert.throws(() => insertPeriod(HISTORIAL, { id: null, code: "MICRO", valid_from: "2024-01-01", valid_to: "2024-12-31" }), conflicto(/Cubre todo/));
+});
+
+test("checkHistory sin historial anterior revisa todo: superposición, hueco, fechas invertidas y tramo abierto en medio", () => {
+  assert.throws(() => checkHistory([tramo(1, "A", "2024-01-01", "2024-06-30"), tramo(2, "B", "2024-06-30")]), conflicto(/se superponen/));
+  assert.throws(() => checkHistory([tramo(1, "A", "2024-01-01", "2024-06-29"), tramo(2, "B", "2024-07-01")]), conflicto(/hueco del 2024-06-30 al 2024-06-30/));
+  assert.throws(() => checkHistory([tramo(1, "A", "2024-01-01", "2023-12-31")]), conflicto(/invertidas/));
+  assert.throws(() => checkHistory([tramo(1, "A", "2024-01-01"), tramo(2, "B", "2025-01-01")]), conflicto(/se superponen/));
+  checkHistory([]);
+});
+
+test("un historial antiguo con huecos no bloquea cambios que no tocan esos tramos", () => {
+  // hueco de julio de 2020 entre #1 y #2, anterior a la regla de tramos contiguos
+  const legado = [tramo(1, "A", "2020-01-01", "2020-06-30"), tramo(2, "B", "2020-08-01", "2020-12-31"), tramo(3, "C", "2021-01-01")];
+  assert.throws(() => checkHistory(legado), conflicto(/hueco/));
+
+  checkHistory(insertPeriod(legado, { id: null, code: "D", valid_from: "2022-01-01", valid_to: null }), legado);
+  checkHistory(updatePeriod(legado, 3, { valid_from: "2021-03-01" }), legado);
+  checkHistory(removePeriod(legado, 3), legado);
+
+  // lo que sí cambia se valida: un tramo en el hueco debe cerrarlo completo
+  assert.throws(
+    () => checkHistory(insertPeriod(legado, { id: null, code: "D", valid_from: "2020-07-10", valid_to: null }), legado),
+    conflicto(/hueco del 2020-07-01 al 2020-07-09 entre los tramos #1 y nuevo/)
+  );
+  checkHistory(insertPeriod(legado, { id: null, code: "D", valid_from: "2020-07-01", valid_to: null }), legado);
+  // corregir un borde del hueco mueve el del vecino y lo repara
+  const reparado = updatePeriod(legado, 1, { valid_to: "2020-07-31" });
+  checkHistory(reparado, legado);
+  checkHistory(reparado);
+});
+
+test("corregir un borde mueve el del vecino y solo el último puede quedar abierto", () => {
+  const after = updatePeriod(HISTORIAL, 2, { valid_from: "2025-03-01" });
+  assert.deepEqual(fechas(after), [[1, "GENERAL", "2024-01-01", "2025-02-28"], [2, "MYPE", "2025-03-01", null]]);
+  assert.deepEqual(fechas(HISTORIAL)[0], [1, "GENERAL", "2024-01-01", "2024-12-31"]);
+  assert.throws(() => checkHistory(updatePeriod(HISTORIAL, 1, { valid_to: "2023-06-30" }), HISTORIAL), conflicto(/invertidas/));
+  assert.throws(() => updatePeriod(HISTORIAL, 1, { valid_to: null }), conflicto(/último/));
+  assert.equal(updatePeriod(HISTORIAL, 99, {}), null);
+});
+
+test("borrar el último deja vigente al anterior; uno del medio o uno que invertiría al anterior da 409", () => {
+  assert.deepEqual(fechas(removePeriod(HISTORIAL, 2)), [[1, "GENERAL", "2024-01-01", null]]);
+  assert.deepEqual(fechas(removePeriod(HISTORIAL, 1)), [[2, "MYPE", "2025-01-01", null]]);
+  assert.equal(removePeriod(HISTORIAL, 99), null);
+
+  const tres = [...HISTORIAL.slice(0, 1), tramo(2, "MYPE", "2025-01-01", "2025-12-31"), tramo(3, "MICRO", "2026-01-01")];
+  assert.throws(() => removePeriod(tres, 2), conflicto(/dejaría un hueco/));
+
+  // fila antigua con valid_to anterior al inicio del tramo previo
+  const invertido = [tramo(1, "GENERAL", "2024-01-01", "2024-12-31"), tramo(2, "MYPE", "2025-01-01", "2023-06-30")];
+  assert.throws(() => removePeriod(invertido, 2), conflicto(/#1 quedaría con fechas invertidas \(2024-01-01 a 2023-06-30\)/));
+});
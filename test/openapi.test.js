@@ -0,0 +1,95 @@
+// Documento OpenAPI contra las rutas montadas (no necesita base de datos).
+// Falla si una ruta no tiene entrada en modules/docs/openapi.operations.js (o sobra una entrada),
+// si falta una operación o un campo validado en /api/openapi.json, si un parámetro de ruta no se valida
+// o si hay un $ref roto. Las respuestas reales contra el documento se revisan en api.test.js.
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test";
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const app = require("../app");
+const { listRoutes, toOpenApiPath, pathParams } = require("../modules/docs/openapi");
+const { operations } = require("../modules/docs/openapi.operations");
+
+function collectRefs(node, out = []) {
+  if (Array.isArray(node)) node.forEach(n => collectRefs(n, out));
+  else if (node && typeof node === "object") {
+    if (typeof node.$ref === "string") out.push(node.$ref);
+    Object.values(node).forEach(n => collectRefs(n, out));
+  }
+  return out;
+}
+
+function resolves(spec, ref) {
+  if (!ref.startsWith("#/")) return false;
+  let node = spec;
+  for (const part of ref.slice(2).split("/")) {
+    node = node && node[part];
+  }
+  return node !== undefined;
+}
+
+// Campos que el documento muestra para una operación: "path:id", "query:q", "body:name"...
+function documentedFields(operation) {
+  const params = (operation.parameters || []).map(p => `${p.in}:${p.name}`);
+  const content = operation.requestBody ? Object.values(operation.requestBody.content)[0] : null;
+  const body = content ? Object.keys(content.schema.properties || {}).map(k => `body:${k}`) : [];
+  return new Set([...params, ...body]);
+}
+
+const routes = listRoutes(app).filter(r => r.path.startsWith("/api/"));
+let server;
+let spec;
+
+before(async () => {
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  const res = await fetch(`http://127.0.0.1:${server.address().port}/api/openapi.json`);
+  assert.equal(res.status, 200, "GET /api/openapi.json");
+  spec = await res.json();
+});
+
+after(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  await app.locals.pool.end();
+});
+
+test("cada ruta tiene entrada en openapi.operations.js y ninguna sobra", () => {
+  const keys = new Set(routes.map(r => r.key));
+  const faltan = routes.filter(r => !operations[r.key]).map(r => `${r.method} ${r.path} ("${r.key}")`);
+  const sobran = Object.keys(operations).filter(k => !keys.has(k));
+  assert.deepEqual(faltan, [], "rutas sin entrada");
+  assert.deepEqual(sobran, [], "entradas sin ruta");
+});
+
+test("cada ruta está en el documento con sus parámetros y campos validados", () => {
+  const errores = [];
+  for (const route of routes) {
+    const where = `${route.method} ${route.path}`;
+    const operation = spec.paths[toOpenApiPath(route.path)]?.[route.method.toLowerCase()];
+    if (!operation) {
+      errores.push(`${where}: no está en /api/openapi.json`);
+      continue;
+    }
+
+    const schema = Object.assign({}, ...route.handles.filter(h => h.schema).map(h => h.schema));
+    for (const name of pathParams(route.path)) {
+      if (name !== "key" && !schema.params?.[name]) errores.push(`${where}: el parámetro :${name} no se valida`);
+    }
+
+    const fields = documentedFields(operation);
+    for (const source of ["params", "query", "body"]) {
+      const at = source === "params" ? "path" : source;
+      for (const name of Object.keys(schema[source] || {})) {
+        if (!fields.has(`${at}:${name}`)) errores.push(`${where}: ${source}.${name} no aparece en el documento`);
+      }
+    }
+  }
+  assert.deepEqual(errores, []);
+});
+
+test("todos los $ref del documento resuelven", () => {
+  const rotos = [...new Set(collectRefs(spec))].filter(ref => !resolves(spec, ref));
+  assert.deepEqual(rotos, []);
+});
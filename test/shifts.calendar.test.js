@@ -0,0 +1,72 @@
+// Calendario de turnos (pura): turnos que cruzan la medianoche, de 24 horas, días de la semana y rotaciones
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { buildCalendar, workDay } = require("../modules/shifts/shifts.calendar");
+const { validateShift, weekdaysToMask } = require("../modules/shifts/shifts.model");
+
+const DIA = { id: 1, name: "Día", start_time: "07:00", end_time: "16:00", break_minutes: 60, weekday_mask: weekdaysToMask([1, 2, 3, 4, 5]) };
+const NOCHE = { id: 2, name: "Noche", start_time: "22:00", end_time: "06:00", break_minutes: 30, weekday_mask: 127 };
+const GUARDIA = { id: 3, name: "Guardia 24h", start_time: "08:00", end_time: "08:00", break_minutes: 120, weekday_mask: 127 };
+const shiftsById = new Map([DIA, NOCHE, GUARDIA].map(s => [s.id, s]));
+
+const calendar = (assignments, from, to, rotations = []) =>
+  buildCalendar({ from, to, assignments, shiftsById, rotationsById: new Map(rotations.map(r => [r.id, r])) });
+
+test("un turno nocturno termina al día siguiente y descuenta el descanso", () => {
+  const d = workDay("2025-03-03", NOCHE);
+  assert.equal(d.inicio, "2025-03-03 22:00");
+  assert.equal(d.fin, "2025-03-04 06:00");
+  assert.equal(d.net_hours, 7.5);
+});
+
+test("start_time = end_time es un turno de 24 horas", () => {
+  const d = workDay("2025-03-31", GUARDIA);
+  assert.equal(d.inicio, "2025-03-31 08:00");
+  assert.equal(d.fin, "2025-04-01 08:00");
+  assert.equal(d.net_hours, 22);
+
+  assert.deepEqual(validateShift({ name: "Guardia", start_time: "08:00", end_time: "08:00" }).errors, {});
+  assert.ok(validateShift({ name: "Guardia", start_time: "08:00", end_time: "08:00", break_minutes: 1440 }).errors.break_minutes);
+  // en PUT se combina con lo guardado
+  assert.deepEqual(validateShift({ end_time: "08:00" }, { current: { start_time: "08:00", end_time: "16:00", break_minutes: 0 } }).errors, {});
+});
+
+test("un turno fijo solo trabaja en los días de su máscara", () => {
+  // 2025-03-01 es sábado
+  const dias = calendar([{ id: 10, site_id: 5, project_id: null, shift_id: DIA.id, valid_from: "2025-03-01", valid_to: null }], "2025-03-01", "2025-03-04");
+  assert.deepEqual(dias.map(d => [d.fecha, d.trabaja, d.motivo]), [
+    ["2025-03-01", false, "descanso"],
+    ["2025-03-02", false, "descanso"],
+    ["2025-03-03", true, undefined],
+    ["2025-03-04", true, undefined],
+  ]);
+  assert.equal(dias[2].site_id, 5);
+  assert.equal(dias[2].asignacion_id, 10);
+});
+
+test("una rotación se ancla en el valid_from de la asignación y se repite", () => {
+  const rot = { id: 7, name: "2x1", pattern: [NOCHE.id, NOCHE.id, null] };
+  const dias = calendar([{ id: 11, site_id: 5, rotation_id: 7, valid_from: "2025-03-02", valid_to: null }], "2025-03-01", "2025-03-08", [rot]);
+  assert.deepEqual(dias.map(d => d.trabaja ? d.shift_name : d.motivo), [
+    "sin_asignacion", "Noche", "Noche", "descanso", "Noche", "Noche", "descanso", "Noche",
+  ]);
+  // la rotación ignora la máscara de días del turno (DIA no trabaja sábados, aquí sí)
+  const fijo = calendar([{ id: 12, site_id: 5, rotation_id: 8, valid_from: "2025-03-01", valid_to: null }], "2025-03-01", "2025-03-01",
+    [{ id: 8, name: "Siempre día", pattern: [DIA.id] }]);
+  assert.equal(fijo[0].trabaja, true);
+});
+
+test("cambia de asignación según las fechas y marca sin_turno si falta el turno", () => {
+  const dias = calendar([
+    { id: 20, site_id: 1, shift_id: NOCHE.id, valid_from: "2025-03-01", valid_to: "2025-03-02" },
+    { id: 21, site_id: 2, shift_id: 99, valid_from: "2025-03-03", valid_to: "2025-03-03" },
+  ], "2025-03-01", "2025-03-04");
+  assert.deepEqual(dias.map(d => [d.asignacion_id, d.trabaja, d.motivo ?? d.shift_name]), [
+    [20, true, "Noche"],
+    [20, true, "Noche"],
+    [21, false, "sin_turno"],
+    [null, false, "sin_asignacion"],
+  ]);
+});
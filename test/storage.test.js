@@ -0,0 +1,55 @@
+// Driver local: URLs firmadas para los documentos y formatos de archivo aceptados al subir
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const localStorage = require("../modules/storage/storage.local");
+const { signUrls } = require("../modules/storage/storage.service");
+const { formatoPermitido } = require("../modules/candidatos/candidatos.documentos");
+
+function tmpStorage(t) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "empleados-storage-"));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  return localStorage({ root, baseUrl: "", secret: "secreto-de-prueba" });
+}
+
+const query = (url) => Object.fromEntries(new URL(url, "http://localhost").searchParams);
+
+test("signedUrl firma la url guardada y la firma solo vale para esa clave y hasta que vence", async (t) => {
+  const storage = tmpStorage(t);
+  const { key, url } = await storage.put(Buffer.from("pdf"), { folder: "candidatos/44556677/cv", filename: "CV Juan.pdf" });
+  assert.equal(url, `/api/files/${key}`);
+
+  const signed = storage.signedUrl(url);
+  assert.match(signed, /^\/api\/files\/.+\?expires=\d+&signature=[0-9a-f]{64}$/);
+  assert.equal(storage.keyFromUrl(signed), key);
+  assert.ok(storage.verifySignature(key, query(signed)));
+
+  assert.equal(storage.verifySignature("candidatos/otro.pdf", query(signed)), false);
+  assert.equal(storage.verifySignature(key, { ...query(signed), signature: "0".repeat(64) }), false);
+  const vencida = storage.signedUrl(url, { expiresIn: -1 });
+  assert.equal(storage.verifySignature(key, query(vencida)), false);
+});
+
+test("signUrls reemplaza solo los campos indicados y deja igual los nulos", (t) => {
+  const storage = tmpStorage(t);
+  const [row] = signUrls(storage, [{ id: 1, cv_doc: "/api/files/a/cv.pdf", dni_doc: null, nombre: "/api/files/x" }], ["cv_doc", "dni_doc"]);
+  assert.match(row.cv_doc, /^\/api\/files\/a\/cv\.pdf\?expires=/);
+  assert.equal(row.dni_doc, null);
+  assert.equal(row.nombre, "/api/files/x");
+});
+
+test("solo se aceptan documentos con extensión y tipo MIME que coinciden", () => {
+  assert.ok(formatoPermitido({ originalname: "dni.PDF", mimetype: "application/pdf" }));
+  assert.ok(formatoPermitido({ originalname: "foto.jpeg", mimetype: "image/jpeg" }));
+  assert.ok(formatoPermitido({ originalname: "cv.docx", mimetype: "application/vnd.openxmlformats-officedocument.wordprocessingml.document" }));
+
+  assert.equal(formatoPermitido({ originalname: "pagina.html", mimetype: "text/html" }), false);
+  assert.equal(formatoPermitido({ originalname: "dni.pdf", mimetype: "text/html" }), false);
+  assert.equal(formatoPermitido({ originalname: "dni.pdf", mimetype: "application/octet-stream" }), false);
+  assert.equal(formatoPermitido({ originalname: "sin-extension", mimetype: "application/pdf" }), false);
+  assert.equal(formatoPermitido({ originalname: "x.constructor", mimetype: "application/pdf" }), false);
+});
@@ -0,0 +1,129 @@
+// Despachador de webhooks contra un receptor HTTP local: firma, fallo con reintento y destinos internos.
+// Necesita TEST_DATABASE_URL (como api.test.js): crea empleados_webhooks_<pid>, la migra y la borra al terminar.
+
+const path = require("path");
+const http = require("http");
+const crypto = require("crypto");
+const { execFileSync } = require("child_process");
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createPool } = require("../modules/common/db");
+const { emit } = require("../modules/webhooks/webhooks.service");
+const createDispatcher = require("../modules/webhooks/webhooks.dispatcher");
+
+const BASE_URL = process.env.TEST_DATABASE_URL;
+const DB_NAME = `empleados_webhooks_${process.pid}`;
+
+function databaseUrl(name) {
+  const u = new URL(BASE_URL);
+  u.pathname = `/${name}`;
+  return u.toString();
+}
+
+async function admin(sql) {
+  const pool = createPool({ connectionString: BASE_URL });
+  try {
+    await pool.query(sql);
+  } finally {
+    await pool.end();
+  }
+}
+
+// Verifica X-Webhook-Signature (t=<unix>,v1=<hex>) como lo haría un receptor
+function verify(secret, header, body) {
+  const { t, v1 } = Object.fromEntries(header.split(",").map(p => p.split("=")));
+  const expected = crypto.createHmac("sha256", secret).update(`${t}.${body}`).digest("hex");
+  return Math.abs(Date.now() / 1000 - Number(t)) < 300 && crypto.timingSafeEqual(Buffer.from(v1, "hex"), Buffer.from(expected, "hex"));
+}
+
+test("el despachador firma, reintenta tras un fallo y no envía a redes internas", {
+  skip: !BASE_URL && "define TEST_DATABASE_URL para probar el despachador contra un Postgres",
+}, async (t) => {
+  await admin(`DROP DATABASE IF EXISTS ${DB_NAME}`);
+  await admin(`CREATE DATABASE ${DB_NAME}`);
+  const url = databaseUrl(DB_NAME);
+  execFileSync(process.execPath, [path.join(__dirname, "..", "scripts", "migrate.js"), "up"], {
+    env: { ...process.env, DATABASE_URL: url },
+    stdio: "pipe",
+  });
+  const pool = createPool({ connectionString: url });
+
+  // receptor: responde con la siguiente respuesta de la cola (200 cuando se acaba)
+  const recibidos = [];
+  const respuestas = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (c) => { body += c; });
+    req.on("end", () => {
+      recibidos.push({ headers: req.headers, body });
+      const [status, text] = respuestas.shift() || [200, "ok"];
+      res.writeHead(status, { "Content-Type": "text/plain" }).end(text);
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  t.after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    await pool.end();
+    await admin(`DROP DATABASE IF EXISTS ${DB_NAME} WITH (FORCE)`);
+  });
+
+  const secret = "whsec_de_prueba_0123456789";
+  const emp = await pool.query(`INSERT INTO employers (ruc, name) VALUES ('20100000009', 'Empresa de prueba') RETURNING id`);
+  const employerId = emp.rows[0].id;
+  const sub = await pool.query(
+    `INSERT INTO webhook_subscriptions (employer_id, url, secret, events) VALUES ($1, $2, $3, '{candidato.creado}') RETURNING id`,
+    [employerId, `http://127.0.0.1:${server.address().port}/hook`, secret]
+  );
+  await emit(pool, { employerId, event: "candidato.creado", data: { id: 7, dni: "44556677" } });
+  const entrega = async () => (await pool.query(
+    `SELECT estado, attempts, last_status, last_error, delivered_at, next_attempt_at > NOW() AS programada
+       FROM webhook_deliveries WHERE subscription_id = $1`,
+    [sub.rows[0].id]
+  )).rows[0];
+
+  const log = { error: (...args) => assert.fail(`no debería registrar errores: ${args.join(" ")}`) };
+
+  await t.test("sin permiso para destinos internos no se envía y queda el motivo", async () => {
+    const dispatcher = createDispatcher({ pool, log, allowPrivate: false });
+    assert.equal(await dispatcher.runOnce(), 1);
+    assert.equal(recibidos.length, 0);
+    const d = await entrega();
+    assert.equal(d.estado, "PENDIENTE");
+    assert.match(d.last_error, /dirección interna \(127\.0\.0\.1\)/);
+    await pool.query(`UPDATE webhook_deliveries SET attempts = 0, next_attempt_at = NOW()`);
+  });
+
+  const dispatcher = createDispatcher({ pool, log, allowPrivate: true });
+
+  await t.test("un 500 queda como intento fallido con solo el código y se reprograma", async () => {
+    respuestas.push([500, "stack trace interno del receptor"]);
+    assert.equal(await dispatcher.runOnce(), 1);
+    assert.equal(recibidos.length, 1);
+
+    const [{ headers, body }] = recibidos;
+    assert.ok(verify(secret, headers["x-webhook-signature"], body), "firma inválida");
+    assert.equal(verify("otro-secreto-cualquiera", headers["x-webhook-signature"], body), false);
+    assert.equal(headers["x-webhook-event"], "candidato.creado");
+    const payload = JSON.parse(body);
+    assert.equal(String(payload.id), headers["x-webhook-delivery"]);
+    assert.deepEqual(payload.data, { id: 7, dni: "44556677" });
+
+    const d = await entrega();
+    assert.deepEqual([d.estado, d.attempts, d.last_status, d.last_error, d.programada], ["PENDIENTE", 1, 500, "HTTP 500", true]);
+    // todavía no vence el backoff
+    assert.equal(await dispatcher.runOnce(), 0);
+  });
+
+  await t.test("al vencer el backoff se reintenta con el mismo id y queda ENTREGADO", async () => {
+    await pool.query(`UPDATE webhook_deliveries SET next_attempt_at = NOW()`);
+    assert.equal(await dispatcher.runOnce(), 1);
+    assert.equal(recibidos.length, 2);
+    assert.equal(recibidos[1].headers["x-webhook-delivery"], recibidos[0].headers["x-webhook-delivery"]);
+    assert.ok(verify(secret, recibidos[1].headers["x-webhook-signature"], recibidos[1].body));
+
+    const d = await entrega();
+    assert.deepEqual([d.estado, d.attempts, d.last_status, d.last_error], ["ENTREGADO", 2, 200, null]);
+    assert.ok(d.delivered_at);
+  });
+});